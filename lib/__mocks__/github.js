@@ -71,7 +71,43 @@ module.exports = class Github {
   }
 
   constructor() {
+    this.paginate = jest.fn(async (promise, callback) =>
+      callback(await promise)
+    );
+
+    this.apps = {
+      getInstallations: Github.fn(),
+    };
+
+    this.checks = {
+      create: Github.fn(),
+      listForRef: Github.fn(),
+      update: Github.fn(),
+    };
+
+    this.gitdata = {
+      getReference: Github.fn(),
+      getTag: Github.fn(),
+    };
+
+    this.issues = {
+      create: Github.fn(),
+      createComment: Github.fn(),
+      edit: Github.fn(),
+    };
+
+    this.orgs = {
+      getTeamMembership: Github.fn(),
+      getTeams: Github.fn(),
+    };
+
     this.repos = {
+      createCommitComment: Github.fn(),
+      createFile: Github.fn(),
+      createStatus: Github.fn(),
+      deleteFile: Github.fn(),
+      editRelease: Github.fn(),
+      getCommits: Github.fn(),
       getContent: Github.fn({
         /**
          * Mocks the requested file's contents for all subsequent calls. The
@@ -98,6 +134,12 @@ module.exports = class Github {
           });
         },
       }),
+      get: Github.fn(),
+      getReleaseByTag: Github.fn(),
+      getStatuses: Github.fn(),
+      getTags: Github.fn(),
+      reviewUserPermissionLevel: Github.fn(),
+      updateFile: Github.fn(),
     };
   }
 };
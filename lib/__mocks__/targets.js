@@ -6,6 +6,9 @@ function runTarget() {
     : Promise.reject(new Error('expected failure'));
 }
 
+runTarget.rollbackTarget = () =>
+  success ? Promise.resolve() : Promise.reject(new Error('expected failure'));
+
 runTarget.mockSuccess = () => {
   success = true;
 };
@@ -0,0 +1,224 @@
+/* eslint-env jest */
+
+const { createError, registerAdminApi } = require('../admin');
+
+const TOKEN = 'secret';
+
+const logger = { info: jest.fn(), error: jest.fn() };
+
+function createRouter() {
+  return { use: jest.fn(), get: jest.fn(), post: jest.fn(), delete: jest.fn() };
+}
+
+function getHandler(actions, method, path) {
+  const router = createRouter();
+  registerAdminApi(router, actions, logger, TOKEN);
+  const call = router[method].mock.calls.find(([route]) => route === path);
+  return call[1];
+}
+
+function createRequest(props = {}) {
+  const headers = props.headers || {};
+  return {
+    params: {},
+    query: {},
+    ...props,
+    get: name => headers[name],
+  };
+}
+
+function createResponse() {
+  const res = { json: jest.fn() };
+  res.status = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('registerAdminApi', () => {
+  test('stays disabled without token', () => {
+    const router = createRouter();
+    expect(registerAdminApi(router, {}, logger, '')).toBe(false);
+    expect(router.use).not.toHaveBeenCalled();
+    expect(router.post).not.toHaveBeenCalled();
+  });
+
+  test('accepts the admin token', () => {
+    const router = createRouter();
+    expect(registerAdminApi(router, {}, logger, TOKEN)).toBe(true);
+
+    const [authenticate] = router.use.mock.calls[0];
+    const req = createRequest({ headers: { Authorization: 'Bearer secret' } });
+    const next = jest.fn();
+    authenticate(req, createResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('rejects invalid tokens', () => {
+    const router = createRouter();
+    registerAdminApi(router, {}, logger, TOKEN);
+
+    const [authenticate] = router.use.mock.calls[0];
+    const req = createRequest({ headers: { Authorization: 'Bearer nope' } });
+    const res = createResponse();
+    const next = jest.fn();
+    authenticate(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+  });
+
+  test('rejects missing tokens', () => {
+    const router = createRouter();
+    registerAdminApi(router, {}, logger, TOKEN);
+
+    const [authenticate] = router.use.mock.calls[0];
+    const res = createResponse();
+    authenticate(createRequest(), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('list', () => {
+  test('lists active releases by default', async () => {
+    expect.assertions(2);
+
+    const list = jest.fn().mockReturnValue(Promise.resolve({ releases: [] }));
+    const handler = getHandler({ list }, 'get', '/releases');
+    const res = createResponse();
+
+    await handler(createRequest(), res);
+    expect(list).toHaveBeenCalledWith(undefined);
+    expect(res.json).toHaveBeenCalledWith({ releases: [] });
+  });
+
+  test('filters by state', async () => {
+    expect.assertions(1);
+
+    const list = jest.fn().mockReturnValue(Promise.resolve({ releases: [] }));
+    const handler = getHandler({ list }, 'get', '/releases');
+    const req = createRequest({ query: { state: 'scheduled,running' } });
+
+    await handler(req, createResponse());
+    expect(list).toHaveBeenCalledWith(['scheduled', 'running']);
+  });
+});
+
+describe('get', () => {
+  test('responds with the release job', async () => {
+    expect.assertions(2);
+
+    const job = { id: 'owner/repo:v1.0.0', state: 'done', history: [] };
+    const get = jest.fn().mockReturnValue(Promise.resolve(job));
+    const handler = getHandler({ get }, 'get', '/releases/:owner/:repo/:tag');
+    const params = { owner: 'owner', repo: 'repo', tag: 'v1.0.0' };
+    const res = createResponse();
+
+    await handler(createRequest({ params }), res);
+    expect(get).toHaveBeenCalledWith(params);
+    expect(res.json).toHaveBeenCalledWith(job);
+  });
+});
+
+describe('cancel', () => {
+  test('passes parameters', async () => {
+    expect.assertions(1);
+
+    const cancel = jest.fn().mockReturnValue(Promise.resolve({}));
+    const path = '/releases/:owner/:repo/:tag/cancel';
+    const handler = getHandler({ cancel }, 'post', path);
+    const params = { owner: 'owner', repo: 'repo', tag: 'v1.0.0' };
+
+    await handler(createRequest({ params }), createResponse());
+    expect(cancel).toHaveBeenCalledWith(params);
+  });
+});
+
+describe('release', () => {
+  test('accepts releases', async () => {
+    expect.assertions(3);
+
+    const response = { id: 'owner/repo:v1.0.0', sha: 'feedface' };
+    const release = jest.fn().mockReturnValue(Promise.resolve(response));
+    const path = '/releases/:owner/:repo/:tag/release';
+    const handler = getHandler({ release }, 'post', path);
+    const req = createRequest({ query: { targets: 'npm' } });
+    const res = createResponse();
+
+    await handler(req, res);
+    expect(release).toHaveBeenCalledWith({}, ['npm']);
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith(response);
+  });
+});
+
+describe('flushTags', () => {
+  test('passes parameters', async () => {
+    expect.assertions(2);
+
+    const flushTags = jest.fn().mockReturnValue({ flushed: true });
+    const handler = getHandler({ flushTags }, 'delete', '/tags/:owner/:repo');
+    const params = { owner: 'owner', repo: 'repo' };
+    const res = createResponse();
+
+    await handler(createRequest({ params }), res);
+    expect(flushTags).toHaveBeenCalledWith(params);
+    expect(res.json).toHaveBeenCalledWith({ flushed: true });
+  });
+});
+
+describe('rollback', () => {
+  const path = '/releases/:owner/:repo/:tag/rollback';
+
+  test('passes parameters and targets', async () => {
+    expect.assertions(2);
+
+    const rollback = jest.fn().mockReturnValue(Promise.resolve({ ok: true }));
+    const handler = getHandler({ rollback }, 'post', path);
+    const params = { owner: 'owner', repo: 'repo', tag: 'v1.0.0' };
+    const req = createRequest({ params, query: { targets: 'npm,pypi' } });
+    const res = createResponse();
+
+    await handler(req, res);
+    expect(rollback).toHaveBeenCalledWith(params, ['npm', 'pypi']);
+    expect(res.json).toHaveBeenCalledWith({ ok: true });
+  });
+
+  test('rolls back all targets by default', async () => {
+    expect.assertions(1);
+
+    const rollback = jest.fn().mockReturnValue(Promise.resolve({}));
+    const handler = getHandler({ rollback }, 'post', path);
+    await handler(createRequest(), createResponse());
+    expect(rollback).toHaveBeenCalledWith({}, undefined);
+  });
+
+  test('responds with the status of errors', async () => {
+    expect.assertions(3);
+
+    const error = createError(404, 'There is no finished release of v1.0.0');
+    const rollback = jest.fn().mockReturnValue(Promise.reject(error));
+    const handler = getHandler({ rollback }, 'post', path);
+    const res = createResponse();
+
+    await handler(createRequest(), res);
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: error.message });
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  test('logs unexpected errors', async () => {
+    expect.assertions(2);
+
+    const error = new Error('boom');
+    const rollback = jest.fn().mockReturnValue(Promise.reject(error));
+    const handler = getHandler({ rollback }, 'post', path);
+    const res = createResponse();
+
+    await handler(createRequest(), res);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(logger.error).toHaveBeenCalledWith(error);
+  });
+});
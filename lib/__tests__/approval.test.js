@@ -0,0 +1,115 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const Context = require('../__mocks__/context');
+
+const TAG = { ref: 'v1.0.0', sha: 'feedface' };
+
+describe('getExpiry', () => {
+  const { getExpiry } = require('../approval');
+
+  test('defaults to seven days', () => {
+    const expected = Date.now() + 7 * 24 * 60 * 60 * 1000;
+    expect(getExpiry({})).toBeGreaterThanOrEqual(expected);
+  });
+
+  test('accepts approval without options', () => {
+    expect(getExpiry(true)).toBeGreaterThan(Date.now());
+  });
+
+  test('uses the configured expiry', () => {
+    const expires = getExpiry({ expiry: 60 });
+    expect(expires).toBeGreaterThanOrEqual(Date.now() + 59 * 1000);
+    expect(expires).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+  });
+});
+
+describe('formatApprovalRequest', () => {
+  const { formatApprovalRequest } = require('../approval');
+
+  test('lists targets and artifacts', () => {
+    const config = {
+      approval: true,
+      targets: ['github', { name: 'npm', id: 'npm-next' }],
+    };
+    const files = [{ name: 'pkg-1.0.0.tgz' }];
+
+    const body = formatApprovalRequest(TAG, config, files, 0);
+    expect(body).toMatch('`v1.0.0` (feedface)');
+    expect(body).toMatch('**Targets**\n\n- github\n- npm-next\n');
+    expect(body).toMatch('**Artifacts**\n\n- pkg-1.0.0.tgz\n');
+    expect(body).toMatch('`/release approve v1.0.0`');
+    expect(body).toMatch('`/release reject v1.0.0`');
+    expect(body).toMatch('collaborators with write permission');
+    expect(body).toMatch('1970-01-01T00:00:00.000Z');
+  });
+
+  test('reports missing artifacts', () => {
+    const config = { approval: true, targets: ['github'] };
+    const body = formatApprovalRequest(TAG, config, [], 0);
+    expect(body).toMatch('**Artifacts**\n\n_none_\n');
+  });
+
+  test('lists approving teams', () => {
+    const config = { approval: { teams: ['releasers'] }, targets: [] };
+    const body = formatApprovalRequest(TAG, config, [], 0);
+    expect(body).toMatch('Only members of `releasers`');
+  });
+});
+
+describe('isApprover', () => {
+  const { isApprover } = require('../approval');
+
+  test('accepts everyone without teams', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    expect(await isApprover(context, {}, 'jan')).toBe(true);
+    expect(context.github.orgs.getTeams).not.toHaveBeenCalled();
+  });
+
+  test('accepts active team members', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const { getTeams, getTeamMembership } = context.github.orgs;
+    getTeams.mockResponse([{ id: 1, slug: 'other' }, { id: 2, slug: 'rel' }]);
+    getTeamMembership.mockResponse({ state: 'active' });
+
+    expect(await isApprover(context, { teams: ['rel'] }, 'jan')).toBe(true);
+    expect(getTeamMembership).toHaveBeenCalledWith({ id: 2, username: 'jan' });
+  });
+
+  test('rejects pending team members', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const { getTeams, getTeamMembership } = context.github.orgs;
+    getTeams.mockResponse([{ id: 2, slug: 'rel' }]);
+    getTeamMembership.mockResponse({ state: 'pending' });
+
+    expect(await isApprover(context, { teams: ['rel'] }, 'jan')).toBe(false);
+  });
+
+  test('rejects users outside of teams', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const { getTeams, getTeamMembership } = context.github.orgs;
+    getTeams.mockResponse([{ id: 2, slug: 'rel' }]);
+    getTeamMembership.mockError(404, 'Not Found');
+
+    expect(await isApprover(context, { teams: ['rel'] }, 'jan')).toBe(false);
+  });
+
+  test('rejects unknown teams', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const { getTeams, getTeamMembership } = context.github.orgs;
+    getTeams.mockResponse([{ id: 1, slug: 'other' }]);
+
+    expect(await isApprover(context, { teams: ['rel'] }, 'jan')).toBe(false);
+    expect(getTeamMembership).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const Github = require('../__mocks__/github');
+
+describe('hasChecksApi', () => {
+  const { hasChecksApi } = require('../checks');
+
+  test('detects clients with the Checks API', () => {
+    expect(hasChecksApi(new Github())).toBe(true);
+  });
+
+  test('rejects the client bundled with probot', () => {
+    jest.unmock('github');
+    const ProbotGithub = require('github');
+    expect(hasChecksApi(new ProbotGithub())).toBe(false);
+  });
+
+  test('rejects missing clients', () => {
+    expect(hasChecksApi(null)).toBe(false);
+  });
+});
+
+describe('listCheckRuns', () => {
+  const fetch = require('node-fetch');
+  const { listCheckRuns } = require('../checks');
+
+  const PARAMS = { owner: 'owner', repo: 'repo', ref: 'release/1.0.0' };
+
+  function mockPages(total, ...pages) {
+    pages.forEach(runs =>
+      fetch.mockReturnValueOnce(
+        Promise.resolve({
+          ok: true,
+          status: 200,
+          headers: { get: () => null },
+          text: async () =>
+            JSON.stringify({ total_count: total, check_runs: runs }),
+        })
+      )
+    );
+  }
+
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('requests check runs with the token of the bundled client', async () => {
+    expect.assertions(3);
+
+    jest.unmock('github');
+    const ProbotGithub = require('github');
+    const github = new ProbotGithub();
+    github.authenticate({ type: 'token', token: 'installation-token' });
+    mockPages(1, [{ name: 'actions' }]);
+
+    expect(await listCheckRuns(github, PARAMS)).toEqual([{ name: 'actions' }]);
+    expect(fetch.mock.calls[0][0]).toBe(
+      'https://api.github.com/repos/owner/repo/commits/release%2F1.0.0/check-runs?per_page=100&page=1'
+    );
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({
+      Accept: 'application/vnd.github.antiope-preview+json',
+      Authorization: 'token installation-token',
+    });
+  });
+
+  test('loads all pages', async () => {
+    expect.assertions(2);
+
+    const github = { auth: { type: 'token', token: 'token' } };
+    const firstPage = Array.from({ length: 100 }, (v, i) => ({ id: i }));
+    mockPages(101, firstPage, [{ id: 100 }]);
+
+    expect((await listCheckRuns(github, PARAMS)).length).toBe(101);
+    expect(fetch.mock.calls[1][0]).toMatch(/&page=2$/);
+  });
+
+  test('uses the Checks API of clients supporting it', async () => {
+    expect.assertions(2);
+
+    const github = new Github();
+    github.checks.listForRef.mockResponse({ check_runs: [{ id: 1 }] });
+
+    expect(await listCheckRuns(github, PARAMS)).toEqual([{ id: 1 }]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('rejects clients without installation token', async () => {
+    expect.assertions(1);
+
+    await expect(listCheckRuns({ auth: false }, PARAMS)).rejects.toEqual(
+      new Error('Cannot list check runs without installation token')
+    );
+  });
+});
+
+describe('normalizeCheckRun', () => {
+  const { normalizeCheckRun } = require('../checks');
+
+  const RUN = {
+    name: 'travis',
+    status: 'completed',
+    conclusion: 'success',
+    started_at: '2018-05-01T10:00:00Z',
+    completed_at: '2018-05-01T10:05:00Z',
+  };
+
+  test('uses the name as context', () => {
+    expect(normalizeCheckRun(RUN).context).toBe('travis');
+  });
+
+  test('uses the completion time', () => {
+    expect(normalizeCheckRun(RUN).updated_at).toBe(RUN.completed_at);
+  });
+
+  test('uses the start time for incomplete runs', () => {
+    const run = { ...RUN, status: 'in_progress', completed_at: null };
+    expect(normalizeCheckRun(run).updated_at).toBe(RUN.started_at);
+  });
+
+  test('maps queued runs to pending', () => {
+    const run = { ...RUN, status: 'queued', conclusion: null };
+    expect(normalizeCheckRun(run).state).toBe('pending');
+  });
+
+  test('maps running runs to pending', () => {
+    const run = { ...RUN, status: 'in_progress', conclusion: null };
+    expect(normalizeCheckRun(run).state).toBe('pending');
+  });
+
+  ['success', 'neutral', 'skipped'].forEach(conclusion =>
+    test(`maps conclusion "${conclusion}" to success`, () => {
+      const run = { ...RUN, conclusion };
+      expect(normalizeCheckRun(run).state).toBe('success');
+    })
+  );
+
+  ['failure', 'cancelled', 'timed_out', 'action_required'].forEach(conclusion =>
+    test(`maps conclusion "${conclusion}" to failure`, () => {
+      const run = { ...RUN, conclusion };
+      expect(normalizeCheckRun(run).state).toBe('failure');
+    })
+  );
+});
+
+describe('filterLatestStatuses', () => {
+  const { filterLatestStatuses } = require('../checks');
+
+  test('keeps the latest status per context', () => {
+    const statuses = [
+      { context: 'a', state: 'pending', updated_at: '2018-01-01' },
+      { context: 'b', state: 'success', updated_at: '2018-01-02' },
+      { context: 'a', state: 'success', updated_at: '2018-01-03' },
+    ];
+
+    expect(filterLatestStatuses(statuses, {})).toEqual([
+      statuses[2],
+      statuses[1],
+    ]);
+  });
+
+  test('omits ignored checks by prefix', () => {
+    const statuses = [
+      { context: 'codecov/patch', state: 'failure', updated_at: '2018-01-01' },
+      { context: 'travis', state: 'success', updated_at: '2018-01-01' },
+    ];
+
+    const config = { ignoredChecks: ['codecov'] };
+    expect(filterLatestStatuses(statuses, config)).toEqual([statuses[1]]);
+  });
+});
+
+describe('findMissingChecks', () => {
+  const { findMissingChecks } = require('../checks');
+
+  const STATUSES = [
+    { context: 'travis-ci/push', state: 'success' },
+    { context: 'appveyor', state: 'pending' },
+  ];
+
+  test('returns nothing without required checks', () => {
+    expect(findMissingChecks(STATUSES, {})).toEqual([]);
+  });
+
+  test('returns nothing if all required checks are present', () => {
+    const config = { requiredChecks: ['appveyor', 'travis-ci/push'] };
+    expect(findMissingChecks(STATUSES, config)).toEqual([]);
+  });
+
+  test('matches required checks by prefix', () => {
+    const config = { requiredChecks: ['travis-ci'] };
+    expect(findMissingChecks(STATUSES, config)).toEqual([]);
+  });
+
+  test('returns missing required checks', () => {
+    const config = { requiredChecks: ['travis-ci', 'codecov', 'zeus'] };
+    expect(findMissingChecks(STATUSES, config)).toEqual(['codecov', 'zeus']);
+  });
+
+  test('treats all required checks as missing without statuses', () => {
+    const config = { requiredChecks: ['travis-ci'] };
+    expect(findMissingChecks([], config)).toEqual(['travis-ci']);
+  });
+});
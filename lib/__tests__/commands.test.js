@@ -0,0 +1,231 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+describe('parseCommand', () => {
+  const { parseCommand } = require('../commands');
+
+  test('ignores comments without commands', () => {
+    expect(parseCommand('Looks good to me')).toBe(null);
+  });
+
+  test('ignores empty comments', () => {
+    expect(parseCommand(undefined)).toBe(null);
+  });
+
+  test('ignores commands within text', () => {
+    expect(parseCommand('Please run /release v1.0.0')).toBe(null);
+  });
+
+  test('ignores similar commands', () => {
+    expect(parseCommand('/releases v1.0.0')).toBe(null);
+  });
+
+  test('ignores commands with punctuation', () => {
+    expect(parseCommand('/release-notes v1.0.0')).toBe(null);
+    expect(parseCommand('/release.yml')).toBe(null);
+  });
+
+  test('reports a missing tag', () => {
+    expect(parseCommand('/release')).toEqual({ error: 'Missing tag' });
+  });
+
+  test('parses a release', () => {
+    expect(parseCommand('/release v1.0.0')).toEqual({
+      action: 'release',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses a command on its own line', () => {
+    expect(parseCommand('Let us try again:\n\n/release v1.0.0\n')).toEqual({
+      action: 'release',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses a release with targets', () => {
+    expect(parseCommand('/release v1.0.0 --targets npm,pypi')).toEqual({
+      action: 'release',
+      tag: 'v1.0.0',
+      targets: ['npm', 'pypi'],
+    });
+  });
+
+  test('parses a release with inline targets', () => {
+    expect(parseCommand('/release v1.0.0 --targets=npm')).toEqual({
+      action: 'release',
+      tag: 'v1.0.0',
+      targets: ['npm'],
+    });
+  });
+
+  test('parses cancel', () => {
+    expect(parseCommand('/release cancel v1.0.0')).toEqual({
+      action: 'cancel',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses retry', () => {
+    expect(parseCommand('/release retry v1.0.0')).toEqual({
+      action: 'retry',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses approve', () => {
+    expect(parseCommand('/release approve v1.0.0')).toEqual({
+      action: 'approve',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses reject', () => {
+    expect(parseCommand('/release reject v1.0.0')).toEqual({
+      action: 'reject',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses status', () => {
+    expect(parseCommand('/release status v1.0.0')).toEqual({
+      action: 'status',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses rollback', () => {
+    expect(parseCommand('/release rollback v1.0.0')).toEqual({
+      action: 'rollback',
+      tag: 'v1.0.0',
+    });
+  });
+
+  test('parses rollback targets', () => {
+    expect(parseCommand('/release rollback v1.0.0 --targets npm')).toEqual({
+      action: 'rollback',
+      tag: 'v1.0.0',
+      targets: ['npm'],
+    });
+  });
+
+  test('rejects rollback without tag', () => {
+    expect(parseCommand('/release rollback --targets npm')).toEqual({
+      error: 'Expected a tag for "rollback"',
+    });
+  });
+
+  test('rejects a missing tag', () => {
+    expect(parseCommand('/release')).toEqual({ error: 'Missing tag' });
+  });
+
+  test('rejects sub commands without tag', () => {
+    expect(parseCommand('/release cancel')).toEqual({
+      error: 'Expected a single tag for "cancel"',
+    });
+  });
+
+  test('rejects sub commands with multiple tags', () => {
+    expect(parseCommand('/release status v1.0.0 v1.0.1')).toEqual({
+      error: 'Expected a single tag for "status"',
+    });
+  });
+
+  test('rejects unknown options', () => {
+    expect(parseCommand('/release v1.0.0 --force')).toEqual({
+      error: 'Invalid arguments: --force',
+    });
+  });
+
+  test('rejects missing targets', () => {
+    expect(parseCommand('/release v1.0.0 --targets')).toEqual({
+      error: 'Invalid arguments: --targets',
+    });
+  });
+});
+
+describe('formatStatus', () => {
+  const { formatStatus } = require('../commands');
+
+  test('reports missing releases', () => {
+    expect(formatStatus('v1.0.0', null)).toBe(
+      'There is no release of `v1.0.0`.'
+    );
+  });
+
+  test('reports scheduled releases', () => {
+    const job = { sha: 'feedface', state: 'scheduled', due: 0 };
+    expect(formatStatus('v1.0.0', job)).toBe(
+      'Release of `v1.0.0` (feedface) is **scheduled**.\n\n' +
+        'Due at 1970-01-01T00:00:00.000Z.'
+    );
+  });
+
+  test('reports approval expiry', () => {
+    const job = { sha: 'feedface', state: 'unapproved', expires: 0 };
+    expect(formatStatus('v1.0.0', job)).toBe(
+      'Release of `v1.0.0` (feedface) is **unapproved**.\n\n' +
+        'Approval expires at 1970-01-01T00:00:00.000Z.'
+    );
+  });
+
+  test('reports the release history', () => {
+    const job = {
+      sha: 'feedface',
+      state: 'done',
+      history: [
+        { action: 'release', time: 0, results: [] },
+        {
+          action: 'rollback',
+          time: 1000,
+          user: 'jan',
+          results: [
+            { target: 'github', status: 'success' },
+            { target: 'pypi', status: 'failure', error: 'nope' },
+          ],
+        },
+      ],
+    };
+
+    expect(formatStatus('v1.0.0', job)).toBe(
+      'Release of `v1.0.0` (feedface) is **done**.\n\n**History**\n\n' +
+        '- 1970-01-01T00:00:00.000Z: Released\n' +
+        '- 1970-01-01T00:00:01.000Z: Rolled back by @jan (failed: pypi)'
+    );
+  });
+
+  test('reports dry runs', () => {
+    const job = {
+      sha: 'feedface',
+      state: 'done',
+      dryRun: true,
+      history: [{ action: 'dryRun', time: 0, results: [] }],
+    };
+
+    expect(formatStatus('v1.0.0-dry', job)).toBe(
+      'Dry run of `v1.0.0-dry` (feedface) is **done**.\n\n**History**\n\n' +
+        '- 1970-01-01T00:00:00.000Z: Simulated in a dry run'
+    );
+  });
+
+  test('reports errors', () => {
+    const job = { sha: 'feedface', state: 'failed', error: 'nope' };
+    expect(formatStatus('v1.0.0', job)).toBe(
+      'Release of `v1.0.0` (feedface) is **failed**.\n\n```\nnope\n```'
+    );
+  });
+
+  test('reports target results', () => {
+    const job = {
+      sha: 'feedface',
+      state: 'done',
+      started: 0,
+      due: 0,
+      results: [{ target: 'npm', status: 'success' }],
+    };
+
+    expect(formatStatus('v1.0.0', job)).toBe(
+      'Release of `v1.0.0` (feedface) is **done**.\n\n### npm\n\n**Succeeded**'
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const Context = require('../__mocks__/context');
+
+describe('mergeTargets', () => {
+  const { mergeTargets } = require('../config');
+
+  test('appends new targets', () => {
+    expect(mergeTargets(['github'], ['npm'])).toEqual([
+      { name: 'github' },
+      { name: 'npm' },
+    ]);
+  });
+
+  test('merges targets by name', () => {
+    const base = [{ name: 'brew', tap: 'getsentry/tools', path: 'Formula' }];
+    const targets = [{ name: 'brew', path: 'Other' }];
+    expect(mergeTargets(base, targets)).toEqual([
+      { name: 'brew', tap: 'getsentry/tools', path: 'Other' },
+    ]);
+  });
+
+  test('keeps base targets referenced by name only', () => {
+    const base = [{ name: 'github', changelog: 'CHANGES' }];
+    expect(mergeTargets(base, ['github'])).toEqual([
+      { name: 'github', changelog: 'CHANGES' },
+    ]);
+  });
+
+  test('merges targets by id', () => {
+    const base = [
+      { name: 'npm' },
+      { name: 'npm', id: 'npm-next', tag: 'next' },
+    ];
+    const targets = [{ name: 'npm', id: 'npm-next', access: 'public' }];
+    expect(mergeTargets(base, targets)).toEqual([
+      { name: 'npm' },
+      { name: 'npm', id: 'npm-next', tag: 'next', access: 'public' },
+    ]);
+  });
+});
+
+describe('mergeConfigs', () => {
+  const { mergeConfigs } = require('../config');
+
+  test('overrides keys of the base', () => {
+    const base = { store: 's3', ignoredChecks: ['codecov'] };
+    const config = { extends: '.github', store: 'zeus' };
+    expect(mergeConfigs(base, config)).toEqual({
+      store: 'zeus',
+      ignoredChecks: ['codecov'],
+    });
+  });
+
+  test('inherits targets of the base', () => {
+    const base = { targets: ['github'] };
+    expect(mergeConfigs(base, {})).toEqual({ targets: ['github'] });
+  });
+
+  test('merges targets', () => {
+    const base = { targets: ['github'] };
+    expect(mergeConfigs(base, { targets: ['npm'] })).toEqual({
+      targets: [{ name: 'github' }, { name: 'npm' }],
+    });
+  });
+});
+
+describe('resolveConfig', () => {
+  const { resolveConfig } = require('../config');
+
+  test('returns configs without base', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const config = { store: 's3' };
+    expect(await resolveConfig(context, config)).toBe(config);
+    expect(context.github.repos.getContent).not.toHaveBeenCalled();
+  });
+
+  test('loads the base from the same organization', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const { getContent } = context.github.repos;
+    getContent.mockContent('store: s3\ntargets:\n  - github\n');
+
+    const config = { extends: '.github', targets: ['npm'] };
+    expect(await resolveConfig(context, config)).toEqual({
+      store: 's3',
+      targets: [{ name: 'github' }, { name: 'npm' }],
+    });
+    expect(getContent).toHaveBeenCalledWith({
+      owner: Context.OWNER,
+      repo: '.github',
+      path: '.github/release.yml',
+    });
+  });
+
+  test('loads the base from another owner', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const { getContent } = context.github.repos;
+    getContent.mockContent('store: s3\n');
+
+    await resolveConfig(context, { extends: 'getsentry/.github' });
+    expect(getContent).toHaveBeenCalledWith({
+      owner: 'getsentry',
+      repo: '.github',
+      path: '.github/release.yml',
+    });
+  });
+
+  test('ignores extends in the base', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const { getContent } = context.github.repos;
+    getContent.mockContent('extends: other\nstore: s3\n');
+
+    const config = await resolveConfig(context, { extends: '.github' });
+    expect(config).toEqual({ store: 's3' });
+    expect(getContent).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects missing base configs', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    context.github.repos.getContent.mockError(404, 'Not Found');
+
+    const err = new Error(
+      `Missing base configuration in ${Context.OWNER}/.github`
+    );
+    await expect(
+      resolveConfig(context, { extends: '.github' })
+    ).rejects.toEqual(err);
+  });
+
+  test('rejects invalid references', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const err = new Error('Invalid base configuration: a/b/c');
+    await expect(resolveConfig(context, { extends: 'a/b/c' })).rejects.toEqual(
+      err
+    );
+  });
+});
@@ -0,0 +1,200 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+describe('getTargetId', () => {
+  const { getTargetId } = require('../executor');
+
+  test('uses target names', () => {
+    expect(getTargetId('npm')).toBe('npm');
+  });
+
+  test('uses names from target configs', () => {
+    expect(getTargetId({ name: 'npm' })).toBe('npm');
+  });
+
+  test('prefers explicit ids', () => {
+    expect(getTargetId({ name: 'npm', id: 'npm-next' })).toBe('npm-next');
+  });
+});
+
+describe('createGraph', () => {
+  const { createGraph } = require('../executor');
+
+  test('creates nodes for all targets', () => {
+    const targets = ['github', { name: 'brew', needs: ['github'] }];
+    expect(createGraph(targets)).toEqual([
+      { id: 'github', needs: [], target: 'github' },
+      { id: 'brew', needs: ['github'], target: targets[1] },
+    ]);
+  });
+
+  test('accepts a single dependency', () => {
+    const targets = ['github', { name: 'brew', needs: 'github' }];
+    expect(createGraph(targets)[1].needs).toEqual(['github']);
+  });
+
+  test('throws for duplicate targets', () => {
+    expect(() => createGraph(['npm', { name: 'npm' }])).toThrow(
+      'Duplicate targets: npm'
+    );
+  });
+
+  test('throws for unknown dependencies', () => {
+    const targets = [{ name: 'brew', needs: ['github'] }];
+    expect(() => createGraph(targets)).toThrow(
+      'Target "brew" needs unknown target "github"'
+    );
+  });
+
+  test('throws for circular dependencies', () => {
+    const targets = [
+      'github',
+      { name: 'npm', needs: ['cargo'] },
+      { name: 'cargo', needs: ['npm'] },
+      { name: 'brew', needs: ['npm'] },
+    ];
+
+    expect(() => createGraph(targets)).toThrow(
+      'Circular dependencies between targets: npm, cargo, brew'
+    );
+  });
+});
+
+describe('selectTargets', () => {
+  const { selectTargets } = require('../executor');
+
+  const TARGETS = [
+    'github',
+    { name: 'cargo' },
+    { name: 'npm', needs: ['cargo', 'github'] },
+  ];
+
+  test('selects targets by id', () => {
+    expect(selectTargets(TARGETS, ['github', 'cargo'])).toEqual([
+      'github',
+      { name: 'cargo' },
+    ]);
+  });
+
+  test('removes dependencies on unselected targets', () => {
+    expect(selectTargets(TARGETS, ['cargo', 'npm'])).toEqual([
+      { name: 'cargo' },
+      { name: 'npm', needs: ['cargo'] },
+    ]);
+  });
+
+  test('throws for unknown targets', () => {
+    expect(() => selectTargets(TARGETS, ['npm', 'pypi'])).toThrow(
+      'Unknown targets: pypi'
+    );
+  });
+});
+
+describe('executeTargets', () => {
+  const { executeTargets } = require('../executor');
+
+  const succeed = () => Promise.resolve({ status: 'success' });
+
+  test('runs all targets', async () => {
+    expect.assertions(2);
+
+    const run = jest.fn(succeed);
+    const results = await executeTargets(['github', 'npm'], run);
+
+    expect(run.mock.calls).toEqual([['github'], ['npm']]);
+    expect(results).toEqual([
+      { target: 'github', status: 'success' },
+      { target: 'npm', status: 'success' },
+    ]);
+  });
+
+  test('runs dependencies first', async () => {
+    expect.assertions(1);
+
+    const order = [];
+    const run = target =>
+      new Promise(resolve =>
+        setTimeout(() => {
+          order.push(target.name || target);
+          resolve({ status: 'success' });
+        }, target === 'github' ? 50 : 0)
+      );
+
+    await executeTargets([{ name: 'brew', needs: ['github'] }, 'github'], run);
+    expect(order).toEqual(['github', 'brew']);
+  });
+
+  test('keeps additional result properties', async () => {
+    expect.assertions(1);
+
+    const run = () => Promise.resolve({ status: 'success', url: 'url' });
+    const results = await executeTargets(['github'], run);
+    expect(results).toEqual([
+      { target: 'github', status: 'success', url: 'url' },
+    ]);
+  });
+
+  test('skips targets downstream of a failure', async () => {
+    expect.assertions(2);
+
+    const run = jest.fn(
+      target =>
+        target === 'cargo'
+          ? Promise.resolve({ status: 'failure', error: 'failed' })
+          : succeed()
+    );
+
+    const results = await executeTargets(
+      [
+        'cargo',
+        { name: 'npm', needs: ['cargo'] },
+        { name: 'brew', needs: ['npm'] },
+        'github',
+      ],
+      run
+    );
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(results).toEqual([
+      { target: 'cargo', status: 'failure', error: 'failed' },
+      {
+        target: 'npm',
+        status: 'skipped',
+        reason: 'Needs "cargo", which did not succeed',
+      },
+      {
+        target: 'brew',
+        status: 'skipped',
+        reason: 'Needs "npm", which did not succeed',
+      },
+      { target: 'github', status: 'success' },
+    ]);
+  });
+
+  test('runs shared dependencies only once', async () => {
+    expect.assertions(1);
+
+    const run = jest.fn(succeed);
+    await executeTargets(
+      [
+        'github',
+        { name: 'brew', needs: ['github'] },
+        { name: 'npm', needs: ['github'] },
+      ],
+      run
+    );
+
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  test('rejects invalid dependencies', async () => {
+    expect.assertions(1);
+
+    const run = jest.fn(succeed);
+    try {
+      await executeTargets([{ name: 'brew', needs: ['github'] }], run);
+    } catch (e) {
+      expect(run).not.toHaveBeenCalled();
+    }
+  });
+});
@@ -74,3 +74,23 @@ describe('withTempDir', () => {
     expect(result).toBe('result');
   });
 });
+
+describe('calculateChecksum', () => {
+  const { calculateChecksum } = require('../files');
+  const { join, resolve } = require('path');
+  const testFile = join(resolve(__dirname, '../__fixtures__/listFiles'), 'a');
+
+  test('defaults to sha256', async () => {
+    expect.assertions(1);
+    expect(await calculateChecksum(testFile)).toBe(
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+  });
+
+  test('supports other algorithms', async () => {
+    expect.assertions(1);
+    expect(await calculateChecksum(testFile, 'md5')).toBe(
+      'd41d8cd98f00b204e9800998ecf8427e'
+    );
+  });
+});
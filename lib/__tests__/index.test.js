@@ -0,0 +1,957 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const Context = require('probot/lib/context');
+const Github = require('../__mocks__/github');
+const logger = require('../__mocks__/logger');
+
+jest.mock('../queues', () => jest.fn());
+jest.mock('../stores', () => jest.fn(() => ({ listFiles: async () => [] })));
+jest.mock('../targets', () => require.requireActual('../__mocks__/targets'));
+
+const INSTALLATION = 42;
+const TAG = { ref: 'v1.0.0', sha: 'feedface' };
+const ID = 'owner/repo:v1.0.0';
+const DAY = 24 * 60 * 60 * 1000;
+const COMMENT_URL = 'https://github.com/owner/repo/commit/feedface#comment';
+
+const REPOSITORY = {
+  name: 'repo',
+  owner: { login: 'owner' },
+  html_url: 'https://github.com/owner/repo',
+};
+
+/**
+ * Release configuration served from ".github/release.yml"
+ */
+const CONFIG = 'delay: 10\ntargets:\n  - github\n';
+
+/**
+ * Keeps a reference to the real timer functions, which are replaced by fake
+ * timers in all tests
+ */
+const { setImmediate: realSetImmediate, setTimeout: realSetTimeout } = global;
+
+let github;
+let queue;
+let handlers;
+let routers;
+let checkRuns;
+
+process.env.ADMIN_TOKEN = 'secret';
+
+/**
+ * Resolves after all pending promises and I/O callbacks have settled
+ */
+async function flush() {
+  for (let i = 0; i < 20; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => realSetImmediate(resolve));
+  }
+}
+
+/**
+ * Waits until the release job has reached the given state
+ *
+ * Releases work in temporary directories, so this polls for a few seconds.
+ */
+async function waitForState(state) {
+  for (let i = 0; i < 500; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const job = await queue.get(ID);
+    if (job && job.state === state) {
+      return job;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => realSetTimeout(resolve, 10));
+  }
+
+  throw new Error(`Release did not reach state "${state}"`);
+}
+
+/**
+ * Creates a job as it would have been stored before a restart
+ */
+function createJob(props = {}) {
+  return {
+    id: ID,
+    owner: 'owner',
+    repo: 'repo',
+    ref: TAG.ref,
+    sha: TAG.sha,
+    installation: INSTALLATION,
+    ...props,
+  };
+}
+
+/**
+ * Creates a mock Github client for a repository with a successful tag
+ *
+ * The client has the method set of the client bundled with probot, which does
+ * not support the Checks API. Check runs are served via fetch instead.
+ */
+function createGithub() {
+  const client = new Github();
+  delete client.checks;
+  client.auth = { type: 'token', token: 'installation-token' };
+
+  client.repos.getContent.mockContent(CONFIG);
+  client.repos.getTags.mockResponse([
+    { name: TAG.ref, commit: { sha: TAG.sha } },
+  ]);
+  client.repos.getStatuses.mockResponse([
+    { context: 'ci', state: 'success', updated_at: '2018-01-01T00:00:00Z' },
+  ]);
+  client.repos.createCommitComment.mockResponse({ html_url: COMMENT_URL });
+  client.repos.reviewUserPermissionLevel.mockResponse({ permission: 'write' });
+  client.gitdata.getReference.mockResponse({
+    object: { type: 'commit', sha: TAG.sha },
+  });
+
+  return client;
+}
+
+/**
+ * Initializes the app with a fresh queue containing the given jobs
+ *
+ * The Github client can be customized in "prepare" before the app starts.
+ */
+async function setup(jobs = [], prepare = () => {}) {
+  jest.resetModules();
+  github = createGithub();
+  prepare(github);
+
+  checkRuns = [];
+  require('node-fetch').mockImplementation(async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: async () =>
+      JSON.stringify({ total_count: checkRuns.length, check_runs: checkRuns }),
+  }));
+
+  queue = require('../queues/memory')(logger);
+  await Promise.all(jobs.map(job => queue.add(job)));
+  require('../queues').mockReturnValue(queue);
+
+  handlers = {};
+  routers = {};
+  const robot = {
+    log: logger,
+    auth: jest.fn(async () => github),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    route: jest.fn(path => {
+      routers[path] = {
+        use: jest.fn(),
+        get: jest.fn(),
+        post: jest.fn(),
+        delete: jest.fn(),
+      };
+      return routers[path];
+    }),
+  };
+
+  require('../index')(robot);
+  await flush();
+  return robot;
+}
+
+/**
+ * Delivers a webhook event of the repository to the app
+ */
+async function receive(event, payload) {
+  const context = new Context(
+    {
+      event,
+      payload: {
+        repository: REPOSITORY,
+        installation: { id: INSTALLATION },
+        ...payload,
+      },
+    },
+    github
+  );
+
+  const { action } = context.payload;
+  await (handlers[`${event}.${action}`] || handlers[event])(context);
+  return context;
+}
+
+/**
+ * Comments on an issue and resolves the reply of the app, if any
+ */
+async function comment(body, user = { login: 'user', type: 'User' }) {
+  github.issues.createComment.mockClear();
+  await receive('issue_comment', {
+    action: 'created',
+    issue: { number: 1 },
+    comment: { body, user },
+  });
+
+  const reply = github.issues.createComment.mock.calls
+    .map(([params]) => params)
+    .find(params => params.number === 1);
+  return reply ? reply.body : null;
+}
+
+/**
+ * Sends an authorized request to the admin API
+ *
+ * Resolves the response "status" and its JSON "body".
+ */
+async function request(method, path, params = {}, query = {}) {
+  const [, handler] = routers['/admin'][method].mock.calls.find(
+    ([route]) => route === path
+  );
+
+  const req = { params, query, get: () => 'Bearer secret' };
+  const res = { json: jest.fn() };
+  res.status = jest.fn().mockReturnValue(res);
+  await handler(req, res);
+
+  const [[status]] = res.status.mock.calls;
+  const [[body]] = res.json.mock.calls;
+  return { status, body };
+}
+
+/**
+ * Returns the states of all release statuses set on the tag's commit
+ */
+function getReleaseStatuses() {
+  return github.repos.createStatus.mock.calls
+    .map(([params]) => params)
+    .filter(params => params.context === 'release')
+    .map(params => params.state);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+});
+
+describe('runRelease', () => {
+  test('schedules and runs the release of a new tag', async () => {
+    expect.assertions(4);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(await queue.get(ID)).toMatchObject({
+      state: 'scheduled',
+      checkRun: 'release',
+      installation: INSTALLATION,
+    });
+
+    jest.runOnlyPendingTimers();
+    const job = await waitForState('done');
+    expect(job.results).toEqual([{ target: 'github', status: 'success' }]);
+    expect(job.history).toEqual([
+      { action: 'release', time: expect.any(Number), results: job.results },
+    ]);
+    expect(getReleaseStatuses()).toEqual(['pending', 'pending', 'success']);
+  });
+
+  test('reports failed targets', async () => {
+    expect.assertions(3);
+
+    await setup();
+    require('../targets').mockFailure();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    jest.runOnlyPendingTimers();
+    const job = await waitForState('failed');
+    expect(job.results).toEqual([
+      { target: 'github', status: 'failure', error: 'expected failure' },
+    ]);
+    expect(github.repos.createCommitComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sha: TAG.sha,
+        body: expect.stringMatching(/^\*\*Release of v1\.0\.0 failed/),
+      })
+    );
+    expect(getReleaseStatuses()).toEqual(['pending', 'pending', 'failure']);
+  });
+
+  test('waits for pending status checks', async () => {
+    expect.assertions(2);
+
+    await setup();
+    github.repos.getStatuses.mockResponse([
+      { context: 'ci', state: 'pending', updated_at: '2018-01-01T00:00:00Z' },
+    ]);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(await queue.get(ID)).toBe(null);
+    expect(getReleaseStatuses()).toEqual([]);
+  });
+
+  test('waits for pending check runs', async () => {
+    expect.assertions(3);
+
+    await setup();
+    checkRuns = [
+      { name: 'actions', status: 'in_progress', started_at: '2018-01-02' },
+    ];
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(await queue.get(ID)).toBe(null);
+
+    const [[url, options]] = require('node-fetch').mock.calls;
+    expect(url).toBe(
+      'https://api.github.com/repos/owner/repo/commits/v1.0.0/check-runs?per_page=100&page=1'
+    );
+    expect(options.headers).toMatchObject({
+      Accept: 'application/vnd.github.antiope-preview+json',
+      Authorization: 'token installation-token',
+    });
+  });
+
+  test('releases tags whose only checks are check runs', async () => {
+    expect.assertions(1);
+
+    await setup();
+    github.repos.getStatuses.mockResponse([]);
+    checkRuns = [
+      {
+        name: 'actions',
+        status: 'completed',
+        conclusion: 'success',
+        completed_at: '2018-01-02T00:00:00Z',
+      },
+    ];
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect((await queue.get(ID)).state).toBe('scheduled');
+  });
+
+  test('keeps the history of previous releases', async () => {
+    expect.assertions(2);
+
+    const history = [
+      { action: 'release', time: 1, results: [] },
+      { action: 'rollback', time: 2, results: [] },
+    ];
+    await setup([
+      createJob({ state: 'cancelled', finished: Date.now(), history }),
+    ]);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(await queue.get(ID)).toMatchObject({ state: 'scheduled', history });
+
+    jest.runOnlyPendingTimers();
+    const job = await waitForState('done');
+    expect(job.history.map(entry => entry.action)).toEqual([
+      'release',
+      'rollback',
+      'release',
+    ]);
+  });
+
+  test('ignores its own release status', async () => {
+    expect.assertions(1);
+
+    await setup();
+    github.repos.getStatuses.mockResponse([
+      { context: 'ci', state: 'success', updated_at: '2018-01-01T00:00:00Z' },
+      { context: 'release', state: 'pending', updated_at: '2018-01-02' },
+    ]);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect((await queue.get(ID)).state).toBe('scheduled');
+  });
+});
+
+describe('cancelRelease', () => {
+  test('cancels the scheduled release of a deleted tag', async () => {
+    expect.assertions(3);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    await receive('delete', { ref_type: 'tag', ref: TAG.ref });
+
+    const job = await queue.get(ID);
+    expect(job).toMatchObject({
+      state: 'cancelled',
+      finished: expect.any(Number),
+    });
+    expect(getReleaseStatuses()).toEqual(['pending', 'error']);
+
+    jest.runOnlyPendingTimers();
+    await flush();
+    expect((await queue.get(ID)).state).toBe('cancelled');
+  });
+
+  test('reschedules a release when checks change', async () => {
+    expect.assertions(2);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    await receive('status', { sha: TAG.sha, context: 'ci', state: 'success' });
+
+    // The release status is reused for the rescheduled release
+    expect((await queue.get(ID)).state).toBe('scheduled');
+    expect(getReleaseStatuses()).toEqual(['pending']);
+  });
+});
+
+describe('resumeReleases', () => {
+  test('reschedules scheduled releases', async () => {
+    expect.assertions(2);
+
+    const due = Date.now() + 10000;
+    await setup([createJob({ state: 'scheduled', due, checkRun: 'release' })]);
+    expect((await queue.get(ID)).state).toBe('scheduled');
+
+    jest.runOnlyPendingTimers();
+    const job = await waitForState('done');
+    expect(job.results).toEqual([{ target: 'github', status: 'success' }]);
+  });
+
+  test('fails releases interrupted by a restart', async () => {
+    expect.assertions(2);
+
+    await setup([createJob({ state: 'running', checkRun: 'release' })]);
+    expect(await queue.get(ID)).toMatchObject({
+      state: 'failed',
+      error: 'Interrupted by a restart',
+      finished: expect.any(Number),
+    });
+    expect(getReleaseStatuses()).toEqual(['failure']);
+  });
+
+  test('cancels releases without configuration', async () => {
+    expect.assertions(2);
+
+    const job = createJob({ state: 'scheduled', due: Date.now() });
+    await setup([{ ...job, checkRun: 'release' }], client =>
+      client.repos.getContent.mockError(404)
+    );
+
+    expect((await queue.get(ID)).state).toBe('cancelled');
+    expect(getReleaseStatuses()).toEqual(['error']);
+  });
+
+  test('prunes releases that finished before the retention period', async () => {
+    expect.assertions(2);
+
+    const old = createJob({ state: 'done', finished: Date.now() - 91 * DAY });
+    const recent = createJob({
+      id: 'owner/repo:v0.9.0',
+      ref: 'v0.9.0',
+      state: 'failed',
+      finished: Date.now() - DAY,
+    });
+
+    await setup([old, recent]);
+    expect(await queue.get(old.id)).toBe(null);
+    expect(await queue.get(recent.id)).toEqual(recent);
+  });
+});
+
+describe('metrics', () => {
+  test('exposes release metrics for Prometheus', async () => {
+    expect.assertions(2);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    jest.runOnlyPendingTimers();
+    await waitForState('done');
+
+    const [[, handler]] = routers['/metrics'].get.mock.calls;
+    const res = { send: jest.fn() };
+    res.type = jest.fn().mockReturnValue(res);
+    handler({}, res);
+
+    expect(res.type).toHaveBeenCalledWith(
+      expect.stringMatching(/^text\/plain; version=0\.0\.4/)
+    );
+    expect(res.send.mock.calls[0][0]).toContain('release_scheduled_total 1\n');
+  });
+});
+
+describe('admin API', () => {
+  const PARAMS = { owner: 'owner', repo: 'repo', tag: TAG.ref };
+
+  /**
+   * Lists an installation of the app on the repository owner
+   */
+  function install(client) {
+    client.apps.getInstallations.mockResponse([
+      { id: 7, account: { login: 'other' } },
+      { id: INSTALLATION, account: { login: 'Owner' } },
+    ]);
+    client.repos.get.mockResponse({ full_name: 'owner/repo' });
+  }
+
+  test('lists active releases', async () => {
+    expect.assertions(2);
+
+    const scheduled = createJob({ state: 'scheduled', due: Date.now() });
+    const done = createJob({
+      id: 'owner/repo:v0.9.0',
+      ref: 'v0.9.0',
+      state: 'done',
+      finished: Date.now(),
+    });
+    await setup([scheduled, done]);
+
+    const response = await request('get', '/releases', {}, {});
+    expect(response).toEqual({ status: 200, body: { releases: [scheduled] } });
+
+    const query = { state: 'done' };
+    const filtered = await request('get', '/releases', {}, query);
+    expect(filtered.body).toEqual({ releases: [done] });
+  });
+
+  test('shows a release', async () => {
+    expect.assertions(2);
+
+    const job = createJob({ state: 'done', finished: Date.now() });
+    await setup([job]);
+
+    const path = '/releases/:owner/:repo/:tag';
+    expect(await request('get', path, PARAMS)).toEqual({
+      status: 200,
+      body: job,
+    });
+
+    const missing = await request('get', path, { ...PARAMS, tag: 'v2.0.0' });
+    expect(missing).toEqual({
+      status: 404,
+      body: { error: 'There is no release of v2.0.0' },
+    });
+  });
+
+  test('cancels a scheduled release', async () => {
+    expect.assertions(3);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    const path = '/releases/:owner/:repo/:tag/cancel';
+    const response = await request('post', path, PARAMS);
+    expect(response.status).toBe(200);
+    expect(response.body.state).toBe('cancelled');
+    expect(getReleaseStatuses()).toEqual(['pending', 'error']);
+  });
+
+  test('cancels a release waiting for checks', async () => {
+    expect.assertions(3);
+
+    await setup([], client => {
+      const config = `${CONFIG}minimumChecks: 2\nchecksTimeout: 60\n`;
+      client.repos.getContent.mockContent(config);
+    });
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect((await queue.get(ID)).state).toBe('waiting');
+
+    const path = '/releases/:owner/:repo/:tag/cancel';
+    const response = await request('post', path, PARAMS);
+    expect(response.body.state).toBe('cancelled');
+
+    // The checks timeout must not revive the release
+    jest.runOnlyPendingTimers();
+    await flush();
+    expect(await queue.get(ID)).toBe(null);
+  });
+
+  test('cancels a release waiting for approval', async () => {
+    expect.assertions(3);
+
+    await setup([], client => {
+      client.repos.getContent.mockContent(`${CONFIG}approval: true\n`);
+      client.issues.create.mockResponse({ number: 5 });
+    });
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    const path = '/releases/:owner/:repo/:tag/cancel';
+    const response = await request('post', path, PARAMS);
+    expect(response.body.state).toBe('cancelled');
+    expect(github.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        number: 5,
+        body: 'Cancelled release as it was cancelled via the admin API.',
+      })
+    );
+    expect(github.issues.edit).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      number: 5,
+      state: 'closed',
+    });
+  });
+
+  test('rejects cancelling a missing release', async () => {
+    expect.assertions(1);
+
+    await setup();
+    const path = '/releases/:owner/:repo/:tag/cancel';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 404,
+      body: { error: 'There is no scheduled release of v1.0.0' },
+    });
+  });
+
+  test('starts a release on the installation of the owner', async () => {
+    expect.assertions(4);
+
+    const robot = await setup([], install);
+    const path = '/releases/:owner/:repo/:tag/release';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 202,
+      body: { id: ID, sha: TAG.sha },
+    });
+
+    const job = await waitForState('done');
+    expect(job.results).toEqual([{ target: 'github', status: 'success' }]);
+    expect(robot.auth).toHaveBeenCalledWith(INSTALLATION);
+    expect(github.repos.get).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+    });
+  });
+
+  test('rejects releases without installation', async () => {
+    expect.assertions(1);
+
+    await setup([], client => client.apps.getInstallations.mockResponse([]));
+    const path = '/releases/:owner/:repo/:tag/release';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 404,
+      body: { error: 'The app is not installed on owner/repo' },
+    });
+  });
+
+  test('rejects releases of repositories outside the installation', async () => {
+    expect.assertions(1);
+
+    await setup([], client => {
+      install(client);
+      client.repos.get.mockError(404, 'Not Found');
+    });
+
+    const path = '/releases/:owner/:repo/:tag/release';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 404,
+      body: { error: 'The app is not installed on owner/repo' },
+    });
+  });
+
+  test('rolls back a finished release', async () => {
+    expect.assertions(2);
+
+    const results = [{ target: 'github', status: 'success' }];
+    const job = createJob({ state: 'done', finished: Date.now(), results });
+    await setup([job]);
+
+    const path = '/releases/:owner/:repo/:tag/rollback';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 200,
+      body: { results },
+    });
+    expect((await queue.get(ID)).history).toEqual([
+      {
+        action: 'rollback',
+        time: expect.any(Number),
+        via: 'admin API',
+        results,
+      },
+    ]);
+  });
+
+  test('rejects rolling back unfinished releases', async () => {
+    expect.assertions(1);
+
+    await setup([createJob({ state: 'scheduled', due: Date.now() })]);
+    const path = '/releases/:owner/:repo/:tag/rollback';
+    expect(await request('post', path, PARAMS)).toEqual({
+      status: 404,
+      body: { error: 'There is no finished release of v1.0.0' },
+    });
+  });
+
+  test('flushes cached tags', async () => {
+    expect.assertions(3);
+
+    await setup();
+    const path = '/tags/:owner/:repo';
+    const params = { owner: 'owner', repo: 'repo' };
+    expect((await request('delete', path, params)).body).toEqual({
+      flushed: false,
+    });
+
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect((await request('delete', path, params)).body).toEqual({
+      flushed: true,
+    });
+
+    // Tags are loaded again on the next event
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(github.repos.getTags).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('executeCommand', () => {
+  const FINISHED = { state: 'done', finished: Date.now() };
+
+  test('ignores comments without commands', async () => {
+    expect.assertions(2);
+
+    await setup();
+    expect(await comment('Looks good to me')).toBe(null);
+    expect(await comment('/release-notes v1.0.0')).toBe(null);
+  });
+
+  test('ignores comments of bots', async () => {
+    expect.assertions(1);
+
+    await setup();
+    const bot = { login: 'bot', type: 'Bot' };
+    expect(await comment('/release v1.0.0', bot)).toBe(null);
+  });
+
+  test('requires write permission', async () => {
+    expect.assertions(1);
+
+    await setup();
+    github.repos.reviewUserPermissionLevel.mockResponse({ permission: 'read' });
+    expect(await comment('/release v1.0.0')).toBe(
+      '@user, you need write permission to control releases.'
+    );
+  });
+
+  test('replies with the usage to invalid commands', async () => {
+    expect.assertions(1);
+
+    await setup();
+    const reply = await comment('/release');
+    expect(reply).toMatch(/^Missing tag\.\n\nSupported commands:/);
+  });
+
+  test('shows the status of a release', async () => {
+    expect.assertions(2);
+
+    await setup([createJob({ ...FINISHED, results: [] })]);
+    expect(await comment('/release status v1.0.0')).toMatch(
+      /^Release of `v1\.0\.0` \(feedface\) is \*\*done\*\*\./
+    );
+    expect(await comment('/release status v2.0.0')).toBe(
+      'There is no release of `v2.0.0`.'
+    );
+  });
+
+  test('cancels a scheduled release', async () => {
+    expect.assertions(3);
+
+    await setup();
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    expect(await comment('/release cancel v1.0.0')).toBe(
+      'Cancelled the scheduled release of `v1.0.0`.'
+    );
+    expect((await queue.get(ID)).state).toBe('cancelled');
+    expect(await comment('/release cancel v1.0.0')).toBe(
+      'There is no scheduled release of `v1.0.0`.'
+    );
+  });
+
+  test('releases a tag immediately', async () => {
+    expect.assertions(2);
+
+    await setup();
+    const reply = await comment('/release v1.0.0');
+    expect(reply).toMatch(
+      /^Release of `v1\.0\.0` \(feedface\) is \*\*done\*\*/
+    );
+    expect((await queue.get(ID)).results).toEqual([
+      { target: 'github', status: 'success' },
+    ]);
+  });
+
+  test('rejects releases of missing tags', async () => {
+    expect.assertions(1);
+
+    await setup();
+    github.gitdata.getReference.mockError(404, 'Not Found');
+    expect(await comment('/release v2.0.0')).toBe(
+      'Tag `v2.0.0` does not exist.'
+    );
+  });
+
+  test('reports errors of commands', async () => {
+    expect.assertions(1);
+
+    await setup();
+    const reply = await comment('/release v1.0.0 --targets npm');
+    expect(reply).toMatch(/^Command failed: /);
+  });
+
+  test('retries failed releases', async () => {
+    expect.assertions(3);
+
+    const results = [{ target: 'github', status: 'failure', error: 'nope' }];
+    await setup([
+      createJob({ state: 'failed', finished: Date.now(), results }),
+    ]);
+    expect(await comment('/release retry v1.0.0')).toBe(
+      'Retrying the failed targets of `v1.0.0`.'
+    );
+
+    const job = await waitForState('done');
+    expect(job.results).toEqual([{ target: 'github', status: 'success' }]);
+    expect(getReleaseStatuses()).toEqual(['pending', 'pending', 'success']);
+  });
+
+  test('rejects retries of succeeded releases', async () => {
+    expect.assertions(1);
+
+    await setup([createJob(FINISHED)]);
+    expect(await comment('/release retry v1.0.0')).toBe(
+      'There is no failed release of `v1.0.0`.'
+    );
+  });
+
+  test('rolls back finished releases', async () => {
+    expect.assertions(2);
+
+    const results = [{ target: 'github', status: 'success' }];
+    await setup([createJob({ ...FINISHED, results })]);
+    expect(await comment('/release rollback v1.0.0')).toBe(
+      'Rolled back the release of `v1.0.0`.\n\n### github\n\n**Succeeded**'
+    );
+    expect((await queue.get(ID)).history).toEqual([
+      { action: 'rollback', time: expect.any(Number), user: 'user', results },
+    ]);
+  });
+});
+
+describe('approval', () => {
+  const APPROVAL_CONFIG = `${CONFIG}approval: true\n`;
+  const ISSUE = { owner: 'owner', repo: 'repo', number: 5 };
+
+  /**
+   * Serves a configuration that requires approval and accepts issues
+   */
+  function requireApproval(client) {
+    client.repos.getContent.mockContent(APPROVAL_CONFIG);
+    client.issues.create.mockResponse({ number: ISSUE.number });
+  }
+
+  /**
+   * Returns the bodies of all comments on the approval issue
+   */
+  function getIssueComments() {
+    return github.issues.createComment.mock.calls
+      .map(([params]) => params)
+      .filter(params => params.number === ISSUE.number)
+      .map(params => params.body);
+  }
+
+  test('requests approval once all checks have passed', async () => {
+    expect.assertions(3);
+
+    await setup([], requireApproval);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    expect(await queue.get(ID)).toMatchObject({
+      state: 'unapproved',
+      issue: ISSUE.number,
+      expires: expect.any(Number),
+    });
+    expect(github.issues.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: 'Approve release of v1.0.0',
+        labels: ['release-approval'],
+      })
+    );
+
+    // No release starts without approval
+    jest.runOnlyPendingTimers();
+    await flush();
+    expect((await queue.get(ID)).state).toBe('cancelled');
+  });
+
+  test('releases after approval', async () => {
+    expect.assertions(5);
+
+    await setup([], requireApproval);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    const reply = await comment('/release approve v1.0.0');
+    expect(reply).toMatch(
+      /^Release of `v1\.0\.0` \(feedface\) is \*\*scheduled/
+    );
+    expect(await queue.get(ID)).toMatchObject({
+      state: 'scheduled',
+      approvedBy: 'user',
+      expires: null,
+    });
+    expect(getIssueComments()).toEqual([
+      'Approved by @user. The release starts now.',
+    ]);
+    expect(github.issues.edit).toHaveBeenCalledWith({
+      ...ISSUE,
+      state: 'closed',
+    });
+
+    jest.runOnlyPendingTimers();
+    const job = await waitForState('done');
+    expect(job.results).toEqual([{ target: 'github', status: 'success' }]);
+  });
+
+  test('cancels the release after rejection', async () => {
+    expect.assertions(4);
+
+    await setup([], requireApproval);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    expect(await comment('/release reject v1.0.0')).toBe(
+      'Rejected the release of `v1.0.0`.'
+    );
+    expect((await queue.get(ID)).state).toBe('cancelled');
+    expect(getIssueComments()).toEqual([
+      'Cancelled release as @user rejected it.',
+    ]);
+    expect(getReleaseStatuses()).toEqual(['pending', 'error']);
+  });
+
+  test('rejects reviews of releases without approval request', async () => {
+    expect.assertions(1);
+
+    await setup([], requireApproval);
+    expect(await comment('/release approve v1.0.0')).toBe(
+      'There is no release of `v1.0.0` waiting for approval.'
+    );
+  });
+
+  test('cancels pending approvals with a command', async () => {
+    expect.assertions(3);
+
+    await setup([], requireApproval);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+
+    expect(await comment('/release cancel v1.0.0')).toBe(
+      'Cancelled the scheduled release of `v1.0.0`.'
+    );
+    expect((await queue.get(ID)).state).toBe('cancelled');
+    expect(getIssueComments()).toEqual([
+      'Cancelled release as @user cancelled it.',
+    ]);
+  });
+
+  test('cancels pending approvals of deleted tags', async () => {
+    expect.assertions(3);
+
+    await setup([], requireApproval);
+    await receive('create', { ref_type: 'tag', ref: TAG.ref });
+    await receive('delete', { ref_type: 'tag', ref: TAG.ref });
+
+    expect((await queue.get(ID)).state).toBe('cancelled');
+    expect(getIssueComments()).toEqual([
+      'Cancelled release as the tag has been deleted.',
+    ]);
+    expect(await comment('/release approve v1.0.0')).toBe(
+      'There is no release of `v1.0.0` waiting for approval.'
+    );
+  });
+});
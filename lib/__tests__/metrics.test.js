@@ -0,0 +1,67 @@
+/* eslint-env jest */
+
+const { Histogram } = require('prom-client');
+const {
+  measure,
+  register,
+  releasesSkipped,
+  targetDuration,
+} = require('../metrics');
+
+const timed = new Histogram({
+  name: 'test_timed_seconds',
+  help: 'Timed',
+  labelNames: ['status'],
+});
+
+/**
+ * Returns all formatted lines of a metric, excluding comments
+ */
+function getSamples(name) {
+  return register
+    .metrics()
+    .split('\n')
+    .filter(line => line.startsWith(name));
+}
+
+beforeEach(() => {
+  register.resetMetrics();
+});
+
+describe('register', () => {
+  test('exposes release metrics', () => {
+    releasesSkipped.inc({ reason: 'pending' });
+    expect(getSamples('release_skipped_total')).toEqual([
+      'release_skipped_total{reason="pending"} 1',
+    ]);
+  });
+
+  test('uses duration buckets for target runs', () => {
+    targetDuration.observe({ target: 'npm', status: 'success' }, 3);
+    expect(getSamples('release_target_duration_seconds_bucket')).toContain(
+      'release_target_duration_seconds_bucket{le="5",target="npm",status="success"} 1'
+    );
+  });
+});
+
+describe('measure', () => {
+  test('records successful actions', async () => {
+    expect.assertions(2);
+    const result = await measure(timed, {}, () => Promise.resolve(42));
+    expect(result).toBe(42);
+    expect(getSamples('test_timed_seconds_count')).toEqual([
+      'test_timed_seconds_count{status="success"} 1',
+    ]);
+  });
+
+  test('records failed actions', async () => {
+    expect.assertions(2);
+    const error = new Error('boom');
+    await expect(measure(timed, {}, () => Promise.reject(error))).rejects.toBe(
+      error
+    );
+    expect(getSamples('test_timed_seconds_count')).toEqual([
+      'test_timed_seconds_count{status="failure"} 1',
+    ]);
+  });
+});
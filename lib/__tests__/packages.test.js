@@ -0,0 +1,143 @@
+/* eslint-env jest */
+
+const { findPackage, getPackageConfig, getTagVersion } = require('../packages');
+
+const TAG = { ref: '@scope/pkg@1.2.3', sha: 'feedface' };
+
+describe('findPackage', () => {
+  const packages = [
+    { name: 'sdk', tagPrefix: 'sdk-v' },
+    { name: 'sdk-node', tagPrefix: 'sdk-node-v' },
+    { name: '@scope/pkg', tagPrefix: '@scope/pkg@' },
+  ];
+
+  test('finds a package by prefix', () => {
+    expect(findPackage(packages, '@scope/pkg@1.2.3')).toBe(packages[2]);
+  });
+
+  test('prefers the longest prefix', () => {
+    expect(findPackage(packages, 'sdk-node-v1.0.0')).toBe(packages[1]);
+    expect(findPackage(packages, 'sdk-v1.0.0')).toBe(packages[0]);
+  });
+
+  test('returns null without match', () => {
+    expect(findPackage(packages, 'v1.0.0')).toBe(null);
+  });
+});
+
+describe('getPackageConfig', () => {
+  test('returns configs without packages', () => {
+    const config = { targets: ['github'] };
+    expect(getPackageConfig(config, TAG)).toBe(config);
+  });
+
+  test('returns missing configs', () => {
+    expect(getPackageConfig(null, TAG)).toBe(null);
+  });
+
+  test('returns null for tags without package', () => {
+    const config = { packages: [{ tagPrefix: 'other@' }] };
+    expect(getPackageConfig(config, TAG)).toBe(null);
+  });
+
+  test('resolves the package', () => {
+    const config = {
+      store: 's3',
+      targets: ['github'],
+      packages: [
+        {
+          name: '@scope/pkg',
+          tagPrefix: '@scope/pkg@',
+          artifacts: 'scope-pkg-*.tgz',
+          targets: ['npm'],
+        },
+      ],
+    };
+
+    expect(getPackageConfig(config, TAG)).toEqual({
+      store: 's3',
+      package: '@scope/pkg',
+      tagPrefix: '@scope/pkg@',
+      artifacts: 'scope-pkg-*.tgz',
+      targets: ['npm'],
+    });
+  });
+
+  test('inherits top-level targets', () => {
+    const config = {
+      targets: ['npm'],
+      packages: [{ tagPrefix: '@scope/pkg@' }],
+    };
+
+    expect(getPackageConfig(config, TAG)).toEqual({
+      package: '@scope/pkg@',
+      tagPrefix: '@scope/pkg@',
+      artifacts: undefined,
+      targets: ['npm'],
+    });
+  });
+
+  test('passes the changelog to the github target', () => {
+    const config = {
+      packages: [
+        {
+          tagPrefix: '@scope/pkg@',
+          changelog: 'packages/pkg/CHANGELOG.md',
+          targets: ['github', 'npm', { name: 'github', id: 'other' }],
+        },
+      ],
+    };
+
+    expect(getPackageConfig(config, TAG).targets).toEqual([
+      { name: 'github', changelog: 'packages/pkg/CHANGELOG.md' },
+      'npm',
+      { name: 'github', id: 'other', changelog: 'packages/pkg/CHANGELOG.md' },
+    ]);
+  });
+
+  test('keeps explicit changelogs of the github target', () => {
+    const config = {
+      packages: [
+        {
+          tagPrefix: '@scope/pkg@',
+          changelog: 'packages/pkg/CHANGELOG.md',
+          targets: [{ name: 'github', changelog: 'CHANGES' }],
+        },
+      ],
+    };
+
+    expect(getPackageConfig(config, TAG).targets).toEqual([
+      { name: 'github', changelog: 'CHANGES' },
+    ]);
+  });
+
+  test('can be applied repeatedly', () => {
+    const config = {
+      packages: [{ tagPrefix: '@scope/pkg@', targets: ['npm'] }],
+    };
+
+    const resolved = getPackageConfig(config, TAG);
+    expect(getPackageConfig(resolved, TAG)).toBe(resolved);
+  });
+});
+
+describe('getTagVersion', () => {
+  test('extracts versions without prefix', () => {
+    expect(getTagVersion({}, { ref: 'v1.2.3' })).toBe('1.2.3');
+  });
+
+  test('omits the package prefix', () => {
+    const config = { tagPrefix: 'sdk2-' };
+    expect(getTagVersion(config, { ref: 'sdk2-1.2.3' })).toBe('1.2.3');
+  });
+
+  test('omits the dry run suffix', () => {
+    const config = { tagPrefix: 'sdk2-' };
+    expect(getTagVersion(config, { ref: 'sdk2-1.2.3-dry' })).toBe('1.2.3');
+  });
+
+  test('returns null without version', () => {
+    const config = { tagPrefix: '@scope/pkg@' };
+    expect(getTagVersion(config, { ref: '@scope/pkg@latest' })).toBe(null);
+  });
+});
@@ -0,0 +1,86 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const {
+  formatDiff,
+  isDryRun,
+  isDryRunTag,
+  shouldPerform,
+  stripDryRunSuffix,
+} = require('../plans');
+
+describe('isDryRunTag', () => {
+  test('detects the dry run suffix', () => {
+    expect(isDryRunTag('v1.0.0-dry')).toBe(true);
+  });
+
+  test('ignores regular tags', () => {
+    expect(isDryRunTag('v1.0.0')).toBe(false);
+    expect(isDryRunTag('v1.0.0-dryer')).toBe(false);
+  });
+});
+
+describe('stripDryRunSuffix', () => {
+  test('removes the suffix', () => {
+    expect(stripDryRunSuffix('@scope/pkg@1.0.0-rc.1-dry')).toBe(
+      '@scope/pkg@1.0.0-rc.1'
+    );
+  });
+
+  test('keeps regular tags', () => {
+    expect(stripDryRunSuffix('v1.0.0')).toBe('v1.0.0');
+  });
+});
+
+describe('isDryRun', () => {
+  test('is enabled by the configuration', () => {
+    expect(isDryRun({ dryRun: true }, { ref: 'v1.0.0' })).toBe(true);
+  });
+
+  test('is enabled by the tag', () => {
+    expect(isDryRun({}, { ref: 'v1.0.0-dry' })).toBe(true);
+  });
+
+  test('is disabled by default', () => {
+    expect(isDryRun({ dryRun: false }, { ref: 'v1.0.0' })).toBe(false);
+  });
+});
+
+describe('shouldPerform', () => {
+  afterEach(() => {
+    dryrun.setDryRun(false);
+  });
+
+  test('performs outside of dry runs', () => {
+    dryrun.setDryRun(false);
+    expect(shouldPerform({})).toBe(true);
+  });
+
+  test('skips global dry runs', () => {
+    dryrun.setDryRun(true);
+    expect(shouldPerform({})).toBe(false);
+  });
+
+  test('skips dry runs of the context', () => {
+    dryrun.setDryRun(false);
+    expect(shouldPerform({ dryRun: true })).toBe(false);
+  });
+});
+
+describe('formatDiff', () => {
+  test('marks changed lines', () => {
+    expect(formatDiff('a\nb\nc', 'a\nx\nc')).toBe(' a\n-b\n+x\n c');
+  });
+
+  test('marks appended lines', () => {
+    expect(formatDiff('a', 'a\nb')).toBe(' a\n+b');
+  });
+
+  test('marks removed lines', () => {
+    expect(formatDiff('a\nb', 'b')).toBe('-a\n b');
+  });
+
+  test('treats missing files as empty', () => {
+    expect(formatDiff(null, 'a\nb')).toBe('+a\n+b');
+  });
+});
@@ -0,0 +1,234 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const http = require('http');
+
+jest.unmock('node-fetch');
+
+/**
+ * Package metadata served by the local stand-in registry
+ */
+const ROUTES = {
+  '/@scope%2Fpkg': { versions: { '1.0.0': {} } },
+  '/pypi/pkg/1.0.0/json': {
+    urls: [{ filename: 'pkg-1.0.0-py3-none-any.whl' }],
+  },
+  '/api/v1/crates/pkg/1.0.0': { version: { num: '1.0.0' } },
+  '/api/v1/pods/Pkg': { versions: [{ name: '1.0.0' }] },
+  '/io/sentry/pkg/1.0.0/pkg-1.0.0.pom': {},
+  '/api/v1/versions/sentry-ruby.json': [
+    { number: '1.0.0', platform: 'ruby' },
+    { number: '2.0.0', platform: 'java' },
+  ],
+  '/flatcontainer/sentry.pkg/index.json': { versions: ['1.0.0', '2.0.0-rc.1'] },
+};
+
+let server;
+let registries;
+const requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req);
+    const body = ROUTES[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { message: 'Not Found' }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.NPM_REGISTRY_URL = url;
+  process.env.PYPI_URL = url;
+  process.env.CRATES_IO_URL = url;
+  process.env.COCOAPODS_TRUNK_URL = url;
+  process.env.MAVEN_CENTRAL_URL = url;
+  process.env.RUBYGEMS_URL = url;
+  registries = require('../registries');
+});
+
+afterAll(async () => {
+  delete process.env.NPM_REGISTRY_URL;
+  delete process.env.PYPI_URL;
+  delete process.env.CRATES_IO_URL;
+  delete process.env.COCOAPODS_TRUNK_URL;
+  delete process.env.MAVEN_CENTRAL_URL;
+  delete process.env.RUBYGEMS_URL;
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+describe('isPublishedOnNpm', () => {
+  test('detects published versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnNpm('@scope/pkg', '1.0.0')).toBe(true);
+  });
+
+  test('detects missing versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnNpm('@scope/pkg', '2.0.0')).toBe(
+      false
+    );
+  });
+
+  test('detects missing packages', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnNpm('other', '1.0.0')).toBe(false);
+  });
+});
+
+describe('getPypiFiles', () => {
+  test('lists uploaded files', async () => {
+    expect.assertions(1);
+    expect(await registries.getPypiFiles('pkg', '1.0.0')).toEqual([
+      'pkg-1.0.0-py3-none-any.whl',
+    ]);
+  });
+
+  test('returns no files for missing versions', async () => {
+    expect.assertions(1);
+    expect(await registries.getPypiFiles('pkg', '2.0.0')).toEqual([]);
+  });
+});
+
+describe('isPublishedOnCrates', () => {
+  test('detects published versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnCrates('pkg', '1.0.0')).toBe(true);
+  });
+
+  test('detects missing versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnCrates('pkg', '2.0.0')).toBe(false);
+  });
+
+  test('sends a user agent', async () => {
+    expect.assertions(1);
+    await registries.isPublishedOnCrates('pkg', '1.0.0');
+    expect(requests[0].headers['user-agent']).toBe('probot-release');
+  });
+});
+
+describe('isPublishedOnTrunk', () => {
+  test('detects published versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnTrunk('Pkg', '1.0.0')).toBe(true);
+  });
+
+  test('detects missing versions', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnTrunk('Pkg', '2.0.0')).toBe(false);
+  });
+
+  test('detects missing pods', async () => {
+    expect.assertions(1);
+    expect(await registries.isPublishedOnTrunk('Other', '1.0.0')).toBe(false);
+  });
+});
+
+describe('getMavenPath', () => {
+  test('joins group, artifact and version', () => {
+    const coordinates = {
+      groupId: 'io.sentry',
+      artifactId: 'pkg',
+      version: '1.0.0',
+    };
+    expect(registries.getMavenPath(coordinates)).toBe('io/sentry/pkg/1.0.0');
+  });
+});
+
+describe('isPublishedOnMaven', () => {
+  const coordinates = { groupId: 'io.sentry', artifactId: 'pkg' };
+
+  test('detects published versions', async () => {
+    expect.assertions(2);
+    const { MAVEN_CENTRAL_URL, isPublishedOnMaven } = registries;
+    const gav = { ...coordinates, version: '1.0.0' };
+    expect(await isPublishedOnMaven(MAVEN_CENTRAL_URL, gav)).toBe(true);
+    expect(requests[0].method).toBe('HEAD');
+  });
+
+  test('detects missing versions', async () => {
+    expect.assertions(1);
+    const { MAVEN_CENTRAL_URL, isPublishedOnMaven } = registries;
+    const gav = { ...coordinates, version: '2.0.0' };
+    expect(await isPublishedOnMaven(MAVEN_CENTRAL_URL, gav)).toBe(false);
+  });
+
+  test('sends additional headers', async () => {
+    expect.assertions(1);
+    const { MAVEN_CENTRAL_URL, isPublishedOnMaven } = registries;
+    const gav = { ...coordinates, version: '1.0.0' };
+    await isPublishedOnMaven(MAVEN_CENTRAL_URL, gav, { Authorization: 'x' });
+    expect(requests[0].headers.authorization).toBe('x');
+  });
+});
+
+describe('isPublishedOnNuget', () => {
+  let baseAddress;
+  beforeAll(() => {
+    baseAddress = `${process.env.NPM_REGISTRY_URL}/flatcontainer/`;
+  });
+
+  test('detects published versions', async () => {
+    expect.assertions(1);
+    const { isPublishedOnNuget } = registries;
+    expect(await isPublishedOnNuget(baseAddress, 'Sentry.Pkg', '1.0.0')).toBe(
+      true
+    );
+  });
+
+  test('ignores the case of versions', async () => {
+    expect.assertions(1);
+    const { isPublishedOnNuget } = registries;
+    expect(
+      await isPublishedOnNuget(baseAddress, 'Sentry.Pkg', '2.0.0-RC.1')
+    ).toBe(true);
+  });
+
+  test('detects missing versions', async () => {
+    expect.assertions(1);
+    const { isPublishedOnNuget } = registries;
+    expect(await isPublishedOnNuget(baseAddress, 'Sentry.Pkg', '3.0.0')).toBe(
+      false
+    );
+  });
+
+  test('detects missing packages', async () => {
+    expect.assertions(1);
+    const { isPublishedOnNuget } = registries;
+    expect(await isPublishedOnNuget(baseAddress, 'Other', '1.0.0')).toBe(false);
+  });
+});
+
+describe('isPublishedOnRubygems', () => {
+  test('detects published versions', async () => {
+    expect.assertions(1);
+    const { RUBYGEMS_URL, isPublishedOnRubygems } = registries;
+    expect(
+      await isPublishedOnRubygems(RUBYGEMS_URL, 'sentry-ruby', '1.0.0')
+    ).toBe(true);
+  });
+
+  test('distinguishes platforms', async () => {
+    expect.assertions(2);
+    const { RUBYGEMS_URL, isPublishedOnRubygems } = registries;
+    expect(
+      await isPublishedOnRubygems(RUBYGEMS_URL, 'sentry-ruby', '2.0.0')
+    ).toBe(false);
+    expect(
+      await isPublishedOnRubygems(RUBYGEMS_URL, 'sentry-ruby', '2.0.0', 'java')
+    ).toBe(true);
+  });
+
+  test('detects missing gems', async () => {
+    expect.assertions(1);
+    const { RUBYGEMS_URL, isPublishedOnRubygems } = registries;
+    expect(await isPublishedOnRubygems(RUBYGEMS_URL, 'other', '1.0.0')).toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,472 @@
+/* eslint-env jest */
+/* eslint-disable global-require */
+
+const Context = require('../__mocks__/context');
+
+const TAG = { ref: 'v1.0.0', sha: 'feedface' };
+const URL = 'https://github.com/owner/repo/commit/feedface#commitcomment-1';
+
+/**
+ * Creates a mock context with a client that lacks the Checks API
+ */
+function createStatusContext() {
+  const context = new Context();
+  delete context.github.checks;
+  return context;
+}
+
+describe('formatSummary', () => {
+  const { formatSummary } = require('../report');
+
+  test('reports missing targets', () => {
+    expect(formatSummary([])).toBe('No targets were released.');
+  });
+
+  test('reports succeeded targets', () => {
+    const summary = formatSummary([{ target: 'npm', status: 'success' }]);
+    expect(summary).toBe('### npm\n\n**Succeeded**');
+  });
+
+  test('includes published urls', () => {
+    const url = 'https://github.com/owner/repo/releases/tag/v1.0.0';
+    const summary = formatSummary([
+      { target: 'github', status: 'success', url },
+    ]);
+    expect(summary).toBe(`### github\n\n**Succeeded**\n\nPublished at ${url}`);
+  });
+
+  test('reports existing releases', () => {
+    const summary = formatSummary([
+      { target: 'npm', status: 'success', existing: true },
+    ]);
+    expect(summary).toBe('### npm\n\n**Already released**');
+  });
+
+  test('includes plans of dry runs', () => {
+    const plan = {
+      action: 'Publish pkg@1.0.0',
+      registry: 'https://registry.npmjs.org',
+      files: ['pkg-1.0.0.tgz'],
+    };
+
+    const summary = formatSummary([{ target: 'npm', status: 'success', plan }]);
+    expect(summary).toBe(
+      '### npm\n\n**Dry run**\n\nPublish pkg@1.0.0\n\n' +
+        'Registry: https://registry.npmjs.org\n\n- `pkg-1.0.0.tgz`'
+    );
+  });
+
+  test('quotes release bodies and formats diffs', () => {
+    const plan = { action: 'Update', body: 'a\nb', diff: '-a\n+b' };
+    const summary = formatSummary([
+      { target: 'brew', status: 'success', plan },
+    ]);
+    expect(summary).toBe(
+      '### brew\n\n**Dry run**\n\nUpdate\n\n> a\n> b\n\n' +
+        '```diff\n-a\n+b\n```'
+    );
+  });
+
+  test('includes error messages', () => {
+    const error = 'Process "npm" errored with code 1';
+    const summary = formatSummary([
+      { target: 'npm', status: 'failure', error },
+    ]);
+    expect(summary).toBe(`### npm\n\n**Failed**\n\n\`\`\`\n${error}\n\`\`\``);
+  });
+
+  test('includes skip reasons', () => {
+    const reason = 'Needs "github", which did not succeed';
+    const summary = formatSummary([
+      { target: 'brew', status: 'skipped', reason },
+    ]);
+
+    expect(summary).toBe(`### brew\n\n**Skipped**\n\n${reason}`);
+  });
+
+  test('creates one section per target', () => {
+    const summary = formatSummary([
+      { target: 'github', status: 'success' },
+      { target: 'npm', status: 'success' },
+    ]);
+
+    expect(summary).toBe(
+      '### github\n\n**Succeeded**\n\n### npm\n\n**Succeeded**'
+    );
+  });
+});
+
+describe('createReleaseCheck', () => {
+  const { createReleaseCheck } = require('../report');
+
+  test('creates a queued check run', async () => {
+    expect.assertions(2);
+
+    const context = new Context();
+    const { create } = context.github.checks;
+    create.mockResponse({ id: 42 });
+
+    const id = await createReleaseCheck(context, TAG);
+    expect(id).toBe(42);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: 'release',
+        head_sha: 'feedface',
+        status: 'queued',
+      })
+    );
+  });
+
+  test('sets a pending status without Checks API', async () => {
+    expect.assertions(2);
+
+    const context = createStatusContext();
+    const id = await createReleaseCheck(context, TAG);
+    expect(id).toBe('release');
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith({
+      owner: Context.OWNER,
+      repo: Context.REPO,
+      sha: 'feedface',
+      state: 'pending',
+      context: 'release',
+      description: 'Release of v1.0.0 scheduled',
+    });
+  });
+
+  test('uses commit statuses with the client bundled with probot', async () => {
+    expect.assertions(1);
+
+    jest.unmock('github');
+    const ProbotGithub = require('github');
+    const context = new Context();
+    context.github = new ProbotGithub();
+    const createStatus = jest
+      .spyOn(context.github.repos, 'createStatus')
+      .mockImplementation(async () => ({ data: {} }));
+
+    await createReleaseCheck(context, TAG);
+    expect(createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ context: 'release', state: 'pending' })
+    );
+  });
+});
+
+describe('startReleaseCheck', () => {
+  const { startReleaseCheck } = require('../report');
+
+  test('marks the check run in progress', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    await startReleaseCheck(context, TAG, 42);
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({ check_run_id: 42, status: 'in_progress' })
+    );
+  });
+
+  test('skips missing check runs', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    await startReleaseCheck(context, TAG, undefined);
+    expect(context.github.checks.update).not.toHaveBeenCalled();
+  });
+
+  test('sets a pending status without Checks API', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    await startReleaseCheck(context, TAG, 'release');
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({
+        state: 'pending',
+        description: 'Releasing v1.0.0',
+      })
+    );
+  });
+});
+
+describe('completeReleaseCheck', () => {
+  const { completeReleaseCheck } = require('../report');
+
+  test('succeeds if all targets succeeded', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const results = [{ target: 'github', status: 'success' }];
+    await completeReleaseCheck(context, TAG, 42, results);
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        check_run_id: 42,
+        status: 'completed',
+        conclusion: 'success',
+      })
+    );
+  });
+
+  test('fails if a target failed', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const results = [
+      { target: 'github', status: 'success' },
+      { target: 'npm', status: 'failure', error: 'nope' },
+    ];
+
+    await completeReleaseCheck(context, TAG, 42, results);
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        conclusion: 'failure',
+        output: expect.objectContaining({
+          title: 'Release of v1.0.0 failed for 1 of 2 targets',
+        }),
+      })
+    );
+  });
+
+  test('completes dry runs as neutral', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const plan = { action: 'Publish pkg@1.0.0' };
+    const results = [{ target: 'npm', status: 'success', plan }];
+    await completeReleaseCheck(context, TAG, 42, results, true);
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        conclusion: 'neutral',
+        output: {
+          title: 'Dry run of v1.0.0',
+          summary: expect.stringMatching(/^This was a dry run\./),
+        },
+      })
+    );
+  });
+
+  test('fails dry runs if a target failed', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const results = [{ target: 'npm', status: 'failure', error: 'nope' }];
+    await completeReleaseCheck(context, TAG, 42, results, true);
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        conclusion: 'failure',
+        output: expect.objectContaining({
+          title: 'Dry run of v1.0.0 failed for 1 of 1 targets',
+        }),
+      })
+    );
+  });
+
+  test('sets a success status without Checks API', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    context.github.repos.createCommitComment.mockResponse({ html_url: URL });
+    const results = [{ target: 'github', status: 'success' }];
+    await completeReleaseCheck(context, TAG, 'release', results);
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({
+        context: 'release',
+        state: 'success',
+        description: 'Released v1.0.0',
+        target_url: URL,
+      })
+    );
+  });
+
+  test('comments the summary without Checks API', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    context.github.repos.createCommitComment.mockResponse({ html_url: URL });
+    const results = [{ target: 'github', status: 'success' }];
+    await completeReleaseCheck(context, TAG, 'release', results);
+    expect(context.github.repos.createCommitComment).toHaveBeenCalledWith({
+      owner: Context.OWNER,
+      repo: Context.REPO,
+      sha: 'feedface',
+      body: '**Released v1.0.0**\n\n### github\n\n**Succeeded**',
+    });
+  });
+
+  test('comments the plans of dry runs without Checks API', async () => {
+    expect.assertions(2);
+
+    const context = createStatusContext();
+    context.github.repos.createCommitComment.mockResponse({ html_url: URL });
+    const plan = { action: 'Publish pkg@1.0.0' };
+    const results = [{ target: 'npm', status: 'success', plan }];
+    await completeReleaseCheck(context, TAG, 'release', results, true);
+    expect(context.github.repos.createCommitComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        body: expect.stringMatching(
+          /^\*\*Dry run of v1\.0\.0\*\*\n\nThis was a dry run\.[^]*Publish pkg@1\.0\.0$/
+        ),
+      })
+    );
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ state: 'success', target_url: URL })
+    );
+  });
+
+  test('sets a failure status without Checks API', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    context.github.repos.createCommitComment.mockResponse({ html_url: URL });
+    const results = [{ target: 'npm', status: 'failure', error: 'nope' }];
+    await completeReleaseCheck(context, TAG, 'release', results);
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({
+        state: 'failure',
+        description: 'Release of v1.0.0 failed for 1 of 1 targets',
+      })
+    );
+  });
+});
+
+describe('abortReleaseCheck', () => {
+  const { abortReleaseCheck } = require('../report');
+
+  test('completes the check run with the reason', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    await abortReleaseCheck(context, TAG, 42, 'cancelled', 'Some reason.');
+    expect(context.github.checks.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        check_run_id: 42,
+        conclusion: 'cancelled',
+        output: expect.objectContaining({ summary: 'Some reason.' }),
+      })
+    );
+  });
+
+  test('sets an error status for cancelled releases', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    await abortReleaseCheck(context, TAG, 'release', 'cancelled', 'Reason.');
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ state: 'error', description: 'Reason.' })
+    );
+  });
+
+  test('sets a failure status for failed releases', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    await abortReleaseCheck(context, TAG, 'release', 'failure', 'Reason.');
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ state: 'failure', description: 'Reason.' })
+    );
+  });
+
+  test('truncates long status descriptions', async () => {
+    expect.assertions(1);
+
+    const context = createStatusContext();
+    const reason = 'x'.repeat(200);
+    await abortReleaseCheck(context, TAG, 'release', 'failure', reason);
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ description: `${'x'.repeat(137)}...` })
+    );
+  });
+});
+
+describe('reportConfigCheck', () => {
+  const { reportConfigCheck } = require('../report');
+  const PATH = '.github/release.yml';
+
+  test('reports a valid configuration', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    await reportConfigCheck(context, 'feedface', PATH, []);
+    expect(context.github.checks.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: 'release config',
+        head_sha: 'feedface',
+        conclusion: 'success',
+        output: expect.objectContaining({
+          title: 'Found no errors in .github/release.yml',
+          annotations: [],
+        }),
+      })
+    );
+  });
+
+  test('annotates errors', async () => {
+    expect.assertions(1);
+
+    const context = new Context();
+    const errors = [{ line: 3, message: 'Unknown option "target"' }];
+    await reportConfigCheck(context, 'feedface', PATH, errors);
+    expect(context.github.checks.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        conclusion: 'failure',
+        output: {
+          title: 'Found 1 error in .github/release.yml',
+          summary: '- Line 3: Unknown option "target"',
+          annotations: [
+            {
+              path: PATH,
+              start_line: 3,
+              end_line: 3,
+              annotation_level: 'failure',
+              message: 'Unknown option "target"',
+            },
+          ],
+        },
+      })
+    );
+  });
+
+  test('sets a success status without Checks API', async () => {
+    expect.assertions(2);
+
+    const context = createStatusContext();
+    await reportConfigCheck(context, 'feedface', PATH, []);
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith({
+      owner: Context.OWNER,
+      repo: Context.REPO,
+      sha: 'feedface',
+      state: 'success',
+      context: 'release config',
+      description: 'Found no errors in .github/release.yml',
+    });
+    expect(context.github.repos.createCommitComment).not.toHaveBeenCalled();
+  });
+
+  test('comments errors with line links without Checks API', async () => {
+    expect.assertions(2);
+
+    const context = createStatusContext();
+    context.payload.repository = { html_url: 'https://github.com/o/r' };
+    const errors = [
+      { line: 3, message: 'Unknown option "target"' },
+      { line: 7, message: 'Missing "name"' },
+    ];
+
+    await reportConfigCheck(context, 'feedface', PATH, errors);
+    expect(context.github.repos.createCommitComment).toHaveBeenCalledWith({
+      owner: Context.OWNER,
+      repo: Context.REPO,
+      sha: 'feedface',
+      body:
+        '**Found 2 errors in .github/release.yml**\n\n' +
+        '- [Line 3](https://github.com/o/r/blob/feedface/.github/release.yml#L3)' +
+        ': Unknown option "target"\n' +
+        '- [Line 7](https://github.com/o/r/blob/feedface/.github/release.yml#L7)' +
+        ': Missing "name"',
+    });
+    expect(context.github.repos.createStatus).toHaveBeenCalledWith(
+      expect.objectContaining({
+        state: 'failure',
+        context: 'release config',
+        description: 'Found 2 errors in .github/release.yml',
+      })
+    );
+  });
+});
@@ -7,14 +7,23 @@
 const fetch = require('node-fetch');
 const request = require('../request');
 
+const { encodeFormData } = request;
+
 const mockPromise = (value, reason) =>
   new Promise((resolve, reject) => {
     setImmediate(() => (reason ? reject(reason) : resolve(value)));
   });
 
-function mockFetch(status, json, statusText) {
+function mockFetch(status, json, statusText, headers = {}) {
   const ok = status >= 200 && status <= 300;
-  fetch.mockReturnValue(mockPromise({ status, ok, json, statusText }));
+  const text = async () => {
+    const data = await json();
+    return data === undefined ? '' : JSON.stringify(data);
+  };
+
+  const response = { status, ok, json, text, statusText };
+  response.headers = { get: name => headers[name] };
+  fetch.mockReturnValue(mockPromise(response));
 }
 
 beforeEach(() => {
@@ -61,6 +70,52 @@ test('resolves undefined for status 204', async () => {
   expect(result).toBeUndefined();
 });
 
+test('resolves undefined for empty bodies', async () => {
+  expect.assertions(1);
+  mockFetch(
+    201,
+    () => {
+      throw new Error('should not be called');
+    },
+    'Created',
+    { 'Content-Length': '0' }
+  );
+
+  const result = await request('http://example.org', { method: 'PUT' });
+  expect(result).toBeUndefined();
+});
+
+test('resolves undefined for empty chunked bodies', async () => {
+  expect.assertions(1);
+  fetch.mockReturnValue(
+    mockPromise({
+      status: 201,
+      ok: true,
+      statusText: 'Created',
+      headers: {
+        get: name => (name === 'Transfer-Encoding' ? 'chunked' : null),
+      },
+      json: () => {
+        throw new Error('should not be called');
+      },
+      text: () => mockPromise(''),
+    })
+  );
+
+  const result = await request('http://example.org', { method: 'PUT' });
+  expect(result).toBeUndefined();
+});
+
+test('resolves undefined for HEAD requests', async () => {
+  expect.assertions(1);
+  mockFetch(200, () => {
+    throw new Error('should not be called');
+  });
+
+  const result = await request('http://example.org', { method: 'HEAD' });
+  expect(result).toBeUndefined();
+});
+
 test('throws an error containing the status text', async () => {
   expect.assertions(1);
   mockFetch(400, () => mockPromise(null, 'empty'), 'BAD REQUEST');
@@ -84,6 +139,18 @@ test('throws an error containing the resolved error message', async () => {
   }
 });
 
+test('throws an error containing the resolved error detail', async () => {
+  expect.assertions(1);
+  const detail = 'Error detail';
+  mockFetch(400, () => mockPromise({ detail }));
+
+  try {
+    await request('http://example.org');
+  } catch (e) {
+    expect(e.message).toBe(detail);
+  }
+});
+
 test('falls back to the status text when parsing errors', async () => {
   expect.assertions(1);
   mockFetch(400, () => mockPromise({}), 'BAD REQUEST');
@@ -94,3 +161,34 @@ test('falls back to the status text when parsing errors', async () => {
     expect(e.message).toBe('400 BAD REQUEST');
   }
 });
+
+test('attaches the status code to errors', async () => {
+  expect.assertions(1);
+  mockFetch(404, () => mockPromise({}), 'NOT FOUND');
+
+  try {
+    await request('http://example.org');
+  } catch (e) {
+    expect(e.status).toBe(404);
+  }
+});
+
+test('encodes fields and files as multipart form data', () => {
+  const form = encodeFormData({
+    name: '~/app.js',
+    file: { name: 'app.js', data: Buffer.from('contents') },
+  });
+
+  const [, boundary] = /boundary=(.+)$/.exec(form.contentType);
+  expect(form.contentType).toMatch(/^multipart\/form-data; /);
+  expect(form.body.toString()).toBe(
+    `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="name"\r\n\r\n' +
+      '~/app.js\r\n' +
+      `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="file"; filename="app.js"\r\n' +
+      'Content-Type: application/octet-stream\r\n\r\n' +
+      'contents\r\n' +
+      `--${boundary}--\r\n`
+  );
+});
@@ -0,0 +1,212 @@
+/* eslint-env jest */
+
+const { formatPath, validateConfig, validateConfigFile } = require('../schema');
+
+describe('formatPath', () => {
+  test('formats properties and indexes', () => {
+    expect(formatPath(['targets', 1, 'retry', 'attempts'])).toBe(
+      'targets[1].retry.attempts'
+    );
+  });
+});
+
+describe('validateConfig', () => {
+  test('accepts an empty configuration', () => {
+    expect(validateConfig({})).toEqual([]);
+  });
+
+  test('accepts a full configuration', () => {
+    const config = {
+      extends: '.github',
+      store: 's3',
+      ignoredChecks: ['codecov'],
+      requiredChecks: ['Travis'],
+      minimumChecks: 2,
+      checksTimeout: 3600,
+      delay: 0,
+      tagPattern: 'v*',
+      prereleases: 'skip',
+      approval: { teams: ['release-managers'], expiry: 86400 },
+      freeze: ['* 16-23 * * 5', { from: new Date(0), to: '2000-01-01' }],
+      publishWindow: '* 9-16 * * 1-4',
+      targets: [
+        'github',
+        { name: 'npm', id: 'npm-next', tag: 'next', when: { major: [1, 2] } },
+        { name: 'brew', tap: 'getsentry/tools', needs: ['github'] },
+        { name: 'pypi', retry: { attempts: 3, delay: 10 } },
+      ],
+    };
+
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateConfig('targets')).toEqual([
+      { path: [], message: 'Configuration should be object' },
+    ]);
+  });
+
+  test('rejects unknown options', () => {
+    expect(validateConfig({ target: ['github'] })).toEqual([
+      { path: ['target'], message: 'Unknown option "target"' },
+    ]);
+  });
+
+  test('rejects invalid values', () => {
+    expect(validateConfig({ minimumChecks: 'two' })).toEqual([
+      { path: ['minimumChecks'], message: 'minimumChecks should be integer' },
+    ]);
+  });
+
+  test('accepts approval without options', () => {
+    expect(validateConfig({ approval: true })).toEqual([]);
+  });
+
+  test('rejects invalid approval expiry', () => {
+    expect(validateConfig({ approval: { expiry: 0 } })).toEqual([
+      {
+        path: ['approval', 'expiry'],
+        message: 'approval.expiry should be > 0',
+      },
+    ]);
+  });
+
+  test('rejects invalid cron expressions', () => {
+    const config = { freeze: ['* * *'], publishWindow: ['* 25 * * *'] };
+    expect(validateConfig(config)).toEqual([
+      {
+        path: ['freeze', 0],
+        message: 'freeze[0] is not a valid cron expression',
+      },
+      {
+        path: ['publishWindow', 0],
+        message: 'publishWindow[0] is not a valid cron expression',
+      },
+    ]);
+  });
+
+  test('rejects incomplete date ranges', () => {
+    expect(validateConfig({ freeze: [{ from: '2026-12-20' }] })).toEqual([
+      {
+        path: ['freeze', 0],
+        message: 'freeze[0] requires "cron" or valid "from" and "to" dates',
+      },
+    ]);
+  });
+
+  test('lists allowed values', () => {
+    expect(validateConfig({ prereleases: 'never' })).toEqual([
+      {
+        path: ['prereleases'],
+        message: 'prereleases should be one of skip, include, only',
+      },
+    ]);
+  });
+
+  test('rejects targets without name', () => {
+    expect(validateConfig({ targets: [{ tap: 'foo/bar' }] })).toEqual([
+      {
+        path: ['targets', 0],
+        message: "targets[0] should have required property 'name'",
+      },
+    ]);
+  });
+
+  test('rejects unknown targets', () => {
+    expect(validateConfig({ targets: ['gihub', { name: 'nmp' }] })).toEqual([
+      { path: ['targets', 0], message: 'Unknown target "gihub"' },
+      { path: ['targets', 1, 'name'], message: 'Unknown target "nmp"' },
+    ]);
+  });
+
+  test('rejects unknown target options', () => {
+    const config = { targets: [{ name: 'github', tap: 'foo/bar' }] };
+    expect(validateConfig(config)).toEqual([
+      {
+        path: ['targets', 0, 'tap'],
+        message: 'Unknown option "tap" in targets[0]',
+      },
+    ]);
+  });
+
+  test('rejects invalid target options', () => {
+    const config = { targets: [{ name: 'brew', tap: 'foo' }] };
+    expect(validateConfig(config)).toEqual([
+      {
+        path: ['targets', 0, 'tap'],
+        message: expect.stringMatching(/^targets\[0\]\.tap should match/),
+      },
+    ]);
+  });
+
+  test('rejects invalid common target options', () => {
+    const config = { targets: [{ name: 'npm', retry: { attempts: 0 } }] };
+    expect(validateConfig(config)).toEqual([
+      {
+        path: ['targets', 0, 'retry', 'attempts'],
+        message: 'targets[0].retry.attempts should be >= 1',
+      },
+    ]);
+  });
+
+  test('accepts packages', () => {
+    const config = {
+      packages: [
+        {
+          name: '@sentry/browser',
+          tagPrefix: '@sentry/browser@',
+          changelog: 'packages/browser/CHANGELOG.md',
+          artifacts: 'sentry-browser-*.tgz',
+          targets: ['github', { name: 'npm', access: 'public' }],
+        },
+      ],
+    };
+
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test('rejects packages without tag prefix', () => {
+    expect(validateConfig({ packages: [{ name: 'pkg' }] })).toEqual([
+      {
+        path: ['packages', 0],
+        message: "packages[0] should have required property 'tagPrefix'",
+      },
+    ]);
+  });
+
+  test('rejects invalid package targets', () => {
+    const config = { packages: [{ tagPrefix: 'v', targets: ['nmp'] }] };
+    expect(validateConfig(config)).toEqual([
+      { path: ['packages', 0, 'targets', 0], message: 'Unknown target "nmp"' },
+    ]);
+  });
+
+  test('reports errors in all targets', () => {
+    const config = { delay: -1, targets: ['foo', { name: 'npm', bar: 1 }] };
+    expect(validateConfig(config).map(error => error.path)).toEqual([
+      ['delay'],
+      ['targets', 0],
+      ['targets', 1, 'bar'],
+    ]);
+  });
+});
+
+describe('validateConfigFile', () => {
+  test('accepts empty files', () => {
+    expect(validateConfigFile('')).toEqual([]);
+  });
+
+  test('reports syntax errors', () => {
+    const errors = validateConfigFile('targets:\n  - github\n  npm: [\n');
+    expect(errors).toEqual([
+      { line: expect.any(Number), message: expect.stringMatching(/^Invalid/) },
+    ]);
+  });
+
+  test('reports the line of invalid options', () => {
+    const source = 'store: s3\ntargets:\n  - name: brew\n    tpa: foo/bar\n';
+    expect(validateConfigFile(source)).toEqual([
+      { line: 4, message: 'Unknown option "tpa" in targets[0]' },
+    ]);
+  });
+});
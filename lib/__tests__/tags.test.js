@@ -0,0 +1,181 @@
+/* eslint-env jest */
+
+const {
+  evaluateCondition,
+  filterTag,
+  isPrerelease,
+  matchesPattern,
+} = require('../tags');
+
+describe('matchesPattern', () => {
+  test('matches globs', () => {
+    expect(matchesPattern('v1.0.0', 'v*')).toBe(true);
+  });
+
+  test('matches the entire text with globs', () => {
+    expect(matchesPattern('release-v1.0.0', 'v*')).toBe(false);
+  });
+
+  test('matches single characters with globs', () => {
+    expect(matchesPattern('v1.0.0', 'v?.0.0')).toBe(true);
+    expect(matchesPattern('v10.0.0', 'v?.0.0')).toBe(false);
+  });
+
+  test('matches special characters literally in globs', () => {
+    expect(matchesPattern('v1.0.0', 'v1.0.*')).toBe(true);
+    expect(matchesPattern('v1x0.0', 'v1.0.*')).toBe(false);
+  });
+
+  test('matches regular expressions', () => {
+    expect(matchesPattern('v1.0.0', '/^v\\d+\\./')).toBe(true);
+    expect(matchesPattern('vx.0.0', '/^v\\d+\\./')).toBe(false);
+  });
+
+  test('matches partially with regular expressions', () => {
+    expect(matchesPattern('release-v1.0.0', '/v1/')).toBe(true);
+  });
+
+  test('supports regular expression flags', () => {
+    expect(matchesPattern('V1.0.0', '/^v1/i')).toBe(true);
+  });
+});
+
+describe('isPrerelease', () => {
+  test('detects pre-releases', () => {
+    expect(isPrerelease('v1.0.0-rc.1')).toBe(true);
+  });
+
+  test('detects regular releases', () => {
+    expect(isPrerelease('v1.0.0')).toBe(false);
+  });
+
+  test('ignores build metadata', () => {
+    expect(isPrerelease('v1.0.0+build.1')).toBe(false);
+  });
+
+  test('treats tags without version as regular releases', () => {
+    expect(isPrerelease('latest')).toBe(false);
+  });
+});
+
+describe('filterTag', () => {
+  const release = { ref: 'v1.0.0', sha: 'feedface' };
+  const prerelease = { ref: 'v1.0.0-beta.1', sha: 'feedface' };
+
+  test('accepts all tags by default', () => {
+    expect(filterTag(release, {})).toBe(null);
+    expect(filterTag(prerelease, {})).toBe(null);
+  });
+
+  test('accepts tags matching the pattern', () => {
+    expect(filterTag(release, { tagPattern: 'v*' })).toBe(null);
+  });
+
+  test('skips tags not matching the pattern', () => {
+    expect(filterTag(release, { tagPattern: 'release-*' })).toBe(
+      'as it does not match tagPattern "release-*"'
+    );
+  });
+
+  test('includes pre-releases', () => {
+    const config = { prereleases: 'include' };
+    expect(filterTag(release, config)).toBe(null);
+    expect(filterTag(prerelease, config)).toBe(null);
+  });
+
+  test('skips pre-releases', () => {
+    const config = { prereleases: 'skip' };
+    expect(filterTag(release, config)).toBe(null);
+    expect(filterTag(prerelease, config)).toBe('as pre-releases are skipped');
+  });
+
+  test('only releases pre-releases', () => {
+    const config = { prereleases: 'only' };
+    expect(filterTag(release, config)).toBe(
+      'as only pre-releases are released'
+    );
+    expect(filterTag(prerelease, config)).toBe(null);
+  });
+
+  test('filters dry runs like the tag they simulate', () => {
+    const dryRun = { ref: 'v1.0.0-dry', sha: 'feedface' };
+    expect(filterTag(dryRun, { prereleases: 'skip' })).toBe(null);
+    expect(filterTag(dryRun, { tagPattern: '/^v\\d+\\.\\d+\\.\\d+$/' })).toBe(
+      null
+    );
+  });
+
+  test('throws for invalid policies', () => {
+    expect(() => filterTag(release, { prereleases: 'never' })).toThrow(
+      'Invalid prereleases policy: never'
+    );
+  });
+});
+
+describe('evaluateCondition', () => {
+  const release = { ref: 'v2.1.0', sha: 'feedface' };
+  const prerelease = { ref: 'v2.1.0-rc.1', sha: 'feedface' };
+
+  test('accepts all tags without condition', () => {
+    expect(evaluateCondition(undefined, release)).toBe(null);
+  });
+
+  test('accepts all tags with an empty condition', () => {
+    expect(evaluateCondition({}, prerelease)).toBe(null);
+  });
+
+  test('requires pre-releases', () => {
+    const condition = { prerelease: true };
+    expect(evaluateCondition(condition, prerelease)).toBe(null);
+    expect(evaluateCondition(condition, release)).toBe(
+      'v2.1.0 is not a pre-release'
+    );
+  });
+
+  test('excludes pre-releases', () => {
+    const condition = { prerelease: false };
+    expect(evaluateCondition(condition, release)).toBe(null);
+    expect(evaluateCondition(condition, prerelease)).toBe(
+      'v2.1.0-rc.1 is a pre-release'
+    );
+  });
+
+  test('requires a major version', () => {
+    expect(evaluateCondition({ major: 2 }, release)).toBe(null);
+    expect(evaluateCondition({ major: 1 }, release)).toBe(
+      'v2.1.0 is not in major version 1'
+    );
+  });
+
+  test('accepts a list of major versions', () => {
+    expect(evaluateCondition({ major: [1, 2] }, release)).toBe(null);
+    expect(evaluateCondition({ major: [3, 4] }, release)).toBe(
+      'v2.1.0 is not in major version 3, 4'
+    );
+  });
+
+  test('rejects tags without version for major versions', () => {
+    expect(evaluateCondition({ major: 2 }, { ref: 'latest' })).toBe(
+      'latest is not in major version 2'
+    );
+  });
+
+  test('requires a tag pattern', () => {
+    expect(evaluateCondition({ tagPattern: 'v2.*' }, release)).toBe(null);
+    expect(evaluateCondition({ tagPattern: 'v3.*' }, release)).toBe(
+      'v2.1.0 does not match "v3.*"'
+    );
+  });
+
+  test('prefers the version of monorepo packages', () => {
+    const tag = { ref: 'sdk2-v3.0.0', version: '3.0.0' };
+    expect(evaluateCondition({ major: 3 }, tag)).toBe(null);
+  });
+
+  test('requires all properties', () => {
+    const condition = { prerelease: false, major: 2, tagPattern: 'v3.*' };
+    expect(evaluateCondition(condition, release)).toBe(
+      'v2.1.0 does not match "v3.*"'
+    );
+  });
+});
@@ -117,6 +117,66 @@ describe('promiseProps', () => {
   });
 });
 
+describe('retry', () => {
+  const { retry } = require('../utils');
+
+  test('resolves the first successful attempt', async () => {
+    expect.assertions(2);
+    const action = jest.fn().mockReturnValue(Promise.resolve('result'));
+    expect(await retry(action, 3)).toBe('result');
+    expect(action).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries failed attempts', async () => {
+    expect.assertions(2);
+    const action = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('first')))
+      .mockImplementationOnce(() => Promise.resolve('second'));
+
+    expect(await retry(action, 3)).toBe('second');
+    expect(action).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects with the error of the last attempt', async () => {
+    expect.assertions(2);
+    const action = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('first')))
+      .mockImplementationOnce(() => Promise.reject(new Error('second')));
+
+    try {
+      await retry(action, 2);
+    } catch (e) {
+      expect(e.message).toBe('second');
+      expect(action).toHaveBeenCalledTimes(2);
+    }
+  });
+
+  test('does not retry by default', async () => {
+    expect.assertions(1);
+    const action = jest.fn(() => Promise.reject(new Error('x')));
+
+    try {
+      await retry(action);
+    } catch (e) {
+      expect(action).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  test('doubles the delay between attempts', async () => {
+    expect.assertions(1);
+    const action = jest.fn(() => Promise.reject(new Error('x')));
+    const onRetry = jest.fn();
+
+    try {
+      await retry(action, 3, 10, onRetry);
+    } catch (e) {
+      expect(onRetry.mock.calls.map(call => call[1])).toEqual([10, 20]);
+    }
+  });
+});
+
 describe('getFile', () => {
   const { getFile } = require('../utils');
   const Context = require('../__mocks__/context');
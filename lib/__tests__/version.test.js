@@ -1,6 +1,6 @@
 /* eslint-env jest */
 
-const { getVersion, parseVersion } = require('../version');
+const { compareVersions, getVersion, parseVersion } = require('../version');
 
 test('extracts a basic SemVer versions', () => {
   expect(getVersion('1.0.0')).toBe('1.0.0');
@@ -66,3 +66,34 @@ test('parses a pre-release SemVer with build metadata', () => {
     build: 'linux',
   });
 });
+
+test('compares versions by major, minor and patch', () => {
+  const compare = (a, b) => compareVersions(parseVersion(a), parseVersion(b));
+  expect(compare('1.0.0', '1.0.0')).toBe(0);
+  expect(compare('1.0.0', '2.0.0')).toBeLessThan(0);
+  expect(compare('1.10.0', '1.9.0')).toBeGreaterThan(0);
+  expect(compare('1.0.1', '1.0.0')).toBeGreaterThan(0);
+});
+
+test('compares pre-release versions by precedence', () => {
+  const compare = (a, b) => compareVersions(parseVersion(a), parseVersion(b));
+  const versions = [
+    '1.0.0',
+    '1.0.0-rc.1',
+    '1.0.0-beta.11',
+    '1.0.0-beta.2',
+    '1.0.0-beta',
+    '1.0.0-alpha.beta',
+    '1.0.0-alpha.1',
+    '1.0.0-alpha',
+    '0.9.0',
+  ];
+
+  expect(versions.slice().sort(compare)).toEqual(versions.reverse());
+});
+
+test('ignores build metadata when comparing versions', () => {
+  expect(
+    compareVersions(parseVersion('1.0.0+linux'), parseVersion('1.0.0+osx'))
+  ).toBe(0);
+});
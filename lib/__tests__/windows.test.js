@@ -0,0 +1,193 @@
+/* eslint-env jest */
+
+const {
+  formatDeferral,
+  getBlockReason,
+  getNextSlot,
+  matchesCron,
+  parseCron,
+  parseFreeze,
+} = require('../windows');
+
+// Friday, 2026-10-16
+const FRIDAY = Date.UTC(2026, 9, 16);
+const HOUR = 60 * 60 * 1000;
+
+describe('parseCron', () => {
+  test('parses wildcards', () => {
+    const cron = parseCron('* * * * *');
+    expect(cron.fields[0].size).toBe(60);
+    expect(cron.anyDate).toBe(true);
+    expect(cron.anyWeekday).toBe(true);
+  });
+
+  test('parses values, ranges and lists', () => {
+    const cron = parseCron('0 9-11 1,15 * 1-5');
+    expect([...cron.fields[0]]).toEqual([0]);
+    expect([...cron.fields[1]]).toEqual([9, 10, 11]);
+    expect([...cron.fields[2]]).toEqual([1, 15]);
+    expect([...cron.fields[4]]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('parses steps', () => {
+    const cron = parseCron('*/15 0-6/3 * * *');
+    expect([...cron.fields[0]]).toEqual([0, 15, 30, 45]);
+    expect([...cron.fields[1]]).toEqual([0, 3, 6]);
+  });
+
+  test('rejects wrong numbers of fields', () => {
+    expect(() => parseCron('* * * *')).toThrow('Invalid cron expression');
+  });
+
+  test('rejects values out of range', () => {
+    expect(() => parseCron('* 24 * * *')).toThrow('Invalid cron field "24"');
+  });
+
+  test('rejects malformed fields', () => {
+    expect(() => parseCron('* * * * fri')).toThrow('Invalid cron field');
+  });
+});
+
+describe('matchesCron', () => {
+  test('matches times in UTC', () => {
+    const cron = parseCron('* 16-23 * * 5');
+    expect(matchesCron(cron, FRIDAY + 16 * HOUR)).toBe(true);
+    expect(matchesCron(cron, FRIDAY + 15 * HOUR)).toBe(false);
+    expect(matchesCron(cron, FRIDAY + 40 * HOUR)).toBe(false);
+  });
+
+  test('treats 7 as Sunday', () => {
+    const cron = parseCron('* * * * 7');
+    expect(matchesCron(cron, FRIDAY + 48 * HOUR)).toBe(true);
+  });
+
+  test('matches either day of month or day of week', () => {
+    const cron = parseCron('* * 1 * 5');
+    expect(matchesCron(cron, FRIDAY)).toBe(true);
+    expect(matchesCron(cron, Date.UTC(2026, 10, 1))).toBe(true);
+    expect(matchesCron(cron, FRIDAY - 24 * HOUR)).toBe(false);
+  });
+});
+
+describe('parseFreeze', () => {
+  test('parses cron strings', () => {
+    expect(parseFreeze('* * * * 5')).toMatchObject({ cron: { anyDate: true } });
+  });
+
+  test('parses date ranges', () => {
+    const freeze = { from: '2026-12-20', to: new Date(Date.UTC(2027, 0, 4)) };
+    expect(parseFreeze(freeze)).toEqual({
+      from: Date.UTC(2026, 11, 20),
+      to: Date.UTC(2027, 0, 4),
+      reason: undefined,
+    });
+  });
+
+  test('rejects incomplete date ranges', () => {
+    expect(() => parseFreeze({ from: '2026-12-20' })).toThrow('Invalid freeze');
+  });
+});
+
+describe('getBlockReason', () => {
+  test('allows releases without windows', () => {
+    expect(getBlockReason({}, FRIDAY)).toBe(null);
+  });
+
+  test('reports freezes', () => {
+    const config = { freeze: ['* 16-23 * * 5'] };
+    expect(getBlockReason(config, FRIDAY + 18 * HOUR)).toBe(
+      'during a release freeze'
+    );
+  });
+
+  test('reports freeze reasons', () => {
+    const config = { freeze: [{ cron: '* * * * 5', reason: 'Friday' }] };
+    expect(getBlockReason(config, FRIDAY)).toBe(
+      'during the release freeze "Friday"'
+    );
+  });
+
+  test('reports times outside of the publish window', () => {
+    const config = { publishWindow: '* 9-16 * * 1-4' };
+    expect(getBlockReason(config, FRIDAY + 10 * HOUR)).toBe(
+      'outside of the publish window'
+    );
+  });
+
+  test('allows times within any publish window', () => {
+    const config = { publishWindow: ['* 9-11 * * *', '* 14-16 * * *'] };
+    expect(getBlockReason(config, FRIDAY + 15 * HOUR)).toBe(null);
+  });
+});
+
+describe('getNextSlot', () => {
+  test('returns allowed times unchanged', () => {
+    const time = FRIDAY + 10 * HOUR + 1234;
+    expect(getNextSlot({ freeze: ['* 16-23 * * 5'] }, time)).toBe(time);
+  });
+
+  test('defers to the end of a cron freeze', () => {
+    const config = { freeze: ['* 16-23 * * 5'] };
+    const time = FRIDAY + 18 * HOUR + 1234;
+    expect(getNextSlot(config, time)).toBe(FRIDAY + 24 * HOUR);
+  });
+
+  test('defers to the end of a date range', () => {
+    const config = { freeze: [{ from: '2026-10-01', to: '2026-10-20' }] };
+    expect(getNextSlot(config, FRIDAY)).toBe(Date.UTC(2026, 9, 20));
+  });
+
+  test('defers to the next publish window', () => {
+    const config = { publishWindow: '* 9-16 * * 1-4' };
+    const time = FRIDAY + 10 * HOUR;
+    expect(getNextSlot(config, time)).toBe(FRIDAY + (3 * 24 + 9) * HOUR);
+  });
+
+  test('combines freezes and publish windows', () => {
+    const config = {
+      freeze: [{ from: '2026-10-19', to: '2026-10-20T12:00:00Z' }],
+      publishWindow: '* 9-16 * * 1-4',
+    };
+
+    const time = FRIDAY + 10 * HOUR;
+    expect(getNextSlot(config, time)).toBe(FRIDAY + (4 * 24 + 12) * HOUR);
+  });
+
+  test('defers to the end of a minute-wise cron freeze', () => {
+    const config = { freeze: ['0-29 * * * *'] };
+    const time = FRIDAY + 10 * HOUR + 5 * 60 * 1000;
+    expect(getNextSlot(config, time)).toBe(FRIDAY + 10.5 * HOUR);
+  });
+
+  test('defers to publish windows months ahead', () => {
+    const config = { publishWindow: '30 9 1 6 *' };
+    expect(getNextSlot(config, FRIDAY)).toBe(Date.UTC(2027, 5, 1, 9, 30));
+  });
+
+  test('gives up on publish windows that never match', () => {
+    const config = { publishWindow: '0 0 31 2 *' };
+    expect(getNextSlot(config, FRIDAY)).toBe(null);
+  });
+
+  test('gives up on cron freezes that always match', () => {
+    const config = { freeze: ['* * * * *'] };
+    expect(getNextSlot(config, FRIDAY)).toBe(null);
+  });
+
+  test('gives up after a year', () => {
+    const config = { freeze: [{ from: '2026-01-01', to: '2028-01-01' }] };
+    expect(getNextSlot(config, FRIDAY)).toBe(null);
+  });
+});
+
+describe('formatDeferral', () => {
+  test('mentions the reason and release time', () => {
+    const tag = { ref: 'v1.0.0', sha: 'feedface' };
+    const reason = 'during a release freeze';
+    expect(formatDeferral(tag, FRIDAY, reason)).toBe(
+      'The release of `v1.0.0` has been deferred, since it would have ' +
+        'started during a release freeze. It will be published at ' +
+        '2026-10-16T00:00:00.000Z.'
+    );
+  });
+});
@@ -0,0 +1,80 @@
+/* eslint-env jest */
+
+const { findLine, parseYaml } = require('../yaml');
+
+const SOURCE = `# Release configuration
+store: s3
+targets:
+  - github
+  - name: brew
+    tap: foo
+    template: |
+      class Foo
+      end
+
+  # Pre-releases
+  - name: npm
+    when: { prerelease: true }
+`;
+
+describe('parseYaml', () => {
+  test('parses the document', () => {
+    const { data } = parseYaml(SOURCE);
+    expect(data).toEqual({
+      store: 's3',
+      targets: [
+        'github',
+        { name: 'brew', tap: 'foo', template: 'class Foo\nend\n' },
+        { name: 'npm', when: { prerelease: true } },
+      ],
+    });
+  });
+
+  test('returns no root for empty documents', () => {
+    expect(parseYaml('')).toEqual({ data: undefined, root: null });
+  });
+
+  test('throws on invalid syntax', () => {
+    expect(() => parseYaml('targets: [')).toThrow();
+  });
+});
+
+describe('findLine', () => {
+  const { root } = parseYaml(SOURCE);
+
+  test('finds the root', () => {
+    expect(findLine(root, [])).toBe(2);
+  });
+
+  test('finds top-level keys', () => {
+    expect(findLine(root, ['store'])).toBe(2);
+    expect(findLine(root, ['targets'])).toBe(3);
+  });
+
+  test('finds array elements', () => {
+    expect(findLine(root, ['targets', 0])).toBe(4);
+    expect(findLine(root, ['targets', 1])).toBe(5);
+  });
+
+  test('skips comments and blank lines', () => {
+    expect(findLine(root, ['targets', 2])).toBe(12);
+  });
+
+  test('finds nested keys', () => {
+    expect(findLine(root, ['targets', 1, 'tap'])).toBe(6);
+    expect(findLine(root, ['targets', 1, 'template'])).toBe(7);
+  });
+
+  test('finds keys in flow mappings', () => {
+    expect(findLine(root, ['targets', 2, 'when', 'prerelease'])).toBe(13);
+  });
+
+  test('falls back to the closest parent', () => {
+    expect(findLine(root, ['targets', 1, 'missing'])).toBe(5);
+    expect(findLine(root, ['targets', 5])).toBe(4);
+  });
+
+  test('falls back to the first line without root', () => {
+    expect(findLine(null, ['store'])).toBe(1);
+  });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * Token that clients must send to use the admin API
+ */
+const { ADMIN_TOKEN } = process.env;
+
+/**
+ * Creates an error that is reported with the given HTTP status code
+ *
+ * @param {number} status The HTTP status code
+ * @param {string} message A description of the error
+ * @returns {Error} The error containing "status"
+ */
+function createError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Checks the bearer token of a request in constant time
+ *
+ * @param {string} header The value of the "Authorization" header, if any
+ * @param {string} token The expected admin token
+ * @returns {bool} True if the header contains the admin token
+ */
+function isAuthorized(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header || '');
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+/**
+ * Parses a comma separated list from a query parameter
+ *
+ * @param {string} value The query parameter, if given
+ * @returns {string[]} The list of values or undefined if not given
+ */
+function parseList(value) {
+  return value == null ? undefined : value.split(',').filter(Boolean);
+}
+
+/**
+ * Wraps an action into an express request handler
+ *
+ * The resolved value of the action is sent as JSON response with the given
+ * status code. Errors are responded with their "status" code, defaulting to
+ * 500, and their message.
+ *
+ * @param {Function} action An async function receiving the request
+ * @param {object} logger A logger for unexpected errors
+ * @param {number} successStatus The status code of successful responses
+ * @returns {Function} The express request handler
+ */
+function handle(action, logger, successStatus = 200) {
+  return async (req, res) => {
+    try {
+      const body = await action(req);
+      res.status(successStatus).json(body);
+    } catch (e) {
+      const status = e.status || 500;
+      if (status >= 500) {
+        logger.error(e);
+      }
+
+      res.status(status).json({ error: e.message });
+    }
+  };
+}
+
+/**
+ * Registers the admin HTTP API on an express router
+ *
+ * All endpoints require an "Authorization: Bearer <token>" header with the
+ * token configured in the ADMIN_TOKEN environment variable. If no token is
+ * configured, the API is disabled.
+ *
+ * Tags in URLs must be URL encoded, e.g. "@scope%2Fpkg@1.0.0".
+ *
+ * @param {Router} router An express router, e.g. from robot.route()
+ * @param {object} actions Async functions implementing the endpoints
+ * @param {object} logger A logger instance
+ * @param {string} token The admin token, defaults to ADMIN_TOKEN
+ * @returns {bool} True if the API has been enabled
+ */
+function registerAdminApi(router, actions, logger, token = ADMIN_TOKEN) {
+  if (!token) {
+    logger.info('Admin API disabled since ADMIN_TOKEN is not configured');
+    return false;
+  }
+
+  router.use((req, res, next) => {
+    if (isAuthorized(req.get('Authorization'), token)) {
+      next();
+    } else {
+      res.status(401).json({ error: 'Unauthorized' });
+    }
+  });
+
+  // Lists release jobs, by default all that have not finished yet. Filter
+  // with "?state=scheduled,running"
+  router.get(
+    '/releases',
+    handle(req => actions.list(parseList(req.query.state)), logger)
+  );
+
+  // Shows the state, target results and history of a tag's release
+  router.get(
+    '/releases/:owner/:repo/:tag',
+    handle(req => actions.get(req.params), logger)
+  );
+
+  // Cancels a scheduled release
+  router.post(
+    '/releases/:owner/:repo/:tag/cancel',
+    handle(req => actions.cancel(req.params), logger)
+  );
+
+  // Starts a release immediately, optionally only "?targets=npm,pypi". The
+  // release continues in the background after the response.
+  router.post(
+    '/releases/:owner/:repo/:tag/release',
+    handle(
+      req => actions.release(req.params, parseList(req.query.targets)),
+      logger,
+      202
+    )
+  );
+
+  // Rolls back a finished release, optionally only "?targets=npm,pypi"
+  router.post(
+    '/releases/:owner/:repo/:tag/rollback',
+    handle(
+      req => actions.rollback(req.params, parseList(req.query.targets)),
+      logger
+    )
+  );
+
+  // Drops the cached tags of a repository, which are reloaded on demand
+  router.delete(
+    '/tags/:owner/:repo',
+    handle(req => actions.flushTags(req.params), logger)
+  );
+
+  return true;
+}
+
+module.exports = {
+  createError,
+  registerAdminApi,
+};
@@ -0,0 +1,135 @@
+const { getTargetId } = require('./executor');
+
+/**
+ * Default time in seconds until a pending approval expires
+ */
+const DEFAULT_EXPIRY = 7 * 24 * 60 * 60;
+
+/**
+ * Label attached to approval issues
+ */
+const APPROVAL_LABEL = 'release-approval';
+
+/**
+ * Computes the time at which a new approval request expires
+ *
+ * @param {object} approval The "approval" section of the release config
+ * @returns {number} The expiry time in milliseconds since the epoch
+ */
+function getExpiry(approval) {
+  const { expiry = DEFAULT_EXPIRY } = approval;
+  return Date.now() + expiry * 1000;
+}
+
+/**
+ * Formats the title of an approval issue
+ *
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {string} The issue title
+ */
+function formatApprovalTitle(tag) {
+  return `Approve release of ${tag.ref}`;
+}
+
+/**
+ * Formats the body of an approval issue
+ *
+ * Lists the tag, all targets and all artifacts that will be released, and
+ * explains how to approve or reject the release.
+ *
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the tag
+ * @param {object[]} files Artifacts from the store containing "name"
+ * @param {number} expires The expiry time in milliseconds since the epoch
+ * @returns {string} The markdown issue body
+ */
+function formatApprovalRequest(tag, config, files, expires) {
+  const { teams = [] } = config.approval;
+  const approvers =
+    teams.length > 0
+      ? `members of ${teams.map(team => `\`${team}\``).join(', ')}`
+      : 'collaborators with write permission';
+
+  const lines = [
+    `The release of \`${tag.ref}\` (${tag.sha}) has passed all checks and`,
+    'is waiting for approval.',
+    '',
+    '**Targets**',
+    '',
+    ...config.targets.map(target => `- ${getTargetId(target)}`),
+    '',
+    '**Artifacts**',
+    '',
+  ];
+
+  if (files.length > 0) {
+    lines.push(...files.map(file => `- ${file.name}`));
+  } else {
+    lines.push('_none_');
+  }
+
+  lines.push(
+    '',
+    `To publish the release, comment \`/release approve ${tag.ref}\`. To`,
+    `cancel it, comment \`/release reject ${tag.ref}\`. Only ${approvers}`,
+    `can approve this release. This request expires at`,
+    `${new Date(expires).toISOString()}.`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Checks whether a user is allowed to approve releases
+ *
+ * If the approval config lists "teams", the user must be an active member of
+ * at least one of them. Teams are specified by their slug within the
+ * repository owner's organization. Without teams, all users that can control
+ * releases may approve.
+ *
+ * @param {Context} context Github context
+ * @param {object} approval The "approval" section of the release config
+ * @param {string} username The login of the user
+ * @returns {Promise<bool>} True if the user may approve releases
+ * @async
+ */
+async function isApprover(context, approval, username) {
+  const { teams = [] } = approval;
+  if (teams.length === 0) {
+    return true;
+  }
+
+  const { github } = context;
+  const { owner: org } = context.repo();
+  const orgTeams = await github.paginate(
+    github.orgs.getTeams({ org, per_page: 100 }),
+    response => response.data
+  );
+
+  const memberships = orgTeams
+    .filter(team => teams.includes(team.slug))
+    .map(async team => {
+      try {
+        const params = { id: team.id, username };
+        const response = await github.orgs.getTeamMembership(params);
+        return response.data.state === 'active';
+      } catch (err) {
+        if (err.code === 404) {
+          return false;
+        }
+
+        throw err;
+      }
+    });
+
+  const results = await Promise.all(memberships);
+  return results.some(Boolean);
+}
+
+module.exports = {
+  APPROVAL_LABEL,
+  formatApprovalRequest,
+  formatApprovalTitle,
+  getExpiry,
+  isApprover,
+};
@@ -0,0 +1,182 @@
+const _ = require('lodash');
+const request = require('./request');
+
+/**
+ * Base URL of the Github API
+ */
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+/**
+ * Media type required by the Checks API during its preview period
+ */
+const CHECKS_MEDIA_TYPE = 'application/vnd.github.antiope-preview+json';
+
+/**
+ * Number of check runs requested per page
+ */
+const CHECK_RUNS_PER_PAGE = 100;
+
+/**
+ * Status check state: Pending
+ */
+const STATE_PENDING = 'pending';
+
+/**
+ * Status check state: Success
+ */
+const STATE_SUCCESS = 'success';
+
+/**
+ * Status check state: Failure
+ */
+const STATE_FAILURE = 'failure';
+
+/**
+ * Check run status: Completed
+ */
+const CHECK_COMPLETED = 'completed';
+
+/**
+ * Check run conclusions that count as a successful status check
+ */
+const SUCCESS_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+/**
+ * Checks whether a Github client supports the Checks API
+ *
+ * The client bundled with probot 0.11 predates the Checks API and only offers
+ * the legacy Status API. Callers fall back to commit statuses in that case.
+ *
+ * @param {object} github A Github API client
+ * @returns {bool} True if the client can list, create and update check runs
+ */
+function hasChecksApi(github) {
+  return github != null && github.checks != null;
+}
+
+/**
+ * Lists all check runs for a reference
+ *
+ * The client bundled with probot 0.11 predates the Checks API, so the
+ * endpoint is requested directly with the client's installation token in
+ * that case. Clients that support the Checks API use it instead.
+ *
+ * @param {object} github A Github API client authenticated for an installation
+ * @param {object} params An object containing "owner", "repo" and "ref"
+ * @returns {Promise<object[]>} All check runs of the reference
+ * @async
+ */
+async function listCheckRuns(github, params) {
+  if (hasChecksApi(github)) {
+    return github.paginate(
+      github.checks.listForRef({ ...params, per_page: CHECK_RUNS_PER_PAGE }),
+      result => result.data.check_runs
+    );
+  }
+
+  const { owner, repo, ref } = params;
+  const { token } = github.auth || {};
+  if (!token) {
+    throw new Error('Cannot list check runs without installation token');
+  }
+
+  const url =
+    `${GITHUB_API_URL}/repos/${owner}/${repo}/commits/` +
+    `${encodeURIComponent(ref)}/check-runs?per_page=${CHECK_RUNS_PER_PAGE}`;
+  const headers = {
+    Accept: CHECKS_MEDIA_TYPE,
+    Authorization: `token ${token}`,
+  };
+
+  const loadPage = async page => {
+    const result = await request(`${url}&page=${page}`, { headers });
+    const runs = result.check_runs;
+    return runs.length < CHECK_RUNS_PER_PAGE ||
+      page * CHECK_RUNS_PER_PAGE >= result.total_count
+      ? runs
+      : runs.concat(await loadPage(page + 1));
+  };
+
+  return loadPage(1);
+}
+
+/**
+ * Converts a check run into a status check object
+ *
+ * This allows to treat check runs of the Checks API just like status checks
+ * reported via the legacy Status API. The check run's name is used as
+ * "context". Check runs that have not completed yet are pending, all others
+ * are either successful or failed based on their conclusion.
+ *
+ * @param {object} checkRun A check run object from the Checks API
+ * @returns {object} A status check object
+ */
+function normalizeCheckRun(checkRun) {
+  let state;
+  if (checkRun.status !== CHECK_COMPLETED) {
+    state = STATE_PENDING;
+  } else if (SUCCESS_CONCLUSIONS.includes(checkRun.conclusion)) {
+    state = STATE_SUCCESS;
+  } else {
+    state = STATE_FAILURE;
+  }
+
+  return {
+    context: checkRun.name,
+    state,
+    updated_at: checkRun.completed_at || checkRun.started_at,
+  };
+}
+
+/**
+ * Removes all succeeded status checks from the given list
+ *
+ * Status checks are considered succeeded if there is another check with the
+ * same "context", but a later "updated_at" value. If the configuration
+ * specifies "ignoredChecks" then those status checks will be omitted from the
+ * list.
+ *
+ * @param {object[]} statuses A list of status checks
+ * @param {object} config Release configuration for the repository
+ * @returns {object[]} The list of filtered status checks
+ */
+function filterLatestStatuses(statuses, config) {
+  const ignoredChecks = config.ignoredChecks || [];
+  const filtered = statuses.filter(
+    status => !ignoredChecks.some(check => status.context.startsWith(check))
+  );
+
+  const statusesByContext = _.groupBy(filtered, status => status.context);
+  return _.values(statusesByContext).map(context =>
+    _.maxBy(context, status => status.updated_at)
+  );
+}
+
+/**
+ * Returns all required checks that are missing from the given list
+ *
+ * The configuration can specify "requiredChecks" that have to be present
+ * before a release can start. Just like "ignoredChecks", they can be prefixes
+ * or entire names of status checks and check runs.
+ *
+ * @param {object[]} statuses A list of status checks
+ * @param {object} config Release configuration for the repository
+ * @returns {string[]} The names of all missing required checks
+ */
+function findMissingChecks(statuses, config) {
+  const requiredChecks = config.requiredChecks || [];
+  return requiredChecks.filter(
+    check => !statuses.some(status => status.context.startsWith(check))
+  );
+}
+
+module.exports = {
+  STATE_FAILURE,
+  STATE_PENDING,
+  STATE_SUCCESS,
+  filterLatestStatuses,
+  findMissingChecks,
+  hasChecksApi,
+  listCheckRuns,
+  normalizeCheckRun,
+};
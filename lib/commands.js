@@ -0,0 +1,201 @@
+const { STATUS_FAILURE } = require('./executor');
+const { formatSummary } = require('./report');
+
+/**
+ * Regular expression matching a release command on its own line
+ *
+ * Arguments must be separated by whitespace, so that "/release-notes" or
+ * "/release.yml" are not mistaken for commands.
+ */
+const COMMAND_REGEX = /^\/release(?:[ \t]+(.*))?$/m;
+
+/**
+ * Sub commands that take a tag as single argument
+ */
+const SUB_COMMANDS = ['approve', 'cancel', 'reject', 'retry', 'status'];
+
+/**
+ * Sub commands that take a tag and optionally "--targets"
+ */
+const TARGET_COMMANDS = ['rollback'];
+
+/**
+ * Descriptions of actions recorded in the release history
+ */
+const HISTORY_ACTIONS = {
+  release: 'Released',
+  dryRun: 'Simulated in a dry run',
+  rollback: 'Rolled back',
+};
+
+/**
+ * Explanation of all supported commands
+ */
+const USAGE = [
+  'Supported commands:',
+  '',
+  '- `/release <tag>`: Release the tag now',
+  '- `/release <tag> --targets npm,pypi`: Release the tag to some targets',
+  '- `/release cancel <tag>`: Cancel a scheduled release',
+  '- `/release approve <tag>`: Approve a release waiting for approval',
+  '- `/release reject <tag>`: Reject a release waiting for approval',
+  '- `/release retry <tag>`: Retry the failed targets of a release',
+  '- `/release status <tag>`: Show the status of a release',
+  '- `/release rollback <tag>`: Roll back a release on all targets',
+  '- `/release rollback <tag> --targets npm`: Roll back some targets',
+].join('\n');
+
+/**
+ * @typedef {object} Command A parsed release command
+ * @prop {string} action Either "release", "approve", "cancel", "reject",
+ *                        "retry", "rollback" or "status"
+ * @prop {string} tag The name of the tag to act on
+ * @prop {string[]?} targets Optional identifiers of targets to release or
+ *                           roll back
+ * @prop {string?} error A message explaining why the command is invalid
+ */
+
+/**
+ * Parses the "--targets" option of a release command
+ *
+ * The targets can be passed as separate argument ("--targets npm,pypi") or
+ * inline ("--targets=npm,pypi").
+ *
+ * @param {string[]} args The remaining command arguments
+ * @returns {object} An object containing "targets" or an "error"
+ */
+function parseOptions(args) {
+  if (args.length === 0) {
+    return {};
+  }
+
+  const [option, ...rest] = args;
+  const [name, inlineValue] = option.split('=');
+  const value = inlineValue == null ? rest.shift() : inlineValue;
+  if (name !== '--targets' || !value || rest.length > 0) {
+    return { error: `Invalid arguments: ${args.join(' ')}` };
+  }
+
+  return { targets: value.split(',').filter(Boolean) };
+}
+
+/**
+ * Parses a release command from the body of a comment
+ *
+ * Commands start with "/release" on their own line. Only the first command
+ * in a comment is parsed. If the command is malformed, the result contains
+ * an "error" message instead.
+ *
+ * @param {string} body The markdown body of a comment
+ * @returns {Command?} The parsed command, if any; otherwise null
+ */
+function parseCommand(body) {
+  const match = COMMAND_REGEX.exec(body || '');
+  if (match == null) {
+    return null;
+  }
+
+  const args = (match[1] || '').split(/\s+/).filter(Boolean);
+  if (SUB_COMMANDS.includes(args[0])) {
+    const [action, tag, ...rest] = args;
+    if (!tag || rest.length > 0) {
+      return { error: `Expected a single tag for "${action}"` };
+    }
+
+    return { action, tag };
+  }
+
+  if (TARGET_COMMANDS.includes(args[0])) {
+    const [action, tag, ...rest] = args;
+    if (!tag || tag.startsWith('--')) {
+      return { error: `Expected a tag for "${action}"` };
+    }
+
+    const options = parseOptions(rest);
+    return options.error ? options : { action, tag, ...options };
+  }
+
+  const [tag, ...rest] = args;
+  if (!tag) {
+    return { error: 'Missing tag' };
+  }
+
+  const options = parseOptions(rest);
+  return options.error ? options : { action: 'release', tag, ...options };
+}
+
+/**
+ * Formats an entry of the release history as list item
+ *
+ * @param {object} entry A history entry containing "action", "time" and
+ *                       optionally the "user" or API it came "via", target
+ *                       "results" or an "error"
+ * @returns {string} The markdown list item
+ */
+function formatHistoryEntry(entry) {
+  const time = new Date(entry.time).toISOString();
+  const parts = [`${time}: ${HISTORY_ACTIONS[entry.action] || entry.action}`];
+  if (entry.user) {
+    parts.push(`by @${entry.user}`);
+  } else if (entry.via) {
+    parts.push(`via ${entry.via}`);
+  }
+
+  const failed = (entry.results || [])
+    .filter(result => result.status === STATUS_FAILURE)
+    .map(result => result.target);
+
+  if (entry.error) {
+    parts.push('(failed)');
+  } else if (failed.length > 0) {
+    parts.push(`(failed: ${failed.join(', ')})`);
+  }
+
+  return `- ${parts.join(' ')}`;
+}
+
+/**
+ * Formats a comment describing the state of a release job
+ *
+ * @param {string} tagName The name of the tag
+ * @param {object} job The release job from the queue, if any
+ * @returns {string} The markdown comment
+ */
+function formatStatus(tagName, job) {
+  if (job == null) {
+    return `There is no release of \`${tagName}\`.`;
+  }
+
+  const kind = job.dryRun ? 'Dry run' : 'Release';
+  const lines = [`${kind} of \`${tagName}\` (${job.sha}) is **${job.state}**.`];
+  if (job.due != null && job.started == null) {
+    lines.push('', `Due at ${new Date(job.due).toISOString()}.`);
+  }
+
+  if (job.expires != null) {
+    lines.push(
+      '',
+      `Approval expires at ${new Date(job.expires).toISOString()}.`
+    );
+  }
+
+  if (job.error) {
+    lines.push('', '```', job.error, '```');
+  }
+
+  if (job.results) {
+    lines.push('', formatSummary(job.results));
+  }
+
+  if (job.history && job.history.length > 0) {
+    lines.push('', '**History**', '', ...job.history.map(formatHistoryEntry));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  USAGE,
+  formatStatus,
+  parseCommand,
+};
@@ -0,0 +1,148 @@
+const yaml = require('js-yaml');
+const _ = require('lodash');
+const { getTargetId } = require('./executor');
+
+/**
+ * Configuration file used to activate this bot
+ */
+const CONFIG_NAME = 'release.yml';
+
+/**
+ * Path of the configuration file in a repository
+ */
+const CONFIG_PATH = `.github/${CONFIG_NAME}`;
+
+/**
+ * Regular expression matching "repo" or "owner/repo" in the "extends" key
+ */
+const EXTENDS_REGEX = /^(?:([^/\s]+)\/)?([^/\s]+)$/;
+
+/**
+ * Resolves the repository referenced by the "extends" key
+ *
+ * The reference can either be a repository name within the same organization
+ * (e.g. ".github") or a full "owner/repo" pair.
+ *
+ * @param {Context} context Github context
+ * @param {string} reference The value of the "extends" key
+ * @returns {object} An object containing "owner" and "repo"
+ */
+function parseExtends(context, reference) {
+  const match = EXTENDS_REGEX.exec(reference);
+  if (!match) {
+    throw new Error(`Invalid base configuration: ${reference}`);
+  }
+
+  const { owner } = context.repo();
+  return { owner: match[1] || owner, repo: match[2] };
+}
+
+/**
+ * Loads the base configuration referenced by the "extends" key
+ *
+ * The base configuration is read from the default branch of the referenced
+ * repository, usually the organization's ".github" repository. A missing file
+ * is reported as error, since releases should not silently fall back to an
+ * incomplete configuration.
+ *
+ * @param {Context} context Github context
+ * @param {string} reference The value of the "extends" key
+ * @returns {Promise<object>} The parsed base configuration
+ * @async
+ */
+async function loadBaseConfig(context, reference) {
+  const { owner, repo } = parseExtends(context, reference);
+
+  let response;
+  try {
+    const params = { owner, repo, path: CONFIG_PATH };
+    response = await context.github.repos.getContent(params);
+  } catch (err) {
+    if (err.code === 404) {
+      throw new Error(`Missing base configuration in ${owner}/${repo}`);
+    }
+
+    throw err;
+  }
+
+  const content = Buffer.from(response.data.content, 'base64').toString();
+  return yaml.safeLoad(content) || {};
+}
+
+/**
+ * Merges two lists of targets by their identifier
+ *
+ * Targets are identified by their "id" or, if omitted, by their "name". Entries
+ * in the override list are merged into base targets with the same identifier.
+ * All other targets are appended in the order of the override list.
+ *
+ * @param {Array<object|string>} baseTargets Targets of the base configuration
+ * @param {Array<object|string>} targets Targets of the repository
+ * @returns {object[]} The merged list of targets
+ */
+function mergeTargets(baseTargets, targets) {
+  const normalize = target =>
+    typeof target === 'string' ? { name: target } : target;
+
+  const merged = baseTargets.map(normalize);
+  targets.map(normalize).forEach(target => {
+    const id = getTargetId(target);
+    const index = merged.findIndex(base => getTargetId(base) === id);
+    if (index >= 0) {
+      merged[index] = { ...merged[index], ...target };
+    } else {
+      merged.push(target);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Merges a repository configuration into a base configuration
+ *
+ * Keys of the repository configuration override those of the base, except for
+ * "targets", which are merged by name. The "extends" key itself is omitted.
+ *
+ * @param {object} base The base configuration
+ * @param {object} config The repository configuration
+ * @returns {object} The merged configuration
+ */
+function mergeConfigs(base, config) {
+  const merged = _.omit({ ...base, ...config }, 'extends');
+  if (base.targets && config.targets) {
+    merged.targets = mergeTargets(base.targets, config.targets);
+  }
+
+  return merged;
+}
+
+/**
+ * Resolves the "extends" key of a repository configuration
+ *
+ * If the configuration extends a base configuration, the base is loaded and
+ * the repository configuration is merged into it. Base configurations cannot
+ * extend other configurations.
+ *
+ * @param {Context} context Github context
+ * @param {object} config The repository configuration
+ * @returns {Promise<object>} The resolved configuration
+ * @async
+ */
+async function resolveConfig(context, config) {
+  if (!config.extends) {
+    return config;
+  }
+
+  const base = await loadBaseConfig(context, config.extends);
+  return mergeConfigs(base, config);
+}
+
+module.exports = {
+  CONFIG_NAME,
+  CONFIG_PATH,
+  loadBaseConfig,
+  mergeConfigs,
+  mergeTargets,
+  resolveConfig,
+};
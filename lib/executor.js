@@ -0,0 +1,188 @@
+const _ = require('lodash');
+
+/**
+ * Target result status: The target has been released
+ */
+const STATUS_SUCCESS = 'success';
+
+/**
+ * Target result status: The target has failed to release
+ */
+const STATUS_FAILURE = 'failure';
+
+/**
+ * Target result status: The target was not released
+ */
+const STATUS_SKIPPED = 'skipped';
+
+/**
+ * @typedef {object} TargetNode A target in the dependency graph
+ * @prop {string} id Unique identifier of the target
+ * @prop {string[]} needs Identifiers of targets that must succeed first
+ * @prop {object|string} target The target configuration
+ */
+
+/**
+ * Returns the name of the given target configuration
+ *
+ * @param {object|string} target Target name or configuration
+ * @returns {string} The target name, if any
+ */
+function getTargetName(target) {
+  return typeof target === 'string' ? target : target && target.name;
+}
+
+/**
+ * Returns the unique identifier of the given target configuration
+ *
+ * Targets are identified by their name, unless an explicit "id" is given.
+ * This allows to configure the same target multiple times.
+ *
+ * @param {object|string} target Target name or configuration
+ * @returns {string} The target identifier, if any
+ */
+function getTargetId(target) {
+  return (target && target.id) || getTargetName(target);
+}
+
+/**
+ * Creates a dependency graph from the given list of targets
+ *
+ * Each target can specify a list of other targets it "needs". These targets
+ * have to be released successfully before the dependent target starts. Throws
+ * if a target needs an unknown target or the dependencies contain a cycle.
+ *
+ * @param {Array<object|string>} targets A list of target configurations
+ * @returns {TargetNode[]} The list of graph nodes in the original order
+ */
+function createGraph(targets) {
+  const nodes = targets.map(target => ({
+    id: getTargetId(target),
+    needs: _.castArray((target && target.needs) || []),
+    target,
+  }));
+
+  const nodesById = _.keyBy(nodes, node => node.id);
+  if (_.size(nodesById) < nodes.length) {
+    const counts = _.countBy(nodes, node => node.id);
+    const duplicates = _.keys(_.pickBy(counts, count => count > 1));
+    throw new Error(`Duplicate targets: ${duplicates.join(', ')}`);
+  }
+
+  nodes.forEach(node => {
+    const unknown = node.needs.find(id => nodesById[id] == null);
+    if (unknown != null) {
+      throw new Error(`Target "${node.id}" needs unknown target "${unknown}"`);
+    }
+  });
+
+  // Remove nodes without remaining dependencies until nothing changes. All
+  // remaining nodes are part of a cycle or depend on one.
+  const remaining = { ...nodesById };
+  let resolved;
+  do {
+    resolved = _.filter(remaining, node =>
+      node.needs.every(id => remaining[id] == null)
+    );
+    resolved.forEach(node => delete remaining[node.id]);
+  } while (resolved.length > 0);
+
+  if (!_.isEmpty(remaining)) {
+    const ids = _.keys(remaining).join(', ');
+    throw new Error(`Circular dependencies between targets: ${ids}`);
+  }
+
+  return nodes;
+}
+
+/**
+ * Selects a subset of targets by their identifiers
+ *
+ * Dependencies on targets outside of the subset are removed, assuming that
+ * these targets have been released before. Throws if one of the identifiers
+ * does not match any target.
+ *
+ * @param {Array<object|string>} targets A list of target configurations
+ * @param {string[]} ids Identifiers of the targets to select
+ * @returns {Array<object|string>} The selected target configurations
+ */
+function selectTargets(targets, ids) {
+  const unknown = ids.filter(
+    id => !targets.some(target => getTargetId(target) === id)
+  );
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown targets: ${unknown.join(', ')}`);
+  }
+
+  return targets.filter(target => ids.includes(getTargetId(target))).map(
+    target =>
+      target.needs == null
+        ? target
+        : {
+            ...target,
+            needs: _.castArray(target.needs).filter(id => ids.includes(id)),
+          }
+  );
+}
+
+/**
+ * Runs all targets respecting their dependencies
+ *
+ * Targets without dependencies start immediately and in parallel. Every other
+ * target starts as soon as all targets it needs have succeeded. If one of
+ * them fails or is skipped, the dependent target is skipped as well.
+ *
+ * The run function receives the target configuration and should resolve to a
+ * result object containing a "status" and optionally an "error" message or
+ * further information. It must not reject.
+ *
+ * @param {Array<object|string>} targets A list of target configurations
+ * @param {Function} run A function that releases a single target
+ * @returns {Promise<object[]>} Results for all targets in the original order,
+ *                              each containing the "target" identifier
+ * @async
+ */
+async function executeTargets(targets, run) {
+  const nodes = createGraph(targets);
+  const nodesById = _.keyBy(nodes, node => node.id);
+  const runs = {};
+
+  function start(node) {
+    if (runs[node.id] == null) {
+      runs[node.id] = (async () => {
+        const results = await Promise.all(
+          node.needs.map(id => start(nodesById[id]))
+        );
+
+        const blocking = results.filter(r => r.status !== STATUS_SUCCESS);
+        if (blocking.length > 0) {
+          const ids = blocking.map(r => `"${r.target}"`).join(', ');
+          return {
+            target: node.id,
+            status: STATUS_SKIPPED,
+            reason: `Needs ${ids}, which did not succeed`,
+          };
+        }
+
+        const result = await run(node.target);
+        return { ...result, target: node.id };
+      })();
+    }
+
+    return runs[node.id];
+  }
+
+  return Promise.all(nodes.map(start));
+}
+
+module.exports = {
+  STATUS_FAILURE,
+  STATUS_SKIPPED,
+  STATUS_SUCCESS,
+  createGraph,
+  executeTargets,
+  getTargetId,
+  getTargetName,
+  selectTargets,
+};
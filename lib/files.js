@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
@@ -32,6 +33,25 @@ async function listFiles(directory) {
   });
 }
 
+/**
+ * Calculates the checksum of a file's contents
+ *
+ * @param {string} filePath The path to a file to process
+ * @param {string} algorithm A crypto algorithm, defaults to "sha256"
+ * @returns {Promise<string>} The checksum as hex string
+ * @async
+ */
+function calculateChecksum(filePath, algorithm = 'sha256') {
+  const stream = fs.createReadStream(filePath);
+  const hash = crypto.createHash(algorithm);
+
+  return new Promise((resolve, reject) => {
+    stream.on('data', data => hash.update(data));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', err => reject(err));
+  });
+}
+
 /**
  * Execute an asynchronous callback within a temp directory
  *
@@ -52,6 +72,7 @@ async function withTempDir(callback) {
 }
 
 module.exports = {
+  calculateChecksum,
   listFiles,
   withTempDir,
 };
@@ -1,9 +1,61 @@
 const _ = require('lodash');
+const Context = require('probot/lib/context');
+const { createError, registerAdminApi } = require('./admin');
+const {
+  APPROVAL_LABEL,
+  formatApprovalRequest,
+  formatApprovalTitle,
+  getExpiry,
+  isApprover,
+} = require('./approval');
+const {
+  STATE_PENDING,
+  STATE_SUCCESS,
+  filterLatestStatuses,
+  findMissingChecks,
+  listCheckRuns,
+  normalizeCheckRun,
+} = require('./checks');
+const { USAGE, formatStatus, parseCommand } = require('./commands');
+const { CONFIG_NAME, CONFIG_PATH, resolveConfig } = require('./config');
 const defaults = require('./defaults');
+const {
+  STATUS_FAILURE,
+  STATUS_SKIPPED,
+  STATUS_SUCCESS,
+  executeTargets,
+  getTargetId,
+  selectTargets,
+} = require('./executor');
 const { withTempDir } = require('./files');
+const { getPackageConfig, getTagVersion } = require('./packages');
+const {
+  register,
+  releaseDuration,
+  releasesScheduled,
+  releasesSkipped,
+  reportsFailed,
+} = require('./metrics');
+const { isDryRun } = require('./plans');
+const createQueue = require('./queues');
+const {
+  CHECK_NAME,
+  CONFIG_CHECK_NAME,
+  abortReleaseCheck,
+  completeReleaseCheck,
+  createReleaseCheck,
+  formatSummary,
+  reportConfigCheck,
+  startReleaseCheck,
+} = require('./report');
+const { validateConfigFile } = require('./schema');
 const createStore = require('./stores');
+const { filterTag } = require('./tags');
 const runTarget = require('./targets');
-const { isSorted } = require('./utils');
+const { forEachChained, isSorted, retry } = require('./utils');
+const { formatDeferral, getBlockReason, getNextSlot } = require('./windows');
+
+const { rollbackTarget } = runTarget;
 
 /**
  * Git Reference type: Tag
@@ -11,19 +63,59 @@ const { isSorted } = require('./utils');
 const REF_TYPE_TAG = 'tag';
 
 /**
- * Status check state: Pending
+ * Prefix of fully qualified tag references in push events
+ */
+const TAG_PREFIX = 'refs/tags/';
+
+/**
+ * Release job state: Waiting for required status checks to be reported
+ */
+const JOB_WAITING = 'waiting';
+
+/**
+ * Release job state: Waiting for manual approval
+ */
+const JOB_UNAPPROVED = 'unapproved';
+
+/**
+ * Release job state: Waiting for the release timeout
+ */
+const JOB_SCHEDULED = 'scheduled';
+
+/**
+ * Release job state: Currently releasing to targets
+ */
+const JOB_RUNNING = 'running';
+
+/**
+ * Release job state: All targets have been released
  */
-const STATE_PENDING = 'pending';
+const JOB_DONE = 'done';
 
 /**
- * Status check state: Success
+ * Release job state: At least one target failed
  */
-const STATE_SUCCESS = 'success';
+const JOB_FAILED = 'failed';
 
 /**
- * Configuration file used to activate this bot
+ * Release job state: Cancelled before the release started
  */
-const CONFIG_NAME = 'release.yml';
+const JOB_CANCELLED = 'cancelled';
+
+/**
+ * Release job states that have not finished yet
+ */
+const ACTIVE_STATES = [JOB_WAITING, JOB_UNAPPROVED, JOB_SCHEDULED, JOB_RUNNING];
+
+/**
+ * Release job states that have finished
+ */
+const FINISHED_STATES = [JOB_DONE, JOB_FAILED, JOB_CANCELLED];
+
+/**
+ * Repository permissions that allow to use release commands
+ */
+const COMMAND_PERMISSIONS = ['admin', 'write'];
 
 /**
  * Time to wait before starting a release
@@ -31,11 +123,36 @@ const CONFIG_NAME = 'release.yml';
 const RELEASE_TIMEOUT =
   process.env.RELEASE_TIMEOUT === '' ? 60 : process.env.RELEASE_TIMEOUT;
 
+/**
+ * Longest delay supported by timers; longer delays are split up
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Backend used to persist scheduled releases
+ */
+const RELEASE_QUEUE = process.env.RELEASE_QUEUE || 'file';
+
+/**
+ * Days to keep finished releases in the queue
+ */
+const RELEASE_QUEUE_RETENTION = process.env.RELEASE_QUEUE_RETENTION || 90;
+
 /**
  * Holds timeouts for deferred releases
  */
 const scheduledReleases = {};
 
+/**
+ * Holds timeouts for releases waiting on missing status checks
+ */
+const waitingReleases = {};
+
+/**
+ * Holds expiry timeouts for releases waiting for manual approval
+ */
+const pendingApprovals = {};
+
 /**
  * Internal cache for tags by repository
  */
@@ -46,10 +163,16 @@ const tagCache = {};
  */
 let logger;
 
+/**
+ * Durable queue of scheduled and completed releases
+ */
+let queue;
+
 /**
  * Retrieves the parsed configuration file from the context's repository, if any
  *
- * If the config is present in the repository, it is merged with defaults.
+ * If the config is present in the repository, it is merged into the base
+ * config it "extends", if any, and then merged with defaults.
  *
  * @param {Context} context Github context
  * @returns {Promise<object>} The configuration file as object or null
@@ -57,7 +180,12 @@ let logger;
  */
 async function getConfig(context) {
   const config = await context.config(CONFIG_NAME);
-  return config && { ...defaults, ...config };
+  if (config == null) {
+    return null;
+  }
+
+  const resolved = await resolveConfig(context, config);
+  return { ...defaults, ...resolved };
 }
 
 /**
@@ -229,27 +357,145 @@ async function getStatuses(context, ref) {
 }
 
 /**
- * Removes all succeeded status checks from the given list
+ * Checks whether the given Github App is this bot
+ *
+ * @param {object} app A Github App object, e.g. from a check run
+ * @returns {bool} True if the app is this bot; otherwise false
+ */
+function isOwnApp(app) {
+  return app != null && String(app.id) === process.env.APP_ID;
+}
+
+/**
+ * Checks whether a commit status has been reported by this bot
+ *
+ * Without Checks API, release checks are reported as commit statuses (see
+ * {@link createReleaseCheck}). Just like own check runs, they never block a
+ * release.
+ *
+ * @param {object} status A commit status object
+ * @returns {bool} True if the status is a release check; otherwise false
+ */
+function isOwnStatus(status) {
+  return [CHECK_NAME, CONFIG_CHECK_NAME].includes(status.context);
+}
+
+/**
+ * Resolves all check runs for a given reference (e.g. a branch or tag)
+ *
+ * Check runs are reported by Github Apps via the Checks API. Use
+ * {@link normalizeCheckRun} to convert them into status check objects. Check
+ * runs created by this bot are omitted, as they never block a release.
+ *
+ * @param {Context} context Github context
+ * @param {String} ref A tag name
+ * @returns {Promise<object[]>} A list of check run objects
+ * @async
+ */
+async function getCheckRuns(context, ref) {
+  const checkRuns = await listCheckRuns(context.github, context.repo({ ref }));
+  return checkRuns.filter(run => !isOwnApp(run.app));
+}
+
+/**
+ * Resolves the latest status checks and check runs for a reference
  *
- * Status checks are considered succeeded if there is another check with the
- * same "context", but a later "updated_at" value. If the configuration
- * specifies "ignoredChecks" then those status checks will be omitted from the
- * list.
+ * Both commit statuses and check runs are merged into a single list of status
+ * check objects. Only the most recent version of every check is contained,
+ * and ignored checks are omitted (see {@link filterLatestStatuses}). Commit
+ * statuses reported by this bot are omitted as well.
  *
- * @param {object[]} statuses A list of status checks
+ * @param {Context} context Github context
+ * @param {String} ref A tag name
  * @param {object} config Release configuration for the repository
- * @returns {object[]} The list of filtered status checks
+ * @returns {Promise<object[]>} A list of status check objects
+ * @async
  */
-function filterLatestStatuses(statuses, config) {
-  const ignoredChecks = config.ignoredChecks || [];
-  const filtered = statuses.filter(
-    status => !ignoredChecks.some(check => status.context.startsWith(check))
-  );
+async function getLatestChecks(context, ref, config) {
+  const [statuses, checkRuns] = await Promise.all([
+    getStatuses(context, ref),
+    getCheckRuns(context, ref),
+  ]);
 
-  const statusesByContext = _.groupBy(filtered, status => status.context);
-  return _.values(statusesByContext).map(context =>
-    _.maxBy(context, status => status.updated_at)
-  );
+  const checks = statuses
+    .filter(status => !isOwnStatus(status))
+    .concat(checkRuns.map(normalizeCheckRun));
+  return filterLatestStatuses(checks, config);
+}
+
+/**
+ * Returns the unique identifier of a tag's release
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {string} The release identifier
+ */
+function getReleaseId(context, tag) {
+  const { owner, repo } = context.repo();
+  return `${owner}/${repo}:${tag.ref}`;
+}
+
+/**
+ * Creates a new release job for the queue
+ *
+ * The job contains all information to restore the context and tag after a
+ * restart. Callers should add a "state" and "due" time.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {object} The release job
+ */
+function createJob(context, tag) {
+  return {
+    id: getReleaseId(context, tag),
+    ...context.repo(),
+    ref: tag.ref,
+    sha: tag.sha,
+    installation: context.payload.installation.id,
+  };
+}
+
+/**
+ * Creates a Github context for a release job outside of a webhook
+ *
+ * This is used to resume releases after a restart. The context is
+ * authenticated as the installation that originally scheduled the job.
+ *
+ * @param {Robot} robot The probot instance
+ * @param {object} job A release job from the queue
+ * @returns {Promise<Context>} The restored Github context
+ * @async
+ */
+async function restoreContext(robot, job) {
+  const github = await robot.auth(job.installation);
+  const payload = {
+    installation: { id: job.installation },
+    repository: { name: job.repo, owner: { login: job.owner } },
+  };
+
+  return new Context({ event: 'release', payload }, github);
+}
+
+/**
+ * Creates an error handler for failed updates of a release check
+ *
+ * Reporting the release status must never interrupt the release itself. The
+ * returned handler logs the error with the affected tag and counts it in the
+ * "release_reports_failed_total" metric, so that failures remain visible.
+ *
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {string} action The failed update, e.g. "create" or "complete"
+ * @returns {Function} A handler that takes the error and resolves undefined
+ */
+function reportFailed(tag, action) {
+  return e => {
+    reportsFailed.inc({ action });
+    logger.error(
+      `Failed to ${action} the release check of ${tag.ref} (${tag.sha}): ${
+        e.message
+      }`
+    );
+  };
 }
 
 /**
@@ -260,163 +506,1800 @@ function filterLatestStatuses(statuses, config) {
  * and download them to a local temp directory. This directory is removed after
  * the release has completed.
  *
+ * Targets run in parallel unless they declare other targets they "need".
+ * Failing targets are retried according to their "retry" policy. They do not
+ * interrupt the release, but all targets depending on them are skipped. The
+ * outcome of each target is reported in the resolved list of results.
+ *
+ * To resume a partially failed release, pass the results of the previous run.
+ * Targets that succeeded before are not released again.
+ *
  * @param {Context} context Github context
  * @param {object} tag A tag object containing "ref" and "sha"
  * @param {object} config Release configuration for the repository
- * @returns A promise that resolves when the release has completed
+ * @param {object[]} previousResults Optional results of a previous release
+ * @returns {Promise<object[]>} Results containing "target", "status" and an
+ *                              optional "error" message, skip "reason" or
+ *                              published "url"
  * @async
  */
-async function performRelease(context, tag, config) {
+async function performRelease(context, tag, config, previousResults = []) {
   const { owner, repo } = context.repo();
-  logger.info(`Starting scheduled release of ${owner}/${repo}:${tag.ref}`);
+  const dryRun = isDryRun(config, tag);
+  logger.info(
+    `Starting scheduled ${dryRun ? 'dry run' : 'release'} of ` +
+      `${owner}/${repo}:${tag.ref}`
+  );
 
-  await withTempDir(async downloadDirectory => {
-    try {
+  const succeeded = _.keyBy(
+    previousResults.filter(result => result.status === STATUS_SUCCESS),
+    result => result.target
+  );
+
+  // Targets receive the version without package prefix in monorepos
+  const releaseTag = { ...tag, version: getTagVersion(config, tag) };
+
+  const endTimer = releaseDuration.startTimer();
+  try {
+    const allResults = await withTempDir(async downloadDirectory => {
       const store = createStore(
         config.store,
         context.repo({ ref: tag.ref, sha: tag.sha }),
         downloadDirectory,
-        logger
+        logger,
+        config.artifacts
       );
 
-      const runs = config.targets.map(target =>
-        runTarget(target, context, tag, store, logger).catch(e =>
-          logger.error(e)
-        )
-      );
+      const results = await executeTargets(config.targets, async target => {
+        const id = getTargetId(target);
+        if (succeeded[id] != null) {
+          logger.info(`Skipping target ${id} as it has been released before`);
+          return succeeded[id];
+        }
 
-      await Promise.all(runs);
-    } catch (e) {
-      logger.error(e);
-    }
-  });
+        const { attempts = 1, delay = 10 } = (target && target.retry) || {};
+        const onRetry = (e, timeout) =>
+          logger.warn(
+            `Target ${id} failed: ${e.message}. Retrying in ${timeout / 1000}s`
+          );
+
+        try {
+          const output = await retry(
+            () => runTarget(target, context, releaseTag, store, logger, dryRun),
+            attempts,
+            delay * 1000,
+            onRetry
+          );
+
+          if (output && output.skipped) {
+            return { status: STATUS_SKIPPED, reason: output.skipped };
+          }
+
+          const result = { status: STATUS_SUCCESS, url: output && output.url };
+          if (output && output.existing) {
+            // The target had published this version before, e.g. in a re-run
+            result.existing = true;
+          }
+
+          if (output && output.plan) {
+            // Dry runs describe what the target would have released
+            result.plan = output.plan;
+          }
+
+          return result;
+        } catch (e) {
+          logger.error(e);
+          return { status: STATUS_FAILURE, error: e.message };
+        }
+      });
+
+      results
+        .filter(result => result.status === STATUS_SKIPPED)
+        .forEach(result =>
+          logger.warn(`Skipped target ${result.target}: ${result.reason}`)
+        );
+
+      return results;
+    });
+
+    const failed = allResults.some(result => result.status === STATUS_FAILURE);
+    endTimer({ status: failed ? 'failure' : 'success' });
+    return allResults;
+  } catch (e) {
+    endTimer({ status: 'failure' });
+    throw e;
+  }
 }
 
 /**
- * Handles a newly created or updated Github tag
+ * Adds a release job to the queue, replacing the previous job of its tag
  *
- * If the tag has no status checks attached or some of them are still pending,
- * it is skipped. If at least one status check failed, an error is reported and
- * the tag is skipped.
+ * The history of the previous job is carried over, so that earlier releases
+ * and rollbacks of the tag remain on record.
  *
- * If a release for the same tag had been scheduled, it is cancelled. This
- * prevents repeated releases due to cascading or rapidly changing status
- * checks reported by third party services (e.g. code coverage or CI).
+ * @param {object} job The new release job
+ * @returns {Promise<object>} The added job
+ * @async
+ */
+async function replaceJob(job) {
+  const previous = await queue.get(job.id);
+  return previous != null && previous.history != null
+    ? queue.add({ ...job, history: previous.history })
+    : queue.add(job);
+}
+
+/**
+ * Appends an entry to the history of a release job
+ *
+ * @param {string} id The release identifier
+ * @param {object} entry The history entry containing "action" and "time"
+ * @returns {Promise<object>} The updated job, if found; otherwise null
+ * @async
+ */
+async function recordHistory(id, entry) {
+  const job = await queue.get(id);
+  if (job == null) {
+    return null;
+  }
+
+  return queue.update(id, { history: [...(job.history || []), entry] });
+}
+
+/**
+ * Performs a queued release and records its outcome in the queue
+ *
+ * The progress and results are also reported in the release check run on the
+ * tag's commit.
  *
  * @param {Context} context Github context
  * @param {object} tag A tag object containing "ref" and "sha"
- * @param {object} config Configurations for this task
- * @returns A promise that resolves when the tag has been processed
+ * @param {object} config Release configuration for the repository
+ * @param {object[]} previousResults Optional results of a previous release
+ * @returns A promise that resolves when the release has completed
  * @async
  */
-async function processTag(context, tag, config) {
-  if (config == null) {
-    throw new Error('Missing release config');
-  }
+async function runRelease(context, tag, config, previousResults) {
+  const id = getReleaseId(context, tag);
+  const dryRun = isDryRun(config, tag);
+  const action = dryRun ? 'dryRun' : 'release';
+  const job = await queue.update(id, {
+    state: JOB_RUNNING,
+    started: Date.now(),
+    dryRun,
+  });
 
-  const { owner, repo } = context.repo();
-  const id = `${owner}/${repo}:${tag.ref}`;
-  logger.info(`Processing tag ${id} (${tag.sha})`);
+  const checkRun = job && job.checkRun;
+  await startReleaseCheck(context, tag, checkRun).catch(
+    reportFailed(tag, 'start')
+  );
 
-  const statuses = await getStatuses(context, tag.ref);
-  const latestStatuses = filterLatestStatuses(statuses, config);
+  try {
+    const results = await performRelease(context, tag, config, previousResults);
 
-  // Prevent a previously scheduled release. In case this status update is
-  // successful again, we will reschedule down below.
-  const scheduled = scheduledReleases[id];
-  if (scheduled != null) {
-    clearTimeout(scheduled);
-    delete scheduledReleases[id];
-  }
+    const failed = results.some(result => result.status === STATUS_FAILURE);
+    await queue.update(id, {
+      state: failed ? JOB_FAILED : JOB_DONE,
+      finished: Date.now(),
+      results,
+    });
+    await recordHistory(id, { action, time: Date.now(), results });
 
-  if (latestStatuses.length === 0) {
-    // We assume that status checks have been configured but haven't started yet
-    // This means, we'll come back here once status checks have been added
-    logger.info(`Skipping release of ${id} as no status checks were found`);
-    return;
+    await completeReleaseCheck(context, tag, checkRun, results, dryRun).catch(
+      reportFailed(tag, 'complete')
+    );
+  } catch (e) {
+    await queue.update(id, {
+      state: JOB_FAILED,
+      finished: Date.now(),
+      error: e.message,
+    });
+    await recordHistory(id, { action, time: Date.now(), error: e.message });
+
+    await abortReleaseCheck(context, tag, checkRun, 'failure', e.message).catch(
+      reportFailed(tag, 'abort')
+    );
+
+    throw e;
   }
+}
 
-  if (latestStatuses.some(status => status.state === STATE_PENDING)) {
-    // Checks are still running, so no reason to proceed
-    logger.info(`Skipping release of ${id} as status checks are pending`);
-    return;
+/**
+ * Selects the targets of a finished release to roll back
+ *
+ * Only targets that succeeded in the last run can be rolled back. If no
+ * identifiers are given, all of them are selected. Dry runs have not
+ * published anything, so they cannot be rolled back.
+ *
+ * @param {object} job A finished release job containing "results"
+ * @param {object} config Release configuration for the tag
+ * @param {string[]} ids Optional identifiers of targets to roll back
+ * @returns {Array<object|string>} The target configurations to roll back
+ */
+function selectRollbackTargets(job, config, ids) {
+  if (job.dryRun) {
+    throw new Error('Dry runs cannot be rolled back');
   }
 
-  if (latestStatuses.some(status => status.state !== STATE_SUCCESS)) {
-    // Some checks have failed, skip this release
-    logger.info(`Skipping release of ${id} as status checks have failed`);
-    return;
+  const released = (job.results || [])
+    .filter(result => result.status === STATUS_SUCCESS)
+    .map(result => result.target);
+
+  const unreleased = (ids || []).filter(id => !released.includes(id));
+  if (unreleased.length > 0) {
+    throw new Error(`Targets have not been released: ${unreleased.join(', ')}`);
   }
 
-  if (config.targets.length === 0) {
-    // Only proceed to download if we are actually releasing
-    logger.info(`Skipping release of ${id} since no targets were configured`);
-    return;
+  const selected = ids || released;
+  const targets = config.targets.filter(target =>
+    selected.includes(getTargetId(target))
+  );
+
+  if (targets.length === 0) {
+    throw new Error('There are no released targets to roll back');
   }
 
-  // All checks have cleared, we're ready to release now
-  logger.info(`Scheduling release of ${id} in ${RELEASE_TIMEOUT} seconds`);
-  scheduledReleases[id] = setTimeout(() => {
-    delete scheduledReleases[id];
-    performRelease(context, tag, config).catch(logger.error);
-  }, RELEASE_TIMEOUT * 1000);
+  return targets;
 }
 
-module.exports = robot => {
-  logger = robot.log;
+/**
+ * Rolls back a finished release on the given targets
+ *
+ * All targets roll back in parallel, regardless of their "needs". Failing
+ * targets do not interrupt the rollback of other targets. The outcome is
+ * recorded in the history of the release job.
+ *
+ * @param {Context} context Github context
+ * @param {object} job A finished release job
+ * @param {object} config Release configuration for the tag
+ * @param {Array<object|string>} targets Target configurations to roll back
+ * @param {object} origin Either the requesting "user" or the API it came "via"
+ * @returns {Promise<object[]>} Results containing "target", "status" and an
+ *                              optional "error" message
+ * @async
+ */
+async function rollbackRelease(context, job, config, targets, origin) {
+  const tag = { ref: job.ref, sha: job.sha };
+  const ids = targets.map(getTargetId);
+  logger.info(`Rolling back release of ${job.id} on ${ids.join(', ')}`);
 
-  // Add created tags to the cache and create a release, if applicable
-  // see https://developer.github.com/v3/activity/events/types/#createevent
-  robot.on('create', async context => {
-    // Ignore everything except tags
-    if (context.payload.ref_type !== REF_TYPE_TAG) {
-      return;
-    }
+  // Targets receive the version without package prefix in monorepos
+  const releaseTag = { ...tag, version: getTagVersion(config, tag) };
 
-    // Ignore repos without config file
-    const config = await getConfig(context);
-    if (config == null) {
-      return;
-    }
+  const results = await withTempDir(downloadDirectory => {
+    const store = createStore(
+      config.store,
+      context.repo({ ref: tag.ref, sha: tag.sha }),
+      downloadDirectory,
+      logger,
+      config.artifacts
+    );
 
-    const { ref } = context.payload;
-    const reference = await getReference(context, `tags/${ref}`);
-    const tag = await addTag(context, ref, reference.sha);
-    await processTag(context, tag, config);
+    return Promise.all(
+      targets.map(async target => {
+        const id = getTargetId(target);
+        try {
+          await rollbackTarget(target, context, releaseTag, store, logger);
+          return { target: id, status: STATUS_SUCCESS };
+        } catch (e) {
+          logger.error(e);
+          return { target: id, status: STATUS_FAILURE, error: e.message };
+        }
+      })
+    );
   });
 
-  // Remove deleted tags from the cache
-  // see https://developer.github.com/v3/activity/events/types/#deleteevent
-  robot.on('delete', async context => {
-    // Ignore everything except tags
-    if (context.payload.ref_type !== REF_TYPE_TAG) {
-      return;
-    }
+  const entry = { action: 'rollback', time: Date.now(), ...origin, results };
+  await recordHistory(job.id, entry);
+  return results;
+}
 
-    // Ignore repos without config file
-    const config = await getConfig(context);
-    if (config == null) {
-      return;
-    }
+/**
+ * Re-runs all targets of a failed release that did not succeed
+ *
+ * The results of the last run are loaded from the queue. Targets that
+ * succeeded in that run are not released again, all others are retried. A
+ * new release check run is created for the retry, which starts immediately
+ * in the background.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @returns {Promise<object>} The retried job, if the release had failed;
+ *                            otherwise null
+ * @async
+ */
+async function retryRelease(context, tag, config) {
+  const id = getReleaseId(context, tag);
+  const job = await queue.get(id);
+  if (job == null || job.sha !== tag.sha || job.state !== JOB_FAILED) {
+    logger.info(`Skipping retry of ${id} as there is no failed release`);
+    return null;
+  }
 
-    await removeTag(context, context.payload.ref);
-  });
+  logger.info(`Retrying failed targets of ${id}`);
+  const checkRun = await createReleaseCheck(context, tag).catch(
+    reportFailed(tag, 'create')
+  );
+  const retried = await queue.update(id, { checkRun, error: undefined });
 
-  // Create a release for succeeded status checks of a tag
-  // see https://developer.github.com/v3/activity/events/types/#statusevent
-  robot.on('status', async context => {
-    // Ignore repos without config file
-    const config = await getConfig(context);
-    if (config == null) {
-      return;
-    }
+  // Targets of a dry run have not published anything that could be reused
+  const previousResults = job.dryRun ? [] : job.results;
+  runRelease(context, tag, config, previousResults).catch(logger.error);
+  return retried;
+}
 
-    const tag = await findTag(context, context.payload.sha);
-    if (tag == null) {
-      // Ignore, we're only interested in status checks of tags
-      return;
-    }
+/**
+ * Starts a timer for a queued release job
+ *
+ * If a timer for the same release is already running, it is replaced. Jobs
+ * that are already due are started immediately.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @param {object} job The queued release job containing its "due" time
+ */
+function scheduleRelease(context, tag, config, job) {
+  const { id } = job;
+  clearTimeout(scheduledReleases[id]);
 
-    await processTag(context, tag, config);
+  if (job.due - Date.now() > MAX_TIMEOUT) {
+    // Releases deferred by freezes can exceed the maximum timer delay
+    scheduledReleases[id] = setTimeout(() => {
+      scheduleRelease(context, tag, config, job);
+    }, MAX_TIMEOUT);
+    return;
+  }
+
+  scheduledReleases[id] = setTimeout(() => {
+    delete scheduledReleases[id];
+    runRelease(context, tag, config).catch(logger.error);
+  }, Math.max(job.due - Date.now(), 0));
+}
+
+/**
+ * Cancels a scheduled release, if any
+ *
+ * The release check run of the cancelled job is left untouched, so that it
+ * can be reused if the release is rescheduled. Use {@link skipRelease} to
+ * complete it otherwise.
+ *
+ * @param {string} id The release identifier
+ * @returns {Promise<object>} The cancelled job, if any; otherwise null
+ * @async
+ */
+async function cancelRelease(id) {
+  const scheduled = scheduledReleases[id];
+  if (scheduled == null) {
+    return null;
+  }
+
+  clearTimeout(scheduled);
+  delete scheduledReleases[id];
+  return queue.update(id, { state: JOB_CANCELLED, finished: Date.now() });
+}
+
+/**
+ * Returns the release check run for a (re-)scheduled release
+ *
+ * If the release had been scheduled for the same commit before, its check run
+ * is reused. Otherwise, a new check run is created.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} cancelled An optional cancelled release job
+ * @returns {Promise<number>} The identifier of the check run, if any
+ * @async
+ */
+async function prepareReleaseCheck(context, tag, cancelled) {
+  if (cancelled != null && cancelled.sha === tag.sha) {
+    return cancelled.checkRun;
+  }
+
+  return createReleaseCheck(context, tag).catch(reportFailed(tag, 'create'));
+}
+
+/**
+ * Defers a release to the next time allowed by freezes and publish windows
+ *
+ * If the release is deferred, a comment on the tag's commit announces when it
+ * will be published. Since tags are processed again on every status update,
+ * the comment is only posted if the release time has changed.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the tag
+ * @param {number} due The earliest time to start the release
+ * @param {object} previous An optional previous job of this release
+ * @returns {Promise<number>} The time to start the release or null if releases
+ *                            are blocked for more than a year
+ * @async
+ */
+async function deferRelease(context, tag, config, due, previous) {
+  const reason = getBlockReason(config, due);
+  if (reason == null) {
+    return due;
+  }
+
+  const slot = getNextSlot(config, due);
+  if (slot == null || (previous != null && previous.due === slot)) {
+    return slot;
+  }
+
+  const id = getReleaseId(context, tag);
+  const time = new Date(slot).toISOString();
+  logger.info(`Deferring release of ${id} to ${time} ${reason}`);
+
+  const body = formatDeferral(tag, slot, reason);
+  await context.github.repos
+    .createCommitComment(context.repo({ sha: tag.sha, body }))
+    .catch(logger.error);
+
+  return slot;
+}
+
+/**
+ * Logs that a release is skipped and completes the release check run of a
+ * cancelled job, if any
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} job An optional cancelled release job
+ * @param {string} reason A description why the release is skipped
+ * @returns A promise that resolves when the check run has been updated
+ * @async
+ */
+async function skipRelease(context, tag, job, reason) {
+  const id = getReleaseId(context, tag);
+  logger.info(`Skipping release of ${id} ${reason}`);
+
+  if (job != null) {
+    const summary = `Skipped release ${reason}.`;
+    await abortReleaseCheck(
+      context,
+      tag,
+      job.checkRun,
+      'cancelled',
+      summary
+    ).catch(reportFailed(tag, 'abort'));
+  }
+}
+
+/**
+ * Starts a timer that re-processes a tag waiting for missing status checks
+ *
+ * If a timer for the same tag is already running, it is replaced.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @param {object} job The waiting release job containing its "due" time
+ */
+function scheduleChecksTimeout(context, tag, config, job) {
+  const { id } = job;
+  clearTimeout(waitingReleases[id]);
+
+  waitingReleases[id] = setTimeout(() => {
+    delete waitingReleases[id];
+    // eslint-disable-next-line no-use-before-define
+    processTag(context, tag, config).catch(logger.error);
+  }, Math.max(job.due - Date.now(), 0));
+}
+
+/**
+ * Waits for missing status checks of a tag, if configured
+ *
+ * If the configuration specifies a "checksTimeout", the tag is recorded as
+ * waiting in the queue. Once the timeout has elapsed without the missing
+ * checks being reported, the release is abandoned and marked as failed.
+ * Without timeout, the release is simply blocked until the checks arrive.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @param {string} reason A description of the missing checks
+ * @returns A promise that resolves when the tag has been recorded
+ * @async
+ */
+async function waitForChecks(context, tag, config, reason) {
+  if (!config.checksTimeout) {
+    return;
+  }
+
+  const id = getReleaseId(context, tag);
+  let job = await queue.get(id);
+
+  if (job == null || job.state !== JOB_WAITING || job.sha !== tag.sha) {
+    job = await replaceJob({
+      ...createJob(context, tag),
+      state: JOB_WAITING,
+      due: Date.now() + config.checksTimeout * 1000,
+    });
+  } else if (job.due <= Date.now()) {
+    logger.error(`Giving up release of ${id}: ${reason}`);
+    await queue.update(id, {
+      state: JOB_FAILED,
+      finished: Date.now(),
+      error: `Timed out waiting for checks: ${reason}`,
+    });
+    return;
+  }
+
+  scheduleChecksTimeout(context, tag, config, job);
+}
+
+/**
+ * Stops waiting for missing status checks of a tag
+ *
+ * @param {string} id The release identifier
+ * @returns {Promise<bool>} True if the tag was waiting; otherwise false
+ * @async
+ */
+async function stopWaiting(id) {
+  const waiting = waitingReleases[id];
+  if (waiting == null) {
+    return false;
+  }
+
+  clearTimeout(waiting);
+  delete waitingReleases[id];
+  await queue.remove(id);
+  return true;
+}
+
+/**
+ * Closes the approval issue of a release job with a final comment
+ *
+ * @param {Context} context Github context
+ * @param {object} job The release job containing the "issue" number
+ * @param {string} body The markdown body of the final comment
+ * @returns A promise that resolves when the issue has been closed
+ * @async
+ */
+async function closeApprovalIssue(context, job, body) {
+  if (job.issue == null) {
+    return;
+  }
+
+  const params = context.repo({ number: job.issue });
+  await context.github.issues.createComment({ ...params, body });
+  await context.github.issues.edit({ ...params, state: 'closed' });
+}
+
+/**
+ * Stops the expiry timer of a release waiting for approval
+ *
+ * @param {string} id The release identifier
+ * @returns {Promise<object>} The job waiting for approval, if any; otherwise
+ *                            null
+ * @async
+ */
+async function stopApproval(id) {
+  const pending = pendingApprovals[id];
+  if (pending == null) {
+    return null;
+  }
+
+  clearTimeout(pending);
+  delete pendingApprovals[id];
+  return queue.get(id);
+}
+
+/**
+ * Cancels a release waiting for approval
+ *
+ * The approval issue is closed and the release check run is completed as
+ * "cancelled". Call {@link stopApproval} first to obtain the job.
+ *
+ * @param {Context} context Github context
+ * @param {object} job The release job waiting for approval
+ * @param {string} reason A description why the release is cancelled
+ * @returns A promise that resolves when the release has been cancelled
+ * @async
+ */
+async function abandonApproval(context, job, reason) {
+  logger.info(`Cancelling release of ${job.id} ${reason}`);
+  await queue.update(job.id, {
+    state: JOB_CANCELLED,
+    finished: Date.now(),
+    expires: null,
+  });
+
+  const tag = { ref: job.ref, sha: job.sha };
+  const summary = `Cancelled release ${reason}.`;
+  await closeApprovalIssue(context, job, summary).catch(logger.error);
+  await abortReleaseCheck(
+    context,
+    tag,
+    job.checkRun,
+    'cancelled',
+    summary
+  ).catch(reportFailed(tag, 'abort'));
+}
+
+/**
+ * Starts a timer that cancels a release if it is not approved in time
+ *
+ * If a timer for the same release is already running, it is replaced.
+ *
+ * @param {Context} context Github context
+ * @param {object} job The release job containing its "expires" time
+ */
+function scheduleApprovalExpiry(context, job) {
+  const { id } = job;
+  clearTimeout(pendingApprovals[id]);
+
+  pendingApprovals[id] = setTimeout(() => {
+    delete pendingApprovals[id];
+    const reason = 'as it has not been approved in time';
+    abandonApproval(context, job, reason).catch(logger.error);
+  }, Math.max(job.expires - Date.now(), 0));
+}
+
+/**
+ * Opens an issue asking maintainers to approve a release
+ *
+ * The issue lists the tag, all targets and all artifacts of the release. The
+ * release is recorded in the queue and cancelled if it is not approved
+ * before the configured "expiry".
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the tag
+ * @param {number} checkRun The identifier of the release check run, if any
+ * @returns A promise that resolves when the issue has been opened
+ * @async
+ */
+async function requestApproval(context, tag, config, checkRun) {
+  const id = getReleaseId(context, tag);
+  const expires = getExpiry(config.approval);
+  const files = await withTempDir(downloadDirectory =>
+    createStore(
+      config.store,
+      context.repo({ ref: tag.ref, sha: tag.sha }),
+      downloadDirectory,
+      logger,
+      config.artifacts
+    ).listFiles()
+  );
+
+  logger.info(`Requesting approval for release of ${id}`);
+  const response = await context.github.issues.create(
+    context.repo({
+      title: formatApprovalTitle(tag),
+      body: formatApprovalRequest(tag, config, files, expires),
+      labels: [APPROVAL_LABEL],
+    })
+  );
+
+  const job = await replaceJob({
+    ...createJob(context, tag),
+    state: JOB_UNAPPROVED,
+    expires,
+    checkRun,
+    issue: response.data.number,
+  });
+
+  scheduleApprovalExpiry(context, job);
+}
+
+/**
+ * Approves a release waiting for approval and starts it immediately
+ *
+ * If releases are currently blocked by a freeze or publish window, the release
+ * is deferred to the next allowed time instead.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the tag
+ * @param {string} username The login of the approving user
+ * @returns {Promise<object>} The scheduled release job, if the release was
+ *                            waiting for approval; otherwise null
+ * @async
+ */
+async function approveRelease(context, tag, config, username) {
+  const id = getReleaseId(context, tag);
+  const job = await stopApproval(id);
+  if (job == null) {
+    return null;
+  }
+
+  logger.info(`Release of ${id} has been approved by ${username}`);
+  const now = Date.now();
+  const due = await deferRelease(context, tag, config, now, job);
+  if (due == null) {
+    const reason = 'as releases are blocked for more than a year';
+    await abandonApproval(context, job, reason);
+    return queue.get(id);
+  }
+
+  const start = due > now ? `at ${new Date(due).toISOString()}` : 'now';
+  const body = `Approved by @${username}. The release starts ${start}.`;
+  await closeApprovalIssue(context, job, body).catch(logger.error);
+
+  releasesScheduled.inc();
+  const scheduled = await queue.update(id, {
+    state: JOB_SCHEDULED,
+    due,
+    expires: null,
+    approvedBy: username,
+  });
+
+  scheduleRelease(context, tag, config, scheduled);
+  return scheduled;
+}
+
+/**
+ * Cancels a scheduled, waiting or unapproved release of a tag
+ *
+ * This is used when a tag is deleted or moved to a different commit, or when
+ * a user cancels the release. The release check run of a scheduled job is
+ * completed as "cancelled".
+ *
+ * @param {Context} context Github context
+ * @param {String} ref The name of the tag (without "tags/")
+ * @param {string} reason A description why the release is cancelled
+ * @returns {Promise<bool>} True if a release was cancelled; otherwise false
+ * @async
+ */
+async function cancelTag(context, ref, reason) {
+  const id = getReleaseId(context, { ref });
+  const unapproved = await stopApproval(id);
+  if (unapproved != null) {
+    await abandonApproval(context, unapproved, reason);
+    return true;
+  }
+
+  const cancelled = await cancelRelease(id);
+  const waiting = await stopWaiting(id);
+  if (cancelled == null && !waiting) {
+    return false;
+  }
+
+  logger.info(`Cancelling release of ${id} ${reason}`);
+  if (cancelled != null) {
+    const tag = { ref, sha: cancelled.sha };
+    const summary = `Cancelled release ${reason}.`;
+    await abortReleaseCheck(
+      context,
+      tag,
+      cancelled.checkRun,
+      'cancelled',
+      summary
+    ).catch(reportFailed(tag, 'abort'));
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether a tag has been released from a different commit before
+ *
+ * Dry runs do not count as releases, so their tags may be moved freely.
+ *
+ * @param {object} job The previous release job of the tag, if any
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {bool} True if the tag was moved after its release
+ */
+function isMovedAfterRelease(job, tag) {
+  return (
+    job != null && job.started != null && !job.dryRun && job.sha !== tag.sha
+  );
+}
+
+/**
+ * Returns an explanation why a moved tag is not released again
+ *
+ * @param {object} job The previous release job of the tag
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {string} The markdown explanation
+ */
+function formatMovedTag(job, tag) {
+  return (
+    `Tag \`${tag.ref}\` was released from ${job.sha} already and has ` +
+    `since been moved to ${tag.sha}. Releasing it again could publish ` +
+    `different artifacts under the same version, so the release was ` +
+    `refused. Please create a new tag instead.`
+  );
+}
+
+/**
+ * Refuses to release a tag that has been moved after its release
+ *
+ * The refusal is reported once per commit as failed release check run.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} job The previous release job of the tag
+ * @returns A promise that resolves when the refusal has been reported
+ * @async
+ */
+async function refuseRelease(context, tag, job) {
+  logger.warn(
+    `Refusing release of ${job.id} (${tag.sha}), which was released from ` +
+      `${job.sha} already`
+  );
+
+  if (job.refusedSha === tag.sha) {
+    // The refusal has been reported for this commit already
+    return;
+  }
+
+  await queue.update(job.id, { refusedSha: tag.sha });
+  try {
+    const checkRun = await createReleaseCheck(context, tag);
+    const reason = formatMovedTag(job, tag);
+    await abortReleaseCheck(context, tag, checkRun, 'failure', reason);
+  } catch (e) {
+    logger.error(e);
+  }
+}
+
+/**
+ * Releases a tag immediately, regardless of its status checks
+ *
+ * A scheduled release or a release waiting for approval of the same tag is
+ * cancelled and started immediately instead. This resolves once the release
+ * has completed, even if it failed.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @returns {Promise<object>} The completed release job
+ * @async
+ */
+async function forceRelease(context, tag, config) {
+  const id = getReleaseId(context, tag);
+  const unapproved = await stopApproval(id);
+  const cancelled = unapproved || (await cancelRelease(id));
+  await stopWaiting(id);
+
+  if (unapproved != null) {
+    const body = 'The release has been started manually.';
+    await closeApprovalIssue(context, unapproved, body).catch(logger.error);
+  }
+
+  logger.info(`Forcing release of ${id}`);
+  const checkRun = await prepareReleaseCheck(context, tag, cancelled);
+  await replaceJob({
+    ...createJob(context, tag),
+    state: JOB_SCHEDULED,
+    due: Date.now(),
+    checkRun,
+  });
+
+  try {
+    await runRelease(context, tag, config);
+  } catch (e) {
+    logger.error(e);
+  }
+
+  return queue.get(id);
+}
+
+/**
+ * Removes releases from the queue that finished before the retention period
+ *
+ * Finished releases are kept to show their status and history, to retry or
+ * roll them back and to refuse releasing moved tags again. After
+ * RELEASE_QUEUE_RETENTION days, they are removed so that the queue does not
+ * grow indefinitely.
+ *
+ * @returns {Promise<number>} The number of removed releases
+ * @async
+ */
+async function pruneReleases() {
+  const cutoff = Date.now() - RELEASE_QUEUE_RETENTION * 24 * 60 * 60 * 1000;
+  const jobs = await queue.list(
+    job => FINISHED_STATES.includes(job.state) && (job.finished || 0) < cutoff
+  );
+
+  await forEachChained(jobs, job => queue.remove(job.id));
+  if (jobs.length > 0) {
+    logger.info(`Removed ${jobs.length} finished releases from the queue`);
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Restarts timers for all releases that were scheduled before a restart
+ *
+ * Releases that were interrupted while running are not resumed, since some of
+ * their targets might have completed already. They are marked as failed.
+ * Tags waiting for missing status checks continue to wait. Before, finished
+ * releases past the retention period are removed from the queue.
+ *
+ * @param {Robot} robot The probot instance
+ * @returns A promise that resolves when all releases have been rescheduled
+ * @async
+ */
+async function resumeReleases(robot) {
+  await pruneReleases();
+
+  const jobs = await queue.list(job => ACTIVE_STATES.includes(job.state));
+
+  const resumes = jobs.map(async job => {
+    try {
+      const context = await restoreContext(robot, job);
+      const tag = { ref: job.ref, sha: job.sha };
+
+      if (job.state === JOB_RUNNING) {
+        const error = 'Interrupted by a restart';
+        logger.warn(`Release of ${job.id} was interrupted by a restart`);
+        await queue.update(job.id, {
+          state: JOB_FAILED,
+          finished: Date.now(),
+          error,
+        });
+        await abortReleaseCheck(context, tag, job.checkRun, 'failure', error);
+        return;
+      }
+
+      // The config file or the package of this tag might have been removed
+      const config = getPackageConfig(await getConfig(context), tag);
+      if (config == null) {
+        const reason = 'The release configuration has been removed.';
+        logger.info(`Cancelling release of ${job.id} without config`);
+        await queue.update(job.id, {
+          state: JOB_CANCELLED,
+          finished: Date.now(),
+        });
+        await closeApprovalIssue(context, job, reason);
+        await abortReleaseCheck(
+          context,
+          tag,
+          job.checkRun,
+          'cancelled',
+          reason
+        );
+        return;
+      }
+
+      if (job.state === JOB_WAITING) {
+        logger.info(`Resuming to wait for checks of ${job.id}`);
+        scheduleChecksTimeout(context, tag, config, job);
+      } else if (job.state === JOB_UNAPPROVED) {
+        logger.info(`Resuming to wait for approval of ${job.id}`);
+        scheduleApprovalExpiry(context, job);
+      } else {
+        logger.info(`Resuming scheduled release of ${job.id}`);
+        scheduleRelease(context, tag, config, job);
+      }
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  await Promise.all(resumes);
+}
+
+/**
+ * Handles a newly created or updated Github tag
+ *
+ * Tags that do not match the configured "tagPattern" or "prereleases" policy
+ * are ignored. In monorepos, only the package matching the tag is released.
+ *
+ * If the tag has no status checks attached or some of them are still pending,
+ * it is skipped. The same applies if any of the configured "requiredChecks"
+ * is missing or less than "minimumChecks" checks have been reported. If at
+ * least one status check failed, an error is reported and the tag is skipped.
+ *
+ * If a release for the same tag had been scheduled, it is cancelled. This
+ * prevents repeated releases due to cascading or rapidly changing status
+ * checks reported by third party services (e.g. code coverage or CI). The
+ * release is scheduled after the configured "delay" in seconds.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} repoConfig Configurations for this task
+ * @returns A promise that resolves when the tag has been processed
+ * @async
+ */
+async function processTag(context, tag, repoConfig) {
+  if (repoConfig == null) {
+    throw new Error('Missing release config');
+  }
+
+  const id = getReleaseId(context, tag);
+  logger.info(`Processing tag ${id} (${tag.sha})`);
+
+  const config = getPackageConfig(repoConfig, tag);
+  if (config == null) {
+    logger.info(`Skipping release of ${id} as it matches no package`);
+    return;
+  }
+
+  const skipReason = filterTag(tag, config);
+  if (skipReason != null) {
+    // The configuration might have changed since the release was scheduled
+    await cancelTag(context, tag.ref, skipReason);
+    logger.info(`Skipping release of ${id} ${skipReason}`);
+    return;
+  }
+
+  const previous = await queue.get(id);
+  if (
+    previous &&
+    previous.sha === tag.sha &&
+    previous.started != null &&
+    (!previous.dryRun || isDryRun(config, tag))
+  ) {
+    // Never release the same commit twice, e.g. when late status checks come
+    // in. Once "dryRun" is disabled, a dry run is followed by the release.
+    logger.info(`Skipping release of ${id} as it has been released already`);
+    return;
+  }
+
+  if (
+    previous &&
+    previous.sha === tag.sha &&
+    previous.state === JOB_UNAPPROVED
+  ) {
+    // The approval issue has been opened already
+    logger.info(`Skipping release of ${id} as it is waiting for approval`);
+    return;
+  }
+
+  if (isMovedAfterRelease(previous, tag)) {
+    // Never release a version twice with potentially different contents
+    await refuseRelease(context, tag, previous);
+    return;
+  }
+
+  if (previous && previous.sha !== tag.sha) {
+    // The tag has been moved before its release went out, so drop the release
+    // of the old commit entirely instead of rescheduling it below
+    await cancelTag(context, tag.ref, 'as the tag has been moved');
+  }
+
+  const latestStatuses = await getLatestChecks(context, tag.ref, config);
+
+  // Prevent a previously scheduled release. In case this status update is
+  // successful again, we will reschedule down below.
+  const cancelled = await cancelRelease(id);
+
+  const missingChecks = findMissingChecks(latestStatuses, config);
+  if (missingChecks.length > 0) {
+    // Required checks might not have been registered yet, so we'll come back
+    // here once they have been added
+    const reason = `missing required checks ${missingChecks.join(', ')}`;
+    releasesSkipped.inc({ reason: 'no_checks' });
+    await skipRelease(context, tag, cancelled, `due to ${reason}`);
+    await waitForChecks(context, tag, config, reason);
+    return;
+  }
+
+  const { minimumChecks = 1 } = config;
+  if (latestStatuses.length < minimumChecks) {
+    // We assume that status checks have been configured but haven't started yet
+    // This means, we'll come back here once status checks have been added
+    const reason = `${latestStatuses.length} of ${minimumChecks} checks found`;
+    releasesSkipped.inc({ reason: 'no_checks' });
+    await skipRelease(context, tag, cancelled, `as only ${reason}`);
+    await waitForChecks(context, tag, config, reason);
+    return;
+  }
+
+  // All expected checks have been reported
+  await stopWaiting(id);
+
+  if (latestStatuses.some(status => status.state === STATE_PENDING)) {
+    // Checks are still running, so no reason to proceed
+    releasesSkipped.inc({ reason: 'pending' });
+    await skipRelease(context, tag, cancelled, 'as status checks are pending');
+    return;
+  }
+
+  if (latestStatuses.some(status => status.state !== STATE_SUCCESS)) {
+    // Some checks have failed, skip this release
+    releasesSkipped.inc({ reason: 'failed' });
+    await skipRelease(context, tag, cancelled, 'as status checks have failed');
+    return;
+  }
+
+  if (config.targets.length === 0) {
+    // Only proceed to download if we are actually releasing
+    const reason = 'since no targets were configured';
+    releasesSkipped.inc({ reason: 'no_targets' });
+    await skipRelease(context, tag, cancelled, reason);
+    return;
+  }
+
+  const checkRun = await prepareReleaseCheck(context, tag, cancelled);
+
+  if (config.approval) {
+    // A maintainer has to approve the release before it is scheduled
+    await requestApproval(context, tag, config, checkRun);
+    return;
+  }
+
+  // All checks have cleared, we're ready to release now
+  const { delay = RELEASE_TIMEOUT } = config;
+  const earliest = Date.now() + delay * 1000;
+  const due = await deferRelease(context, tag, config, earliest, cancelled);
+  if (due == null) {
+    const reason = 'as releases are blocked for more than a year';
+    releasesSkipped.inc({ reason: 'blocked' });
+    await skipRelease(context, tag, { checkRun }, reason);
+    return;
+  }
+
+  logger.info(`Scheduling release of ${id} at ${new Date(due).toISOString()}`);
+  releasesScheduled.inc();
+  const job = await replaceJob({
+    ...createJob(context, tag),
+    state: JOB_SCHEDULED,
+    due,
+    checkRun,
+  });
+
+  scheduleRelease(context, tag, config, job);
+}
+
+/**
+ * Handles updated status checks or check runs of a commit
+ *
+ * If the commit is referenced by a tag, the tag is processed and a release is
+ * scheduled if all checks have passed. Commits without tags are ignored.
+ *
+ * @param {Context} context Github context
+ * @param {String} sha A full commit SHA
+ * @returns A promise that resolves when the commit has been processed
+ * @async
+ */
+async function processCommit(context, sha) {
+  // Ignore repos without config file
+  const config = await getConfig(context);
+  if (config == null) {
+    return;
+  }
+
+  const tag = await findTag(context, sha);
+  if (tag == null) {
+    // Ignore, we're only interested in status checks of tags
+    return;
+  }
+
+  await processTag(context, tag, config);
+}
+
+/**
+ * Resolves a tag by its name
+ *
+ * @param {Context} context Github context
+ * @param {String} ref The name of the tag (without "tags/")
+ * @returns {Promise<object>} The tag object containing "ref" and "sha", if
+ *                            found; otherwise null
+ * @async
+ */
+async function resolveTag(context, ref) {
+  try {
+    const reference = await getReference(context, `tags/${ref}`);
+    return { ref, sha: reference.sha };
+  } catch (err) {
+    if (err.code === 404) {
+      return null;
+    }
+
+    throw err;
+  }
+}
+
+/**
+ * Checks whether a user is allowed to control releases in the repository
+ *
+ * @param {Context} context Github context
+ * @param {String} username The login of the user
+ * @returns {Promise<bool>} True if the user has write or admin permission
+ * @async
+ */
+async function canControlReleases(context, username) {
+  const params = context.repo({ username });
+  const response = await context.github.repos.reviewUserPermissionLevel(params);
+  return COMMAND_PERMISSIONS.includes(response.data.permission);
+}
+
+/**
+ * Approves or rejects a release waiting for approval
+ *
+ * Only users listed in the approval config's "teams" may review releases.
+ *
+ * @param {Context} context Github context
+ * @param {object} command A parsed "approve" or "reject" command
+ * @param {object} config Release configuration for the repository
+ * @param {String} username The login of the user issuing the command
+ * @returns {Promise<string>} The markdown reply
+ * @async
+ */
+async function reviewRelease(context, command, config, username) {
+  const id = getReleaseId(context, { ref: command.tag });
+  const job = await queue.get(id);
+  if (job == null || job.state !== JOB_UNAPPROVED) {
+    return `There is no release of \`${command.tag}\` waiting for approval.`;
+  }
+
+  const tag = { ref: job.ref, sha: job.sha };
+  const packageConfig = getPackageConfig(config, tag) || config;
+  if (!await isApprover(context, packageConfig.approval || {}, username)) {
+    return `@${username}, you are not allowed to approve this release.`;
+  }
+
+  if (command.action === 'reject') {
+    const unapproved = await stopApproval(id);
+    await abandonApproval(
+      context,
+      unapproved || job,
+      `as @${username} rejected it`
+    );
+    return `Rejected the release of \`${command.tag}\`.`;
+  }
+
+  const scheduled = await approveRelease(context, tag, packageConfig, username);
+  return formatStatus(command.tag, scheduled);
+}
+
+/**
+ * Executes a release command and returns a reply describing the outcome
+ *
+ * @param {Context} context Github context
+ * @param {object} command A parsed release command
+ * @param {object} config Release configuration for the repository
+ * @param {String} username The login of the user issuing the command
+ * @returns {Promise<string>} The markdown reply
+ * @async
+ */
+async function executeCommand(context, command, config, username) {
+  if (command.error) {
+    return `${command.error}.\n\n${USAGE}`;
+  }
+
+  const id = getReleaseId(context, { ref: command.tag });
+
+  if (command.action === 'status') {
+    return formatStatus(command.tag, await queue.get(id));
+  }
+
+  if (command.action === 'cancel') {
+    const reason = `as @${username} cancelled it`;
+    if (!await cancelTag(context, command.tag, reason)) {
+      return `There is no scheduled release of \`${command.tag}\`.`;
+    }
+
+    return `Cancelled the scheduled release of \`${command.tag}\`.`;
+  }
+
+  if (command.action === 'approve' || command.action === 'reject') {
+    return reviewRelease(context, command, config, username);
+  }
+
+  if (command.action === 'retry') {
+    const tag = await resolveTag(context, command.tag);
+    const packageConfig = tag && getPackageConfig(config, tag);
+    if (
+      packageConfig == null ||
+      !await retryRelease(context, tag, packageConfig)
+    ) {
+      return `There is no failed release of \`${command.tag}\`.`;
+    }
+
+    return `Retrying the failed targets of \`${command.tag}\`.`;
+  }
+
+  if (command.action === 'rollback') {
+    const job = await queue.get(id);
+    if (job == null || ![JOB_DONE, JOB_FAILED].includes(job.state)) {
+      return `There is no finished release of \`${command.tag}\`.`;
+    }
+
+    const tag = { ref: job.ref, sha: job.sha };
+    const packageConfig = getPackageConfig(config, tag) || config;
+    const targets = selectRollbackTargets(job, packageConfig, command.targets);
+    const origin = { user: username };
+    const results = await rollbackRelease(
+      context,
+      job,
+      packageConfig,
+      targets,
+      origin
+    );
+
+    const summary = formatSummary(results);
+    return `Rolled back the release of \`${command.tag}\`.\n\n${summary}`;
+  }
+
+  const tag = await resolveTag(context, command.tag);
+  if (tag == null) {
+    return `Tag \`${command.tag}\` does not exist.`;
+  }
+
+  const previous = await queue.get(id);
+  if (isMovedAfterRelease(previous, tag)) {
+    return formatMovedTag(previous, tag);
+  }
+
+  const packageConfig = getPackageConfig(config, tag);
+  if (packageConfig == null) {
+    return `Tag \`${tag.ref}\` does not match any package.`;
+  }
+
+  const { approval } = packageConfig;
+  if (approval && !await isApprover(context, approval, username)) {
+    // Forced releases would otherwise bypass the approval
+    return `@${username}, you are not allowed to approve this release.`;
+  }
+
+  const targets = command.targets
+    ? selectTargets(packageConfig.targets, command.targets)
+    : packageConfig.targets;
+
+  const job = await forceRelease(context, tag, { ...packageConfig, targets });
+  return formatStatus(tag.ref, job);
+}
+
+/**
+ * Retries a failed release of the tag pointing to the given commit
+ *
+ * @param {Context} context Github context
+ * @param {String} sha A full commit SHA
+ * @returns A promise that resolves when the retry has started
+ * @async
+ */
+async function processRetry(context, sha) {
+  const config = await getConfig(context);
+  if (config == null) {
+    return;
+  }
+
+  const tag = await findTag(context, sha);
+  const packageConfig = tag && getPackageConfig(config, tag);
+  if (packageConfig != null) {
+    await retryRelease(context, tag, packageConfig);
+  }
+}
+
+/**
+ * Validates the configuration file if it has been changed by a push
+ *
+ * The result is reported as check run on the pushed commit, with an annotation
+ * for each error in the file. Pushes that do not modify the configuration file
+ * are ignored.
+ *
+ * @param {Context} context Github context
+ * @returns A promise that resolves when the result has been reported
+ * @async
+ */
+async function processConfigPush(context) {
+  const { after, commits = [] } = context.payload;
+  const changedFiles = _.flatMap(commits, commit => [
+    ...(commit.added || []),
+    ...(commit.modified || []),
+  ]);
+
+  if (!changedFiles.includes(CONFIG_PATH)) {
+    return;
+  }
+
+  let content;
+  try {
+    const params = context.repo({ path: CONFIG_PATH, ref: after });
+    const response = await context.github.repos.getContent(params);
+    content = Buffer.from(response.data.content, 'base64').toString();
+  } catch (err) {
+    if (err.code === 404) {
+      // The file was removed again by a later commit in this push
+      return;
+    }
+
+    throw err;
+  }
+
+  const { owner, repo } = context.repo();
+  const errors = validateConfigFile(content);
+  if (errors.length > 0) {
+    logger.warn(`Found invalid ${CONFIG_PATH} in ${owner}/${repo} (${after})`);
+  }
+
+  await reportConfigCheck(context, after, CONFIG_PATH, errors);
+}
+
+/**
+ * Rolls back a finished release requested through the admin API
+ *
+ * @param {Robot} robot The probot instance
+ * @param {object} params URL parameters containing "owner", "repo" and "tag"
+ * @param {string[]} ids Optional identifiers of targets to roll back
+ * @returns {Promise<object>} The response containing all "results"
+ * @async
+ */
+async function rollbackFromApi(robot, params, ids) {
+  const { owner, repo, tag: ref } = params;
+  const job = await queue.get(`${owner}/${repo}:${ref}`);
+  if (job == null || ![JOB_DONE, JOB_FAILED].includes(job.state)) {
+    throw createError(404, `There is no finished release of ${ref}`);
+  }
+
+  const context = await restoreContext(robot, job);
+  const config = await getConfig(context);
+  if (config == null) {
+    throw createError(409, `Missing ${CONFIG_PATH} in ${owner}/${repo}`);
+  }
+
+  const tag = { ref: job.ref, sha: job.sha };
+  const packageConfig = getPackageConfig(config, tag) || config;
+
+  let targets;
+  try {
+    targets = selectRollbackTargets(job, packageConfig, ids);
+  } catch (e) {
+    throw createError(400, e.message);
+  }
+
+  const origin = { via: 'admin API' };
+  const results = await rollbackRelease(
+    context,
+    job,
+    packageConfig,
+    targets,
+    origin
+  );
+
+  return { results };
+}
+
+/**
+ * Finds the app's installation on an account
+ *
+ * The client bundled with probot cannot look up the installation of a single
+ * repository, so all installations of the app are searched by account name.
+ *
+ * @param {Robot} robot The probot instance
+ * @param {string} owner The login of the user or organization
+ * @returns {Promise<object>} The installation, if found; otherwise undefined
+ * @async
+ */
+async function findInstallation(robot, owner) {
+  const github = await robot.auth();
+  const installations = await github.paginate(
+    github.apps.getInstallations({ per_page: 100 }),
+    result => result.data
+  );
+
+  const login = owner.toLowerCase();
+  return installations.find(
+    installation => installation.account.login.toLowerCase() === login
+  );
+}
+
+/**
+ * Creates a Github context for a repository outside of a webhook
+ *
+ * The context is authenticated as the app's installation on the repository's
+ * owner. Installations can be limited to some repositories, so access to the
+ * repository is verified as well.
+ *
+ * @param {Robot} robot The probot instance
+ * @param {string} owner The login of the repository owner
+ * @param {string} repo The name of the repository
+ * @returns {Promise<Context>} The Github context
+ * @async
+ */
+async function createRepoContext(robot, owner, repo) {
+  const installation = await findInstallation(robot, owner);
+  if (installation == null) {
+    throw createError(404, `The app is not installed on ${owner}/${repo}`);
+  }
+
+  const context = await restoreContext(robot, {
+    installation: installation.id,
+    owner,
+    repo,
+  });
+
+  try {
+    await context.github.repos.get(context.repo());
+  } catch (err) {
+    if (err.code === 404) {
+      throw createError(404, `The app is not installed on ${owner}/${repo}`);
+    }
+
+    throw err;
+  }
+
+  return context;
+}
+
+/**
+ * Lists release jobs requested through the admin API
+ *
+ * @param {string[]} states Optional job states to list, defaults to all
+ *                          releases that have not finished yet
+ * @returns {Promise<object>} The response containing all "releases"
+ * @async
+ */
+async function listFromApi(states = ACTIVE_STATES) {
+  const releases = await queue.list(job => states.includes(job.state));
+  return { releases };
+}
+
+/**
+ * Loads a release job requested through the admin API
+ *
+ * @param {object} params URL parameters containing "owner", "repo" and "tag"
+ * @returns {Promise<object>} The release job including "results" and "history"
+ * @async
+ */
+async function getFromApi(params) {
+  const { owner, repo, tag: ref } = params;
+  const job = await queue.get(`${owner}/${repo}:${ref}`);
+  if (job == null) {
+    throw createError(404, `There is no release of ${ref}`);
+  }
+
+  return job;
+}
+
+/**
+ * Cancels a release requested through the admin API
+ *
+ * Like "/release cancel", this cancels scheduled, waiting and unapproved
+ * releases, so their timers are stopped and approval issues are closed.
+ * Waiting releases are removed from the queue, in which case the last known
+ * job is returned as cancelled.
+ *
+ * @param {Robot} robot The probot instance
+ * @param {object} params URL parameters containing "owner", "repo" and "tag"
+ * @returns {Promise<object>} The cancelled release job
+ * @async
+ */
+async function cancelFromApi(robot, params) {
+  const { owner, repo, tag: ref } = params;
+  const id = `${owner}/${repo}:${ref}`;
+  const job = await queue.get(id);
+  if (job == null) {
+    throw createError(404, `There is no scheduled release of ${ref}`);
+  }
+
+  const context = await restoreContext(robot, job);
+  const reason = 'as it was cancelled via the admin API';
+  if (!await cancelTag(context, ref, reason)) {
+    throw createError(404, `There is no scheduled release of ${ref}`);
+  }
+
+  const cancelled = await queue.get(id);
+  return cancelled || { ...job, state: JOB_CANCELLED, finished: Date.now() };
+}
+
+/**
+ * Starts a release requested through the admin API
+ *
+ * Just like "/release <tag>", this skips the delay and status checks. Since
+ * operators hold the admin token, the release does not require approval. The
+ * promise resolves as soon as the release has started.
+ *
+ * @param {Robot} robot The probot instance
+ * @param {object} params URL parameters containing "owner", "repo" and "tag"
+ * @param {string[]} ids Optional identifiers of targets to release
+ * @returns {Promise<object>} The response containing the release "id" and
+ *                            the released commit "sha"
+ * @async
+ */
+async function releaseFromApi(robot, params, ids) {
+  const { owner, repo, tag: ref } = params;
+  const context = await createRepoContext(robot, owner, repo);
+  const config = await getConfig(context);
+  if (config == null) {
+    throw createError(409, `Missing ${CONFIG_PATH} in ${owner}/${repo}`);
+  }
+
+  const tag = await resolveTag(context, ref);
+  if (tag == null) {
+    throw createError(404, `Tag ${ref} does not exist`);
+  }
+
+  const id = getReleaseId(context, tag);
+  const previous = await queue.get(id);
+  if (isMovedAfterRelease(previous, tag)) {
+    throw createError(409, formatMovedTag(previous, tag));
+  }
+
+  const packageConfig = getPackageConfig(config, tag);
+  if (packageConfig == null) {
+    throw createError(400, `Tag ${ref} does not match any package`);
+  }
+
+  let { targets } = packageConfig;
+  if (ids != null) {
+    try {
+      targets = selectTargets(targets, ids);
+    } catch (e) {
+      throw createError(400, e.message);
+    }
+  }
+
+  logger.info(`Release of ${id} requested via admin API`);
+  forceRelease(context, tag, { ...packageConfig, targets }).catch(logger.error);
+  return { id, sha: tag.sha };
+}
+
+/**
+ * Drops the cached tags of a repository requested through the admin API
+ *
+ * @param {object} params URL parameters containing "owner" and "repo"
+ * @returns {object} The response indicating whether tags were "flushed"
+ */
+function flushTagsFromApi(params) {
+  const key = `${params.owner}/${params.repo}`;
+  const flushed = tagCache[key] != null;
+  delete tagCache[key];
+
+  logger.info(`Flushed tag cache of ${key}`);
+  return { flushed };
+}
+
+module.exports = robot => {
+  logger = robot.log;
+  queue = createQueue(RELEASE_QUEUE, logger);
+
+  // Pick up releases that were scheduled before the last shutdown
+  resumeReleases(robot).catch(logger.error);
+
+  // Expose endpoints for operators, protected by ADMIN_TOKEN
+  registerAdminApi(
+    robot.route('/admin'),
+    {
+      list: listFromApi,
+      get: getFromApi,
+      cancel: params => cancelFromApi(robot, params),
+      release: (params, ids) => releaseFromApi(robot, params, ids),
+      rollback: (params, ids) => rollbackFromApi(robot, params, ids),
+      flushTags: flushTagsFromApi,
+    },
+    logger
+  );
+
+  // Expose release metrics for Prometheus
+  robot.route('/metrics').get('/', (req, res) => {
+    res.type(register.contentType).send(register.metrics());
+  });
+
+  // Add created tags to the cache and create a release, if applicable
+  // see https://developer.github.com/v3/activity/events/types/#createevent
+  robot.on('create', async context => {
+    // Ignore everything except tags
+    if (context.payload.ref_type !== REF_TYPE_TAG) {
+      return;
+    }
+
+    // Ignore repos without config file
+    const config = await getConfig(context);
+    if (config == null) {
+      return;
+    }
+
+    const { ref } = context.payload;
+    const reference = await getReference(context, `tags/${ref}`);
+    const tag = await addTag(context, ref, reference.sha);
+    await processTag(context, tag, config);
+  });
+
+  // Remove deleted tags from the cache and cancel their pending releases
+  // see https://developer.github.com/v3/activity/events/types/#deleteevent
+  robot.on('delete', async context => {
+    // Ignore everything except tags
+    if (context.payload.ref_type !== REF_TYPE_TAG) {
+      return;
+    }
+
+    // Ignore repos without config file
+    const config = await getConfig(context);
+    if (config == null) {
+      return;
+    }
+
+    const { ref } = context.payload;
+    await cancelTag(context, ref, 'as the tag has been deleted');
+    await removeTag(context, ref);
+  });
+
+  // Validate changes to the config file on branches. Update force-pushed tags
+  // in the cache and reschedule their release.
+  // see https://developer.github.com/v3/activity/events/types/#pushevent
+  robot.on('push', async context => {
+    const { ref: fullRef, created, deleted } = context.payload;
+    if (!fullRef.startsWith(TAG_PREFIX)) {
+      if (!deleted) {
+        await processConfigPush(context);
+      }
+
+      return;
+    }
+
+    // Created and deleted tags are handled by their respective events
+    if (created || deleted) {
+      return;
+    }
+
+    // Ignore repos without config file
+    const config = await getConfig(context);
+    if (config == null) {
+      return;
+    }
+
+    const ref = fullRef.substr(TAG_PREFIX.length);
+    const reference = await getReference(context, `tags/${ref}`);
+    const tag = await addTag(context, ref, reference.sha);
+    await processTag(context, tag, config);
+  });
+
+  // Control releases with commands in issue and pull request comments
+  // see https://developer.github.com/v3/activity/events/types/#issuecommentevent
+  robot.on('issue_comment.created', async context => {
+    const { comment } = context.payload;
+    const command = parseCommand(comment.body);
+    if (command == null || comment.user.type === 'Bot') {
+      return;
+    }
+
+    // Ignore repos without config file
+    const config = await getConfig(context);
+    if (config == null) {
+      return;
+    }
+
+    const { login } = comment.user;
+    let body;
+    if (!await canControlReleases(context, login)) {
+      body = `@${login}, you need write permission to control releases.`;
+    } else {
+      try {
+        body = await executeCommand(context, command, config, login);
+      } catch (e) {
+        logger.error(e);
+        body = `Command failed: ${e.message}`;
+      }
+    }
+
+    await context.github.issues.createComment(context.issue({ body }));
+  });
+
+  // Create a release for succeeded status checks of a tag
+  // see https://developer.github.com/v3/activity/events/types/#statusevent
+  robot.on('status', async context => {
+    if (isOwnStatus(context.payload)) {
+      // Ignore updates to our own release statuses
+      return;
+    }
+
+    await processCommit(context, context.payload.sha);
+  });
+
+  // Create a release for completed check runs of a tag
+  // see https://developer.github.com/v3/activity/events/types/#checkrunevent
+  robot.on('check_run', async context => {
+    const { action, check_run: checkRun } = context.payload;
+    if (isOwnApp(checkRun.app)) {
+      if (action === 'rerequested' && checkRun.name === CHECK_NAME) {
+        // Retry failed targets when "Re-run" is clicked on a release check
+        await processRetry(context, checkRun.head_sha);
+      }
+
+      // Ignore all other updates to our own release check runs
+      return;
+    }
+
+    await processCommit(context, checkRun.head_sha);
+  });
+
+  // Create a release for completed check suites of a tag
+  // see https://developer.github.com/v3/activity/events/types/#checksuiteevent
+  robot.on('check_suite', async context => {
+    const { check_suite: checkSuite } = context.payload;
+    if (isOwnApp(checkSuite.app)) {
+      // Ignore the check suite containing our own release check runs
+      return;
+    }
+
+    await processCommit(context, checkSuite.head_sha);
   });
 };
@@ -0,0 +1,118 @@
+const { Counter, Histogram, register } = require('prom-client');
+
+/**
+ * Default histogram buckets for durations in seconds
+ */
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * Releases scheduled after all checks have passed
+ */
+const releasesScheduled = new Counter({
+  name: 'release_scheduled_total',
+  help: 'Number of releases scheduled after all checks passed',
+});
+
+/**
+ * Releases skipped by processTag, by reason
+ */
+const releasesSkipped = new Counter({
+  name: 'release_skipped_total',
+  help: 'Number of skipped releases by reason',
+  labelNames: ['reason'],
+});
+
+/**
+ * Failed updates of release check runs or commit statuses, by action
+ */
+const reportsFailed = new Counter({
+  name: 'release_reports_failed_total',
+  help: 'Number of failed release check updates by action',
+  labelNames: ['action'],
+});
+
+/**
+ * Durations of entire releases
+ */
+const releaseDuration = new Histogram({
+  name: 'release_duration_seconds',
+  help: 'Duration of releases to all targets by status',
+  labelNames: ['status'],
+  buckets: [...DURATION_BUCKETS, 1200, 1800, 3600],
+});
+
+/**
+ * Outcomes of target runs, by target name
+ */
+const targetRuns = new Counter({
+  name: 'release_target_runs_total',
+  help: 'Number of target runs by target and status, counting each attempt',
+  labelNames: ['target', 'status'],
+});
+
+/**
+ * Durations of target runs, by target name
+ */
+const targetDuration = new Histogram({
+  name: 'release_target_duration_seconds',
+  help: 'Duration of target runs by target and status',
+  labelNames: ['target', 'status'],
+  buckets: DURATION_BUCKETS,
+});
+
+/**
+ * Durations of file downloads from stores
+ */
+const downloadDuration = new Histogram({
+  name: 'release_download_duration_seconds',
+  help: 'Duration of artifact downloads by store and status',
+  labelNames: ['store', 'status'],
+  buckets: DURATION_BUCKETS,
+});
+
+/**
+ * Durations of child processes
+ */
+const processDuration = new Histogram({
+  name: 'release_process_duration_seconds',
+  help: 'Duration of spawned processes by command and status',
+  labelNames: ['command', 'status'],
+  buckets: DURATION_BUCKETS,
+});
+
+/**
+ * Measures an asynchronous action in a histogram
+ *
+ * The elapsed time is observed with the additional label "status", which is
+ * either "success" or "failure".
+ *
+ * @param {Histogram} histogram A prom-client histogram
+ * @param {object} labels Label names mapped to their values
+ * @param {Function} action A function returning a promise
+ * @returns {Promise<any>} The resolved value of the action
+ * @async
+ */
+async function measure(histogram, labels, action) {
+  const end = histogram.startTimer(labels);
+  try {
+    const result = await action();
+    end({ status: 'success' });
+    return result;
+  } catch (e) {
+    end({ status: 'failure' });
+    throw e;
+  }
+}
+
+module.exports = {
+  downloadDuration,
+  measure,
+  processDuration,
+  register,
+  releaseDuration,
+  releasesScheduled,
+  releasesSkipped,
+  reportsFailed,
+  targetDuration,
+  targetRuns,
+};
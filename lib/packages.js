@@ -0,0 +1,92 @@
+const _ = require('lodash');
+const { getTargetName } = require('./executor');
+const { stripDryRunSuffix } = require('./plans');
+const { getVersion } = require('./version');
+
+/**
+ * Finds the package released by a tag in a monorepo
+ *
+ * Packages are identified by their "tagPrefix". If multiple prefixes match
+ * the tag, the longest one wins. This allows prefixes like "sdk-" and
+ * "sdk-node-" to coexist.
+ *
+ * @param {object[]} packages Package configurations from the release config
+ * @param {string} ref The name of the tag (without "tags/")
+ * @returns {object} The matching package configuration, if any; otherwise null
+ */
+function findPackage(packages, ref) {
+  const matches = packages.filter(
+    pkg => pkg.tagPrefix != null && ref.startsWith(pkg.tagPrefix)
+  );
+
+  return _.maxBy(matches, pkg => pkg.tagPrefix.length) || null;
+}
+
+/**
+ * Resolves the release configuration for a tag in a monorepo
+ *
+ * If the configuration declares "packages", the tag only releases the package
+ * with a matching "tagPrefix". The resolved configuration then contains the
+ * package's "targets" (or the top-level targets if omitted) and its artifact
+ * filter as "artifacts". The package's "changelog" is used as default for
+ * the github target. Its "tagPrefix" is retained to extract versions.
+ *
+ * Configurations without packages are returned unchanged, which also makes
+ * this function safe to call on already resolved configurations.
+ *
+ * @param {object} config Release configuration for the repository
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {object} The configuration for the tag or null if the tag does not
+ *                   belong to any package
+ */
+function getPackageConfig(config, tag) {
+  if (config == null || config.packages == null) {
+    return config;
+  }
+
+  const pkg = findPackage(config.packages, tag.ref);
+  if (pkg == null) {
+    return null;
+  }
+
+  const targets = (pkg.targets || config.targets).map(target => {
+    // The github target is the only one reading changelogs
+    if (pkg.changelog == null || getTargetName(target) !== 'github') {
+      return target;
+    }
+
+    const options = typeof target === 'string' ? { name: target } : target;
+    return { changelog: pkg.changelog, ...options };
+  });
+
+  return {
+    ..._.omit(config, 'packages'),
+    package: pkg.name || pkg.tagPrefix,
+    tagPrefix: pkg.tagPrefix,
+    artifacts: pkg.artifacts,
+    targets,
+  };
+}
+
+/**
+ * Extracts the version from a tag, omitting the package's tag prefix
+ *
+ * For example, the tag "@scope/pkg@1.2.3" yields the version "1.2.3" if the
+ * resolved configuration contains the tag prefix "@scope/pkg@". The "-dry"
+ * suffix of dry run tags is omitted as well.
+ *
+ * @param {object} config The configuration returned by getPackageConfig
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {string} The version or null if the tag contains no version
+ */
+function getTagVersion(config, tag) {
+  const { tagPrefix } = config;
+  const ref = stripDryRunSuffix(tag.ref);
+  return getVersion(tagPrefix ? ref.substr(tagPrefix.length) : ref);
+}
+
+module.exports = {
+  findPackage,
+  getPackageConfig,
+  getTagVersion,
+};
@@ -0,0 +1,138 @@
+const dryrun = require('dryrun');
+
+/**
+ * Suffix of tags that are always released in simulation, e.g. "v1.0.0-dry"
+ */
+const DRY_RUN_SUFFIX = '-dry';
+
+/**
+ * @typedef {object} Plan Describes what a target would have released
+ *
+ * @prop {string} action A short description, e.g. "Publish pkg@1.0.0"
+ * @prop {string?} registry The registry or repository to publish to
+ * @prop {string[]?} files Names of the files that would be uploaded
+ * @prop {string?} body The body of the release, e.g. its release notes
+ * @prop {string?} diff A line diff of files that would be changed
+ */
+
+/**
+ * Checks whether a tag requests a dry run via its "-dry" suffix
+ *
+ * @param {string} ref The name of the tag (without "tags/")
+ * @returns {bool} True if the tag ends with the dry run suffix
+ */
+function isDryRunTag(ref) {
+  return ref.endsWith(DRY_RUN_SUFFIX);
+}
+
+/**
+ * Removes the dry run suffix from a tag name
+ *
+ * Dry run tags are filtered and versioned just like the tag they simulate.
+ *
+ * @param {string} ref The name of the tag (without "tags/")
+ * @returns {string} The tag name without "-dry" suffix
+ */
+function stripDryRunSuffix(ref) {
+  return isDryRunTag(ref) ? ref.slice(0, -DRY_RUN_SUFFIX.length) : ref;
+}
+
+/**
+ * Checks whether the release of a tag should only be simulated
+ *
+ * @param {object} config Release configuration for the repository
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {bool} True if "dryRun" is configured or the tag has a "-dry" suffix
+ */
+function isDryRun(config, tag) {
+  return config.dryRun === true || isDryRunTag(tag.ref);
+}
+
+/**
+ * Checks whether a target should perform actions with side effects
+ *
+ * This is false if the DRY_RUN environment variable is set globally or if the
+ * release of this target context is a dry run. Targets should then return a
+ * "plan" describing what they would have done.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {bool} True if the target should publish
+ */
+function shouldPerform(context) {
+  return dryrun.shouldPerform() && !context.dryRun;
+}
+
+/**
+ * Computes the longest common subsequence table of two line arrays
+ *
+ * @param {string[]} before The original lines
+ * @param {string[]} after The changed lines
+ * @returns {number[][]} The lengths of common subsequences of all suffixes
+ */
+function getCommonLengths(before, after) {
+  const lengths = before.map(() => after.map(() => 0));
+  lengths.push(after.map(() => 0));
+  lengths.forEach(row => row.push(0));
+
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  return lengths;
+}
+
+/**
+ * Formats a line diff between two versions of a file
+ *
+ * Removed lines are prefixed with "-", added lines with "+" and unchanged
+ * lines with a space. A missing original denotes a new file.
+ *
+ * @param {string} before The original contents, or null for new files
+ * @param {string} after The changed contents
+ * @returns {string} The diff in unified diff syntax, without hunk headers
+ */
+function formatDiff(before, after) {
+  const oldLines = before == null ? [] : before.split('\n');
+  const newLines = after.split('\n');
+  const lengths = getCommonLengths(oldLines, newLines);
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (
+      i < oldLines.length &&
+      j < newLines.length &&
+      oldLines[i] === newLines[j]
+    ) {
+      lines.push(` ${oldLines[i]}`);
+      i += 1;
+      j += 1;
+    } else if (
+      j < newLines.length &&
+      (i === oldLines.length || lengths[i][j + 1] > lengths[i + 1][j])
+    ) {
+      lines.push(`+${newLines[j]}`);
+      j += 1;
+    } else {
+      lines.push(`-${oldLines[i]}`);
+      i += 1;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DRY_RUN_SUFFIX,
+  formatDiff,
+  isDryRun,
+  isDryRunTag,
+  shouldPerform,
+  stripDryRunSuffix,
+};
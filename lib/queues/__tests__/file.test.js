@@ -0,0 +1,105 @@
+/* eslint-env jest */
+
+const { existsSync, readFileSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { withTempDir } = require('../../files');
+const logger = require('../../__mocks__/logger');
+const createQueue = require('../file');
+
+const JOB = { id: 'owner/repo:v1.0.0', ref: 'v1.0.0', state: 'scheduled' };
+
+function withQueue(callback) {
+  return withTempDir(directory => {
+    const path = join(directory, 'releases.json');
+    return callback(createQueue(logger, path), path);
+  });
+}
+
+test('starts out empty without a file', async () => {
+  expect.assertions(1);
+  await withQueue(async queue => {
+    expect(await queue.list()).toEqual([]);
+  });
+});
+
+test('loads jobs from an existing file', async () => {
+  expect.assertions(1);
+  await withQueue(async (queue, path) => {
+    writeFileSync(path, JSON.stringify({ [JOB.id]: JOB }));
+    expect(await queue.get(JOB.id)).toEqual(JOB);
+  });
+});
+
+test('persists added jobs', async () => {
+  expect.assertions(2);
+  await withQueue(async (queue, path) => {
+    await queue.add(JOB);
+    expect(JSON.parse(readFileSync(path, 'utf8'))).toEqual({ [JOB.id]: JOB });
+    expect(await createQueue(logger, path).get(JOB.id)).toEqual(JOB);
+  });
+});
+
+test('replaces jobs with the same id', async () => {
+  expect.assertions(1);
+  await withQueue(async queue => {
+    await queue.add(JOB);
+    await queue.add({ ...JOB, state: 'done' });
+    expect(await queue.list()).toEqual([{ ...JOB, state: 'done' }]);
+  });
+});
+
+test('merges updates into existing jobs', async () => {
+  expect.assertions(2);
+  await withQueue(async (queue, path) => {
+    await queue.add(JOB);
+    const job = await queue.update(JOB.id, { state: 'failed' });
+    expect(job).toEqual({ ...JOB, state: 'failed' });
+    expect(await createQueue(logger, path).get(JOB.id)).toEqual(job);
+  });
+});
+
+test('ignores updates to missing jobs', async () => {
+  expect.assertions(2);
+  await withQueue(async queue => {
+    expect(await queue.update(JOB.id, { state: 'done' })).toBe(null);
+    expect(await queue.list()).toEqual([]);
+  });
+});
+
+test('removes jobs', async () => {
+  expect.assertions(3);
+  await withQueue(async queue => {
+    await queue.add(JOB);
+    expect(await queue.remove(JOB.id)).toBe(true);
+    expect(await queue.remove(JOB.id)).toBe(false);
+    expect(await queue.get(JOB.id)).toBe(null);
+  });
+});
+
+test('filters listed jobs', async () => {
+  expect.assertions(1);
+  await withQueue(async queue => {
+    await queue.add(JOB);
+    await queue.add({ ...JOB, id: 'other', state: 'done' });
+    expect(await queue.list({ state: 'scheduled' })).toEqual([JOB]);
+  });
+});
+
+test('retries loading after an invalid file', async () => {
+  expect.assertions(2);
+  await withQueue(async (queue, path) => {
+    writeFileSync(path, '{"owner/repo:v1.0.0": ');
+    await expect(queue.get(JOB.id)).rejects.toBeInstanceOf(SyntaxError);
+
+    writeFileSync(path, JSON.stringify({ [JOB.id]: JOB }));
+    expect(await queue.get(JOB.id)).toEqual(JOB);
+  });
+});
+
+test('leaves no temporary file behind', async () => {
+  expect.assertions(1);
+  await withQueue(async (queue, path) => {
+    await queue.add(JOB);
+    expect(existsSync(`${path}.tmp`)).toBe(false);
+  });
+});
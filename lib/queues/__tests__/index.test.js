@@ -0,0 +1,59 @@
+/* eslint-env jest */
+/* global fail */
+
+const tryRequire = require('try-require');
+const createQueue = require('../index');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('requires a queue of the same name', () => {
+  const queueFn = jest.fn();
+  tryRequire.mockReturnValue(queueFn);
+
+  createQueue('type');
+  expect(tryRequire).toHaveBeenCalledWith('./type', expect.anything());
+});
+
+test('invokes the queue function', () => {
+  const queueFn = jest.fn();
+  tryRequire.mockReturnValue(queueFn);
+
+  const logger = { debug: true };
+  createQueue('type', logger);
+
+  expect(queueFn).toHaveBeenCalledWith(logger);
+});
+
+test('returns the created queue', () => {
+  const queue = {};
+  const queueFn = jest.fn().mockReturnValue(queue);
+  tryRequire.mockReturnValue(queueFn);
+
+  const result = createQueue('type');
+  expect(result).toBe(queue);
+});
+
+test('throws for unknown queues', () => {
+  tryRequire.mockReturnValue(null);
+  expect(() => createQueue('type')).toThrow(/unknown queue/i);
+});
+
+test('throws when queue type is missing', () => {
+  tryRequire.mockImplementation(() => fail('Not allowed'));
+  expect(() => createQueue('')).toThrow(/invalid queue type/i);
+});
+
+test('throws for a queue called "index"', () => {
+  tryRequire.mockImplementation(() => fail('Not allowed'));
+  expect(() => createQueue('index')).toThrow(/invalid queue type/i);
+});
+
+test('defaults to the console as logger', () => {
+  const queueFn = jest.fn();
+  tryRequire.mockReturnValue(queueFn);
+
+  createQueue('type');
+  expect(queueFn).toHaveBeenCalledWith(console);
+});
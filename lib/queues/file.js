@@ -0,0 +1,173 @@
+const fs = require('fs');
+const _ = require('lodash');
+const { resolve } = require('path');
+const { promisify } = require('util');
+
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * Path to the file holding all queued jobs
+ */
+const RELEASE_QUEUE_PATH = resolve(
+  process.env.RELEASE_QUEUE_PATH || '.releases.json'
+);
+
+/**
+ * A queue implementation that persists all jobs in a JSON file
+ *
+ * The file is read once on first access and rewritten after every change.
+ * Writes go to a temporary file first, which is then moved into place, so
+ * that a crash during a write never leaves a corrupt queue behind.
+ *
+ * @param {object} logger An optional logger
+ * @param {string} path Optional path to the queue file
+ * @returns {object} The queue
+ */
+module.exports = (logger = console, path = RELEASE_QUEUE_PATH) => {
+  let jobCache = null;
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Loads all jobs from the queue file
+   *
+   * If the file does not exist yet, the queue starts out empty. The jobs are
+   * only loaded once if invoked multiple times. If loading fails, e.g. due to
+   * invalid JSON, the next invocation tries again.
+   *
+   * @returns {Promise<object>} All jobs keyed by their id
+   * @async
+   */
+  function load() {
+    if (jobCache != null) {
+      return jobCache;
+    }
+
+    logger.debug(`Loading release queue from ${path}`);
+    jobCache = readFile(path, 'utf8')
+      .then(JSON.parse, err => {
+        if (err.code === 'ENOENT') {
+          return {};
+        }
+
+        throw err;
+      })
+      .catch(err => {
+        logger.error(`Could not load release queue from ${path}`);
+        jobCache = null;
+        throw err;
+      });
+
+    return jobCache;
+  }
+
+  /**
+   * Writes all jobs to the queue file
+   *
+   * Writes are chained, so that concurrent changes are always persisted in
+   * the order they were made.
+   *
+   * @param {object} jobs All jobs keyed by their id
+   * @returns {Promise} A promise that resolves when the file has been written
+   * @async
+   */
+  function persist(jobs) {
+    const data = JSON.stringify(jobs, null, 2);
+    const tempPath = `${path}.tmp`;
+
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(() => writeFile(tempPath, data, 'utf8'))
+      .then(() => rename(tempPath, path));
+
+    return pendingWrite;
+  }
+
+  /**
+   * Adds a job to the queue, replacing an existing job with the same id
+   *
+   * @param {object} job A job object containing an "id"
+   * @returns {Promise<object>} The stored job
+   * @async
+   */
+  async function add(job) {
+    logger.debug(`Adding job ${job.id} to the release queue`);
+    const jobs = await load();
+    jobs[job.id] = { ...job };
+    await persist(jobs);
+    return jobs[job.id];
+  }
+
+  /**
+   * Retrieves a job by its id
+   *
+   * @param {string} id The unique identifier of the job
+   * @returns {Promise<object>} The job, if found; otherwise null
+   * @async
+   */
+  async function get(id) {
+    const jobs = await load();
+    return jobs[id] || null;
+  }
+
+  /**
+   * Merges the given properties into an existing job
+   *
+   * @param {string} id The unique identifier of the job
+   * @param {object} props Properties to assign to the job
+   * @returns {Promise<object>} The updated job, if found; otherwise null
+   * @async
+   */
+  async function update(id, props) {
+    const jobs = await load();
+    if (jobs[id] == null) {
+      return null;
+    }
+
+    jobs[id] = { ...jobs[id], ...props };
+    await persist(jobs);
+    return jobs[id];
+  }
+
+  /**
+   * Removes a job from the queue
+   *
+   * @param {string} id The unique identifier of the job
+   * @returns {Promise<bool>} True if the job was found and removed
+   * @async
+   */
+  async function remove(id) {
+    const jobs = await load();
+    if (jobs[id] == null) {
+      return false;
+    }
+
+    delete jobs[id];
+    await persist(jobs);
+    return true;
+  }
+
+  /**
+   * Lists all jobs matching the predicate
+   *
+   * The predicate can be anything accepted by lodash's `filter`, e.g. an
+   * object of properties to match. If omitted, all jobs are returned.
+   *
+   * @param {Function|object} predicate An optional filter for jobs
+   * @returns {Promise<object[]>} The list of matching jobs
+   * @async
+   */
+  async function list(predicate) {
+    const jobs = await load();
+    return _.filter(jobs, predicate);
+  }
+
+  return {
+    add,
+    get,
+    update,
+    remove,
+    list,
+  };
+};
@@ -0,0 +1,24 @@
+const tryRequire = require('try-require');
+
+/**
+ * Loads and initializes the specified queue implementation.
+ * If no queue with the given type can be found, an error is thrown.
+ *
+ * @param {string} type Identifier of the queue type (e.g. "file")
+ * @param {object} logger An optional logger
+ * @returns {Queue} A queue implementation
+ */
+function createQueue(type, logger = console) {
+  if (!type || type === 'index') {
+    throw new Error(`Invalid queue type "${type}"`);
+  }
+
+  const queueFn = tryRequire(`./${type}`, require);
+  if (queueFn == null) {
+    throw new Error(`Unknown queue "${type}"`);
+  }
+
+  return queueFn(logger);
+}
+
+module.exports = createQueue;
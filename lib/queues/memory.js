@@ -0,0 +1,93 @@
+const _ = require('lodash');
+
+/**
+ * A queue implementation that keeps all jobs in memory
+ *
+ * Jobs are lost when the process exits. This is useful for development and
+ * testing, but should not be used in production.
+ *
+ * @param {object} logger An optional logger
+ * @returns {object} The queue
+ */
+module.exports = (logger = console) => {
+  const jobs = {};
+
+  /**
+   * Adds a job to the queue, replacing an existing job with the same id
+   *
+   * @param {object} job A job object containing an "id"
+   * @returns {Promise<object>} The stored job
+   * @async
+   */
+  async function add(job) {
+    logger.debug(`Adding job ${job.id} to the release queue`);
+    jobs[job.id] = { ...job };
+    return jobs[job.id];
+  }
+
+  /**
+   * Retrieves a job by its id
+   *
+   * @param {string} id The unique identifier of the job
+   * @returns {Promise<object>} The job, if found; otherwise null
+   * @async
+   */
+  async function get(id) {
+    return jobs[id] || null;
+  }
+
+  /**
+   * Merges the given properties into an existing job
+   *
+   * @param {string} id The unique identifier of the job
+   * @param {object} props Properties to assign to the job
+   * @returns {Promise<object>} The updated job, if found; otherwise null
+   * @async
+   */
+  async function update(id, props) {
+    if (jobs[id] == null) {
+      return null;
+    }
+
+    jobs[id] = { ...jobs[id], ...props };
+    return jobs[id];
+  }
+
+  /**
+   * Removes a job from the queue
+   *
+   * @param {string} id The unique identifier of the job
+   * @returns {Promise<bool>} True if the job was found and removed
+   * @async
+   */
+  async function remove(id) {
+    if (jobs[id] == null) {
+      return false;
+    }
+
+    delete jobs[id];
+    return true;
+  }
+
+  /**
+   * Lists all jobs matching the predicate
+   *
+   * The predicate can be anything accepted by lodash's `filter`, e.g. an
+   * object of properties to match. If omitted, all jobs are returned.
+   *
+   * @param {Function|object} predicate An optional filter for jobs
+   * @returns {Promise<object[]>} The list of matching jobs
+   * @async
+   */
+  async function list(predicate) {
+    return _.filter(jobs, predicate);
+  }
+
+  return {
+    add,
+    get,
+    update,
+    remove,
+    list,
+  };
+};
@@ -0,0 +1,240 @@
+const request = require('./request');
+
+/**
+ * Base URL of the NPM registry
+ */
+const NPM_REGISTRY_URL =
+  process.env.NPM_REGISTRY_URL || 'https://registry.npmjs.org';
+
+/**
+ * Base URL of the Python Package Index JSON API
+ */
+const PYPI_URL = process.env.PYPI_URL || 'https://pypi.org';
+
+/**
+ * Base URL of the crates.io API
+ */
+const CRATES_IO_URL = process.env.CRATES_IO_URL || 'https://crates.io';
+
+/**
+ * Base URL of the Cocoapods trunk API
+ */
+const COCOAPODS_TRUNK_URL =
+  process.env.COCOAPODS_TRUNK_URL || 'https://trunk.cocoapods.org';
+
+/**
+ * Base URL of the Maven Central repository
+ */
+const MAVEN_CENTRAL_URL =
+  process.env.MAVEN_CENTRAL_URL || 'https://repo1.maven.org/maven2';
+
+/**
+ * Service index of the NuGet feed
+ */
+const NUGET_FEED_URL =
+  process.env.NUGET_FEED_URL || 'https://api.nuget.org/v3/index.json';
+
+/**
+ * Base URL of the RubyGems API
+ */
+const RUBYGEMS_URL = process.env.RUBYGEMS_URL || 'https://rubygems.org';
+
+/**
+ * User agent sent to registries, which is mandatory for crates.io
+ */
+const USER_AGENT = 'probot-release';
+
+/**
+ * Loads package metadata from a registry
+ *
+ * @param {string} url The URL of the package or version metadata
+ * @returns {Promise<object>} The parsed metadata or null if the registry does
+ *                            not know the package or version
+ * @async
+ */
+async function fetchMetadata(url) {
+  try {
+    return await request(url, { headers: { 'User-Agent': USER_AGENT } });
+  } catch (e) {
+    if (e.status === 404) {
+      return null;
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * Checks whether a package version has been published on NPM
+ *
+ * @param {string} name The package name, optionally including a scope
+ * @param {string} version The package version
+ * @returns {Promise<bool>} True if the version exists in the registry
+ * @async
+ */
+async function isPublishedOnNpm(name, version) {
+  // Scoped packages must be requested as "@scope%2Fname"
+  const url = `${NPM_REGISTRY_URL}/${name.replace('/', '%2F')}`;
+  const pkg = await fetchMetadata(url);
+  return pkg != null && pkg.versions != null && version in pkg.versions;
+}
+
+/**
+ * Lists the files that have been uploaded for a package version on PyPI
+ *
+ * @param {string} name The name of the distribution
+ * @param {string} version The version of the distribution
+ * @returns {Promise<string[]>} The file names, empty if the version does not
+ *                              exist yet
+ * @async
+ */
+async function getPypiFiles(name, version) {
+  const url = `${PYPI_URL}/pypi/${name}/${version}/json`;
+  const release = await fetchMetadata(url);
+  return release != null && release.urls != null
+    ? release.urls.map(file => file.filename)
+    : [];
+}
+
+/**
+ * Checks whether a crate version has been published on crates.io
+ *
+ * @param {string} name The name of the crate
+ * @param {string} version The version of the crate
+ * @returns {Promise<bool>} True if the version exists in the registry
+ * @async
+ */
+async function isPublishedOnCrates(name, version) {
+  const url = `${CRATES_IO_URL}/api/v1/crates/${name}/${version}`;
+  const crate = await fetchMetadata(url);
+  return crate != null && crate.version != null;
+}
+
+/**
+ * Checks whether a pod version has been pushed to Cocoapods trunk
+ *
+ * @param {string} name The name of the pod
+ * @param {string} version The version of the pod
+ * @returns {Promise<bool>} True if the version exists in trunk
+ * @async
+ */
+async function isPublishedOnTrunk(name, version) {
+  const url = `${COCOAPODS_TRUNK_URL}/api/v1/pods/${name}`;
+  const pod = await fetchMetadata(url);
+  return (
+    pod != null &&
+    pod.versions != null &&
+    pod.versions.some(entry => entry.name === version)
+  );
+}
+
+/**
+ * @typedef {object} Coordinates Maven coordinates of an artifact (GAV)
+ * @prop {string} groupId The group, e.g. "io.sentry"
+ * @prop {string} artifactId The artifact, e.g. "sentry"
+ * @prop {string} version The version, e.g. "1.0.0"
+ */
+
+/**
+ * Resolves the directory of an artifact version in a Maven repository
+ *
+ * @param {Coordinates} coordinates The coordinates of the artifact
+ * @returns {string} The path, e.g. "io/sentry/sentry/1.0.0"
+ */
+function getMavenPath(coordinates) {
+  const { groupId, artifactId, version } = coordinates;
+  return `${groupId.replace(/\./g, '/')}/${artifactId}/${version}`;
+}
+
+/**
+ * Checks whether an artifact version has been deployed to a Maven repository
+ *
+ * The version counts as deployed if its POM exists in the repository.
+ *
+ * @param {string} repositoryUrl The base URL of the Maven repository
+ * @param {Coordinates} coordinates The coordinates of the artifact
+ * @param {object} headers Optional headers, e.g. for authentication
+ * @returns {Promise<bool>} True if the version exists in the repository
+ * @async
+ */
+async function isPublishedOnMaven(repositoryUrl, coordinates, headers = {}) {
+  const { artifactId, version } = coordinates;
+  const pom = `${getMavenPath(coordinates)}/${artifactId}-${version}.pom`;
+
+  try {
+    await request(`${repositoryUrl}/${pom}`, {
+      method: 'HEAD',
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+    });
+    return true;
+  } catch (e) {
+    if (e.status === 404) {
+      return false;
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * Checks whether a package version has been pushed to a NuGet feed
+ *
+ * NuGet package IDs and versions are case insensitive. The base address is
+ * the "PackageBaseAddress" resource of the feed's service index.
+ *
+ * @param {string} baseAddress The base URL of the feed's package contents
+ * @param {string} id The ID of the package
+ * @param {string} version The version of the package
+ * @returns {Promise<bool>} True if the version exists in the feed
+ * @async
+ */
+async function isPublishedOnNuget(baseAddress, id, version) {
+  const base = baseAddress.endsWith('/') ? baseAddress : `${baseAddress}/`;
+  const pkg = await fetchMetadata(`${base}${id.toLowerCase()}/index.json`);
+  return (
+    pkg != null &&
+    pkg.versions != null &&
+    pkg.versions.includes(version.toLowerCase())
+  );
+}
+
+/**
+ * Checks whether a gem version has been pushed to a gem server
+ *
+ * Servers without the RubyGems versions API, like some private gem servers,
+ * report all versions as missing.
+ *
+ * @param {string} host The base URL of the gem server
+ * @param {string} name The name of the gem
+ * @param {string} version The version of the gem, e.g. "1.0.0.rc.1"
+ * @param {string} platform The platform of the gem, defaults to "ruby"
+ * @returns {Promise<bool>} True if the version exists on the server
+ * @async
+ */
+async function isPublishedOnRubygems(host, name, version, platform = 'ruby') {
+  const versions = await fetchMetadata(`${host}/api/v1/versions/${name}.json`);
+  return (
+    Array.isArray(versions) &&
+    versions.some(
+      entry =>
+        entry.number === version && (entry.platform || 'ruby') === platform
+    )
+  );
+}
+
+module.exports = {
+  COCOAPODS_TRUNK_URL,
+  CRATES_IO_URL,
+  MAVEN_CENTRAL_URL,
+  NPM_REGISTRY_URL,
+  NUGET_FEED_URL,
+  RUBYGEMS_URL,
+  getMavenPath,
+  getPypiFiles,
+  isPublishedOnCrates,
+  isPublishedOnMaven,
+  isPublishedOnNpm,
+  isPublishedOnNuget,
+  isPublishedOnRubygems,
+  isPublishedOnTrunk,
+};
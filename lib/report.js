@@ -0,0 +1,383 @@
+const { hasChecksApi } = require('./checks');
+const {
+  STATUS_FAILURE,
+  STATUS_SKIPPED,
+  STATUS_SUCCESS,
+} = require('./executor');
+
+/**
+ * Name of the check run reporting the release status
+ */
+const CHECK_NAME = 'release';
+
+/**
+ * Name of the check run reporting errors in the configuration file
+ */
+const CONFIG_CHECK_NAME = 'release config';
+
+/**
+ * Maximum length of commit status descriptions accepted by Github
+ */
+const MAX_DESCRIPTION_LENGTH = 140;
+
+/**
+ * Introduction of check run summaries for dry runs
+ */
+const DRY_RUN_NOTICE =
+  'This was a dry run. Nothing has been published, the targets below ' +
+  'describe what they would have done.';
+
+/**
+ * Formats the plan of a target in a dry run
+ *
+ * @param {Plan} plan The plan containing an "action" and optionally the
+ *                    "registry", "files", release "body" or a "diff"
+ * @returns {string[]} The markdown lines
+ */
+function formatPlan(plan) {
+  const lines = ['**Dry run**', '', plan.action];
+  if (plan.registry) {
+    lines.push('', `Registry: ${plan.registry}`);
+  }
+
+  if (plan.files && plan.files.length > 0) {
+    lines.push('', ...plan.files.map(file => `- \`${file}\``));
+  }
+
+  if (plan.body) {
+    lines.push('', ...plan.body.split('\n').map(line => `> ${line}`));
+  }
+
+  if (plan.diff) {
+    lines.push('', '```diff', plan.diff, '```');
+  }
+
+  return lines;
+}
+
+/**
+ * Formats a summary section for the result of a single target
+ *
+ * @param {object} result A target result containing "target", "status" and
+ *                        optionally an "error" message, a skip "reason", a
+ *                        published "url", whether the version was "existing"
+ *                        already or the "plan" of a dry run
+ * @returns {string} The markdown section
+ */
+function formatResult(result) {
+  const lines = [`### ${result.target}`, ''];
+
+  if (result.status === STATUS_SUCCESS && result.plan) {
+    lines.push(...formatPlan(result.plan));
+  } else if (result.status === STATUS_SUCCESS) {
+    lines.push(result.existing ? '**Already released**' : '**Succeeded**');
+    if (result.url) {
+      lines.push('', `Published at ${result.url}`);
+    }
+  } else if (result.status === STATUS_SKIPPED) {
+    lines.push('**Skipped**', '', result.reason);
+  } else {
+    lines.push('**Failed**', '', '```', result.error || 'Unknown error', '```');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a markdown summary for the results of all targets
+ *
+ * @param {object[]} results A list of target results
+ * @returns {string} The markdown summary
+ */
+function formatSummary(results) {
+  if (results.length === 0) {
+    return 'No targets were released.';
+  }
+
+  return results.map(formatResult).join('\n\n');
+}
+
+/**
+ * Sets a commit status on the tag's commit
+ *
+ * This is used instead of check runs if the Github client does not support the
+ * Checks API. Descriptions exceeding the maximum length are truncated.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag or commit object containing "sha"
+ * @param {string} state The status state, e.g. "pending" or "success"
+ * @param {string} description A short description of the status
+ * @param {string} name The status context, defaults to the release check
+ * @param {string} targetUrl An optional URL with details on the status
+ * @returns {Promise} A promise that resolves when the status has been set
+ * @async
+ */
+async function setCommitStatus(
+  context,
+  tag,
+  state,
+  description,
+  name = CHECK_NAME,
+  targetUrl
+) {
+  const params = context.repo({
+    sha: tag.sha,
+    state,
+    context: name,
+    target_url: targetUrl,
+    description:
+      description.length > MAX_DESCRIPTION_LENGTH
+        ? `${description.substr(0, MAX_DESCRIPTION_LENGTH - 3)}...`
+        : description,
+  });
+
+  await context.github.repos.createStatus(params);
+}
+
+/**
+ * Creates a queued release check run on the tag's commit
+ *
+ * Without Checks API, a pending commit status is set instead. Its context is
+ * returned in place of the check run identifier, so that it is updated by all
+ * other release check functions.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @returns {Promise<number|string>} The identifier of the new check run or the
+ *                                   context of the commit status
+ * @async
+ */
+async function createReleaseCheck(context, tag) {
+  if (!hasChecksApi(context.github)) {
+    const description = `Release of ${tag.ref} scheduled`;
+    await setCommitStatus(context, tag, 'pending', description);
+    return CHECK_NAME;
+  }
+
+  const params = context.repo({
+    name: CHECK_NAME,
+    head_sha: tag.sha,
+    status: 'queued',
+    output: {
+      title: `Release of ${tag.ref} scheduled`,
+      summary: 'The release will start shortly.',
+    },
+  });
+
+  const response = await context.github.checks.create(params);
+  return response.data.id;
+}
+
+/**
+ * Marks the release check run as in progress
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {number|string} checkRunId The identifier of the check run
+ * @returns {Promise} A promise that resolves when the check has been updated
+ * @async
+ */
+async function startReleaseCheck(context, tag, checkRunId) {
+  if (checkRunId == null) {
+    return;
+  }
+
+  if (!hasChecksApi(context.github)) {
+    await setCommitStatus(context, tag, 'pending', `Releasing ${tag.ref}`);
+    return;
+  }
+
+  const params = context.repo({
+    check_run_id: checkRunId,
+    status: 'in_progress',
+    started_at: new Date().toISOString(),
+    output: {
+      title: `Releasing ${tag.ref}`,
+      summary: 'The release is in progress.',
+    },
+  });
+
+  await context.github.checks.update(params);
+}
+
+/**
+ * Completes the release check run with a summary of all target results
+ *
+ * The check run succeeds if no target failed and fails otherwise. Dry runs
+ * complete as neutral and summarize the plans of all targets instead. Without
+ * Checks API, the summary is posted as a comment on the tag's commit and the
+ * commit status is set to "success" or "failure", linking to the comment.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {number|string} checkRunId The identifier of the check run
+ * @param {object[]} results A list of target results
+ * @param {bool} dryRun Whether the release was only simulated
+ * @returns {Promise} A promise that resolves when the check has been updated
+ * @async
+ */
+async function completeReleaseCheck(
+  context,
+  tag,
+  checkRunId,
+  results,
+  dryRun = false
+) {
+  if (checkRunId == null) {
+    return;
+  }
+
+  const failed = results.filter(result => result.status === STATUS_FAILURE)
+    .length;
+
+  const kind = dryRun ? 'Dry run' : 'Release';
+  let title = `${kind} of ${tag.ref} failed for ${failed} of ${
+    results.length
+  } targets`;
+  let conclusion = 'failure';
+  if (failed === 0) {
+    title = dryRun ? `Dry run of ${tag.ref}` : `Released ${tag.ref}`;
+    conclusion = dryRun ? 'neutral' : 'success';
+  }
+
+  const summary = dryRun
+    ? `${DRY_RUN_NOTICE}\n\n${formatSummary(results)}`
+    : formatSummary(results);
+
+  if (!hasChecksApi(context.github)) {
+    // Commit statuses have no room for the summary, so it is posted as a
+    // comment on the commit and linked from the status
+    const body = `**${title}**\n\n${summary}`;
+    const response = await context.github.repos.createCommitComment(
+      context.repo({ sha: tag.sha, body })
+    );
+
+    const state = failed === 0 ? 'success' : 'failure';
+    const url = response.data.html_url;
+    await setCommitStatus(context, tag, state, title, CHECK_NAME, url);
+    return;
+  }
+
+  const params = context.repo({
+    check_run_id: checkRunId,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: { title, summary },
+  });
+
+  await context.github.checks.update(params);
+}
+
+/**
+ * Completes the release check run without releasing
+ *
+ * Without Checks API, the commit status is set to "failure" for failed
+ * releases and to "error" for all other conclusions.
+ *
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {number|string} checkRunId The identifier of the check run
+ * @param {string} conclusion The check run conclusion, e.g. "cancelled"
+ * @param {string} reason A description why the release did not happen
+ * @returns {Promise} A promise that resolves when the check has been updated
+ * @async
+ */
+async function abortReleaseCheck(context, tag, checkRunId, conclusion, reason) {
+  if (checkRunId == null) {
+    return;
+  }
+
+  if (!hasChecksApi(context.github)) {
+    const state = conclusion === 'failure' ? 'failure' : 'error';
+    await setCommitStatus(context, tag, state, reason);
+    return;
+  }
+
+  const params = context.repo({
+    check_run_id: checkRunId,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: { title: `Release of ${tag.ref} aborted`, summary: reason },
+  });
+
+  await context.github.checks.update(params);
+}
+
+/**
+ * Reports the validation result of a configuration file in a check run
+ *
+ * Each error is attached as annotation to its line in the file. The check run
+ * succeeds if there are no errors.
+ *
+ * Without Checks API, a "release config" commit status is set instead. Errors
+ * are listed in a comment on the commit, linking to their lines in the file.
+ *
+ * @param {Context} context Github context
+ * @param {string} sha The commit that changed the configuration file
+ * @param {string} path The path to the configuration file in the repository
+ * @param {object[]} errors Validation errors containing "line" and "message"
+ * @returns {Promise} A promise that resolves when the check has been created
+ * @async
+ */
+async function reportConfigCheck(context, sha, path, errors) {
+  const valid = errors.length === 0;
+  const count = valid ? 'no' : errors.length;
+  const plural = errors.length === 1 ? '' : 's';
+  const title = `Found ${count} error${plural} in ${path}`;
+
+  if (!hasChecksApi(context.github)) {
+    if (!valid) {
+      const url = `${context.payload.repository.html_url}/blob/${sha}/${path}`;
+      const lines = errors.map(
+        error =>
+          `- [Line ${error.line}](${url}#L${error.line}): ${error.message}`
+      );
+      const body = [`**${title}**`, '', ...lines].join('\n');
+      await context.github.repos.createCommitComment(
+        context.repo({ sha, body })
+      );
+    }
+
+    const state = valid ? 'success' : 'failure';
+    await setCommitStatus(context, { sha }, state, title, CONFIG_CHECK_NAME);
+    return;
+  }
+
+  const params = context.repo({
+    name: CONFIG_CHECK_NAME,
+    head_sha: sha,
+    status: 'completed',
+    conclusion: valid ? 'success' : 'failure',
+    completed_at: new Date().toISOString(),
+    output: {
+      title,
+      summary: valid
+        ? 'The release configuration is valid.'
+        : errors
+            .map(error => `- Line ${error.line}: ${error.message}`)
+            .join('\n'),
+      annotations: errors.map(error => ({
+        path,
+        start_line: error.line,
+        end_line: error.line,
+        annotation_level: 'failure',
+        message: error.message,
+      })),
+    },
+  });
+
+  await context.github.checks.create(params);
+}
+
+module.exports = {
+  CHECK_NAME,
+  CONFIG_CHECK_NAME,
+  abortReleaseCheck,
+  completeReleaseCheck,
+  createReleaseCheck,
+  formatSummary,
+  reportConfigCheck,
+  startReleaseCheck,
+};
@@ -1,10 +1,12 @@
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 
 /**
  * Parses an error message from the given response
  *
  * First, this function tries to parse an error message from the response body.
- * If this does not work, it falls back to the HTTP status text.
+ * If this does not work, it falls back to the HTTP status text. The response
+ * status code is available as "status" on the error.
  *
  * @param {Response} response A fetch Response object
  * @returns {Promise<Error>} A promise that resolves the error
@@ -13,12 +15,18 @@ const fetch = require('node-fetch');
 async function parseError(response) {
   const statusMessage = `${response.status} ${response.statusText}`;
 
+  let error;
   try {
     const json = await response.json();
-    return new Error((json && json.message) || statusMessage);
+    // Some APIs, e.g. Sentry, report errors as "detail" instead
+    const message = json && (json.message || json.detail);
+    error = new Error(message || statusMessage);
   } catch (e) {
-    return new Error(statusMessage);
+    error = new Error(statusMessage);
   }
+
+  error.status = response.status;
+  return error;
 }
 
 /**
@@ -27,7 +35,8 @@ async function parseError(response) {
  *
  * After the request has finished, the result is parsed and checked for errors.
  * In case of an error, the response message is thrown as an error. On success,
- * the parsed JSON is passed into the promise.
+ * the parsed JSON is passed into the promise, or undefined if the response
+ * has no body.
  *
  * @param {string} url The destination of the AJAX call
  * @param {object} options Options to the {@link fetch} call
@@ -45,7 +54,61 @@ async function request(url, options = {}) {
     throw await parseError(response);
   }
 
-  return response.status === 204 ? undefined : response.json();
+  // Responses to HEAD requests and some writes, e.g. "201 Created", are empty
+  const empty =
+    options.method === 'HEAD' ||
+    response.status === 204 ||
+    response.headers.get('Content-Length') === '0';
+
+  if (empty) {
+    return undefined;
+  }
+
+  // Others, like some Maven repositories, send an empty chunked body instead
+  const text = await response.text();
+  return text.trim() === '' ? undefined : JSON.parse(text);
+}
+
+/**
+ * Encodes fields and files as multipart form data
+ *
+ * Field values are either strings or file objects containing the file "name"
+ * and its "data" as Buffer. The result can be passed to {@link request} or
+ * {@link fetch} as body, along with the returned content type.
+ *
+ * @param {object} fields Form fields by name
+ * @returns {object} An object containing the "body" buffer and "contentType"
+ */
+function encodeFormData(fields) {
+  const boundary = `----release-${crypto.randomBytes(12).toString('hex')}`;
+  const parts = Object.keys(fields).map(name => {
+    const value = fields[name];
+    if (typeof value === 'string') {
+      return Buffer.from(
+        `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+          `${value}\r\n`
+      );
+    }
+
+    return Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name="${name}"; filename="${
+            value.name
+          }"\r\n` +
+          'Content-Type: application/octet-stream\r\n\r\n'
+      ),
+      value.data,
+      Buffer.from('\r\n'),
+    ]);
+  });
+
+  return {
+    body: Buffer.concat(parts.concat(Buffer.from(`--${boundary}--\r\n`))),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
 }
 
 module.exports = request;
+module.exports.encodeFormData = encodeFormData;
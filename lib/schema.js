@@ -0,0 +1,420 @@
+const Ajv = require('ajv');
+const { parseCron, parseFreeze } = require('./windows');
+const { findLine, parseYaml } = require('./yaml');
+
+/**
+ * Schema of a list of strings, e.g. check names
+ */
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Schema of the "when" condition of a target
+ */
+const CONDITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    prerelease: { type: 'boolean' },
+    major: {
+      type: ['integer', 'array'],
+      minimum: 0,
+      items: { type: 'integer', minimum: 0 },
+    },
+    tagPattern: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Options shared by all targets
+ */
+const TARGET_PROPERTIES = {
+  name: { type: 'string' },
+  id: { type: 'string' },
+  needs: STRING_LIST,
+  retry: {
+    type: 'object',
+    properties: {
+      attempts: { type: 'integer', minimum: 1 },
+      delay: { type: 'number', minimum: 0 },
+    },
+    additionalProperties: false,
+  },
+  when: CONDITION_SCHEMA,
+};
+
+/**
+ * Options specific to each of the built-in targets
+ */
+const TARGET_SCHEMAS = {
+  brew: {
+    formula: { type: 'string' },
+    path: { type: 'string' },
+    tap: { type: 'string', pattern: '^[a-zA-Z\\d][-a-zA-Z\\d]*/[-_.\\w]+$' },
+    template: { type: 'string' },
+  },
+  cargo: {},
+  docker: {
+    image: { type: 'string' },
+    registry: { type: 'string' },
+    latest: { type: 'boolean' },
+  },
+  gem: {
+    host: { type: 'string' },
+  },
+  github: {
+    changelog: { type: 'string' },
+  },
+  maven: {
+    url: { type: 'string' },
+    staging: {
+      type: 'object',
+      properties: {
+        url: { type: 'string' },
+        profileId: { type: 'string' },
+      },
+      required: ['profileId'],
+      additionalProperties: false,
+    },
+  },
+  npm: {
+    access: { type: 'string', enum: ['public', 'restricted'] },
+    tag: { type: 'string' },
+    rollback: { type: 'string', enum: ['deprecate', 'unpublish'] },
+  },
+  nuget: {
+    feed: { type: 'string' },
+  },
+  pods: {
+    spec: { type: 'string' },
+  },
+  pypi: {},
+  sentry: {
+    url: { type: 'string' },
+    org: { type: 'string' },
+    projects: { type: 'array', minItems: 1, items: { type: 'string' } },
+    repository: { type: 'string' },
+    prefix: { type: 'string' },
+    sourceMaps: STRING_LIST,
+    urlPrefix: { type: 'string' },
+    debugFiles: STRING_LIST,
+    deploy: {
+      type: 'object',
+      properties: {
+        environment: { type: 'string' },
+        name: { type: 'string' },
+        url: { type: 'string' },
+      },
+      required: ['environment'],
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * Schema of a list of targets, either by name or as objects with options
+ */
+const TARGET_LIST = {
+  type: 'array',
+  items: { type: ['string', 'object'], required: ['name'] },
+};
+
+/**
+ * Schema of the release configuration file
+ *
+ * Targets are only checked for their general shape. Their options are
+ * validated separately against {@link TARGET_SCHEMAS}.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    extends: { type: 'string', minLength: 1 },
+    store: { type: 'string' },
+    targets: TARGET_LIST,
+    ignoredChecks: STRING_LIST,
+    requiredChecks: STRING_LIST,
+    minimumChecks: { type: 'integer', minimum: 0 },
+    checksTimeout: { type: 'number', minimum: 0 },
+    delay: { type: 'number', minimum: 0 },
+    tagPattern: { type: 'string' },
+    prereleases: { type: 'string', enum: ['skip', 'include', 'only'] },
+    dryRun: { type: 'boolean' },
+    freeze: {
+      type: 'array',
+      items: {
+        // Either a cron expression or an object with options
+        type: ['string', 'object'],
+        properties: {
+          cron: { type: 'string' },
+          // Dates are parsed by YAML, so they cannot be validated as strings
+          from: {},
+          to: {},
+          reason: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+    },
+    publishWindow: { type: ['string', 'array'], items: { type: 'string' } },
+    approval: {
+      // Either "true" to use defaults or an object with options
+      type: ['boolean', 'object'],
+      properties: {
+        teams: STRING_LIST,
+        expiry: { type: 'number', exclusiveMinimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    packages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tagPrefix: { type: 'string', minLength: 1 },
+          changelog: { type: 'string' },
+          artifacts: { type: 'string' },
+          targets: TARGET_LIST,
+        },
+        required: ['tagPrefix'],
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+const validateRoot = ajv.compile(CONFIG_SCHEMA);
+const targetValidators = {};
+
+/**
+ * @typedef {object} ValidationError An error in the configuration file
+ *
+ * @prop {Array<string|number>} path Path to the invalid value
+ * @prop {string} message A description of the error
+ */
+
+/**
+ * Returns a compiled validator for the options of a built-in target
+ *
+ * @param {string} name The name of the target
+ * @returns {function} The validator or null if the target is unknown
+ */
+function getTargetValidator(name) {
+  if (!TARGET_SCHEMAS[name]) {
+    return null;
+  }
+
+  if (!targetValidators[name]) {
+    targetValidators[name] = ajv.compile({
+      type: 'object',
+      properties: { ...TARGET_PROPERTIES, ...TARGET_SCHEMAS[name] },
+      additionalProperties: false,
+    });
+  }
+
+  return targetValidators[name];
+}
+
+/**
+ * Formats a path to a value for error messages, e.g. "targets[1].tap"
+ *
+ * @param {Array<string|number>} path Path to the value
+ * @returns {string} The formatted path
+ */
+function formatPath(path) {
+  return path
+    .map(key => (typeof key === 'number' ? `[${key}]` : `.${key}`))
+    .join('')
+    .replace(/^\./, '');
+}
+
+/**
+ * Converts validation errors reported by Ajv
+ *
+ * @param {object[]} errors Ajv errors with JSON pointers as "dataPath"
+ * @param {Array<string|number>} basePath Path to the validated value
+ * @returns {ValidationError[]} Errors containing "path" and "message"
+ */
+function convertErrors(errors, basePath = []) {
+  return (errors || []).map(error => {
+    const path = basePath.concat(
+      error.dataPath
+        .split('/')
+        .slice(1)
+        .map(key => (/^\d+$/.test(key) ? parseInt(key, 10) : key))
+    );
+
+    if (error.keyword === 'additionalProperties') {
+      const property = error.params.additionalProperty;
+      const location = path.length > 0 ? ` in ${formatPath(path)}` : '';
+      return {
+        path: path.concat(property),
+        message: `Unknown option "${property}"${location}`,
+      };
+    }
+
+    const name = path.length > 0 ? formatPath(path) : 'Configuration';
+    const message =
+      error.keyword === 'enum'
+        ? `should be one of ${error.params.allowedValues.join(', ')}`
+        : error.message;
+    return { path, message: `${name} ${message}` };
+  });
+}
+
+/**
+ * Validates a target entry against the options of its target
+ *
+ * @param {object|string} target The target entry from the configuration
+ * @param {Array<string|number>} path The path to the target entry
+ * @returns {ValidationError[]} Errors containing "path" and "message"
+ */
+function validateTarget(target, path) {
+  const config = typeof target === 'string' ? { name: target } : target;
+  const validate = getTargetValidator(config.name);
+  if (validate == null) {
+    const namePath = typeof target === 'string' ? path : path.concat('name');
+    return [{ path: namePath, message: `Unknown target "${config.name}"` }];
+  }
+
+  return validate(config) ? [] : convertErrors(validate.errors, path);
+}
+
+/**
+ * Validates a list of target entries against the options of their targets
+ *
+ * @param {Array<object|string>} targets The target entries, if any
+ * @param {Array<string|number>} path The path to the list of targets
+ * @returns {ValidationError[]} Errors containing "path" and "message"
+ */
+function validateTargets(targets, path) {
+  if (!Array.isArray(targets)) {
+    return [];
+  }
+
+  return targets.reduce((all, target, index) => {
+    // Malformed target entries have been reported by the root schema already
+    const named =
+      typeof target === 'string' ||
+      (target != null && typeof target.name === 'string');
+    return named ? all.concat(validateTarget(target, [...path, index])) : all;
+  }, []);
+}
+
+/**
+ * Validates cron expressions and date ranges of "freeze" and "publishWindow"
+ *
+ * @param {object} config The parsed configuration, without defaults
+ * @returns {ValidationError[]} Errors containing "path" and "message"
+ */
+function validateWindows(config) {
+  const errors = [];
+
+  const freeze = Array.isArray(config.freeze) ? config.freeze : [];
+  freeze.forEach((entry, index) => {
+    if (entry == null || !['string', 'object'].includes(typeof entry)) {
+      // Malformed entries have been reported by the root schema already
+      return;
+    }
+
+    try {
+      parseFreeze(entry);
+    } catch (e) {
+      const path = ['freeze', index];
+      const message =
+        typeof entry === 'string' || entry.cron != null
+          ? 'is not a valid cron expression'
+          : 'requires "cron" or valid "from" and "to" dates';
+      errors.push({ path, message: `${formatPath(path)} ${message}` });
+    }
+  });
+
+  const { publishWindow } = config;
+  const windows = Array.isArray(publishWindow)
+    ? publishWindow
+    : [publishWindow];
+  windows.forEach((expression, index) => {
+    if (typeof expression !== 'string') {
+      return;
+    }
+
+    try {
+      parseCron(expression);
+    } catch (e) {
+      const path = Array.isArray(publishWindow)
+        ? ['publishWindow', index]
+        : ['publishWindow'];
+      const message = 'is not a valid cron expression';
+      errors.push({ path, message: `${formatPath(path)} ${message}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates the release configuration file
+ *
+ * Checks all top-level options, freeze and publish windows and the options of
+ * each built-in target, including the targets of all packages.
+ *
+ * @param {object} config The parsed configuration, without defaults
+ * @returns {ValidationError[]} Errors containing "path" and "message"
+ */
+function validateConfig(config) {
+  const errors = validateRoot(config) ? [] : convertErrors(validateRoot.errors);
+  if (config == null || typeof config !== 'object') {
+    return errors;
+  }
+
+  const packages = Array.isArray(config.packages) ? config.packages : [];
+  return packages.reduce(
+    (all, pkg, index) =>
+      all.concat(
+        validateTargets(pkg && pkg.targets, ['packages', index, 'targets'])
+      ),
+    errors
+      .concat(validateWindows(config))
+      .concat(validateTargets(config.targets, ['targets']))
+  );
+}
+
+/**
+ * @typedef {object} Annotation An error at a specific line of a file
+ *
+ * @prop {number} line The one-based line number of the error
+ * @prop {string} message A description of the error
+ */
+
+/**
+ * Parses and validates the contents of a release configuration file
+ *
+ * Syntax errors are reported at the line where the YAML parser failed. All
+ * other errors are reported at the line of the invalid value or option.
+ *
+ * @param {string} text The YAML source of the configuration file
+ * @returns {Annotation[]} Errors containing "line" and "message"
+ */
+function validateConfigFile(text) {
+  let parsed;
+  try {
+    parsed = parseYaml(text);
+  } catch (e) {
+    const line = e.mark ? e.mark.line + 1 : 1;
+    return [{ line, message: `Invalid YAML: ${e.reason || e.message}` }];
+  }
+
+  const { data, root } = parsed;
+  return validateConfig(data == null ? {} : data).map(error => ({
+    line: findLine(root, error.path),
+    message: error.message,
+  }));
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  TARGET_SCHEMAS,
+  formatPath,
+  validateConfig,
+  validateConfigFile,
+};
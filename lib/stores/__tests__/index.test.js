@@ -60,3 +60,29 @@ test('defaults to the console as logger', () => {
 
   expect(storeFn).toHaveBeenCalledWith(commit, '/some/path', console);
 });
+
+test('filters listed files', async () => {
+  const files = [{ name: 'pkg-1.0.0.tgz' }, { name: 'other-1.0.0.tgz' }];
+  const store = {
+    listFiles: jest.fn().mockReturnValue(Promise.resolve(files)),
+  };
+  tryRequire.mockReturnValue(() => store);
+
+  expect.assertions(1);
+  const filtered = createStore('type', {}, '/some/path', console, 'pkg-*');
+  expect(await filtered.listFiles()).toEqual([{ name: 'pkg-1.0.0.tgz' }]);
+});
+
+test('downloads filtered files only', async () => {
+  const files = [{ name: 'pkg-1.0.0.tgz' }, { name: 'other-1.0.0.tgz' }];
+  const store = {
+    listFiles: jest.fn().mockReturnValue(Promise.resolve(files)),
+    downloadFiles: jest.fn().mockReturnValue(Promise.resolve([])),
+  };
+  tryRequire.mockReturnValue(() => store);
+
+  expect.assertions(1);
+  const filtered = createStore('type', {}, '/some/path', console, 'pkg-*');
+  await filtered.downloadAll();
+  expect(store.downloadFiles).toHaveBeenCalledWith([files[0]]);
+});
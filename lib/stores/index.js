@@ -1,4 +1,25 @@
 const tryRequire = require('try-require');
+const { matchesPattern } = require('../tags');
+
+/**
+ * Restricts a store to files whose names match a pattern
+ *
+ * @param {Store} store The store to wrap
+ * @param {string} filter A glob or regular expression pattern
+ * @returns {Store} A store that only lists and downloads matching files
+ */
+function filterStore(store, filter) {
+  async function listFiles() {
+    const files = await store.listFiles();
+    return files.filter(file => matchesPattern(file.name, filter));
+  }
+
+  async function downloadAll() {
+    return store.downloadFiles(await listFiles());
+  }
+
+  return { ...store, downloadAll, listFiles };
+}
 
 /**
  * Loads an initializes the specified store implementation.
@@ -8,9 +29,16 @@ const tryRequire = require('try-require');
  * @param {object} commit A repository and commit to lookup
  * @param {string} downloadDirectory Path to a local cache directory
  * @param {object} logger An optional logger
+ * @param {string} filter An optional pattern that artifact names must match
  * @returns {Store} A store implementation
  */
-function createStore(type, commit, downloadDirectory, logger = console) {
+function createStore(
+  type,
+  commit,
+  downloadDirectory,
+  logger = console,
+  filter = null
+) {
   if (!type || type === 'index') {
     throw new Error(`Invalid store type "${type}"`);
   }
@@ -20,7 +48,8 @@ function createStore(type, commit, downloadDirectory, logger = console) {
     throw new Error(`Unknown store "${type}"`);
   }
 
-  return storeFn(commit, downloadDirectory, logger);
+  const store = storeFn(commit, downloadDirectory, logger);
+  return filter ? filterStore(store, filter) : store;
 }
 
 module.exports = createStore;
@@ -1,5 +1,6 @@
 const { basename, join } = require('path');
 const s3 = require('s3');
+const { downloadDuration, measure } = require('../metrics');
 
 const {
   /**
@@ -67,11 +68,17 @@ module.exports = (commit, downloadDirectory, logger = console) => {
       },
     });
 
-    const promise = new Promise((resolve, reject) => {
-      // NOTE: The timeout is necessary to be able to list files immediately
-      downloader.on('end', () => setTimeout(() => resolve(localFile), 100));
-      downloader.on('error', reject);
-    });
+    const labels = { store: 's3' };
+    const promise = measure(
+      downloadDuration,
+      labels,
+      () =>
+        new Promise((resolve, reject) => {
+          // NOTE: The timeout is necessary to be able to list files immediately
+          downloader.on('end', () => setTimeout(() => resolve(localFile), 100));
+          downloader.on('error', reject);
+        })
+    );
 
     downloadCache[file.key] = promise;
     return promise;
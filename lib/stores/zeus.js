@@ -1,6 +1,7 @@
 const { createWriteStream } = require('fs');
 const { join } = require('path');
 const request = require('request');
+const { downloadDuration, measure } = require('../metrics');
 
 /**
  * API token to access Zeus
@@ -49,11 +50,17 @@ module.exports = (commit, downloadDirectory, logger = console) => {
       .get(url, { auth: { bearer: ZEUS_API_TOKEN } })
       .pipe(createWriteStream(localFile));
 
-    const promise = new Promise((resolve, reject) => {
-      // NOTE: The timeout is necessary to be able to list files immediately
-      stream.on('finish', () => setTimeout(() => resolve(localFile), 100));
-      stream.on('error', reject);
-    });
+    const labels = { store: 'zeus' };
+    const promise = measure(
+      downloadDuration,
+      labels,
+      () =>
+        new Promise((resolve, reject) => {
+          // NOTE: The timeout is necessary to be able to list files immediately
+          stream.on('finish', () => setTimeout(() => resolve(localFile), 100));
+          stream.on('error', reject);
+        })
+    );
 
     downloadCache[file.url] = promise;
     return promise;
@@ -0,0 +1,165 @@
+const { stripDryRunSuffix } = require('./plans');
+const { parseVersion } = require('./version');
+
+/**
+ * Pre-release policy: Never release pre-release tags
+ */
+const PRERELEASES_SKIP = 'skip';
+
+/**
+ * Pre-release policy: Release pre-release and regular tags alike
+ */
+const PRERELEASES_INCLUDE = 'include';
+
+/**
+ * Pre-release policy: Only release pre-release tags
+ */
+const PRERELEASES_ONLY = 'only';
+
+/**
+ * Regular expression matching patterns written as "/regex/flags"
+ */
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Converts a glob pattern into a regular expression
+ *
+ * Supports "*" for any number of characters and "?" for a single character.
+ * All other characters are matched literally.
+ *
+ * @param {string} glob A glob pattern, e.g. "v*"
+ * @returns {RegExp} A regular expression matching the entire text
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+
+      if (char === '?') {
+        return '.';
+      }
+
+      return char.replace(/[\\^$.|+()[\]{}]/, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a text matches a glob or regular expression pattern
+ *
+ * Patterns enclosed in slashes, optionally followed by flags, are treated as
+ * regular expressions (e.g. "/^v\d+/i"). All other patterns are globs that
+ * need to match the entire text (e.g. "v*").
+ *
+ * @param {string} text The text to match, e.g. a tag name
+ * @param {string} pattern A glob or regular expression pattern
+ * @returns {bool} True if the text matches the pattern; otherwise false
+ */
+function matchesPattern(text, pattern) {
+  const match = REGEX_PATTERN.exec(pattern);
+  const regex = match ? new RegExp(match[1], match[2]) : globToRegExp(pattern);
+  return regex.test(text);
+}
+
+/**
+ * Checks whether a tag denotes a pre-release version
+ *
+ * Tags without a semantic version are never considered pre-releases.
+ *
+ * @param {string} ref The name of the tag (without "tags/")
+ * @returns {bool} True if the version contains a pre-release specifier
+ */
+function isPrerelease(ref) {
+  const version = parseVersion(ref);
+  return version != null && version.pre != null;
+}
+
+/**
+ * Checks whether a tag should be released according to the configuration
+ *
+ * The tag name must match the "tagPattern", if configured. Additionally, the
+ * "prereleases" policy determines whether pre-release versions are skipped,
+ * included or released exclusively. Dry run tags are filtered like the tag
+ * they simulate, without their "-dry" suffix.
+ *
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {object} config Release configuration for the repository
+ * @returns {string} A reason why the tag is skipped, or null to release it
+ */
+function filterTag(tag, config) {
+  const { tagPattern, prereleases = PRERELEASES_INCLUDE } = config;
+  const ref = stripDryRunSuffix(tag.ref);
+  if (tagPattern && !matchesPattern(ref, tagPattern)) {
+    return `as it does not match tagPattern "${tagPattern}"`;
+  }
+
+  const prerelease = isPrerelease(ref);
+  switch (prereleases) {
+    case PRERELEASES_INCLUDE:
+      return null;
+    case PRERELEASES_SKIP:
+      return prerelease ? 'as pre-releases are skipped' : null;
+    case PRERELEASES_ONLY:
+      return prerelease ? null : 'as only pre-releases are released';
+    default:
+      throw new Error(`Invalid prereleases policy: ${prereleases}`);
+  }
+}
+
+/**
+ * Checks whether a tag satisfies the "when" condition of a target
+ *
+ * All specified properties must be satisfied:
+ *  - "prerelease": Whether the tag must (true) or must not (false) denote a
+ *    pre-release version.
+ *  - "major": A major version number or a list of major versions.
+ *  - "tagPattern": A glob or regular expression the tag name must match.
+ *
+ * @param {object} condition The "when" clause of a target, if any
+ * @param {object} tag A tag object containing "ref" and an optional "version"
+ * @returns {string} A reason why the target is skipped, or null to run it
+ */
+function evaluateCondition(condition, tag) {
+  if (condition == null) {
+    return null;
+  }
+
+  // Prefer versions without package prefix, as resolved for monorepos
+  const ref = stripDryRunSuffix(tag.ref);
+  const text = tag.version || ref;
+  const { prerelease, major, tagPattern } = condition;
+  if (prerelease != null && prerelease !== isPrerelease(text)) {
+    return prerelease
+      ? `${tag.ref} is not a pre-release`
+      : `${tag.ref} is a pre-release`;
+  }
+
+  if (major != null) {
+    const majors = Array.isArray(major) ? major : [major];
+    const version = parseVersion(text);
+    if (version == null || !majors.includes(version.major)) {
+      return `${tag.ref} is not in major version ${majors.join(', ')}`;
+    }
+  }
+
+  if (tagPattern != null && !matchesPattern(ref, tagPattern)) {
+    return `${tag.ref} does not match "${tagPattern}"`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  PRERELEASES_INCLUDE,
+  PRERELEASES_ONLY,
+  PRERELEASES_SKIP,
+  evaluateCondition,
+  filterTag,
+  isPrerelease,
+  matchesPattern,
+};
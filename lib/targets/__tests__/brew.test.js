@@ -0,0 +1,163 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const brew = require('../brew');
+
+const TAP = { owner: 'owner', repo: 'homebrew-tap', path: 'Formula/sentry.rb' };
+
+/**
+ * Creates a context whose tap history ends with the given commit message
+ */
+function createContext(message = 'release: sentry v1.0.0') {
+  const context = new ReleaseContext({ tap: 'owner/tap', formula: 'sentry' });
+  context.github.repos.getCommits.mockResponse([
+    { commit: { message }, parents: [{ sha: 'parent-sha' }] },
+  ]);
+  return context;
+}
+
+beforeAll(() => {
+  dryrun.setDryRun(false);
+});
+
+describe('release', () => {
+  /**
+   * Creates a context that releases to a tap owned by the repository owner
+   */
+  function createReleaseContext() {
+    const config = {
+      tap: 'owner/tap',
+      formula: 'sentry',
+      template: '<%= ref %>',
+    };
+    const context = new ReleaseContext(config, { owner: 'owner' });
+    context.store = { downloadAll: async () => [] };
+    return context;
+  }
+
+  test('creates new formulas', async () => {
+    expect.assertions(2);
+
+    const context = createReleaseContext();
+    const { repos } = context.github;
+    repos.getContent.mockError(404);
+
+    expect(await brew(context)).toEqual({
+      url:
+        'https://github.com/owner/homebrew-tap/blob/master/Formula/sentry.rb',
+    });
+    expect(repos.createFile).toHaveBeenCalledWith({
+      ...TAP,
+      message: 'release: sentry v1.0.0',
+      content: Buffer.from('v1.0.0').toString('base64'),
+      sha: null,
+    });
+  });
+
+  test('fails when the formula cannot be updated', async () => {
+    expect.assertions(1);
+
+    const context = createReleaseContext();
+    const { repos } = context.github;
+    repos.getContent.mockResponse({ sha: 'formula-sha', content: '' });
+    repos.updateFile.mockImplementation(async () => {
+      throw new Error('Conflict');
+    });
+
+    await expect(brew(context)).rejects.toEqual(new Error('Conflict'));
+  });
+});
+
+describe('rollback', () => {
+  test('restores the formula before the release', async () => {
+    expect.assertions(3);
+
+    const context = createContext();
+    const { repos } = context.github;
+    repos.getContent
+      .mockResponseOnce({ content: 'b2xk\nZm9y\nbXVsYQ==\n' })
+      .mockResponseOnce({ sha: 'formula-sha' });
+
+    await brew.rollback(context);
+
+    expect(repos.getContent).toHaveBeenCalledWith({
+      ...TAP,
+      ref: 'parent-sha',
+    });
+    expect(repos.updateFile).toHaveBeenCalledWith({
+      ...TAP,
+      message: 'revert: sentry v1.0.0',
+      sha: 'formula-sha',
+      content: 'b2xkZm9ybXVsYQ==',
+    });
+    expect(repos.deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('deletes formulas created by the release', async () => {
+    expect.assertions(2);
+
+    const context = createContext();
+    const { repos } = context.github;
+    repos.getContent.mockImplementation(params => {
+      if (params.ref == null) {
+        return { data: { sha: 'formula-sha' } };
+      }
+
+      const err = new Error('Not Found');
+      err.code = 404;
+      throw err;
+    });
+
+    await brew.rollback(context);
+
+    expect(repos.deleteFile).toHaveBeenCalledWith({
+      ...TAP,
+      message: 'revert: sentry v1.0.0',
+      sha: 'formula-sha',
+    });
+    expect(repos.updateFile).not.toHaveBeenCalled();
+  });
+
+  test('rejects formulas changed after the release', async () => {
+    expect.assertions(2);
+
+    const context = createContext('fix: sentry checksum');
+    const err = new Error(
+      'Cannot revert Formula/sentry.rb since it has changed after the release'
+    );
+
+    await expect(brew.rollback(context)).rejects.toEqual(err);
+    expect(context.github.repos.updateFile).not.toHaveBeenCalled();
+  });
+
+  test('rejects formulas that no longer exist', async () => {
+    expect.assertions(2);
+
+    const context = createContext();
+    const { repos } = context.github;
+    repos.getContent.mockError(404);
+    const err = new Error(
+      'Cannot revert Formula/sentry.rb since it does not exist'
+    );
+
+    await expect(brew.rollback(context)).rejects.toEqual(err);
+    expect(repos.deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('does not revert in dry runs', async () => {
+    expect.assertions(2);
+
+    const context = createContext();
+    context.dryRun = true;
+    const { repos } = context.github;
+    repos.getContent
+      .mockResponseOnce({ content: 'b2xkZm9ybXVsYQ==' })
+      .mockResponseOnce({ sha: 'formula-sha' });
+
+    await brew.rollback(context);
+
+    expect(repos.updateFile).not.toHaveBeenCalled();
+    expect(repos.deleteFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const fetch = require('node-fetch');
+const { PassThrough } = require('stream');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { isPublishedOnCrates } = require('../../registries');
+const { spawn } = require('../../utils');
+const cargo = require('../cargo');
+
+jest.mock('../../registries');
+jest.mock('../../utils', () => ({
+  ...require.requireActual('../../utils'),
+  spawn: jest.fn(),
+}));
+
+/**
+ * Workspace with a crate "core" and a crate "api" depending on it
+ */
+const METADATA = {
+  packages: [
+    {
+      id: 'api 1.0.0',
+      name: 'api',
+      version: '1.0.0',
+      manifest_path: '/api/Cargo.toml',
+      dependencies: [{ name: 'core', req: '^1.0.0' }, { name: 'serde' }],
+    },
+    {
+      id: 'core 1.0.0',
+      name: 'core',
+      version: '1.0.0',
+      manifest_path: '/core/Cargo.toml',
+      dependencies: [],
+    },
+    {
+      id: 'serde 1.0.0',
+      name: 'serde',
+      version: '1.0.0',
+      manifest_path: '/serde/Cargo.toml',
+      dependencies: [],
+    },
+  ],
+  workspace_members: ['api 1.0.0', 'core 1.0.0'],
+};
+
+/**
+ * Names of crates published on crates.io
+ */
+let published;
+
+/**
+ * Returns the arguments of all cargo commands except "metadata"
+ */
+function getCommands() {
+  return spawn.mock.calls
+    .map(([, args]) => args)
+    .filter(args => args[0] !== 'metadata');
+}
+
+beforeAll(() => {
+  process.env.CARGO_REGISTRY_TOKEN = 'token';
+  dryrun.setDryRun(false);
+});
+
+afterAll(() => {
+  delete process.env.CARGO_REGISTRY_TOKEN;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  published = [];
+
+  fetch.mockImplementation(async () => {
+    // The sources are not read since cargo is mocked
+    const body = new PassThrough();
+    body.end();
+    return { body };
+  });
+
+  spawn.mockImplementation(
+    async (command, args) =>
+      args[0] === 'metadata' ? JSON.stringify(METADATA) : ''
+  );
+
+  isPublishedOnCrates.mockImplementation(async name =>
+    published.includes(name)
+  );
+});
+
+test('publishes workspace crates in dependency order', async () => {
+  expect.assertions(2);
+
+  expect(await cargo(new ReleaseContext())).toBe(null);
+  expect(getCommands()).toEqual([
+    ['publish', '--manifest-path', '/core/Cargo.toml', '--no-verify'],
+    ['publish', '--manifest-path', '/api/Cargo.toml', '--no-verify'],
+  ]);
+});
+
+test('skips releases if all crates exist', async () => {
+  expect.assertions(2);
+
+  published = ['api', 'core'];
+  expect(await cargo(new ReleaseContext())).toEqual({ existing: true });
+  expect(getCommands()).toEqual([]);
+});
+
+test('publishes only missing crates', async () => {
+  expect.assertions(2);
+
+  published = ['core'];
+  expect(await cargo(new ReleaseContext())).toBe(null);
+  expect(getCommands()).toEqual([
+    ['publish', '--manifest-path', '/api/Cargo.toml', '--no-verify'],
+  ]);
+});
+
+test('returns a plan of missing crates in dry runs', async () => {
+  expect.assertions(2);
+
+  published = ['core'];
+  const context = new ReleaseContext();
+  context.dryRun = true;
+
+  expect(await cargo(context)).toEqual({
+    plan: {
+      action: 'Publish 1 crates in the listed order',
+      registry: 'https://crates.io',
+      files: ['api-1.0.0.crate'],
+    },
+  });
+  expect(getCommands()).toEqual([]);
+});
+
+describe('rollback', () => {
+  test('yanks all published workspace crates', async () => {
+    expect.assertions(1);
+
+    published = ['api', 'core', 'serde'];
+    await cargo.rollback(new ReleaseContext());
+    expect(getCommands()).toEqual([
+      ['yank', '--vers', '1.0.0', 'api'],
+      ['yank', '--vers', '1.0.0', 'core'],
+    ]);
+  });
+
+  test('skips crates that were not published', async () => {
+    expect.assertions(1);
+
+    published = ['core'];
+    await cargo.rollback(new ReleaseContext());
+    expect(getCommands()).toEqual([['yank', '--vers', '1.0.0', 'core']]);
+  });
+
+  test('does not yank in dry runs', async () => {
+    expect.assertions(1);
+
+    published = ['api', 'core'];
+    const context = new ReleaseContext();
+    context.dryRun = true;
+    await cargo.rollback(context);
+    expect(getCommands()).toEqual([]);
+  });
+
+  test('rejects rollbacks without token', async () => {
+    expect.assertions(1);
+
+    delete process.env.CARGO_REGISTRY_TOKEN;
+    const err = new Error('Cannot yank crates due to missing token');
+    await expect(cargo.rollback(new ReleaseContext())).rejects.toEqual(err);
+    process.env.CARGO_REGISTRY_TOKEN = 'token';
+  });
+});
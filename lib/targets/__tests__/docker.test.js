@@ -0,0 +1,441 @@
+/* eslint-env jest */
+
+const crypto = require('crypto');
+const dryrun = require('dryrun');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const tar = require('tar');
+const { URL } = require('url');
+const util = require('util');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { withTempDir } = require('../../files');
+const docker = require('../docker');
+
+jest.unmock('node-fetch');
+
+const mkdir = util.promisify(fs.mkdir);
+const writeFile = util.promisify(fs.writeFile);
+
+const TOKEN = 'registry-token';
+
+/**
+ * State of the local stand-in registry
+ */
+const registry = { blobs: {}, manifests: {}, uploads: 0, tokenRequests: [] };
+
+let server;
+let registryUrl;
+
+function sha256(data) {
+  return `sha256:${crypto
+    .createHash('sha256')
+    .update(data)
+    .digest('hex')}`;
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Implements the parts of the registry v2 API used by the target, requiring
+ * bearer tokens issued by the "/token" endpoint
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, registryUrl);
+  const body = await readBody(req);
+
+  if (url.pathname === '/token') {
+    registry.tokenRequests.push({
+      scope: url.searchParams.get('scope'),
+      service: url.searchParams.get('service'),
+      authorization: req.headers.authorization,
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ token: TOKEN }));
+    return;
+  }
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    res.writeHead(401, {
+      'WWW-Authenticate': `Bearer realm="${registryUrl}/token",service="test"`,
+    });
+    res.end();
+    return;
+  }
+
+  const match = /^\/v2\/(.+)\/(blobs|manifests)\/(uploads\/)?(.*)$/.exec(
+    url.pathname
+  );
+
+  if (url.pathname === '/v2/') {
+    res.writeHead(200);
+    res.end();
+  } else if (match && match[2] === 'blobs' && req.method === 'HEAD') {
+    res.writeHead(registry.blobs[match[4]] ? 200 : 404);
+    res.end();
+  } else if (match && match[3] && req.method === 'POST') {
+    registry.uploads += 1;
+    const location = `/v2/${match[1]}/blobs/uploads/${registry.uploads}`;
+    res.writeHead(202, { Location: location });
+    res.end();
+  } else if (match && match[3] && req.method === 'PUT') {
+    const digest = url.searchParams.get('digest');
+    if (sha256(body) !== digest) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      const error = { code: 'DIGEST_INVALID', message: 'digest mismatch' };
+      res.end(JSON.stringify({ errors: [error] }));
+      return;
+    }
+
+    registry.blobs[digest] = body;
+    res.writeHead(201);
+    res.end();
+  } else if (match && match[2] === 'manifests' && req.method === 'PUT') {
+    const manifest = { type: req.headers['content-type'], body };
+    registry.manifests[`${match[1]}:${match[4]}`] = manifest;
+    res.writeHead(201);
+    res.end();
+  } else if (url.pathname.endsWith('/tags/list')) {
+    const name = url.pathname.slice('/v2/'.length, -'/tags/list'.length);
+    const tags = Object.keys(registry.manifests)
+      .filter(key => key.startsWith(`${name}:`) && !key.includes('sha256:'))
+      .map(key => key.slice(name.length + 1));
+
+    // Serve one tag per page to exercise pagination
+    const last = url.searchParams.get('last');
+    const index = last == null ? 0 : tags.indexOf(last) + 1;
+    const headers = { 'Content-Type': 'application/json' };
+    if (index + 1 < tags.length) {
+      headers.Link = `</v2/${name}/tags/list?n=1&last=${
+        tags[index]
+      }>; rel="next"`;
+    }
+
+    res.writeHead(tags.length === 0 ? 404 : 200, headers);
+    res.end(JSON.stringify({ name, tags: tags.slice(index, index + 1) }));
+  } else if (match && match[2] === 'manifests' && req.method === 'HEAD') {
+    res.writeHead(registry.manifests[`${match[1]}:${match[4]}`] ? 200 : 404);
+    res.end();
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+}
+
+/**
+ * Writes a "docker save" tarball containing a single image
+ */
+async function createDockerArchive(directory, name, architecture) {
+  const root = path.join(directory, name);
+  await mkdir(root);
+
+  const layer = Buffer.from(`layer for ${architecture}`);
+  const config = Buffer.from(JSON.stringify({ os: 'linux', architecture }));
+  await writeFile(path.join(root, 'layer.tar'), layer);
+  await writeFile(path.join(root, 'config.json'), config);
+  await writeFile(
+    path.join(root, 'manifest.json'),
+    JSON.stringify([{ Config: 'config.json', Layers: ['layer.tar'] }])
+  );
+
+  const file = path.join(directory, `${name}.tar`);
+  await tar.c({ file, cwd: root }, [
+    'manifest.json',
+    'config.json',
+    'layer.tar',
+  ]);
+  return file;
+}
+
+/**
+ * Writes an OCI image layout tarball with an index of an amd64 image and an
+ * attestation manifest
+ */
+async function createImageLayout(directory) {
+  const root = path.join(directory, 'layout');
+  const blobs = path.join(root, 'blobs', 'sha256');
+  await mkdir(root);
+  await mkdir(path.join(root, 'blobs'));
+  await mkdir(blobs);
+
+  async function writeBlob(data) {
+    const digest = sha256(data);
+    await writeFile(path.join(blobs, digest.split(':')[1]), data);
+    return { digest, size: data.length };
+  }
+
+  const config = await writeBlob(Buffer.from('{"os":"linux"}'));
+  const layer = await writeBlob(Buffer.from('layer'));
+  const manifest = Buffer.from(
+    JSON.stringify({
+      schemaVersion: 2,
+      config: {
+        mediaType: 'application/vnd.oci.image.config.v1+json',
+        ...config,
+      },
+      layers: [
+        { mediaType: 'application/vnd.oci.image.layer.v1.tar', ...layer },
+      ],
+    })
+  );
+
+  const mediaType = 'application/vnd.oci.image.manifest.v1+json';
+  const image = await writeBlob(manifest);
+  const attestation = await writeBlob(manifest);
+  const index = Buffer.from(
+    JSON.stringify({
+      schemaVersion: 2,
+      manifests: [
+        {
+          mediaType,
+          ...image,
+          platform: { os: 'linux', architecture: 'amd64' },
+        },
+        {
+          mediaType,
+          ...attestation,
+          platform: { os: 'unknown', architecture: 'unknown' },
+        },
+      ],
+    })
+  );
+
+  const indexBlob = await writeBlob(index);
+  await writeFile(
+    path.join(root, 'oci-layout'),
+    '{"imageLayoutVersion":"1.0.0"}'
+  );
+  await writeFile(
+    path.join(root, 'index.json'),
+    JSON.stringify({
+      schemaVersion: 2,
+      manifests: [
+        { mediaType: 'application/vnd.oci.image.index.v1+json', ...indexBlob },
+      ],
+    })
+  );
+
+  const file = path.join(directory, 'layout.tar');
+  await tar.c({ file, cwd: root }, ['oci-layout', 'index.json', 'blobs']);
+  return { file, digest: image.digest };
+}
+
+function createContext(files, config = {}, version = '1.0.0') {
+  const context = new ReleaseContext({
+    image: 'owner/app',
+    registry: registryUrl,
+    ...config,
+  });
+
+  context.tag.version = version;
+  context.store = {
+    listFiles: async () => files.map(file => ({ name: path.basename(file) })),
+    downloadFile: async file =>
+      files.find(filePath => path.basename(filePath) === file.name),
+  };
+
+  return context;
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  registryUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.DOCKER_USERNAME = 'user';
+  process.env.DOCKER_PASSWORD = 'pass';
+  dryrun.setDryRun(false);
+});
+
+afterAll(async () => {
+  delete process.env.DOCKER_USERNAME;
+  delete process.env.DOCKER_PASSWORD;
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  registry.blobs = {};
+  registry.manifests = {};
+  registry.tokenRequests = [];
+});
+
+test('pushes a single image with all tags', async () => {
+  expect.assertions(6);
+
+  await withTempDir(async directory => {
+    const file = await createDockerArchive(directory, 'app', 'amd64');
+    expect(await docker(createContext([file]))).toBe(null);
+  });
+
+  expect(Object.keys(registry.manifests).sort()).toEqual([
+    'owner/app:1.0',
+    'owner/app:1.0.0',
+    'owner/app:latest',
+    expect.stringMatching(/^owner\/app:sha256:/),
+  ]);
+
+  const manifest = registry.manifests['owner/app:1.0.0'];
+  expect(manifest.type).toBe('application/vnd.oci.image.manifest.v1+json');
+  const { config, layers } = JSON.parse(manifest.body);
+  expect(registry.blobs[config.digest]).toBeDefined();
+  expect(registry.blobs[layers[0].digest].toString()).toBe('layer for amd64');
+  expect(registry.tokenRequests[0]).toEqual({
+    scope: 'repository:owner/app:pull,push',
+    service: 'test',
+    authorization: `Basic ${Buffer.from('user:pass').toString('base64')}`,
+  });
+});
+
+test('combines images into a multi-arch index', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const amd64 = await createDockerArchive(directory, 'amd64', 'amd64');
+    const arm64 = await createDockerArchive(directory, 'arm64', 'arm64');
+    await docker(createContext([amd64, arm64]));
+  });
+
+  const manifest = registry.manifests['owner/app:latest'];
+  expect(manifest.type).toBe('application/vnd.oci.image.index.v1+json');
+  const { manifests } = JSON.parse(manifest.body);
+  expect(manifests.map(entry => entry.platform.architecture)).toEqual([
+    'amd64',
+    'arm64',
+  ]);
+});
+
+test('rejects multiple images for the same platform', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    const first = await createDockerArchive(directory, 'first', 'amd64');
+    const second = await createDockerArchive(directory, 'second', 'amd64');
+    const err = new Error('Found multiple images for platform linux/amd64');
+    await expect(docker(createContext([first, second]))).rejects.toEqual(err);
+  });
+});
+
+test('pushes images from OCI layouts', async () => {
+  expect.assertions(2);
+
+  let digest;
+  await withTempDir(async directory => {
+    const layout = await createImageLayout(directory);
+    ({ digest } = layout);
+    await docker(createContext([layout.file]));
+  });
+
+  // Attestations are omitted, so the image is tagged directly
+  const manifest = registry.manifests['owner/app:1.0.0'];
+  expect(manifest.type).toBe('application/vnd.oci.image.manifest.v1+json');
+  expect(sha256(manifest.body)).toBe(digest);
+});
+
+test('only tags the version of pre-releases', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    const file = await createDockerArchive(directory, 'app', 'amd64');
+    await docker(createContext([file], {}, '1.0.0-rc.1'));
+  });
+
+  const tags = Object.keys(registry.manifests).filter(
+    key => !key.includes('sha256:')
+  );
+  expect(tags).toEqual(['owner/app:1.0.0-rc.1']);
+});
+
+test('keeps the latest and minor tags on higher versions', async () => {
+  expect.assertions(2);
+
+  const image = { type: 'x', body: Buffer.from('') };
+  ['1.4.2', '1.4', '2.0.0', '2.0', 'latest'].forEach(tag => {
+    registry.manifests[`owner/app:${tag}`] = image;
+  });
+
+  await withTempDir(async directory => {
+    const file = await createDockerArchive(directory, 'app', 'amd64');
+    await docker(createContext([file], {}, '1.4.3'));
+  });
+
+  expect(registry.manifests['owner/app:1.4']).not.toBe(image);
+  expect(registry.manifests['owner/app:latest']).toBe(image);
+});
+
+test('only tags the version of outdated patches', async () => {
+  expect.assertions(1);
+
+  const image = { type: 'x', body: Buffer.from('') };
+  ['1.4.5', '1.4', 'latest'].forEach(tag => {
+    registry.manifests[`owner/app:${tag}`] = image;
+  });
+
+  await withTempDir(async directory => {
+    const file = await createDockerArchive(directory, 'app', 'amd64');
+    await docker(createContext([file], {}, '1.4.3'));
+  });
+
+  const updated = Object.keys(registry.manifests).filter(
+    key => registry.manifests[key] !== image && !key.includes('sha256:')
+  );
+  expect(updated).toEqual(['owner/app:1.4.3']);
+});
+
+test('skips existing versions without downloading', async () => {
+  expect.assertions(3);
+
+  registry.manifests['owner/app:1.0.0'] = { type: 'x', body: Buffer.from('') };
+  await withTempDir(async directory => {
+    const file = await createDockerArchive(directory, 'app', 'amd64');
+    const context = createContext([file]);
+    context.store.downloadFile = jest.fn();
+
+    expect(await docker(context)).toEqual({ existing: true });
+    expect(context.store.downloadFile).not.toHaveBeenCalled();
+  });
+
+  expect(registry.blobs).toEqual({});
+});
+
+test('skips tarballs without images', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    await writeFile(path.join(directory, 'README'), 'no image');
+    const file = path.join(directory, 'sources.tar.gz');
+    await tar.c({ file, cwd: directory, gzip: true }, ['README']);
+    expect(await docker(createContext([file]))).toBe(null);
+  });
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const amd64 = await createDockerArchive(directory, 'amd64', 'amd64');
+    const arm64 = await createDockerArchive(directory, 'arm64', 'arm64');
+    const context = createContext([amd64, arm64]);
+    context.dryRun = true;
+
+    expect(await docker(context)).toEqual({
+      plan: {
+        action: `Push ${registryUrl.replace(
+          'http://',
+          ''
+        )}/owner/app for linux/amd64, linux/arm64 with tags 1.0.0, 1.0, latest`,
+        registry: registryUrl,
+        files: ['amd64.tar', 'arm64.tar'],
+      },
+    });
+  });
+
+  expect(registry.manifests).toEqual({});
+});
@@ -0,0 +1,205 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { isPublishedOnRubygems } = require('../../registries');
+const { spawn } = require('../../utils');
+const gem = require('../gem');
+
+jest.mock('../../registries');
+jest.mock('../../utils', () => ({
+  ...require.requireActual('../../utils'),
+  spawn: jest.fn(),
+}));
+
+const HOST = 'https://rubygems.org';
+
+/**
+ * Gems published on the server as "name-version-platform"
+ */
+let published;
+
+function createContext(names, config = {}) {
+  const context = new ReleaseContext(config);
+  context.tag.version = '1.0.0';
+  context.store = {
+    listFiles: async () => names.map(name => ({ name })),
+    downloadFile: async file => `/tmp/${file.name}`,
+  };
+
+  return context;
+}
+
+function getCommands() {
+  return spawn.mock.calls.map(([, args]) => args);
+}
+
+beforeAll(() => {
+  process.env.GEM_HOST_API_KEY = 'api-key';
+  dryrun.setDryRun(false);
+});
+
+afterAll(() => {
+  delete process.env.GEM_HOST_API_KEY;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  published = [];
+  isPublishedOnRubygems.mockImplementation(
+    async (host, name, version, platform) =>
+      published.includes(`${name}-${version}-${platform}`)
+  );
+  spawn.mockReturnValue(Promise.resolve(''));
+});
+
+test('pushes all gems', async () => {
+  expect.assertions(2);
+
+  const names = ['sentry-1.0.0.gem', 'sentry-1.0.0-java.gem', 'other.zip'];
+  expect(await gem(createContext(names))).toBe(null);
+  expect(getCommands()).toEqual([
+    ['push', '/tmp/sentry-1.0.0.gem', '--host', HOST],
+    ['push', '/tmp/sentry-1.0.0-java.gem', '--host', HOST],
+  ]);
+});
+
+test('parses names, versions and platforms of gems', async () => {
+  expect.assertions(1);
+
+  const context = createContext([
+    'sentry-ruby-1.0.0.gem',
+    'foo-2fa-1.0.0.gem',
+    'sentry-raven-1.0.0-x86_64-linux.gem',
+    'sentry-1.0.0-universal-darwin-19.gem',
+  ]);
+  await gem(context);
+
+  expect(isPublishedOnRubygems.mock.calls).toEqual([
+    [HOST, 'sentry-ruby', '1.0.0', 'ruby'],
+    [HOST, 'foo-2fa', '1.0.0', 'ruby'],
+    [HOST, 'sentry-raven', '1.0.0', 'x86_64-linux'],
+    [HOST, 'sentry', '1.0.0', 'universal-darwin-19'],
+  ]);
+});
+
+test('accepts gem pre-release versions of the tag', async () => {
+  expect.assertions(1);
+
+  const context = createContext(['sentry-1.0.0.rc.1.gem']);
+  context.tag = { ref: 'v1.0.0-rc.1', version: '1.0.0-rc.1' };
+  await gem(context);
+
+  expect(isPublishedOnRubygems).toHaveBeenCalledWith(
+    HOST,
+    'sentry',
+    '1.0.0.rc.1',
+    'ruby'
+  );
+});
+
+test('rejects gems that do not match the tag version', async () => {
+  expect.assertions(2);
+
+  const context = createContext(['sentry-1.0.0.gem', 'sentry-0.9.0.gem']);
+  const err = new Error(
+    'Version 0.9.0 of sentry-0.9.0.gem does not match v1.0.0'
+  );
+  await expect(gem(context)).rejects.toEqual(err);
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('skips releases if all gems exist', async () => {
+  expect.assertions(2);
+
+  published = ['sentry-1.0.0-ruby', 'sentry-1.0.0-java'];
+  const names = ['sentry-1.0.0.gem', 'sentry-1.0.0-java.gem'];
+  expect(await gem(createContext(names))).toEqual({ existing: true });
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('pushes only missing gems to a custom host', async () => {
+  expect.assertions(1);
+
+  published = ['sentry-1.0.0-ruby'];
+  const names = ['sentry-1.0.0.gem', 'sentry-1.0.0-java.gem'];
+  const host = 'https://gems.example.org';
+  await gem(createContext(names, { host }));
+
+  expect(getCommands()).toEqual([
+    ['push', '/tmp/sentry-1.0.0-java.gem', '--host', host],
+  ]);
+});
+
+test('returns a plan of missing gems in dry runs', async () => {
+  expect.assertions(2);
+
+  published = ['sentry-1.0.0-ruby'];
+  const context = createContext(['sentry-1.0.0.gem', 'sentry-1.0.0-java.gem']);
+  context.dryRun = true;
+
+  expect(await gem(context)).toEqual({
+    plan: {
+      action: 'Push 1 gems',
+      registry: HOST,
+      files: ['sentry-1.0.0-java.gem'],
+    },
+  });
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+describe('rollback', () => {
+  test('yanks pushed gems with their platform', async () => {
+    expect.assertions(1);
+
+    published = ['sentry-1.0.0-ruby', 'sentry-1.0.0-x86_64-linux'];
+    const names = ['sentry-1.0.0.gem', 'sentry-1.0.0-x86_64-linux.gem'];
+    await gem.rollback(createContext(names));
+
+    expect(getCommands()).toEqual([
+      ['yank', 'sentry', '--version', '1.0.0', '--host', HOST],
+      [
+        'yank',
+        'sentry',
+        '--version',
+        '1.0.0',
+        '--host',
+        HOST,
+        '--platform',
+        'x86_64-linux',
+      ],
+    ]);
+  });
+
+  test('skips gems that were not pushed', async () => {
+    expect.assertions(1);
+
+    published = ['sentry-1.0.0-java'];
+    const names = ['sentry-1.0.0.gem', 'sentry-1.0.0-java.gem'];
+    await gem.rollback(createContext(names));
+
+    expect(getCommands()).toEqual([
+      [
+        'yank',
+        'sentry',
+        '--version',
+        '1.0.0',
+        '--host',
+        HOST,
+        '--platform',
+        'java',
+      ],
+    ]);
+  });
+
+  test('does not yank in dry runs', async () => {
+    expect.assertions(1);
+
+    published = ['sentry-1.0.0-ruby'];
+    const context = createContext(['sentry-1.0.0.gem']);
+    context.dryRun = true;
+    await gem.rollback(context);
+
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
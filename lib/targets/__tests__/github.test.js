@@ -0,0 +1,51 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const github = require('../github');
+
+const RELEASE = { id: 17, tag_name: 'v1.0.0', draft: false };
+
+beforeAll(() => {
+  dryrun.setDryRun(false);
+});
+
+describe('rollback', () => {
+  test('converts the release to a draft', async () => {
+    expect.assertions(2);
+
+    const context = new ReleaseContext();
+    const { repos } = context.github;
+    repos.getReleaseByTag.mockResponse(RELEASE);
+
+    await github.rollback(context);
+
+    expect(repos.getReleaseByTag).toHaveBeenCalledWith(
+      context.repo({ tag: 'v1.0.0' })
+    );
+    expect(repos.editRelease).toHaveBeenCalledWith(
+      context.repo({ id: 17, tag_name: 'v1.0.0', draft: true })
+    );
+  });
+
+  test('skips tags without release', async () => {
+    expect.assertions(1);
+
+    const context = new ReleaseContext();
+    context.github.repos.getReleaseByTag.mockError(404);
+
+    await github.rollback(context);
+    expect(context.github.repos.editRelease).not.toHaveBeenCalled();
+  });
+
+  test('does not edit the release in dry runs', async () => {
+    expect.assertions(1);
+
+    const context = new ReleaseContext();
+    context.dryRun = true;
+    context.github.repos.getReleaseByTag.mockResponse(RELEASE);
+
+    await github.rollback(context);
+    expect(context.github.repos.editRelease).not.toHaveBeenCalled();
+  });
+});
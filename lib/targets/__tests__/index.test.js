@@ -73,9 +73,21 @@ test('creates a release context', async () => {
     tag,
     logger,
     store,
+    dryRun: false,
   });
 });
 
+test('passes dry runs to the release context', async () => {
+  tryRequire.mockReturnValue(jest.fn());
+
+  expect.assertions(1);
+  await runTarget('name', {}, {}, {}, {}, true);
+  expect(cloneContext).lastCalledWith(
+    {},
+    expect.objectContaining({ dryRun: true })
+  );
+});
+
 test('invokes the target function', async () => {
   const targetFn = jest.fn();
   tryRequire.mockReturnValue(targetFn);
@@ -87,3 +99,71 @@ test('invokes the target function', async () => {
   await runTarget('name');
   expect(targetFn).lastCalledWith(clonedContext);
 });
+
+test('resolves the result of the target function', async () => {
+  const result = { url: 'https://example.org' };
+  const targetFn = jest.fn().mockReturnValue(Promise.resolve(result));
+  tryRequire.mockReturnValue(targetFn);
+
+  expect.assertions(1);
+  expect(await runTarget('name')).toBe(result);
+});
+
+test('skips targets whose condition is not met', async () => {
+  const targetFn = jest.fn();
+  tryRequire.mockReturnValue(targetFn);
+
+  const config = { name: 'name', when: { prerelease: true } };
+  const tag = { ref: 'v1.0.0' };
+  const logger = { info: jest.fn() };
+
+  expect.assertions(3);
+  const result = await runTarget(config, {}, tag, {}, logger);
+  expect(result).toEqual({ skipped: 'v1.0.0 is not a pre-release' });
+  expect(logger.info).toBeCalledWith(
+    'Skipping target name: v1.0.0 is not a pre-release'
+  );
+  expect(targetFn).not.toBeCalled();
+});
+
+test('runs targets whose condition is met', async () => {
+  const targetFn = jest.fn();
+  tryRequire.mockReturnValue(targetFn);
+
+  const config = { name: 'name', when: { prerelease: true } };
+  const tag = { ref: 'v1.0.0-rc.1' };
+
+  expect.assertions(1);
+  await runTarget(config, {}, tag, {}, {});
+  expect(targetFn).toBeCalled();
+});
+
+describe('rollbackTarget', () => {
+  const { rollbackTarget } = runTarget;
+
+  test('invokes the rollback function', async () => {
+    const targetFn = jest.fn();
+    targetFn.rollback = jest.fn().mockReturnValue(Promise.resolve());
+    tryRequire.mockReturnValue(targetFn);
+
+    const clonedContext = { context: 'cloned' };
+    cloneContext.mockReturnValue(clonedContext);
+
+    expect.assertions(2);
+    await rollbackTarget('name');
+    expect(targetFn.rollback).lastCalledWith(clonedContext);
+    expect(targetFn).not.toBeCalled();
+  });
+
+  test('rejects targets without rollback support', () => {
+    tryRequire.mockReturnValue(jest.fn());
+    const err = new Error('Target "name" does not support rollbacks');
+    return expect(rollbackTarget('name')).rejects.toEqual(err);
+  });
+
+  test('rejects unknown targets', () => {
+    tryRequire.mockReturnValue(null);
+    const err = new Error('Unknown deploy target "name"');
+    return expect(rollbackTarget('name')).rejects.toEqual(err);
+  });
+});
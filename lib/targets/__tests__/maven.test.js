@@ -0,0 +1,247 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { withTempDir } = require('../../files');
+const maven = require('../maven');
+
+jest.unmock('node-fetch');
+
+const writeFile = util.promisify(fs.writeFile);
+
+const POM = `<?xml version="1.0" encoding="UTF-8"?>
+<project>
+  <!-- <groupId>commented.out</groupId> -->
+  <parent>
+    <groupId>io.sentry</groupId>
+    <artifactId>sentry-parent</artifactId>
+    <version>1.0.0</version>
+  </parent>
+  <artifactId>sentry</artifactId>
+  <dependencies>
+    <dependency>
+      <groupId>org.example</groupId>
+      <artifactId>dependency</artifactId>
+      <version>2.0.0</version>
+    </dependency>
+  </dependencies>
+</project>
+`;
+
+const ARTIFACT_PATH = '/io/sentry/sentry/1.0.0';
+
+/**
+ * State of the local stand-in repository and staging server
+ */
+const server = { requests: [], uploads: {}, existing: [] };
+
+let httpServer;
+let serverUrl;
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+/**
+ * Implements uploads to a Maven repository and the Nexus staging API
+ */
+async function handleRequest(req, res) {
+  const body = await readBody(req);
+  server.requests.push({ method: req.method, url: req.url, body });
+
+  // Like public repositories, reads do not require authentication
+  if (req.method === 'HEAD') {
+    res.writeHead(server.existing.includes(req.url) ? 200 : 404);
+    res.end();
+  } else if (req.headers.authorization !== 'Basic dXNlcjpwYXNz') {
+    res.writeHead(401, { 'Content-Length': 0 });
+    res.end();
+  } else if (
+    req.url.startsWith('/service/local/staging/') &&
+    req.headers.accept !== 'application/json'
+  ) {
+    // Nexus defaults to XML for all staging endpoints
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end('<stagingProfileRepository/>');
+  } else if (req.method === 'PUT') {
+    server.uploads[req.url] = body;
+    res.writeHead(201, { 'Content-Length': 0 });
+    res.end();
+  } else if (req.url.endsWith('/start')) {
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: { stagedRepositoryId: 'staged-1' } }));
+  } else if (req.url.endsWith('/repository/staged-1')) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ type: 'closed', transitioning: false }));
+  } else {
+    res.writeHead(201, { 'Content-Length': 0 });
+    res.end();
+  }
+}
+
+async function createFiles(directory) {
+  const files = {
+    'sentry.pom': POM,
+    'sentry-1.0.0.jar': 'jar',
+    'sentry-1.0.0-sources.jar': 'sources',
+    'sentry-1.0.0.jar.asc': 'signature',
+    'other-1.0.0.jar': 'other',
+  };
+
+  await Promise.all(
+    Object.keys(files).map(name =>
+      writeFile(path.join(directory, name), files[name])
+    )
+  );
+
+  return Object.keys(files);
+}
+
+function createContext(directory, names, config = {}) {
+  const context = new ReleaseContext({ url: serverUrl, ...config });
+  context.store = {
+    listFiles: async () => names.map(name => ({ name })),
+    downloadFile: async file => path.join(directory, file.name),
+  };
+
+  return context;
+}
+
+beforeAll(async () => {
+  httpServer = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  process.env.MAVEN_USERNAME = 'user';
+  process.env.MAVEN_PASSWORD = 'pass';
+  dryrun.setDryRun(false);
+});
+
+afterAll(async () => {
+  delete process.env.MAVEN_USERNAME;
+  delete process.env.MAVEN_PASSWORD;
+  await new Promise(resolve => httpServer.close(resolve));
+});
+
+beforeEach(() => {
+  server.requests = [];
+  server.uploads = {};
+  server.existing = [];
+});
+
+test('uploads artifacts grouped by coordinates with checksums', async () => {
+  expect.assertions(4);
+
+  await withTempDir(async directory => {
+    const names = await createFiles(directory);
+    expect(await maven(createContext(directory, names))).toBe(null);
+  });
+
+  expect(Object.keys(server.uploads).sort()).toEqual(
+    [
+      'sentry-1.0.0-sources.jar',
+      'sentry-1.0.0-sources.jar.md5',
+      'sentry-1.0.0-sources.jar.sha1',
+      'sentry-1.0.0.jar',
+      'sentry-1.0.0.jar.asc',
+      'sentry-1.0.0.jar.asc.md5',
+      'sentry-1.0.0.jar.asc.sha1',
+      'sentry-1.0.0.jar.md5',
+      'sentry-1.0.0.jar.sha1',
+      'sentry-1.0.0.pom',
+      'sentry-1.0.0.pom.md5',
+      'sentry-1.0.0.pom.sha1',
+    ].map(name => `${ARTIFACT_PATH}/${name}`)
+  );
+
+  expect(server.uploads[`${ARTIFACT_PATH}/sentry-1.0.0.jar.md5`]).toBe(
+    '68995fcbf432492d15484d04a9d2ac40'
+  );
+  expect(server.uploads[`${ARTIFACT_PATH}/sentry-1.0.0.jar.sha1`]).toBe(
+    'f92e777f4341930bad9b2422283c4680d00dbc06'
+  );
+});
+
+test('skips existing versions', async () => {
+  expect.assertions(2);
+
+  server.existing.push(`${ARTIFACT_PATH}/sentry-1.0.0.pom`);
+  await withTempDir(async directory => {
+    const names = await createFiles(directory);
+    const result = await maven(createContext(directory, names));
+    expect(result).toEqual({ existing: true });
+  });
+
+  expect(server.uploads).toEqual({});
+});
+
+test('releases through a staging repository', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const names = await createFiles(directory);
+    const staging = { url: serverUrl, profileId: 'profile' };
+    await maven(createContext(directory, names, { staging }));
+  });
+
+  const deployPath = '/service/local/staging/deployByRepositoryId/staged-1';
+  expect(server.uploads[`${deployPath}${ARTIFACT_PATH}/sentry-1.0.0.jar`]).toBe(
+    'jar'
+  );
+
+  const stagingRequests = server.requests
+    .filter(req => req.method !== 'HEAD' && req.method !== 'PUT')
+    .map(req => `${req.method} ${req.url}`);
+  expect(stagingRequests).toEqual([
+    'POST /service/local/staging/profiles/profile/start',
+    'POST /service/local/staging/bulk/close',
+    'GET /service/local/staging/repository/staged-1',
+    'POST /service/local/staging/bulk/promote',
+  ]);
+});
+
+test('rejects POM files without coordinates', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    await writeFile(path.join(directory, 'broken.pom'), '<project />');
+    const context = createContext(directory, ['broken.pom']);
+    const err = new Error('Cannot read the coordinates of broken.pom');
+    await expect(maven(context)).rejects.toEqual(err);
+  });
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const names = await createFiles(directory);
+    const context = createContext(directory, names);
+    context.dryRun = true;
+
+    expect(await maven(context)).toEqual({
+      plan: {
+        action: 'Upload 1 artifacts',
+        registry: serverUrl,
+        files: [
+          'io/sentry/sentry/1.0.0/sentry-1.0.0.pom',
+          'io/sentry/sentry/1.0.0/sentry-1.0.0.jar',
+          'io/sentry/sentry/1.0.0/sentry-1.0.0-sources.jar',
+          'io/sentry/sentry/1.0.0/sentry-1.0.0.jar.asc',
+        ],
+      },
+    });
+  });
+
+  expect(server.uploads).toEqual({});
+});
@@ -0,0 +1,181 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const util = require('util');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { withTempDir } = require('../../files');
+const { isPublishedOnNpm } = require('../../registries');
+const { spawn } = require('../../utils');
+const npm = require('../npm');
+
+jest.mock('../../registries');
+jest.mock('../../utils');
+
+const mkdir = util.promisify(fs.mkdir);
+const writeFile = util.promisify(fs.writeFile);
+
+const MANIFEST = { name: '@scope/pkg', version: '1.0.0' };
+
+/**
+ * Packs a tarball like "npm pack", optionally containing a package.json
+ */
+async function createTarball(directory, manifest) {
+  const packageDir = path.join(directory, 'package');
+  await mkdir(packageDir);
+  await writeFile(path.join(packageDir, 'index.js'), '');
+  if (manifest) {
+    const json = JSON.stringify(manifest);
+    await writeFile(path.join(packageDir, 'package.json'), json);
+  }
+
+  const file = path.join(directory, 'pkg-1.0.0.tgz');
+  await tar.c({ gzip: true, file, cwd: directory }, ['package']);
+  return file;
+}
+
+async function createContext(directory, manifest = MANIFEST, config = {}) {
+  const file = await createTarball(directory, manifest);
+  const context = new ReleaseContext(config);
+  context.store = {
+    listFiles: async () => [{ name: 'pkg-1.0.0.tgz' }, { name: 'other.zip' }],
+    downloadFile: async () => file,
+  };
+
+  return context;
+}
+
+beforeAll(() => {
+  dryrun.setDryRun(false);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  isPublishedOnNpm.mockReturnValue(Promise.resolve(false));
+});
+
+test('publishes the package tarball', async () => {
+  expect.assertions(3);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory, MANIFEST, { tag: 'next' });
+    expect(await npm(context)).toBe(null);
+  });
+
+  expect(isPublishedOnNpm).toHaveBeenCalledWith('@scope/pkg', '1.0.0');
+  expect(spawn.mock.calls[0][1]).toEqual([
+    'publish',
+    '--registry=https://registry.npmjs.org/',
+    expect.stringMatching(/pkg-1\.0\.0\.tgz$/),
+    '--tag=next',
+  ]);
+});
+
+test('skips versions that exist in the registry', async () => {
+  expect.assertions(2);
+
+  isPublishedOnNpm.mockReturnValue(Promise.resolve(true));
+  await withTempDir(async directory => {
+    const context = await createContext(directory);
+    expect(await npm(context)).toEqual({ existing: true });
+  });
+
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('publishes tarballs without manifest without checking', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory, null);
+    expect(await npm(context)).toBe(null);
+  });
+
+  expect(isPublishedOnNpm).not.toHaveBeenCalled();
+});
+
+test('skips releases without package tarball', async () => {
+  expect.assertions(2);
+
+  const context = new ReleaseContext();
+  context.store = { listFiles: async () => [{ name: 'other.zip' }] };
+  expect(await npm(context)).toBe(null);
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory);
+    context.dryRun = true;
+
+    expect(await npm(context)).toEqual({
+      plan: {
+        action: 'Publish @scope/pkg@1.0.0 with dist-tag "latest"',
+        registry: 'https://registry.npmjs.org',
+        files: ['pkg-1.0.0.tgz'],
+      },
+    });
+  });
+
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+describe('rollback', () => {
+  test('deprecates the version by default', async () => {
+    expect.assertions(1);
+
+    await withTempDir(async directory => {
+      await npm.rollback(await createContext(directory));
+    });
+
+    expect(spawn.mock.calls[0][1]).toEqual([
+      'deprecate',
+      '--registry=https://registry.npmjs.org/',
+      '@scope/pkg@1.0.0',
+      '@scope/pkg@1.0.0 has been rolled back',
+    ]);
+  });
+
+  test('unpublishes the version if configured', async () => {
+    expect.assertions(1);
+
+    await withTempDir(async directory => {
+      const config = { rollback: 'unpublish' };
+      await npm.rollback(await createContext(directory, MANIFEST, config));
+    });
+
+    expect(spawn.mock.calls[0][1]).toEqual([
+      'unpublish',
+      '--registry=https://registry.npmjs.org/',
+      '@scope/pkg@1.0.0',
+    ]);
+  });
+
+  test('rejects tarballs without manifest', async () => {
+    expect.assertions(2);
+
+    await withTempDir(async directory => {
+      const context = await createContext(directory, null);
+      const err = new Error('Missing package.json in pkg-1.0.0.tgz');
+      await expect(npm.rollback(context)).rejects.toEqual(err);
+    });
+
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  test('does not roll back in dry runs', async () => {
+    expect.assertions(1);
+
+    await withTempDir(async directory => {
+      const context = await createContext(directory);
+      context.dryRun = true;
+      await npm.rollback(context);
+    });
+
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
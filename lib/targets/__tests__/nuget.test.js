@@ -0,0 +1,180 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { withTempDir } = require('../../files');
+const nuget = require('../nuget');
+
+jest.unmock('node-fetch');
+
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * State of the local stand-in feed
+ */
+const feed = { pushes: [], existing: [], conflicts: [], symbols: true };
+
+let server;
+let feedUrl;
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+/**
+ * Implements the service index, package contents and push endpoints of a
+ * NuGet v3 feed
+ */
+async function handleRequest(req, res) {
+  const body = await readBody(req);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  if (req.url === '/v3/index.json') {
+    const resources = [
+      { '@id': `${base}/push`, '@type': 'PackagePublish/2.0.0' },
+      { '@id': `${base}/flat/`, '@type': 'PackageBaseAddress/3.0.0' },
+    ];
+    if (feed.symbols) {
+      resources.push({
+        '@id': `${base}/symbols`,
+        '@type': 'SymbolPackagePublish/4.9.0',
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ version: '3.0.0', resources }));
+  } else if (req.url === '/flat/sentry/index.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ versions: feed.existing }));
+  } else if (req.method === 'PUT') {
+    const [, fileName] = /filename="([^"]+)"/.exec(body);
+    const apiKey = req.headers['x-nuget-apikey'];
+    feed.pushes.push({ url: req.url, fileName, apiKey, body });
+    res.writeHead(feed.conflicts.includes(fileName) ? 409 : 201);
+    res.end();
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+}
+
+async function createContext(directory, names, config = {}) {
+  await Promise.all(
+    names.map(name => writeFile(path.join(directory, name), `${name} data`))
+  );
+
+  const context = new ReleaseContext({ feed: feedUrl, ...config });
+  context.store = {
+    listFiles: async () => names.map(name => ({ name })),
+    downloadFile: async file => path.join(directory, file.name),
+  };
+
+  return context;
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  feedUrl = `http://127.0.0.1:${server.address().port}/v3/index.json`;
+  process.env.NUGET_API_KEY = 'api-key';
+  dryrun.setDryRun(false);
+});
+
+afterAll(async () => {
+  delete process.env.NUGET_API_KEY;
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  feed.pushes = [];
+  feed.existing = [];
+  feed.conflicts = [];
+  feed.symbols = true;
+});
+
+test('pushes packages and symbol packages', async () => {
+  expect.assertions(4);
+
+  await withTempDir(async directory => {
+    const names = ['Sentry.1.0.0.snupkg', 'Sentry.1.0.0.nupkg', 'other.zip'];
+    const context = await createContext(directory, names);
+    expect(await nuget(context)).toBe(null);
+  });
+
+  expect(feed.pushes.map(push => `${push.url} ${push.fileName}`)).toEqual([
+    '/push Sentry.1.0.0.nupkg',
+    '/symbols Sentry.1.0.0.snupkg',
+  ]);
+  expect(feed.pushes[0].apiKey).toBe('api-key');
+  expect(feed.pushes[0].body).toContain('Sentry.1.0.0.nupkg data');
+});
+
+test('skips versions that exist in the feed', async () => {
+  expect.assertions(2);
+
+  feed.existing = ['1.0.0'];
+  await withTempDir(async directory => {
+    const names = ['Sentry.1.0.0.nupkg', 'Sentry.1.0.0.snupkg'];
+    const context = await createContext(directory, names);
+    expect(await nuget(context)).toEqual({ existing: true });
+  });
+
+  expect(feed.pushes).toEqual([]);
+});
+
+test('detects existing versions on push', async () => {
+  expect.assertions(2);
+
+  feed.conflicts = ['Sentry.1.0.0.nupkg'];
+  await withTempDir(async directory => {
+    const context = await createContext(directory, ['Sentry.1.0.0.nupkg']);
+    expect(await nuget(context)).toEqual({ existing: true });
+  });
+
+  expect(feed.pushes.length).toBe(1);
+});
+
+test('skips symbol packages if the feed does not accept them', async () => {
+  expect.assertions(1);
+
+  feed.symbols = false;
+  await withTempDir(async directory => {
+    const names = ['Sentry.1.0.0.nupkg', 'Sentry.1.0.0.snupkg'];
+    await nuget(await createContext(directory, names));
+  });
+
+  expect(feed.pushes.map(push => push.fileName)).toEqual([
+    'Sentry.1.0.0.nupkg',
+  ]);
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const names = ['Sentry.1.0.0.nupkg', 'Sentry.1.0.0.snupkg'];
+    const context = await createContext(directory, names);
+    context.dryRun = true;
+
+    expect(await nuget(context)).toEqual({
+      plan: {
+        action: 'Push 1 packages and 1 symbol packages',
+        registry: feedUrl,
+        files: names,
+      },
+    });
+  });
+
+  expect(feed.pushes).toEqual([]);
+});
@@ -0,0 +1,101 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { isPublishedOnTrunk } = require('../../registries');
+const { spawn } = require('../../utils');
+const pods = require('../pods');
+
+jest.mock('../../registries');
+jest.mock('../../utils', () => ({
+  ...require.requireActual('../../utils'),
+  spawn: jest.fn(),
+}));
+
+const SPEC = `Pod::Spec.new do |s|
+  s.name         = "SentrySwift"
+  s.version      = '1.0.0'
+  s.summary      = "Sentry client for Swift"
+end
+`;
+
+function createContext(spec = SPEC) {
+  const context = new ReleaseContext({ spec: 'pods/Sentry.podspec' });
+  context.github.repos.getContent.mockContent(spec);
+  return context;
+}
+
+beforeAll(() => {
+  process.env.COCOAPODS_TRUNK_TOKEN = 'token';
+  dryrun.setDryRun(false);
+});
+
+afterAll(() => {
+  delete process.env.COCOAPODS_TRUNK_TOKEN;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  isPublishedOnTrunk.mockReturnValue(Promise.resolve(false));
+  spawn.mockReturnValue(Promise.resolve(''));
+});
+
+test('pushes the podspec to trunk', async () => {
+  expect.assertions(3);
+
+  expect(await pods(createContext())).toEqual({
+    url: 'https://cocoapods.org/pods/SentrySwift',
+  });
+  expect(isPublishedOnTrunk).toHaveBeenCalledWith('SentrySwift', '1.0.0');
+  expect(spawn.mock.calls.map(([, args]) => args)).toEqual([
+    ['setup'],
+    ['trunk', 'push', 'Sentry.podspec'],
+  ]);
+});
+
+test('skips versions that exist in trunk', async () => {
+  expect.assertions(2);
+
+  isPublishedOnTrunk.mockReturnValue(Promise.resolve(true));
+  expect(await pods(createContext())).toEqual({
+    existing: true,
+    url: 'https://cocoapods.org/pods/SentrySwift',
+  });
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('falls back to the file name without a literal name', async () => {
+  expect.assertions(2);
+
+  const spec = SPEC.replace('"SentrySwift"', 'NAME');
+  expect(await pods(createContext(spec))).toEqual({
+    url: 'https://cocoapods.org/pods/Sentry',
+  });
+  expect(isPublishedOnTrunk).toHaveBeenCalledWith('Sentry', '1.0.0');
+});
+
+test('pushes podspecs without a literal version without checking', async () => {
+  expect.assertions(2);
+
+  const spec = SPEC.replace("'1.0.0'", 'VERSION');
+  await pods(createContext(spec));
+
+  expect(isPublishedOnTrunk).not.toHaveBeenCalled();
+  expect(spawn).toHaveBeenCalledTimes(2);
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  const context = createContext();
+  context.dryRun = true;
+
+  expect(await pods(context)).toEqual({
+    plan: {
+      action: 'Push SentrySwift 1.0.0 to cocoapods trunk',
+      registry: 'https://trunk.cocoapods.org',
+      files: ['Sentry.podspec'],
+    },
+  });
+  expect(spawn).not.toHaveBeenCalled();
+});
@@ -0,0 +1,147 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { getPypiFiles } = require('../../registries');
+const { spawn } = require('../../utils');
+const pypi = require('../pypi');
+
+jest.mock('../../registries');
+jest.mock('../../utils');
+
+const FILES = [
+  'pkg-1.0.0-py2-none-any.whl',
+  'pkg-1.0.0-py3-none-any.whl',
+  'pkg-1.0.0.tar.gz',
+  'other.txt',
+];
+
+/**
+ * Uploaded files of all distributions by "name/version"
+ */
+let uploaded;
+
+function createContext(names = FILES) {
+  const context = new ReleaseContext();
+  context.store = {
+    listFiles: async () => names.map(name => ({ name })),
+    downloadFile: async file => `/tmp/${file.name}`,
+  };
+
+  return context;
+}
+
+function getUploads() {
+  return spawn.mock.calls.map(([, args]) => args[1]).sort();
+}
+
+beforeAll(() => {
+  process.env.TWINE_USERNAME = 'user';
+  process.env.TWINE_PASSWORD = 'password';
+  dryrun.setDryRun(false);
+});
+
+afterAll(() => {
+  delete process.env.TWINE_USERNAME;
+  delete process.env.TWINE_PASSWORD;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  uploaded = {};
+  getPypiFiles.mockImplementation(
+    async (name, version) => uploaded[`${name}/${version}`] || []
+  );
+});
+
+test('uploads all distributions', async () => {
+  expect.assertions(3);
+
+  expect(await pypi(createContext())).toBe(null);
+  expect(getPypiFiles.mock.calls).toEqual([['pkg', '1.0.0']]);
+  expect(getUploads()).toEqual([
+    '/tmp/pkg-1.0.0-py2-none-any.whl',
+    '/tmp/pkg-1.0.0-py3-none-any.whl',
+    '/tmp/pkg-1.0.0.tar.gz',
+  ]);
+});
+
+test('skips releases if all files exist', async () => {
+  expect.assertions(2);
+
+  uploaded['pkg/1.0.0'] = FILES;
+  expect(await pypi(createContext())).toEqual({ existing: true });
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+test('uploads only missing files', async () => {
+  expect.assertions(2);
+
+  uploaded['pkg/1.0.0'] = ['pkg-1.0.0-py2-none-any.whl'];
+  expect(await pypi(createContext())).toBe(null);
+  expect(getUploads()).toEqual([
+    '/tmp/pkg-1.0.0-py3-none-any.whl',
+    '/tmp/pkg-1.0.0.tar.gz',
+  ]);
+});
+
+test('checks each distribution separately', async () => {
+  expect.assertions(2);
+
+  uploaded['pkg/1.0.0'] = ['pkg-1.0.0-py3-none-any.whl'];
+  const names = ['pkg-1.0.0-py3-none-any.whl', 'pkg_ext-1.0.0-cp36-none.whl'];
+  await pypi(createContext(names));
+
+  expect(getPypiFiles.mock.calls.sort()).toEqual([
+    ['pkg', '1.0.0'],
+    ['pkg_ext', '1.0.0'],
+  ]);
+  expect(getUploads()).toEqual(['/tmp/pkg_ext-1.0.0-cp36-none.whl']);
+});
+
+test('returns a plan of missing files in dry runs', async () => {
+  expect.assertions(2);
+
+  uploaded['pkg/1.0.0'] = ['pkg-1.0.0.tar.gz'];
+  const context = createContext();
+  context.dryRun = true;
+
+  expect(await pypi(context)).toEqual({
+    plan: {
+      action: 'Upload 2 distributions via twine',
+      registry: 'https://upload.pypi.org/legacy/',
+      files: ['pkg-1.0.0-py2-none-any.whl', 'pkg-1.0.0-py3-none-any.whl'],
+    },
+  });
+  expect(spawn).not.toHaveBeenCalled();
+});
+
+describe('rollback', () => {
+  test('fails with links to yank uploaded versions', async () => {
+    expect.assertions(1);
+
+    uploaded['pkg/1.0.0'] = ['pkg-1.0.0.tar.gz'];
+    const names = FILES.concat('pkg_ext-1.0.0-cp36-none.whl');
+    const err = new Error(
+      'PyPI does not support automatic rollbacks. Yank the release manually ' +
+        'at https://pypi.org/manage/project/pkg/release/1.0.0/'
+    );
+
+    await expect(pypi.rollback(createContext(names))).rejects.toEqual(err);
+  });
+
+  test('skips versions that were not uploaded', async () => {
+    expect.assertions(1);
+
+    await expect(pypi.rollback(createContext())).resolves.toBeUndefined();
+  });
+
+  test('rejects releases without wheels', async () => {
+    expect.assertions(1);
+
+    const err = new Error('Cannot roll back PyPI release without wheels');
+    await expect(pypi.rollback(createContext(['other.txt']))).rejects.toEqual(
+      err
+    );
+  });
+});
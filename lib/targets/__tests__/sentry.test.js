@@ -0,0 +1,266 @@
+/* eslint-env jest */
+
+const dryrun = require('dryrun');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const ReleaseContext = require('../__mocks__/releaseContext');
+const { withTempDir } = require('../../files');
+const sentry = require('../sentry');
+
+jest.unmock('node-fetch');
+
+const writeFile = util.promisify(fs.writeFile);
+
+const RELEASE_PATH = '/api/0/organizations/org/releases/1.0.0/';
+
+/**
+ * State of the local stand-in Sentry server
+ */
+const server = { requests: [], release: null, uploaded: [] };
+
+let httpServer;
+let serverUrl;
+
+function readBody(req) {
+  return new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+/**
+ * Implements the release, artifact and debug file endpoints of the Sentry API
+ */
+async function handleRequest(req, res) {
+  const body = await readBody(req);
+  const json = /^application\/json/.test(req.headers['content-type'])
+    ? JSON.parse(body)
+    : null;
+  server.requests.push({ method: req.method, url: req.url, body, json });
+
+  const respond = (status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  if (req.headers.authorization !== 'Bearer token') {
+    respond(401, { detail: 'Invalid token' });
+  } else if (req.url.startsWith('/api/0/organizations/unknown/')) {
+    respond(404, { detail: 'The requested resource does not exist' });
+  } else if (req.method === 'GET' && req.url === RELEASE_PATH) {
+    if (server.release) {
+      respond(200, server.release);
+    } else {
+      respond(404, { detail: 'Not found' });
+    }
+  } else if (req.url.endsWith('/files/')) {
+    const [, name] = /filename="([^"]+)"/.exec(body);
+    const status = server.uploaded.includes(name) ? 409 : 201;
+    server.uploaded.push(name);
+    respond(status, {});
+  } else {
+    respond(req.method === 'POST' ? 201 : 200, {});
+  }
+}
+
+async function createContext(directory, names, config = {}) {
+  await Promise.all(
+    names.map(name => writeFile(path.join(directory, name), `${name} data`))
+  );
+
+  const context = new ReleaseContext({
+    url: serverUrl,
+    org: 'org',
+    projects: ['project'],
+    ...config,
+  });
+
+  context.tag.version = '1.0.0';
+  context.store = {
+    listFiles: async () => names.map(name => ({ name })),
+    downloadFile: async file => path.join(directory, file.name),
+  };
+
+  context.github.repos.getTags.mockResponse([
+    { name: 'v0.9.0', commit: { sha: 'sha-0.9.0' } },
+    { name: 'v0.10.0', commit: { sha: 'sha-0.10.0' } },
+    { name: 'v1.0.0', commit: { sha: ReleaseContext.TAG_SHA } },
+    { name: 'v0.11.0-dry', commit: { sha: 'sha-0.11.0-dry' } },
+    { name: 'other@0.11.0', commit: { sha: 'sha-other' } },
+  ]);
+
+  return context;
+}
+
+function getRequests() {
+  return server.requests.map(req => `${req.method} ${req.url}`);
+}
+
+beforeAll(async () => {
+  httpServer = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  process.env.SENTRY_AUTH_TOKEN = 'token';
+  dryrun.setDryRun(false);
+});
+
+afterAll(async () => {
+  delete process.env.SENTRY_AUTH_TOKEN;
+  await new Promise(resolve => httpServer.close(resolve));
+});
+
+beforeEach(() => {
+  server.requests = [];
+  server.release = null;
+  server.uploaded = [];
+});
+
+test('creates, populates and finalizes a release', async () => {
+  expect.assertions(3);
+
+  await withTempDir(async directory => {
+    const names = ['app.js', 'app.js.map', 'App.pdb', 'other.zip'];
+    const context = await createContext(directory, names, {
+      deploy: { environment: 'production' },
+    });
+    expect(await sentry(context)).toBe(null);
+  });
+
+  expect(getRequests()).toEqual([
+    `GET ${RELEASE_PATH}`,
+    'POST /api/0/organizations/org/releases/',
+    `PUT ${RELEASE_PATH}`,
+    `POST ${RELEASE_PATH}files/`,
+    'POST /api/0/projects/org/project/files/dsyms/',
+    `PUT ${RELEASE_PATH}`,
+    `POST ${RELEASE_PATH}deploys/`,
+  ]);
+
+  expect(server.requests.map(req => req.json)).toEqual([
+    null,
+    { version: '1.0.0', ref: 'v1.0.0', projects: ['project'] },
+    {
+      refs: [
+        {
+          repository: '__owner__/__repo__',
+          commit: ReleaseContext.TAG_SHA,
+          previousCommit: 'sha-0.10.0',
+        },
+      ],
+    },
+    null,
+    null,
+    { dateReleased: expect.any(String) },
+    { environment: 'production' },
+  ]);
+});
+
+test('uploads source maps with the URL prefix', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    const names = ['app.js', 'app.js.map'];
+    const config = { sourceMaps: ['*.js', '/\\.map$/'], urlPrefix: '~/dist/' };
+    await sentry(await createContext(directory, names, config));
+  });
+
+  const uploads = server.requests
+    .filter(req => req.url.endsWith('/files/'))
+    .map(req => /name="name"\r\n\r\n(.*)\r\n/.exec(req.body)[1]);
+  expect(uploads).toEqual(['~/dist/app.js', '~/dist/app.js.map']);
+});
+
+test('skips artifacts that were uploaded before', async () => {
+  expect.assertions(2);
+
+  server.uploaded = ['app.js.map'];
+  await withTempDir(async directory => {
+    const context = await createContext(directory, ['app.js.map']);
+    expect(await sentry(context)).toBe(null);
+  });
+
+  expect(getRequests()).toContain(`POST ${RELEASE_PATH}files/`);
+});
+
+test('reports finalized releases as existing', async () => {
+  expect.assertions(2);
+
+  server.release = { version: '1.0.0', dateReleased: '2018-01-01T00:00:00Z' };
+  await withTempDir(async directory => {
+    const context = await createContext(directory, ['app.js.map']);
+    expect(await sentry(context)).toEqual({ existing: true });
+  });
+
+  expect(getRequests()).toEqual([`GET ${RELEASE_PATH}`]);
+});
+
+test('omits the previous commit for the first release', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory, []);
+    context.github.repos.getTags.mockResponse([
+      { name: 'v1.0.0', commit: { sha: ReleaseContext.TAG_SHA } },
+    ]);
+    await sentry(context);
+  });
+
+  expect(server.requests[2].json).toEqual({
+    refs: [
+      { repository: '__owner__/__repo__', commit: ReleaseContext.TAG_SHA },
+    ],
+  });
+});
+
+test('fails for unknown organizations', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory, [], { org: 'unknown' });
+    const err = new Error('The requested resource does not exist');
+    await expect(sentry(context)).rejects.toEqual(err);
+  });
+
+  expect(getRequests()).toEqual([
+    'GET /api/0/organizations/unknown/releases/1.0.0/',
+    'POST /api/0/organizations/unknown/releases/',
+  ]);
+});
+
+test('rejects configurations without projects', async () => {
+  expect.assertions(1);
+
+  await withTempDir(async directory => {
+    const context = await createContext(directory, [], { projects: [] });
+    const err = new Error(
+      'Missing projects parameter in "sentry" configuration'
+    );
+    await expect(sentry(context)).rejects.toEqual(err);
+  });
+});
+
+test('returns a plan in dry runs', async () => {
+  expect.assertions(2);
+
+  await withTempDir(async directory => {
+    const names = ['app.js', 'app.js.map', 'App.pdb'];
+    const context = await createContext(directory, names);
+    context.dryRun = true;
+
+    expect(await sentry(context)).toEqual({
+      plan: {
+        action: 'Create release 1.0.0 with 1 source maps and 1 debug files',
+        registry: serverUrl,
+        files: ['app.js.map', 'App.pdb'],
+      },
+    });
+  });
+
+  expect(getRequests()).toEqual([`GET ${RELEASE_PATH}`]);
+});
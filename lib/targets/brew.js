@@ -1,8 +1,7 @@
-const crypto = require('crypto');
-const { shouldPerform } = require('dryrun');
-const { createReadStream } = require('fs');
 const _ = require('lodash');
 const { basename } = require('path');
+const { calculateChecksum } = require('../files');
+const { formatDiff, shouldPerform } = require('../plans');
 const { promiseProps } = require('../utils');
 
 /**
@@ -40,41 +39,49 @@ function getTapRepo(config) {
 }
 
 /**
- * Calculates the checksum of a file's contents
+ * Resolves the name and path of the formula file from the configuration
  *
- * @param {string} path The path to a file to process
- * @param {string} algorithm A crypto algorithm, defaults to "sha256"
- * @returns {Promise<string>} The checksum as hex string
- * @async
+ * @param {object} config Configuration for the brew target
+ * @param {string} repo The name of the released repository
+ * @returns {object} An object containing "formulaName" and "formulaPath"
  */
-function calculateChecksum(path, algorithm = 'sha256') {
-  const stream = createReadStream(path);
-  const hash = crypto.createHash(algorithm);
-
-  return new Promise((resolve, reject) => {
-    stream.on('data', data => hash.update(data, 'utf8'));
-    stream.on('end', () => resolve(hash.digest('hex')));
-    stream.on('error', err => reject(err));
-  });
+function getFormulaLocation(config, repo) {
+  const { formula, path } = config;
+  const formulaName = formula || repo;
+  const formulaPath =
+    path == null ? `Formula/${formulaName}.rb` : `${path}/${formulaName}.rb`;
+  return { formulaName, formulaPath };
+}
+
+/**
+ * Formats the message of the commit that releases a formula
+ *
+ * @param {string} formulaName The name of the formula
+ * @param {string} ref The name of the released tag
+ * @returns {string} The commit message
+ */
+function getReleaseMessage(formulaName, ref) {
+  return `release: ${formulaName} ${ref}`;
 }
 
 /**
- * Resolves the content sha of a formula at the specified location. If the
- * formula does not exist, `null` is returned.
+ * Loads the formula at the specified location, containing its content "sha"
+ * and base64 encoded "content". If the formula does not exist, `null` is
+ * returned.
  *
  * @param {Context} context A Github context
  * @param {object} tap Owner and repository of the tap
  * @param {string} path The path to the formula
- * @returns {Promise<string>} The SHA of the file, if it exists; otherwise null
+ * @returns {Promise<object>} The file, if it exists; otherwise null
  * @async
  */
-async function getFormulaSha(context, tap, path) {
+async function getFormula(context, tap, path) {
   const { logger, github } = context;
 
   try {
-    logger.debug(`Loading SHA for ${tap.owner}/${tap.repo}:${path}`);
+    logger.debug(`Loading formula ${tap.owner}/${tap.repo}:${path}`);
     const response = await github.repos.getContent({ ...tap, path });
-    return response.data.sha;
+    return response.data;
   } catch (err) {
     if (err.code === 404) {
       return null;
@@ -88,12 +95,14 @@ async function getFormulaSha(context, tap, path) {
  * Pushes a new formula to a homebrew tap
  *
  * @param {TargetContext} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves to the formula "url" when
+ *                            the release has finished, or to its "plan" in
+ *                            dry runs
  * @async
  */
 module.exports = async context => {
   const { config, github, logger, store, tag } = context;
-  const { formula, path, template } = config;
+  const { template } = config;
   const { owner, repo } = context.repo();
   const { ref, sha } = tag;
 
@@ -102,9 +111,7 @@ module.exports = async context => {
   }
 
   // Get default formula name and location from the config
-  const formulaName = formula || repo;
-  const formulaPath =
-    path == null ? `Formula/${formulaName}.rb` : `${path}/${formulaName}.rb`;
+  const { formulaName, formulaPath } = getFormulaLocation(config, repo);
 
   // Format checksums and the tag version into the formula file
   const files = await store.downloadAll();
@@ -119,16 +126,17 @@ module.exports = async context => {
   if (tapRepo.owner !== owner) {
     // TODO: Create a PR if we have no push rights to this repo
     logger.warn('Skipping homebrew release: PRs not supported yet');
-    return;
+    return null;
   }
 
+  const formula = await getFormula(context, tapRepo, formulaPath);
   const params = {
     owner: tapRepo.owner,
     repo: tapRepo.repo,
     path: formulaPath,
-    message: `release: ${formulaName} ${ref}`,
+    message: getReleaseMessage(formulaName, ref),
     content: Buffer.from(data).toString('base64'),
-    sha: await getFormulaSha(context, tapRepo, formulaPath),
+    sha: formula && formula.sha,
   };
 
   logger.info(
@@ -137,23 +145,111 @@ module.exports = async context => {
       `formula ${formulaName}`
   );
 
+  if (!shouldPerform(context)) {
+    const previous =
+      formula && Buffer.from(formula.content, 'base64').toString();
+    return {
+      plan: {
+        action: `${previous ? 'Update' : 'Create'} formula ${formulaPath}`,
+        registry: `https://github.com/${tapRepo.owner}/${tapRepo.repo}`,
+        diff: formatDiff(previous, data),
+      },
+    };
+  }
+
   if (params.sha == null) {
     logger.debug(
       `Creating new file ${params.owner}/${params.repo}:${params.path}`
     );
-    if (shouldPerform()) {
-      github.repos.createFile(params);
-    }
+    await github.repos.createFile(params);
   } else {
     logger.debug(
       `Updating file ${params.owner}/${params.repo}:${params.path} (${
         params.sha
       })`
     );
-    if (shouldPerform()) {
-      github.repos.updateFile(params);
-    }
+    await github.repos.updateFile(params);
   }
 
   logger.info('Homebrew release completed');
+  return {
+    url: `https://github.com/${tapRepo.owner}/${tapRepo.repo}/blob/master/${
+      formulaPath
+    }`,
+  };
+};
+
+/**
+ * Reverts the commit that released the formula to the homebrew tap
+ *
+ * The formula is restored to its contents before the release, or deleted if
+ * the release created it. This is only possible as long as the release commit
+ * is the latest change to the formula, so that later changes are not lost.
+ *
+ * @param {TargetContext} context Enriched Github context
+ * @returns {Promise} A promise that resolves when the rollback has finished
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { config, github, logger, tag } = context;
+  const { repo } = context.repo();
+  const { formulaName, formulaPath } = getFormulaLocation(config, repo);
+  const tapRepo = getTapRepo(config);
+
+  const commits = await github.repos.getCommits({
+    ...tapRepo,
+    path: formulaPath,
+    per_page: 1,
+  });
+
+  const [latest] = commits.data;
+  const message = getReleaseMessage(formulaName, tag.ref);
+  if (latest == null || latest.commit.message !== message) {
+    throw new Error(
+      `Cannot revert ${formulaPath} since it has changed after the release`
+    );
+  }
+
+  const [parent] = latest.parents;
+  let previous = null;
+  if (parent != null) {
+    try {
+      const params = { ...tapRepo, path: formulaPath, ref: parent.sha };
+      previous = (await github.repos.getContent(params)).data;
+    } catch (err) {
+      if (err.code !== 404) {
+        throw err;
+      }
+    }
+  }
+
+  const formula = await getFormula(context, tapRepo, formulaPath);
+  if (formula == null) {
+    throw new Error(`Cannot revert ${formulaPath} since it does not exist`);
+  }
+
+  const params = {
+    ...tapRepo,
+    path: formulaPath,
+    message: `revert: ${formulaName} ${tag.ref}`,
+    sha: formula.sha,
+  };
+
+  if (previous == null) {
+    logger.info(
+      `Deleting formula ${tapRepo.owner}/${tapRepo.repo}:${formulaPath}`
+    );
+    if (shouldPerform(context)) {
+      await github.repos.deleteFile(params);
+    }
+  } else {
+    logger.info(
+      `Reverting formula ${tapRepo.owner}/${tapRepo.repo}:${formulaPath}`
+    );
+    if (shouldPerform(context)) {
+      // The contents API returns base64 with line breaks, which it rejects
+      const content = previous.content.replace(/\s/g, '');
+      await github.repos.updateFile({ ...params, content });
+    }
+  }
 };
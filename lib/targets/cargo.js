@@ -1,8 +1,9 @@
-const { shouldPerform } = require('dryrun');
 const _ = require('lodash');
 const fetch = require('node-fetch');
 const tar = require('tar');
 const { withTempDir } = require('../files');
+const { shouldPerform } = require('../plans');
+const { CRATES_IO_URL, isPublishedOnCrates } = require('../registries');
 const { forEachChained, spawn } = require('../utils');
 
 /**
@@ -164,36 +165,54 @@ async function publishPackage(context, crate) {
   ];
 
   logger.info(`Releasing crate ${crate.name} version ${crate.version}`);
-  return shouldPerform() && spawn(CARGO_BIN, args, undefined, logger);
+  return spawn(CARGO_BIN, args, undefined, logger);
 }
 
 /**
- * Publishes an entire workspace on crates.io
+ * Lists all crates of a workspace that need to be published on crates.io
  *
  * If the workspace contains multiple packages with dependencies, they are
- * published in topological order. This ensures that once a package has been
+ * returned in topological order. This ensures that once a package has been
  * published, all its requirements are available on the index as well.
+ * Packages whose version exists on crates.io already are omitted.
  *
  * @param {Context} context Enriched Github context
  * @param {string} directory The path to the root package
- * @returns {Promise} A promise that resolves when the workspace has been published
+ * @returns {Promise<Package[]>} A promise that resolves to the crates in
+ *                               publish order
  * @async
  */
-async function publishWorkspace(context, directory) {
+async function getPendingCrates(context, directory) {
+  const { logger } = context;
   const metadata = await getCargoMetadata(context, directory);
   const packages = metadata.packages.filter(p =>
     metadata.workspace_members.includes(p.id)
   );
 
   const crates = getPublishOrder(packages);
-  return forEachChained(crates, crate => publishPackage(context, crate));
+  const published = await Promise.all(
+    crates.map(crate => isPublishedOnCrates(crate.name, crate.version))
+  );
+
+  const pending = crates.filter((crate, index) => {
+    if (published[index]) {
+      logger.info(`Skipping crate ${crate.name} ${crate.version} as it exists`);
+    }
+
+    return !published[index];
+  });
+
+  return pending;
 }
 
 /**
  * Pushes a cargo package or workspace on crates.io
  *
  * @param {Context} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            all packages had been published before or the
+ *                            "plan" in dry runs
  * @async
  */
 module.exports = async context => {
@@ -201,12 +220,69 @@ module.exports = async context => {
 
   if (!process.env.CARGO_REGISTRY_TOKEN) {
     logger.warn('Skipping cargo release due to missing token');
-    return;
+    return null;
   }
 
-  await withTempDir(async directory => {
+  return withTempDir(async directory => {
     await downloadAndExtract(context, directory);
-    await publishWorkspace(context, directory);
+    const pending = await getPendingCrates(context, directory);
+    if (pending.length === 0) {
+      logger.info('Skipping cargo release since all crates exist');
+      return { existing: true };
+    }
+
+    if (!shouldPerform(context)) {
+      return {
+        plan: {
+          action: `Publish ${pending.length} crates in the listed order`,
+          registry: CRATES_IO_URL,
+          files: pending.map(crate => `${crate.name}-${crate.version}.crate`),
+        },
+      };
+    }
+
+    await forEachChained(pending, crate => publishPackage(context, crate));
     logger.info(`Cargo release completed`);
+    return null;
+  });
+};
+
+/**
+ * Yanks all crates of the released workspace from crates.io
+ *
+ * Yanked versions remain available to existing lockfiles, but new projects
+ * can no longer depend on them. Crates that have not been published are left
+ * untouched.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise} A promise that resolves when the rollback has finished
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { logger } = context;
+
+  if (!process.env.CARGO_REGISTRY_TOKEN) {
+    throw new Error('Cannot yank crates due to missing token');
+  }
+
+  await withTempDir(async directory => {
+    await downloadAndExtract(context, directory);
+    const metadata = await getCargoMetadata(context, directory);
+    const crates = metadata.packages.filter(p =>
+      metadata.workspace_members.includes(p.id)
+    );
+
+    await forEachChained(crates, async crate => {
+      if (!await isPublishedOnCrates(crate.name, crate.version)) {
+        logger.info(`Skipping crate ${crate.name} as it was not published`);
+        return;
+      }
+
+      logger.info(`Yanking crate ${crate.name} version ${crate.version}`);
+      const args = ['yank', '--vers', crate.version, crate.name];
+      if (shouldPerform(context)) {
+        await spawn(CARGO_BIN, args, undefined, logger);
+      }
+    });
   });
 };
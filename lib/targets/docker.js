@@ -0,0 +1,823 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const path = require('path');
+const tar = require('tar');
+const { resolve: resolveUrl } = require('url');
+const util = require('util');
+const { calculateChecksum, withTempDir } = require('../files');
+const { shouldPerform } = require('../plans');
+const { forEachChained } = require('../utils');
+const { compareVersions, parseVersion } = require('../version');
+
+const access = util.promisify(fs.access);
+const mkdir = util.promisify(fs.mkdir);
+const open = util.promisify(fs.open);
+const read = util.promisify(fs.read);
+const close = util.promisify(fs.close);
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+
+/**
+ * Registry used if the target does not configure one
+ */
+const DEFAULT_REGISTRY = 'docker.io';
+
+/**
+ * Host names referring to Docker Hub, whose API is served elsewhere
+ */
+const DOCKER_HUB_HOSTS = ['docker.io', 'index.docker.io'];
+
+/**
+ * The registry API of Docker Hub
+ */
+const DOCKER_HUB_URL = 'https://registry-1.docker.io';
+
+/**
+ * A regular expression used to find image tarballs
+ */
+const IMAGE_REGEX = /\.tar(\.gz)?$/;
+
+/**
+ * Media types of manifests, configs and layers
+ */
+const MEDIA_TYPES = {
+  dockerList: 'application/vnd.docker.distribution.manifest.list.v2+json',
+  dockerManifest: 'application/vnd.docker.distribution.manifest.v2+json',
+  ociIndex: 'application/vnd.oci.image.index.v1+json',
+  ociManifest: 'application/vnd.oci.image.manifest.v1+json',
+  ociConfig: 'application/vnd.oci.image.config.v1+json',
+  ociLayer: 'application/vnd.oci.image.layer.v1.tar',
+  ociLayerGzip: 'application/vnd.oci.image.layer.v1.tar+gzip',
+};
+
+/**
+ * Media types of image indexes that reference platform specific manifests
+ */
+const INDEX_TYPES = [MEDIA_TYPES.ociIndex, MEDIA_TYPES.dockerList];
+
+/**
+ * @typedef {object} Blob A file referenced by an image manifest
+ * @prop {string} digest The content digest, e.g. "sha256:abc..."
+ * @prop {number} size The size in bytes
+ * @prop {string} path Absolute path to the extracted file
+ */
+
+/**
+ * @typedef {object} Platform The platform an image runs on
+ * @prop {string} os The operating system, e.g. "linux"
+ * @prop {string} architecture The CPU architecture, e.g. "amd64"
+ * @prop {string?} variant An optional CPU variant, e.g. "v8"
+ */
+
+/**
+ * @typedef {object} Image A platform specific image ready to be pushed
+ * @prop {string} mediaType The media type of the manifest
+ * @prop {Buffer} manifest The raw manifest, which determines its digest
+ * @prop {string} digest The digest of the manifest
+ * @prop {Platform} platform The platform of the image
+ * @prop {Blob[]} blobs The config and all layers of the image
+ */
+
+/**
+ * Computes the content digest of a buffer
+ *
+ * @param {Buffer} data The contents
+ * @returns {string} The digest in the form "sha256:<hex>"
+ */
+function getDigest(data) {
+  const hash = crypto.createHash('sha256').update(data);
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Checks whether a file is gzip compressed by its magic number
+ *
+ * @param {string} filePath The path to the file
+ * @returns {Promise<bool>} True if the file starts with a gzip header
+ * @async
+ */
+async function isGzipped(filePath) {
+  const fd = await open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(2);
+    await read(fd, buffer, 0, 2, 0);
+    return buffer[0] === 0x1f && buffer[1] === 0x8b;
+  } finally {
+    await close(fd);
+  }
+}
+
+/**
+ * Checks whether a file exists
+ *
+ * @param {string} filePath The path to the file
+ * @returns {Promise<bool>} True if the file exists
+ * @async
+ */
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Formats a platform, e.g. "linux/arm64/v8"
+ *
+ * @param {Platform} platform The platform of an image
+ * @returns {string} The platform in the notation of "docker --platform"
+ */
+function formatPlatform(platform) {
+  const { os, architecture, variant } = platform;
+  return [os, architecture, variant].filter(Boolean).join('/');
+}
+
+/**
+ * Reads the images of a "docker save" tarball
+ *
+ * These tarballs contain a "manifest.json" listing the config and layer files
+ * of each saved image. Since "docker save" does not include a registry
+ * manifest, an OCI manifest is created for every image.
+ *
+ * @param {string} directory The directory the tarball was extracted to
+ * @returns {Promise<Image[]>} The images contained in the tarball
+ * @async
+ */
+async function readDockerArchive(directory) {
+  const entries = JSON.parse(
+    await readFile(path.join(directory, 'manifest.json'))
+  );
+
+  return Promise.all(
+    entries.map(async entry => {
+      const configPath = path.join(directory, entry.Config);
+      const configData = await readFile(configPath);
+      const config = {
+        mediaType: MEDIA_TYPES.ociConfig,
+        digest: getDigest(configData),
+        size: configData.length,
+      };
+
+      const layers = await Promise.all(
+        entry.Layers.map(async layer => {
+          const layerPath = path.join(directory, layer);
+          const gzipped = await isGzipped(layerPath);
+          return {
+            mediaType: gzipped
+              ? MEDIA_TYPES.ociLayerGzip
+              : MEDIA_TYPES.ociLayer,
+            digest: `sha256:${await calculateChecksum(layerPath)}`,
+            size: (await stat(layerPath)).size,
+            path: layerPath,
+          };
+        })
+      );
+
+      const manifest = Buffer.from(
+        JSON.stringify({
+          schemaVersion: 2,
+          mediaType: MEDIA_TYPES.ociManifest,
+          config,
+          layers: layers.map(({ mediaType, digest, size }) => ({
+            mediaType,
+            digest,
+            size,
+          })),
+        })
+      );
+
+      const { os, architecture, variant } = JSON.parse(configData);
+      return {
+        mediaType: MEDIA_TYPES.ociManifest,
+        manifest,
+        digest: getDigest(manifest),
+        platform: { os, architecture, variant },
+        blobs: [{ ...config, path: configPath }].concat(layers),
+      };
+    })
+  );
+}
+
+/**
+ * Resolves the path of a blob in an OCI image layout
+ *
+ * @param {string} directory The root of the image layout
+ * @param {string} digest The digest of the blob
+ * @returns {string} The path to the blob file
+ */
+function getBlobPath(directory, digest) {
+  const [algorithm, hex] = digest.split(':');
+  return path.join(directory, 'blobs', algorithm, hex);
+}
+
+/**
+ * Reads the images referenced by a descriptor in an OCI image layout
+ *
+ * Indexes are resolved recursively into their platform specific manifests.
+ * Manifests with an "unknown" platform, such as build attestations, are
+ * omitted.
+ *
+ * @param {string} directory The root of the image layout
+ * @param {object} descriptor A descriptor of a manifest or index
+ * @returns {Promise<Image[]>} The images referenced by the descriptor
+ * @async
+ */
+async function readLayoutDescriptor(directory, descriptor) {
+  const data = await readFile(getBlobPath(directory, descriptor.digest));
+  const manifest = JSON.parse(data);
+
+  if (INDEX_TYPES.includes(descriptor.mediaType)) {
+    const images = await Promise.all(
+      manifest.manifests.map(child => readLayoutDescriptor(directory, child))
+    );
+    return [].concat(...images);
+  }
+
+  const descriptors = [manifest.config].concat(manifest.layers);
+  const blobs = descriptors.map(({ digest, size }) => ({
+    digest,
+    size,
+    path: getBlobPath(directory, digest),
+  }));
+
+  let { platform } = descriptor;
+  if (platform == null) {
+    const config = JSON.parse(await readFile(blobs[0].path));
+    const { os, architecture, variant } = config;
+    platform = { os, architecture, variant };
+  }
+
+  if (platform.os === 'unknown' || platform.architecture === 'unknown') {
+    return [];
+  }
+
+  return [
+    {
+      mediaType: descriptor.mediaType,
+      manifest: data,
+      digest: descriptor.digest,
+      platform,
+      blobs,
+    },
+  ];
+}
+
+/**
+ * Reads the images of an OCI image layout tarball
+ *
+ * @param {string} directory The directory the tarball was extracted to
+ * @returns {Promise<Image[]>} The images contained in the tarball
+ * @async
+ */
+async function readImageLayout(directory) {
+  const index = JSON.parse(await readFile(path.join(directory, 'index.json')));
+  const images = await Promise.all(
+    index.manifests.map(descriptor =>
+      readLayoutDescriptor(directory, descriptor)
+    )
+  );
+
+  return [].concat(...images);
+}
+
+/**
+ * Extracts an image tarball and reads all images contained in it
+ *
+ * Both OCI image layouts (e.g. from "docker buildx --output type=oci") and
+ * "docker save" tarballs are supported. Tarballs that contain neither are
+ * ignored.
+ *
+ * @param {string} file Path to the tarball
+ * @param {string} directory An empty directory to extract to
+ * @returns {Promise<Image[]>} The images contained in the tarball
+ * @async
+ */
+async function readImageTarball(file, directory) {
+  await mkdir(directory);
+  await tar.x({ file, cwd: directory });
+
+  if (await exists(path.join(directory, 'index.json'))) {
+    return readImageLayout(directory);
+  }
+
+  if (await exists(path.join(directory, 'manifest.json'))) {
+    return readDockerArchive(directory);
+  }
+
+  return [];
+}
+
+/**
+ * Combines the images of all tarballs into a single manifest
+ *
+ * A single image is pushed with its own manifest. Multiple images are combined
+ * into an image index (a multi-arch manifest list), which lets clients pull
+ * the image matching their platform.
+ *
+ * @param {Image[]} images The images to push
+ * @returns {object} The "mediaType" and raw "manifest" to tag
+ */
+function createTaggedManifest(images) {
+  if (images.length === 1) {
+    const [{ mediaType, manifest }] = images;
+    return { mediaType, manifest };
+  }
+
+  const platforms = {};
+  images.forEach(image => {
+    const platform = formatPlatform(image.platform);
+    if (platforms[platform]) {
+      throw new Error(`Found multiple images for platform ${platform}`);
+    }
+
+    platforms[platform] = true;
+  });
+
+  const index = {
+    schemaVersion: 2,
+    mediaType: MEDIA_TYPES.ociIndex,
+    manifests: images.map(image => ({
+      mediaType: image.mediaType,
+      digest: image.digest,
+      size: image.manifest.length,
+      platform: image.platform,
+    })),
+  };
+
+  return {
+    mediaType: MEDIA_TYPES.ociIndex,
+    manifest: Buffer.from(JSON.stringify(index)),
+  };
+}
+
+/**
+ * Determines the tags to apply to the released image
+ *
+ * Every release is tagged with its version. Stable releases are additionally
+ * tagged as "<major>.<minor>" and, unless disabled with "latest: false", as
+ * "latest". These tags only move if no higher stable version has been pushed
+ * before, so that releasing a backport keeps them on the newer image.
+ *
+ * @param {object} config Configuration for the docker target
+ * @param {string} version The released version
+ * @param {string[]} existingTags All tags in the repository
+ * @returns {string[]} The image tags
+ */
+function getImageTags(config, version, existingTags) {
+  const tags = [version];
+  const parsed = parseVersion(version);
+  if (parsed == null || parsed.pre != null) {
+    return tags;
+  }
+
+  const { major, minor } = parsed;
+  const stable = existingTags
+    .map(parseVersion)
+    .filter(existing => existing != null && existing.pre == null);
+  const isHighest = versions =>
+    versions.every(existing => compareVersions(existing, parsed) <= 0);
+
+  const sameMinor = stable.filter(
+    existing => existing.major === major && existing.minor === minor
+  );
+  if (isHighest(sameMinor)) {
+    tags.push(`${major}.${minor}`);
+  }
+
+  if (config.latest !== false && isHighest(stable)) {
+    tags.push('latest');
+  }
+
+  return tags;
+}
+
+/**
+ * Resolves the base URL of the registry API
+ *
+ * Registries are given as host names, e.g. "ghcr.io", or as full URL. Docker
+ * Hub is resolved to the host serving its API.
+ *
+ * @param {string} registry The configured registry
+ * @returns {string} The base URL without trailing slash
+ */
+function getRegistryUrl(registry) {
+  if (DOCKER_HUB_HOSTS.includes(registry)) {
+    return DOCKER_HUB_URL;
+  }
+
+  const url = /^https?:\/\//.test(registry) ? registry : `https://${registry}`;
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Resolves the repository name of the image within the registry
+ *
+ * Official images on Docker Hub live in the "library" namespace.
+ *
+ * @param {string} registry The configured registry
+ * @param {string} image The configured image name
+ * @returns {string} The repository name, e.g. "getsentry/craft"
+ */
+function getRepository(registry, image) {
+  return DOCKER_HUB_HOSTS.includes(registry) && !image.includes('/')
+    ? `library/${image}`
+    : image;
+}
+
+/**
+ * Parses a "WWW-Authenticate" challenge
+ *
+ * @param {string} header The value of the header
+ * @returns {object} The lower case "scheme" and all challenge parameters
+ */
+function parseChallenge(header) {
+  const [scheme] = header.split(' ');
+  const challenge = { scheme: scheme.toLowerCase() };
+
+  const regex = /(\w+)="([^"]*)"/g;
+  let match = regex.exec(header);
+  while (match != null) {
+    const [, key, value] = match;
+    challenge[key] = value;
+    match = regex.exec(header);
+  }
+
+  return challenge;
+}
+
+/**
+ * Throws an error for an unsuccessful registry response
+ *
+ * Registries describe errors in an "errors" list, whose first message is used
+ * if available. The response status is available as "status" on the error.
+ *
+ * @param {Response} response A fetch Response object
+ * @param {string} action A description of the request for the message
+ * @returns {Promise<Response>} The response, if it was successful
+ * @async
+ */
+async function checkResponse(response, action) {
+  if (response.ok) {
+    return response;
+  }
+
+  let message = `${response.status} ${response.statusText}`;
+  try {
+    const json = await response.json();
+    const [error] = json.errors || [];
+    if (error && error.message) {
+      ({ message } = error);
+    }
+  } catch (e) {
+    // Keep the status text
+  }
+
+  const error = new Error(`Failed to ${action}: ${message}`);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * Creates a client for a repository in a registry using the v2 HTTP API
+ *
+ * On the first request, the client checks which authentication the registry
+ * requires. Credentials are sent as basic authentication or exchanged for a
+ * bearer token with push access to the repository. Expired tokens are renewed
+ * automatically.
+ *
+ * @param {string} registryUrl The base URL of the registry
+ * @param {string} repository The repository name
+ * @param {object} credentials An object containing "username" and "password"
+ * @returns {object} The client
+ */
+function createRegistryClient(registryUrl, repository, credentials) {
+  const basic = Buffer.from(
+    `${credentials.username}:${credentials.password}`
+  ).toString('base64');
+
+  let authorization;
+
+  /**
+   * Resolves the authorization header requested by the registry
+   *
+   * @returns {Promise<string>} The header value or null for anonymous access
+   * @async
+   */
+  async function authenticate() {
+    const response = await fetch(`${registryUrl}/v2/`);
+    if (response.status !== 401) {
+      await checkResponse(response, 'connect to registry');
+      return null;
+    }
+
+    const challenge = parseChallenge(response.headers.get('www-authenticate'));
+    if (challenge.scheme === 'basic') {
+      return `Basic ${basic}`;
+    }
+
+    const params = [`scope=repository:${repository}:pull,push`];
+    if (challenge.service) {
+      params.unshift(`service=${encodeURIComponent(challenge.service)}`);
+    }
+
+    const tokenResponse = await fetch(
+      `${challenge.realm}?${params.join('&')}`,
+      {
+        headers: { Authorization: `Basic ${basic}` },
+      }
+    );
+
+    await checkResponse(tokenResponse, 'authenticate');
+    const json = await tokenResponse.json();
+    return `Bearer ${json.token || json.access_token}`;
+  }
+
+  /**
+   * Sends an authenticated request to the registry
+   *
+   * The body can be given as function, which is called for every attempt.
+   * This allows to retry requests with streams after renewing a token.
+   *
+   * @param {string} method The HTTP method
+   * @param {string} url A path relative to the repository or an absolute URL
+   * @param {object} options Additional "headers" and the "body"
+   * @returns {Promise<Response>} The fetch Response object
+   * @async
+   */
+  async function send(method, url, options = {}) {
+    const absoluteUrl = /^https?:\/\//.test(url)
+      ? url
+      : `${registryUrl}/v2/${repository}${url}`;
+
+    const attempt = () => {
+      const headers = { ...options.headers };
+      if (authorization) {
+        headers.Authorization = authorization;
+      }
+
+      const { body } = options;
+      return fetch(absoluteUrl, {
+        method,
+        headers,
+        body: typeof body === 'function' ? body() : body,
+      });
+    };
+
+    if (authorization === undefined) {
+      authorization = await authenticate();
+    }
+
+    const response = await attempt();
+    if (response.status !== 401 || authorization == null) {
+      return response;
+    }
+
+    authorization = await authenticate();
+    return attempt();
+  }
+
+  /**
+   * Checks whether the repository contains a manifest with the given tag
+   *
+   * @param {string} reference A tag or manifest digest
+   * @returns {Promise<bool>} True if the manifest exists
+   * @async
+   */
+  async function hasManifest(reference) {
+    const accept = Object.keys(MEDIA_TYPES).map(key => MEDIA_TYPES[key]);
+    const response = await send('HEAD', `/manifests/${reference}`, {
+      headers: { Accept: accept.join(', ') },
+    });
+
+    if (response.status === 404) {
+      return false;
+    }
+
+    await checkResponse(response, `check manifest ${reference}`);
+    return true;
+  }
+
+  /**
+   * Lists all tags in the repository
+   *
+   * Registries may split long lists into pages, which are linked with a
+   * "next" relation in the "Link" header.
+   *
+   * @param {string} url The URL of the page to load
+   * @returns {Promise<string[]>} The tags, empty if the repository does not
+   *                              exist yet
+   * @async
+   */
+  async function listTags(url = '/tags/list') {
+    const response = await send('GET', url);
+    if (response.status === 404) {
+      return [];
+    }
+
+    await checkResponse(response, 'list tags');
+    const { tags } = await response.json();
+    const next = /<([^>]+)>;\s*rel="next"/.exec(
+      response.headers.get('link') || ''
+    );
+
+    return next
+      ? (tags || []).concat(await listTags(resolveUrl(registryUrl, next[1])))
+      : tags || [];
+  }
+
+  /**
+   * Uploads a blob unless the repository contains it already
+   *
+   * @param {Blob} blob The blob to upload
+   * @returns {Promise<bool>} True if the blob has been uploaded
+   * @async
+   */
+  async function pushBlob(blob) {
+    const head = await send('HEAD', `/blobs/${blob.digest}`);
+    if (head.ok) {
+      return false;
+    }
+
+    const start = await send('POST', '/blobs/uploads/');
+    await checkResponse(start, `upload blob ${blob.digest}`);
+
+    const location = resolveUrl(registryUrl, start.headers.get('location'));
+    const separator = location.includes('?') ? '&' : '?';
+    const url = `${location}${separator}digest=${encodeURIComponent(
+      blob.digest
+    )}`;
+
+    const response = await send('PUT', url, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(blob.size),
+      },
+      body: () => fs.createReadStream(blob.path),
+    });
+
+    await checkResponse(response, `upload blob ${blob.digest}`);
+    return true;
+  }
+
+  /**
+   * Uploads a manifest under the given tag or digest
+   *
+   * @param {string} reference A tag or the digest of the manifest
+   * @param {string} mediaType The media type of the manifest
+   * @param {Buffer} manifest The raw manifest
+   * @returns {Promise} A promise that resolves when the manifest was uploaded
+   * @async
+   */
+  async function pushManifest(reference, mediaType, manifest) {
+    const response = await send('PUT', `/manifests/${reference}`, {
+      headers: { 'Content-Type': mediaType },
+      body: manifest,
+    });
+
+    await checkResponse(response, `push manifest ${reference}`);
+  }
+
+  return { hasManifest, listTags, pushBlob, pushManifest };
+}
+
+/**
+ * Downloads the given image tarballs from the store and reads their images
+ *
+ * @param {Context} context Enriched Github context
+ * @param {object[]} files Image tarballs listed in the store
+ * @param {string} directory A directory to extract the tarballs to
+ * @returns {Promise<object>} An object containing the names of image tarball
+ *                            "files" and all "images"
+ * @async
+ */
+async function collectImages(context, files, directory) {
+  const { logger, store } = context;
+  const imageFiles = [];
+  let images = [];
+  await forEachChained(files, async (file, index) => {
+    const filePath = await store.downloadFile(file);
+    const target = path.join(directory, String(index));
+    const contained = await readImageTarball(filePath, target);
+    if (contained.length === 0) {
+      logger.debug(`Ignoring ${file.name} since it contains no images`);
+      return;
+    }
+
+    imageFiles.push(file.name);
+    images = images.concat(contained);
+  });
+
+  return { files: imageFiles, images };
+}
+
+/**
+ * Pushes container images to a registry
+ *
+ * The images are read from "docker save" or OCI layout tarballs in the store.
+ * If there are multiple images, e.g. one per architecture, they are combined
+ * into a multi-arch image. The pushed image is tagged with the version and,
+ * for stable releases, with "<major>.<minor>" and "latest".
+ *
+ * If the version tag exists in the repository already, the release is skipped
+ * without downloading any tarballs and reported as existing.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            the version had been pushed before or the "plan"
+ *                            in dry runs
+ * @async
+ */
+module.exports = async context => {
+  const { config, logger, store, tag } = context;
+  const { DOCKER_USERNAME, DOCKER_PASSWORD } = process.env;
+
+  if (!DOCKER_USERNAME || !DOCKER_PASSWORD) {
+    logger.warn('Skipping Docker release due to missing credentials');
+    return null;
+  }
+
+  if (!config.image) {
+    throw new Error('Missing "image" for the Docker target');
+  }
+
+  if (!tag.version) {
+    logger.info('Skipping Docker release since the tag has no version');
+    return null;
+  }
+
+  const registry = config.registry || DEFAULT_REGISTRY;
+  const registryUrl = getRegistryUrl(registry);
+  const repository = getRepository(registry, config.image);
+  const client = createRegistryClient(registryUrl, repository, {
+    username: DOCKER_USERNAME,
+    password: DOCKER_PASSWORD,
+  });
+
+  const files = (await store.listFiles()).filter(file =>
+    IMAGE_REGEX.test(file.name)
+  );
+  if (files.length === 0) {
+    logger.info('Skipping Docker release since there are no image tarballs');
+    return null;
+  }
+
+  // Check the registry before downloading potentially large tarballs
+  const image = `${registry.replace(/^https?:\/\//, '')}/${config.image}`;
+  if (await client.hasManifest(tag.version)) {
+    logger.info(`Skipping Docker release since ${image}:${tag.version} exists`);
+    return { existing: true };
+  }
+
+  return withTempDir(async directory => {
+    const { files: imageFiles, images } = await collectImages(
+      context,
+      files,
+      directory
+    );
+    if (images.length === 0) {
+      logger.info(
+        'Skipping Docker release since the tarballs contain no images'
+      );
+      return null;
+    }
+
+    const { mediaType, manifest } = createTaggedManifest(images);
+    const tags = getImageTags(config, tag.version, await client.listTags());
+    const platforms = images.map(entry => formatPlatform(entry.platform));
+
+    logger.info(`Releasing ${image} for ${platforms.join(', ')}`);
+    if (!shouldPerform(context)) {
+      return {
+        plan: {
+          action: `Push ${image} for ${platforms.join(
+            ', '
+          )} with tags ${tags.join(', ')}`,
+          registry: registryUrl,
+          files: imageFiles,
+        },
+      };
+    }
+
+    await forEachChained(images, async entry => {
+      await forEachChained(entry.blobs, async blob => {
+        if (await client.pushBlob(blob)) {
+          logger.debug(`Uploaded blob ${blob.digest}`);
+        }
+      });
+
+      await client.pushManifest(entry.digest, entry.mediaType, entry.manifest);
+    });
+
+    await forEachChained(tags, async imageTag => {
+      logger.info(`Tagging ${image}:${imageTag}`);
+      await client.pushManifest(imageTag, mediaType, manifest);
+    });
+
+    logger.info('Docker release completed');
+    return null;
+  });
+};
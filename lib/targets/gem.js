@@ -0,0 +1,211 @@
+const { shouldPerform } = require('../plans');
+const { RUBYGEMS_URL, isPublishedOnRubygems } = require('../registries');
+const { forEachChained, spawn } = require('../utils');
+const { getVersion } = require('../version');
+
+/**
+ * Command to launch RubyGems
+ */
+const GEM_BIN = process.env.GEM_BIN || 'gem';
+
+/**
+ * A regular expression used to parse gem file names, e.g.
+ * "sentry-ruby-1.0.0.rc.1-x86_64-linux.gem"
+ *
+ * Gem names may contain segments starting with a digit, like "foo-2fa", but
+ * platforms never start with one. The version is the first segment that is
+ * followed by a platform or the extension.
+ */
+const GEM_REGEX = /^(.+?)-(\d+(?:\.[0-9a-zA-Z]+)*)(?:-(\D.*))?\.gem$/;
+
+/**
+ * @typedef {object} Gem A gem file from the store
+ * @prop {object} file The file in the store
+ * @prop {string} name The name of the gem
+ * @prop {string} version The gem version, e.g. "1.0.0.rc.1"
+ * @prop {string} platform The platform of the gem, e.g. "ruby" or "java"
+ */
+
+/**
+ * Reads name, version and platform from the name of a gem file
+ *
+ * @param {object} file A file from the store containing "name"
+ * @returns {Gem} The parsed gem or null if the file is no gem
+ */
+function parseGem(file) {
+  const match = GEM_REGEX.exec(file.name);
+  return (
+    match && {
+      file,
+      name: match[1],
+      version: match[2],
+      platform: match[3] || 'ruby',
+    }
+  );
+}
+
+/**
+ * Converts a gem version to a semantic version
+ *
+ * RubyGems separates pre-release identifiers with a dot instead of a dash,
+ * e.g. "1.0.0.rc.1" for the tag "1.0.0-rc.1".
+ *
+ * @param {string} version The gem version
+ * @returns {string} The semantic version or null
+ */
+function getGemVersion(version) {
+  return getVersion(version.replace(/^(\d+\.\d+\.\d+)\.(?=[a-z])/i, '$1-'));
+}
+
+/**
+ * Pushes a gem to the gem server
+ *
+ * The gem command reads the API key from GEM_HOST_API_KEY.
+ *
+ * @param {string} path Absolute path to the gem to push
+ * @param {string} host The base URL of the gem server
+ * @param {object} logger An optional logger to pipe stdout and stderr to
+ * @returns {Promise} A promise that resolves when the push has completed
+ * @async
+ */
+function pushGem(path, host, logger) {
+  return spawn(GEM_BIN, ['push', path, '--host', host], undefined, logger);
+}
+
+/**
+ * Lists all gems in the store and checks their versions against the tag
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<Gem[]>} The gems in the store
+ * @async
+ */
+async function getGems(context) {
+  const { store, tag } = context;
+  const gems = (await store.listFiles()).map(parseGem).filter(Boolean);
+
+  gems.forEach(gem => {
+    if (getGemVersion(gem.version) !== tag.version) {
+      throw new Error(
+        `Version ${gem.version} of ${gem.file.name} does not match ${tag.ref}`
+      );
+    }
+  });
+
+  return gems;
+}
+
+/**
+ * Pushes gems to rubygems.org or a private gem server
+ *
+ * All gems in the store must have the version of the released tag. Gems that
+ * exist on the server already are skipped. If all gems had been pushed
+ * before, the release is reported as existing.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            all gems had been pushed before or the "plan" in
+ *                            dry runs
+ * @async
+ */
+module.exports = async context => {
+  const { config, logger, store, tag } = context;
+
+  if (!process.env.GEM_HOST_API_KEY) {
+    logger.warn('Skipping gem release due to missing API key');
+    return null;
+  }
+
+  if (!tag.version) {
+    logger.info('Skipping gem release since the tag has no version');
+    return null;
+  }
+
+  const gems = await getGems(context);
+  if (gems.length === 0) {
+    logger.info('Skipping gem release since there are no gems');
+    return null;
+  }
+
+  const host = config.host || RUBYGEMS_URL;
+  const published = await Promise.all(
+    gems.map(gem =>
+      isPublishedOnRubygems(host, gem.name, gem.version, gem.platform)
+    )
+  );
+
+  const pending = gems.filter((gem, index) => {
+    if (published[index]) {
+      logger.info(`Skipping gem ${gem.file.name} as it exists`);
+    }
+
+    return !published[index];
+  });
+
+  if (pending.length === 0) {
+    logger.info('Skipping gem release since all gems exist');
+    return { existing: true };
+  }
+
+  logger.info(`Releasing ${pending.length} gems to ${host}`);
+  if (!shouldPerform(context)) {
+    return {
+      plan: {
+        action: `Push ${pending.length} gems`,
+        registry: host,
+        files: pending.map(gem => gem.file.name),
+      },
+    };
+  }
+
+  await forEachChained(pending, async gem => {
+    const path = await store.downloadFile(gem.file);
+    logger.info(`Pushing gem ${gem.file.name}`);
+    await pushGem(path, host, logger);
+  });
+
+  logger.info('Gem release completed');
+  return null;
+};
+
+/**
+ * Yanks the released gems from the gem server
+ *
+ * Yanked versions can no longer be installed, but their version numbers
+ * cannot be pushed again. Gems that have not been pushed are left untouched.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise} A promise that resolves when the rollback has finished
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { config, logger, store } = context;
+
+  if (!process.env.GEM_HOST_API_KEY) {
+    throw new Error('Cannot yank gems due to missing API key');
+  }
+
+  const host = config.host || RUBYGEMS_URL;
+  const gems = (await store.listFiles()).map(parseGem).filter(Boolean);
+  if (gems.length === 0) {
+    throw new Error('Cannot roll back gem release without gems');
+  }
+
+  await forEachChained(gems, async gem => {
+    const { name, version, platform } = gem;
+    if (!await isPublishedOnRubygems(host, name, version, platform)) {
+      logger.info(`Skipping gem ${gem.file.name} as it was not pushed`);
+      return;
+    }
+
+    logger.info(`Yanking gem ${name} version ${version} (${platform})`);
+    const args = ['yank', name, '--version', version, '--host', host];
+    if (platform !== 'ruby') {
+      args.push('--platform', platform);
+    }
+
+    if (shouldPerform(context)) {
+      await spawn(GEM_BIN, args, undefined, logger);
+    }
+  });
+};
@@ -1,6 +1,6 @@
-const { shouldPerform } = require('dryrun');
 const { basename } = require('path');
 const { findChangeset } = require('../changes');
+const { shouldPerform } = require('../plans');
 const { getFile } = require('../utils');
 
 /**
@@ -9,6 +9,29 @@ const { getFile } = require('../utils');
  */
 const CHANGELOG_PATH = 'CHANGELOG.md';
 
+/**
+ * Loads the existing release for the given tag
+ *
+ * @param {Context} context Github context
+ * @param {string} tag The name of the tag
+ * @returns {Promise<object>} The release, if it exists; otherwise null
+ * @async
+ */
+async function getRelease(context, tag) {
+  try {
+    const response = await context.github.repos.getReleaseByTag(
+      context.repo({ tag })
+    );
+    return response.data;
+  } catch (err) {
+    if (err.code === 404) {
+      return null;
+    }
+
+    throw err;
+  }
+}
+
 /**
  * Gets an existing or creates a new release for the given tag
  *
@@ -17,22 +40,16 @@ const CHANGELOG_PATH = 'CHANGELOG.md';
  * tag and the body to the commit it points to.
  *
  * @param {Context} context Github context
- * @param {string} tag Tag name for this release
+ * @param {object} tag A tag object containing "ref" and an optional "version"
  * @returns {Promise<object>} The newly created release
  * @async
  */
-async function getOrCreateRelease(context, tag) {
+async function getOrCreateRelease(context, { ref: tag, version }) {
   const { config, github, logger } = context;
 
-  try {
-    const response = await github.repos.getReleaseByTag(context.repo({ tag }));
-    return response.data;
-  } catch (err) {
-    if (err.code !== 404) {
-      throw err;
-    }
-
-    // Release hasn't been found, so create one
+  const existing = await getRelease(context, tag);
+  if (existing != null) {
+    return existing;
   }
 
   const changelog = await getFile(
@@ -40,7 +57,7 @@ async function getOrCreateRelease(context, tag) {
     config.changelog || CHANGELOG_PATH,
     tag
   );
-  const changes = changelog && findChangeset(changelog, tag);
+  const changes = changelog && findChangeset(changelog, version || tag);
 
   const params = context.repo({
     tag_name: tag,
@@ -54,8 +71,8 @@ async function getOrCreateRelease(context, tag) {
   }
 
   logger.info(`Creating release ${params.owner}/${params.repo}:${tag}`);
-  if (!shouldPerform()) {
-    return { id: 42, tag_name: tag, html_url: '[no url during DRY_RUN]' };
+  if (!shouldPerform(context)) {
+    return { ...params, id: 42, html_url: '[no url during DRY_RUN]' };
   }
 
   const created = await github.repos.createRelease(params);
@@ -70,12 +87,14 @@ async function getOrCreateRelease(context, tag) {
  * uploaded to the Github release.
  *
  * @param {Context} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves to the release "url" when
+ *                            the release has finished, or to its "plan" in
+ *                            dry runs
  * @async
  */
 module.exports = async context => {
   const { github, logger, store, tag } = context;
-  const release = await getOrCreateRelease(context, tag.ref);
+  const release = await getOrCreateRelease(context, tag);
 
   const files = await store.listFiles();
   await Promise.all(
@@ -93,9 +112,48 @@ module.exports = async context => {
           release.tag_name
         }`
       );
-      return shouldPerform() ? github.repos.uploadAsset(params) : null;
+      return shouldPerform(context) ? github.repos.uploadAsset(params) : null;
     })
   );
 
+  if (!shouldPerform(context)) {
+    const { owner, repo } = context.repo();
+    return {
+      plan: {
+        action: `Publish Github release ${release.name || release.tag_name}`,
+        registry: `https://github.com/${owner}/${repo}/releases`,
+        files: files.map(file => file.name),
+        body: release.body,
+      },
+    };
+  }
+
   logger.info(`Github release completed: ${release.html_url}`);
+  return { url: release.html_url };
+};
+
+/**
+ * Converts the Github release of the tag back to a draft
+ *
+ * Drafts are hidden from the public, but keep the release notes and assets so
+ * that the release can be published again later.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise} A promise that resolves when the rollback has finished
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { github, logger, tag } = context;
+  const release = await getRelease(context, tag.ref);
+  if (release == null) {
+    logger.info(`Skipping Github rollback since ${tag.ref} has no release`);
+    return;
+  }
+
+  logger.info(`Converting Github release ${release.tag_name} to draft`);
+  if (shouldPerform(context)) {
+    await github.repos.editRelease(
+      context.repo({ id: release.id, tag_name: release.tag_name, draft: true })
+    );
+  }
 };
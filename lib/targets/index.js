@@ -1,6 +1,28 @@
 const tryRequire = require('try-require');
+const { measure, targetDuration, targetRuns } = require('../metrics');
+const { evaluateCondition } = require('../tags');
 const { cloneContext } = require('../utils');
 
+/**
+ * Loads the implementation of a target
+ *
+ * @param {object | string} target Target name or configuration
+ * @returns {object} An object containing the target "config" and "targetFn"
+ */
+function loadTarget(target) {
+  const config = typeof target === 'string' ? { name: target } : target;
+  if (!config || !config.name) {
+    throw new Error('Missing target specification');
+  }
+
+  const targetFn = tryRequire(`./${config.name}`, require);
+  if (targetFn == null) {
+    throw new Error(`Unknown deploy target "${config.name}"`);
+  }
+
+  return { config, targetFn };
+}
+
 /**
  * Performs the release to a specific target
  *
@@ -12,22 +34,76 @@ const { cloneContext } = require('../utils');
  * context, as well as the store to retrieve release artifacts. It can then
  * decide which artifacts will be included in the release.
  *
+ * If the target specifies a "when" condition that the tag does not satisfy,
+ * the target is skipped and the promise resolves to an object containing the
+ * "skipped" reason instead.
+ *
+ * Each run is recorded in the target metrics, labeled with the target name.
+ *
+ * In dry runs, targets receive "dryRun" in their context. Instead of
+ * publishing, they resolve to a "plan" describing what they would have done.
+ *
  * @param {object | string} target Target name or configuration
  * @param {Context} context Github context
  * @param {object} tag A tag object containing "ref" and "sha"
  * @param {string[]} store A store bound to the commit
- * @returns {Promise} A promise that resolves when the release has succeeded
+ * @param {object} logger A logger instance
+ * @param {bool} dryRun Whether to simulate the release, defaults to false
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            succeeded, optionally to an object containing the
+ *                            published "url" or the "plan" of a dry run
  * @async
  */
-async function runTarget(target, context, tag, store, logger) {
-  const config = typeof target === 'string' ? { name: target } : target;
-  if (!config || !config.name) {
-    throw new Error('Missing target specification');
+async function runTarget(target, context, tag, store, logger, dryRun = false) {
+  const { config, targetFn } = loadTarget(target);
+
+  const reason = evaluateCondition(config.when, tag);
+  if (reason != null) {
+    logger.info(`Skipping target ${config.name}: ${reason}`);
+    return { skipped: reason };
   }
 
-  const targetFn = tryRequire(`./${config.name}`, require);
-  if (targetFn == null) {
-    throw new Error(`Unknown deploy target "${config.name}"`);
+  const targetContext = cloneContext(context, {
+    config,
+    tag,
+    logger,
+    store,
+    dryRun,
+  });
+
+  const labels = { target: config.name };
+  try {
+    const result = await measure(targetDuration, labels, () =>
+      targetFn(targetContext)
+    );
+    targetRuns.inc({ ...labels, status: 'success' });
+    return result;
+  } catch (e) {
+    targetRuns.inc({ ...labels, status: 'failure' });
+    throw e;
+  }
+}
+
+/**
+ * Rolls back the release to a specific target
+ *
+ * Targets implement rollbacks with a "rollback" function, which receives the
+ * same context as the release. Depending on the target, this unpublishes,
+ * deprecates or yanks the released version. Targets without rollback support
+ * cause the promise to reject.
+ *
+ * @param {object | string} target Target name or configuration
+ * @param {Context} context Github context
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {string[]} store A store bound to the commit
+ * @param {object} logger A logger instance
+ * @returns {Promise} A promise that resolves when the rollback has succeeded
+ * @async
+ */
+async function rollbackTarget(target, context, tag, store, logger) {
+  const { config, targetFn } = loadTarget(target);
+  if (typeof targetFn.rollback !== 'function') {
+    throw new Error(`Target "${config.name}" does not support rollbacks`);
   }
 
   const targetContext = cloneContext(context, {
@@ -37,7 +113,8 @@ async function runTarget(target, context, tag, store, logger) {
     store,
   });
 
-  await targetFn(targetContext);
+  return targetFn.rollback(targetContext);
 }
 
 module.exports = runTarget;
+module.exports.rollbackTarget = rollbackTarget;
@@ -0,0 +1,458 @@
+const fs = require('fs');
+const _ = require('lodash');
+const { extname } = require('path');
+const util = require('util');
+const { calculateChecksum } = require('../files');
+const { shouldPerform } = require('../plans');
+const {
+  MAVEN_CENTRAL_URL,
+  getMavenPath,
+  isPublishedOnMaven,
+} = require('../registries');
+const request = require('../request');
+const { forEachChained, retry, spawn } = require('../utils');
+
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+
+/**
+ * Command to launch GnuPG for signing artifacts
+ */
+const GPG_BIN = process.env.GPG_BIN || 'gpg';
+
+/**
+ * Nexus server used for staging, unless configured otherwise
+ */
+const DEFAULT_STAGING_URL = 'https://oss.sonatype.org';
+
+/**
+ * Extensions of artifacts uploaded along with their POM
+ */
+const ARTIFACT_EXTENSIONS = ['.jar', '.aar'];
+
+/**
+ * Checksums uploaded for each file, as required by Maven repositories
+ */
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1'];
+
+/**
+ * Number of times to check whether a staging repository has been closed
+ */
+const STAGING_ATTEMPTS = 8;
+
+/**
+ * Delay in milliseconds before checking a staging repository again, which
+ * doubles after every attempt
+ */
+const STAGING_DELAY = 5000;
+
+/**
+ * @typedef {object} Publication All files of an artifact version
+ * @prop {Coordinates} coordinates The coordinates of the artifact
+ * @prop {object[]} files The store "file" and the "name" to upload it as
+ */
+
+/**
+ * Creates the authorization header for the Maven repository
+ *
+ * @returns {object} Headers containing basic authentication
+ */
+function getAuthHeaders() {
+  const { MAVEN_USERNAME, MAVEN_PASSWORD } = process.env;
+  const credentials = `${MAVEN_USERNAME}:${MAVEN_PASSWORD}`;
+  return {
+    Authorization: `Basic ${Buffer.from(credentials).toString('base64')}`,
+  };
+}
+
+/**
+ * Reads the text of the first element with the given name
+ *
+ * @param {string} xml An XML document or fragment
+ * @param {string} name The name of the element
+ * @returns {string} The trimmed text of the element or null
+ */
+function readElement(xml, name) {
+  const match = new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(xml);
+  return match && match[1];
+}
+
+/**
+ * Reads the coordinates of an artifact from its POM
+ *
+ * Group and version are inherited from the parent POM if the project does not
+ * declare them. Coordinates of dependencies, plugins and profiles are ignored.
+ *
+ * @param {string} xml The contents of the POM
+ * @returns {Coordinates} The coordinates of the artifact
+ */
+function parsePom(xml) {
+  const content = xml.replace(/<!--[\s\S]*?-->/g, '');
+  const parent = /<parent>([\s\S]*?)<\/parent>/.exec(content);
+  const project = content
+    .replace(/<parent>[\s\S]*?<\/parent>/, '')
+    .replace(
+      /<(dependencies|dependencyManagement|build|profiles|reporting)>[\s\S]*?<\/\1>/g,
+      ''
+    );
+
+  const inherited = parent ? parent[1] : '';
+  return {
+    groupId:
+      readElement(project, 'groupId') || readElement(inherited, 'groupId'),
+    artifactId: readElement(project, 'artifactId'),
+    version:
+      readElement(project, 'version') || readElement(inherited, 'version'),
+  };
+}
+
+/**
+ * Groups the files in the store by the coordinates of their POM
+ *
+ * Every ".pom" file in the store denotes an artifact version. Its ".jar" and
+ * ".aar" files, including sources and javadoc, are found by their name
+ * "<artifactId>-<version>[-<classifier>]". Detached signatures ending in
+ * ".asc" are uploaded along with the signed files.
+ *
+ * @param {Context} context Enriched Github context
+ * @param {object[]} files All files in the store
+ * @returns {Promise<Publication[]>} The artifact versions to upload
+ * @async
+ */
+async function getPublications(context, files) {
+  const { logger, store } = context;
+  const poms = files.filter(file => extname(file.name) === '.pom');
+
+  return Promise.all(
+    poms.map(async pom => {
+      const coordinates = parsePom(
+        await readFile(await store.downloadFile(pom), 'utf8')
+      );
+
+      const { groupId, artifactId, version } = coordinates;
+      if (!groupId || !artifactId || !version) {
+        throw new Error(`Cannot read the coordinates of ${pom.name}`);
+      }
+
+      const prefix = `${artifactId}-${version}`;
+      const artifacts = files.filter(
+        file =>
+          ARTIFACT_EXTENSIONS.includes(extname(file.name)) &&
+          file.name.startsWith(prefix) &&
+          /^(-[^.]+)?\.[a-z]+$/.test(file.name.substr(prefix.length))
+      );
+
+      const entries = [{ file: pom, name: `${prefix}.pom` }].concat(
+        artifacts.map(file => ({ file, name: file.name }))
+      );
+
+      const signatures = entries
+        .map(entry => ({
+          file: files.find(file => file.name === `${entry.file.name}.asc`),
+          name: `${entry.name}.asc`,
+        }))
+        .filter(entry => entry.file != null);
+
+      logger.info(
+        `Found ${entries.length} files of ${groupId}:${artifactId}:${version}`
+      );
+      return { coordinates, files: entries.concat(signatures) };
+    })
+  );
+}
+
+/**
+ * Uploads a file to a Maven repository
+ *
+ * @param {string} url The URL of the file in the repository
+ * @param {string|Buffer|Stream} body The contents of the file
+ * @param {number} size The size of the contents in bytes
+ * @returns {Promise} A promise that resolves when the upload has completed
+ * @async
+ */
+function uploadContents(url, body, size) {
+  return request(url, {
+    method: 'PUT',
+    headers: {
+      ...getAuthHeaders(),
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(size),
+    },
+    body,
+  });
+}
+
+/**
+ * Creates a detached ASCII armored signature of a file using GnuPG
+ *
+ * @param {string} filePath The path to the file to sign
+ * @param {string} key The ID or email of the signing key
+ * @param {object} logger A logger to pipe stdout and stderr to
+ * @returns {Promise<string>} The path to the signature
+ * @async
+ */
+async function signFile(filePath, key, logger) {
+  const args = ['--batch', '--yes', '--armor', '--local-user', key];
+  await spawn(GPG_BIN, args.concat(['--detach-sign', filePath]), {}, logger);
+  return `${filePath}.asc`;
+}
+
+/**
+ * Uploads all files of an artifact version along with their checksums
+ *
+ * If MAVEN_GPG_KEY is set, files without signature in the store are signed
+ * before uploading.
+ *
+ * @param {Context} context Enriched Github context
+ * @param {string} repositoryUrl The base URL to upload to
+ * @param {Publication} publication The files of the artifact version
+ * @returns {Promise} A promise that resolves when all files were uploaded
+ * @async
+ */
+async function uploadPublication(context, repositoryUrl, publication) {
+  const { logger, store } = context;
+  const { MAVEN_GPG_KEY } = process.env;
+  const directory = `${repositoryUrl}/${getMavenPath(publication.coordinates)}`;
+  const names = publication.files.map(entry => entry.name);
+
+  await forEachChained(publication.files, async entry => {
+    const filePath = await store.downloadFile(entry.file);
+    const url = `${directory}/${entry.name}`;
+    const { size } = await stat(filePath);
+
+    logger.info(`Uploading ${entry.name} to ${directory}`);
+    await uploadContents(url, fs.createReadStream(filePath), size);
+
+    await forEachChained(CHECKSUM_ALGORITHMS, async algorithm => {
+      const checksum = await calculateChecksum(filePath, algorithm);
+      await uploadContents(`${url}.${algorithm}`, checksum, checksum.length);
+    });
+
+    const signed = names.includes(`${entry.name}.asc`);
+    if (MAVEN_GPG_KEY && !signed && extname(entry.name) !== '.asc') {
+      const signature = await signFile(filePath, MAVEN_GPG_KEY, logger);
+      const signatureSize = (await stat(signature)).size;
+      const signatureStream = fs.createReadStream(signature);
+      await uploadContents(`${url}.asc`, signatureStream, signatureSize);
+    }
+  });
+}
+
+/**
+ * Uploads all artifact versions to a Maven repository
+ *
+ * @param {Context} context Enriched Github context
+ * @param {string} repositoryUrl The base URL to upload to
+ * @param {Publication[]} publications The artifact versions to upload
+ * @returns {Promise} A promise that resolves when all files were uploaded
+ * @async
+ */
+function uploadPublications(context, repositoryUrl, publications) {
+  return forEachChained(publications, publication =>
+    uploadPublication(context, repositoryUrl, publication)
+  );
+}
+
+/**
+ * Sends a request to the staging API of a Nexus server
+ *
+ * Nexus responds in XML unless JSON is requested explicitly.
+ *
+ * @param {string} stagingUrl The base URL of the Nexus server
+ * @param {string} path The path of the endpoint
+ * @param {object} data The request data, if any
+ * @returns {Promise<object>} The parsed response
+ * @async
+ */
+function requestStaging(stagingUrl, path, data) {
+  const url = `${stagingUrl}/service/local/staging/${path}`;
+  const headers = { ...getAuthHeaders(), Accept: 'application/json' };
+  if (data == null) {
+    return request(url, { headers });
+  }
+
+  return request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data }),
+  });
+}
+
+/**
+ * Waits until a staging repository has finished its transition
+ *
+ * @param {string} stagingUrl The base URL of the Nexus server
+ * @param {string} repositoryId The ID of the staging repository
+ * @returns {Promise<object>} The staging repository containing its "type"
+ * @async
+ */
+function waitForStaging(stagingUrl, repositoryId) {
+  return retry(
+    async () => {
+      const repository = await requestStaging(
+        stagingUrl,
+        `repository/${repositoryId}`
+      );
+
+      if (repository.transitioning) {
+        throw new Error(`Staging repository ${repositoryId} is transitioning`);
+      }
+
+      return repository;
+    },
+    STAGING_ATTEMPTS,
+    STAGING_DELAY
+  );
+}
+
+/**
+ * Uploads all artifact versions through a Nexus staging repository
+ *
+ * A new staging repository is opened in the configured profile. After all
+ * files have been uploaded, the repository is closed, which validates the
+ * artifacts, and released. If the upload fails, the staging repository is
+ * dropped. Repositories that fail to close are kept for inspection.
+ *
+ * @param {Context} context Enriched Github context
+ * @param {Publication[]} publications The artifact versions to upload
+ * @returns {Promise} A promise that resolves when the release was promoted
+ * @async
+ */
+async function stagePublications(context, publications) {
+  const { config, logger, tag } = context;
+  const { profileId } = config.staging;
+  const stagingUrl = (config.staging.url || DEFAULT_STAGING_URL).replace(
+    /\/+$/,
+    ''
+  );
+
+  const description = `${context.repo().repo} ${tag.ref}`;
+  const started = await requestStaging(
+    stagingUrl,
+    `profiles/${profileId}/start`,
+    { description }
+  );
+
+  const repositoryId = started.data.stagedRepositoryId;
+  const data = { stagedRepositoryIds: [repositoryId], description };
+  logger.info(`Opened staging repository ${repositoryId}`);
+
+  try {
+    const deployUrl = `${
+      stagingUrl
+    }/service/local/staging/deployByRepositoryId/${repositoryId}`;
+    await uploadPublications(context, deployUrl, publications);
+  } catch (e) {
+    logger.info(`Dropping staging repository ${repositoryId}`);
+    await requestStaging(stagingUrl, 'bulk/drop', data).catch(logger.error);
+    throw e;
+  }
+
+  logger.info(`Closing staging repository ${repositoryId}`);
+  await requestStaging(stagingUrl, 'bulk/close', data);
+  const repository = await waitForStaging(stagingUrl, repositoryId);
+  if (repository.type !== 'closed') {
+    throw new Error(
+      `Staging repository ${repositoryId} could not be closed, see its ` +
+        `activity at ${stagingUrl}/#stagingRepositories`
+    );
+  }
+
+  logger.info(`Releasing staging repository ${repositoryId}`);
+  await requestStaging(stagingUrl, 'bulk/promote', {
+    ...data,
+    autoDropAfterRelease: true,
+  });
+}
+
+/**
+ * Deploys Java and Android artifacts to a Maven repository
+ *
+ * Artifacts are grouped by the coordinates in their POM and uploaded along
+ * with MD5 and SHA1 checksums. With a "staging" configuration, the artifacts
+ * are uploaded to a new Nexus staging repository, which is then closed and
+ * released, e.g. to publish on Maven Central via OSSRH. Otherwise, they are
+ * uploaded to the repository "url" directly.
+ *
+ * Artifact versions whose POM exists in the repository (or in Maven Central
+ * when staging) are skipped. If all versions exist, the release is reported as
+ * existing.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            all artifacts had been uploaded before or the
+ *                            "plan" in dry runs
+ * @async
+ */
+module.exports = async context => {
+  const { config, logger, store } = context;
+
+  if (!process.env.MAVEN_USERNAME || !process.env.MAVEN_PASSWORD) {
+    logger.warn('Skipping Maven release due to missing credentials');
+    return null;
+  }
+
+  const { staging } = config;
+  if (!staging && !config.url) {
+    throw new Error('Missing "url" for the Maven target');
+  }
+
+  const publications = await getPublications(context, await store.listFiles());
+  if (publications.length === 0) {
+    logger.info('Skipping Maven release since there are no POM files');
+    return null;
+  }
+
+  // Credentials are only sent to the configured repository, not to Central
+  const repositoryUrl = (config.url || MAVEN_CENTRAL_URL).replace(/\/+$/, '');
+  const headers = staging ? {} : getAuthHeaders();
+  const published = await Promise.all(
+    publications.map(publication =>
+      isPublishedOnMaven(repositoryUrl, publication.coordinates, headers)
+    )
+  );
+
+  const pending = publications.filter((publication, index) => {
+    if (published[index]) {
+      const { artifactId, version } = publication.coordinates;
+      logger.info(`Skipping ${artifactId} ${version} as it exists`);
+    }
+
+    return !published[index];
+  });
+
+  if (pending.length === 0) {
+    logger.info('Skipping Maven release since all artifacts exist');
+    return { existing: true };
+  }
+
+  if (!shouldPerform(context)) {
+    const files = _.flatMap(pending, publication =>
+      publication.files.map(
+        entry => `${getMavenPath(publication.coordinates)}/${entry.name}`
+      )
+    );
+
+    return {
+      plan: {
+        action: staging
+          ? `Stage ${pending.length} artifacts in profile ${
+              staging.profileId
+            } and release them`
+          : `Upload ${pending.length} artifacts`,
+        registry: staging ? staging.url || DEFAULT_STAGING_URL : repositoryUrl,
+        files,
+      },
+    };
+  }
+
+  if (staging) {
+    await stagePublications(context, pending);
+  } else {
+    await uploadPublications(context, repositoryUrl, pending);
+  }
+
+  logger.info('Maven release completed');
+  return null;
+};
@@ -1,4 +1,6 @@
-const { shouldPerform } = require('dryrun');
+const tar = require('tar');
+const { shouldPerform } = require('../plans');
+const { NPM_REGISTRY_URL, isPublishedOnNpm } = require('../registries');
 const { spawn } = require('../utils');
 
 /**
@@ -11,28 +13,67 @@ const NPM_BIN = process.env.NPM_BIN || 'npm';
  * If launched from yarn, this parameter is overwritten.
  * @see https://github.com/lerna/lerna/issues/896#issuecomment-311894609
  */
-const NPM_REGISTRY = '--registry=https://registry.npmjs.org/';
+const NPM_REGISTRY = `--registry=${NPM_REGISTRY_URL}/`;
 
 /**
  * A regular expression used to find the package tarball
  */
 const PACKAGE_REGEX = /.*\.tgz$/;
 
+/**
+ * Path of the package manifest within tarballs created by "npm pack"
+ */
+const MANIFEST_PATH = 'package/package.json';
+
+/**
+ * Reads the package manifest from a package tarball
+ *
+ * @param {string} path Absolute path to the tarball
+ * @returns {Promise<object>} The parsed package.json or null if the tarball
+ *                            does not contain a manifest
+ * @async
+ */
+async function readManifest(path) {
+  let manifest = null;
+  await tar.t({
+    file: path,
+    onentry: entry => {
+      if (entry.path !== MANIFEST_PATH) {
+        return;
+      }
+
+      const chunks = [];
+      entry.on('data', chunk => chunks.push(chunk));
+      entry.on('end', () => {
+        manifest = JSON.parse(Buffer.concat(chunks).toString());
+      });
+    },
+  });
+
+  return manifest;
+}
+
 /**
  * Publishes the tarball to the NPM registry
  *
  * @param {string} path Absolute path to the tarball to upload
+ * @param {object} config Target configuration containing "access" and "tag"
  * @param {object} logger An optional logger to pipe stdout and stderr to
  * @returns {Promise} A promise that resolves when the upload has completed
  * @async
  */
-function publishPackage(path, access, logger) {
+function publishPackage(path, config, logger) {
   const args = ['publish', NPM_REGISTRY, path];
 
-  if (access) {
+  if (config.access) {
     // This parameter is only necessary for scoped packages, otherwise
     // it can be left blank
-    args.push(`--access=${access}`);
+    args.push(`--access=${config.access}`);
+  }
+
+  if (config.tag) {
+    // Publish under a dist-tag other than "latest", e.g. "next"
+    args.push(`--tag=${config.tag}`);
   }
 
   return spawn(NPM_BIN, args, undefined, logger);
@@ -41,8 +82,14 @@ function publishPackage(path, access, logger) {
 /**
  * Publishes a package tarball on the NPM registry
  *
+ * If the package version exists in the registry already, the release is
+ * skipped and reported as existing.
+ *
  * @param {Context} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            the version had been published before or the
+ *                            "plan" in dry runs
  * @async
  */
 module.exports = async context => {
@@ -52,14 +99,72 @@ module.exports = async context => {
   const packageFile = files.find(file => PACKAGE_REGEX.test(file.name));
   if (packageFile == null) {
     logger.info('Skipping NPM release since there is no package tarball');
-    return;
+    return null;
   }
 
   const packagePath = await store.downloadFile(packageFile);
+  const manifest = await readManifest(packagePath);
+  if (manifest != null) {
+    const { name, version } = manifest;
+    if (await isPublishedOnNpm(name, version)) {
+      logger.info(`Skipping NPM release since ${name}@${version} exists`);
+      return { existing: true };
+    }
+  }
+
   logger.info(`Releasing ${packageFile.name} to NPM`);
-  if (shouldPerform()) {
-    await publishPackage(packagePath, config.access, logger);
+  if (!shouldPerform(context)) {
+    const spec = manifest
+      ? `${manifest.name}@${manifest.version}`
+      : packageFile.name;
+    return {
+      plan: {
+        action: `Publish ${spec} with dist-tag "${config.tag || 'latest'}"`,
+        registry: NPM_REGISTRY_URL,
+        files: [packageFile.name],
+      },
+    };
   }
 
+  await publishPackage(packagePath, config, logger);
+
   logger.info('NPM release completed');
+  return null;
+};
+
+/**
+ * Deprecates or unpublishes the released package version on NPM
+ *
+ * By default, the version is deprecated, which keeps it installable but warns
+ * users. With the "rollback" option set to "unpublish", the version is removed
+ * from the registry entirely, which NPM only allows shortly after publishing.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise} A promise that resolves when the rollback has finished
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { config, logger, store } = context;
+
+  const files = await store.listFiles();
+  const packageFile = files.find(file => PACKAGE_REGEX.test(file.name));
+  if (packageFile == null) {
+    throw new Error('Cannot roll back NPM release without package tarball');
+  }
+
+  const manifest = await readManifest(await store.downloadFile(packageFile));
+  if (manifest == null) {
+    throw new Error(`Missing package.json in ${packageFile.name}`);
+  }
+
+  const spec = `${manifest.name}@${manifest.version}`;
+  const args =
+    config.rollback === 'unpublish'
+      ? ['unpublish', NPM_REGISTRY, spec]
+      : ['deprecate', NPM_REGISTRY, spec, `${spec} has been rolled back`];
+
+  logger.info(`Rolling back ${spec} on NPM with "npm ${args[0]}"`);
+  if (shouldPerform(context)) {
+    await spawn(NPM_BIN, args, undefined, logger);
+  }
 };
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { extname } = require('path');
+const util = require('util');
+const { shouldPerform } = require('../plans');
+const { NUGET_FEED_URL, isPublishedOnNuget } = require('../registries');
+const request = require('../request');
+const { forEachChained } = require('../utils');
+
+const { encodeFormData } = request;
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Extension of NuGet packages
+ */
+const PACKAGE_EXTENSION = '.nupkg';
+
+/**
+ * Extension of NuGet symbol packages
+ */
+const SYMBOL_EXTENSION = '.snupkg';
+
+/**
+ * Regular expression to read the ID and version from a package file name,
+ * e.g. "Sentry.AspNetCore.1.0.0-rc.1.nupkg"
+ */
+const PACKAGE_NAME_REGEX = /^(.+?)\.(\d+\.\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?)\.s?nupkg$/;
+
+/**
+ * @typedef {object} FeedResources Endpoints from a NuGet service index
+ * @prop {string} publish The URL to push packages to
+ * @prop {string?} symbols The URL to push symbol packages to, if supported
+ * @prop {string?} packages The base URL of package contents, if supported
+ */
+
+/**
+ * Reads the package ID and version from the name of a package file
+ *
+ * @param {string} fileName The name of a ".nupkg" or ".snupkg" file
+ * @returns {object} An object containing "id" and "version" or null if the
+ *                   name does not follow the NuGet conventions
+ */
+function parsePackageName(fileName) {
+  const match = PACKAGE_NAME_REGEX.exec(fileName);
+  return match && { id: match[1], version: match[2] };
+}
+
+/**
+ * Loads the service index of a NuGet v3 feed and resolves its endpoints
+ *
+ * @param {string} feedUrl The URL of the service index
+ * @returns {Promise<FeedResources>} The endpoints of the feed
+ * @async
+ */
+async function getFeedResources(feedUrl) {
+  const index = await request(feedUrl);
+  const findResource = type => {
+    const resource = (index.resources || []).find(entry =>
+      String(entry['@type']).startsWith(type)
+    );
+    return resource && resource['@id'];
+  };
+
+  const publish = findResource('PackagePublish/');
+  if (!publish) {
+    throw new Error(`The NuGet feed ${feedUrl} does not support pushing`);
+  }
+
+  return {
+    publish,
+    symbols: findResource('SymbolPackagePublish/'),
+    packages: findResource('PackageBaseAddress/'),
+  };
+}
+
+/**
+ * Pushes a package or symbol package to a NuGet feed
+ *
+ * The package is sent as multipart form data, as expected by the NuGet push
+ * protocol. Feeds respond with "409 Conflict" if the version exists already.
+ *
+ * @param {string} url The publish endpoint of the feed
+ * @param {string} filePath The path to the package file
+ * @param {string} fileName The name of the package file
+ * @returns {Promise<bool>} True if the package has been pushed, false if the
+ *                          version existed already
+ * @async
+ */
+async function pushPackage(url, filePath, fileName) {
+  const form = encodeFormData({
+    package: { name: fileName, data: await readFile(filePath) },
+  });
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': form.contentType,
+      'Content-Length': String(form.body.length),
+      'X-NuGet-ApiKey': process.env.NUGET_API_KEY,
+    },
+    body: form.body,
+  });
+
+  if (response.status === 409) {
+    return false;
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const message = text.trim() || response.statusText;
+    const error = new Error(
+      `Failed to push ${fileName}: ${response.status} ${message}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Removes packages that exist in the feed already
+ *
+ * Symbol packages are kept only if their package is pushed as well. Files with
+ * unconventional names are always kept; they are detected on push instead.
+ *
+ * @param {object[]} files Package and symbol package files from the store
+ * @param {string} baseAddress The base URL of package contents, if supported
+ * @param {object} logger A logger instance
+ * @returns {Promise<object[]>} The files that still need to be pushed
+ * @async
+ */
+async function filterPushed(files, baseAddress, logger) {
+  if (!baseAddress) {
+    return files;
+  }
+
+  const packages = files.filter(
+    file => extname(file.name) === PACKAGE_EXTENSION
+  );
+  const pushed = {};
+  await Promise.all(
+    packages.map(async file => {
+      const pkg = parsePackageName(file.name);
+      if (pkg && (await isPublishedOnNuget(baseAddress, pkg.id, pkg.version))) {
+        logger.info(`Skipping ${pkg.id} ${pkg.version} as it exists`);
+        pushed[`${pkg.id}@${pkg.version}`.toLowerCase()] = true;
+      }
+    })
+  );
+
+  return files.filter(file => {
+    const pkg = parsePackageName(file.name);
+    return !pkg || !pushed[`${pkg.id}@${pkg.version}`.toLowerCase()];
+  });
+}
+
+/**
+ * Pushes NuGet packages and symbol packages to a NuGet v3 feed
+ *
+ * Requires the NUGET_API_KEY environment variable. All ".nupkg" files in the
+ * store are pushed first, followed by their ".snupkg" symbol packages if the
+ * feed supports them. Packages whose version exists in the feed already are
+ * skipped. If all packages had been pushed before, the release is reported as
+ * existing.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            all packages had been pushed before or the "plan"
+ *                            in dry runs
+ * @async
+ */
+module.exports = async context => {
+  const { config, logger, store } = context;
+
+  if (!process.env.NUGET_API_KEY) {
+    logger.warn('Skipping NuGet release due to missing API key');
+    return null;
+  }
+
+  const files = (await store.listFiles()).filter(file =>
+    [PACKAGE_EXTENSION, SYMBOL_EXTENSION].includes(extname(file.name))
+  );
+  if (!files.some(file => extname(file.name) === PACKAGE_EXTENSION)) {
+    logger.info('Skipping NuGet release since there are no packages');
+    return null;
+  }
+
+  const feedUrl = config.feed || NUGET_FEED_URL;
+  const resources = await getFeedResources(feedUrl);
+  const pending = await filterPushed(files, resources.packages, logger);
+  const packages = pending.filter(
+    file => extname(file.name) === PACKAGE_EXTENSION
+  );
+  if (packages.length === 0) {
+    logger.info('Skipping NuGet release since all packages exist');
+    return { existing: true };
+  }
+
+  let symbols = pending.filter(file => extname(file.name) === SYMBOL_EXTENSION);
+  if (symbols.length > 0 && !resources.symbols) {
+    logger.warn(
+      `Skipping symbol packages since ${feedUrl} does not accept them`
+    );
+    symbols = [];
+  }
+
+  logger.info(`Releasing ${packages.length} packages to NuGet`);
+  if (!shouldPerform(context)) {
+    return {
+      plan: {
+        action: `Push ${packages.length} packages and ${
+          symbols.length
+        } symbol packages`,
+        registry: feedUrl,
+        files: packages.concat(symbols).map(file => file.name),
+      },
+    };
+  }
+
+  const push = async (url, file) => {
+    const filePath = await store.downloadFile(file);
+    logger.info(`Pushing ${file.name} to ${feedUrl}`);
+    const pushed = await pushPackage(url, filePath, file.name);
+    if (!pushed) {
+      logger.info(`Skipping ${file.name} since the version exists`);
+    }
+
+    return pushed;
+  };
+
+  const results = [];
+  await forEachChained(packages, async file => {
+    results.push(await push(resources.publish, file));
+  });
+  await forEachChained(symbols, file => push(resources.symbols, file));
+
+  if (!results.includes(true)) {
+    // All versions existed, e.g. since the feed was not indexed yet
+    return { existing: true };
+  }
+
+  logger.info('NuGet release completed');
+  return null;
+};
@@ -1,8 +1,9 @@
-const { shouldPerform } = require('dryrun');
 const fs = require('fs');
 const { basename, join } = require('path');
 const { promisify } = require('util');
 const { withTempDir } = require('../files');
+const { shouldPerform } = require('../plans');
+const { COCOAPODS_TRUNK_URL, isPublishedOnTrunk } = require('../registries');
 const { getFile, spawn } = require('../utils');
 
 const writeFile = promisify(fs.writeFile);
@@ -12,11 +13,32 @@ const writeFile = promisify(fs.writeFile);
  */
 const COCOAPODS_BIN = process.env.COCOAPODS_BIN || 'pod';
 
+/**
+ * Extracts a string attribute like "name" or "version" from a Podspec
+ *
+ * Only literal values can be extracted, e.g. `s.version = "1.0.0"`. Computed
+ * values are ignored.
+ *
+ * @param {string} spec The contents of the Podspec
+ * @param {string} attribute The name of the attribute
+ * @returns {string} The value of the attribute or null
+ */
+function getSpecAttribute(spec, attribute) {
+  const regex = new RegExp(`\\.${attribute}\\s*=\\s*['"]([^'"]+)['"]`);
+  const match = regex.exec(spec);
+  return match ? match[1] : null;
+}
+
 /**
  * Pushes a new Podspec to Cocoapods
  *
+ * If the pod version exists in trunk already, the push is skipped.
+ *
  * @param {Context} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves to the pod's "url" when
+ *                            the release has finished, and "existing" if the
+ *                            version had been pushed before, or to the "plan"
+ *                            in dry runs
  * @async
  */
 module.exports = async context => {
@@ -25,37 +47,59 @@ module.exports = async context => {
 
   if (!process.env.COCOAPODS_TRUNK_TOKEN) {
     logger.warn('Skipping cocoapods release due to missing trunk token');
-    return;
+    return null;
   }
 
   if (config.spec == null) {
     logger.warn(`Missing podspec configuration for ${owner}/${repo}`);
-    return;
+    return null;
   }
 
   logger.info(`Loading podspec from ${owner}/${repo}:${config.spec}`);
   const spec = await getFile(context, config.spec, tag.ref);
   if (spec == null) {
     logger.warn(`Podspec not found at ${owner}/${repo}:${config.spec}`);
-    return;
+    return null;
+  }
+
+  const fileName = basename(config.spec);
+  const podName =
+    getSpecAttribute(spec, 'name') || basename(fileName, '.podspec');
+  const url = `https://cocoapods.org/pods/${podName}`;
+
+  const version = getSpecAttribute(spec, 'version');
+  if (version != null && (await isPublishedOnTrunk(podName, version))) {
+    logger.info(
+      `Skipping cocoapods release since ${podName} ${version} exists`
+    );
+    return { existing: true, url };
+  }
+
+  if (!shouldPerform(context)) {
+    return {
+      plan: {
+        action: `Push ${podName} ${version || tag.ref} to cocoapods trunk`,
+        registry: COCOAPODS_TRUNK_URL,
+        files: [fileName],
+      },
+    };
   }
 
   await withTempDir(async directory => {
-    const fileName = basename(config.spec);
     const filePath = join(directory, fileName);
     await writeFile(filePath, spec, 'utf8');
 
     logger.info(`Pushing podspec ${fileName} to cocoapods`);
-    if (shouldPerform()) {
-      await spawn(COCOAPODS_BIN, ['setup'], undefined, logger);
-      await spawn(
-        COCOAPODS_BIN,
-        ['trunk', 'push', fileName],
-        { cwd: directory, env: process.env },
-        logger
-      );
-    }
+    await spawn(COCOAPODS_BIN, ['setup'], undefined, logger);
+    await spawn(
+      COCOAPODS_BIN,
+      ['trunk', 'push', fileName],
+      { cwd: directory, env: process.env },
+      logger
+    );
 
     logger.info(`Cocoapods release completed: ${fileName}`);
   });
+
+  return { url };
 };
@@ -1,5 +1,7 @@
-const { shouldPerform } = require('dryrun');
+const _ = require('lodash');
 const { extname } = require('path');
+const { shouldPerform } = require('../plans');
+const { getPypiFiles } = require('../registries');
 const { spawn } = require('../utils');
 
 /**
@@ -7,6 +9,17 @@ const { spawn } = require('../utils');
  */
 const TWINE_BIN = process.env.TWINE_BIN || 'twine';
 
+/**
+ * Repository that twine uploads to, unless overridden by the environment
+ */
+const TWINE_REPOSITORY_URL =
+  process.env.TWINE_REPOSITORY_URL || 'https://upload.pypi.org/legacy/';
+
+/**
+ * Base URL of the pages to manage projects on PyPI
+ */
+const PYPI_MANAGE_URL = 'https://pypi.org/manage/project';
+
 /**
  * White list for file extensions uploaded to PyPI
  */
@@ -18,6 +31,55 @@ const WHEEL_EXTENSIONS = ['.whl', '.gz', '.zip'];
  * @prop {string} TWINE_PASSWORD
  */
 
+/**
+ * Extracts the distribution name and version from a file name
+ *
+ * Wheels are named "{name}-{version}-{tags}.whl", where the name cannot
+ * contain dashes. Source distributions are named "{name}-{version}.tar.gz" or
+ * "{name}-{version}.zip".
+ *
+ * @param {string} fileName The name of the wheel or source distribution
+ * @returns {object} An object containing "name" and "version" or null if the
+ *                   file name cannot be parsed
+ */
+function parseDistribution(fileName) {
+  if (extname(fileName) === '.whl') {
+    const [name, version] = fileName.split('-');
+    return version ? { name, version } : null;
+  }
+
+  const match = /^(.+)-([^-]+)\.(?:tar\.gz|zip)$/.exec(fileName);
+  return match ? { name: match[1], version: match[2] } : null;
+}
+
+/**
+ * Removes files from the list that have been uploaded to PyPI already
+ *
+ * @param {object[]} files Files from the store containing "name"
+ * @returns {Promise<object[]>} The files that still need to be uploaded
+ * @async
+ */
+async function filterUploaded(files) {
+  const groups = _.groupBy(files, file => {
+    const dist = parseDistribution(file.name);
+    return dist ? `${dist.name}/${dist.version}` : '';
+  });
+
+  const remaining = await Promise.all(
+    _.map(groups, async (group, key) => {
+      if (key === '') {
+        return group;
+      }
+
+      const [name, version] = key.split('/');
+      const uploaded = await getPypiFiles(name, version);
+      return group.filter(file => !uploaded.includes(file.name));
+    })
+  );
+
+  return _.flatten(remaining);
+}
+
 /**
  * Uploads a wheel to PyPI using twine
  *
@@ -35,10 +97,13 @@ function uploadAsset(path, logger) {
  * Uploads all files to PyPI using Twine
  *
  * Requires twine to be configured in the environment (see .env.example). Only
- * *.whl files are uploaded.
+ * *.whl files are uploaded. Files that exist on PyPI already are skipped.
  *
  * @param {Context} context Enriched Github context
- * @returns {Promise} A promise that resolves when the release has finished
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            all files had been uploaded before or the "plan"
+ *                            in dry runs
  * @async
  */
 module.exports = async context => {
@@ -46,7 +111,7 @@ module.exports = async context => {
 
   if (!process.env.TWINE_USERNAME || !process.env.TWINE_PASSWORD) {
     logger.warn('Skipping PyPI release due to missing credentials');
-    return;
+    return null;
   }
 
   const files = await store.listFiles();
@@ -55,23 +120,89 @@ module.exports = async context => {
   );
   if (wheelFiles.length === 0) {
     logger.info('Skipping PyPI release since there are no wheels');
-    return;
+    return null;
+  }
+
+  const pendingFiles = await filterUploaded(wheelFiles);
+  if (pendingFiles.length === 0) {
+    logger.info('Skipping PyPI release since all wheels exist');
+    return { existing: true };
   }
 
   const { owner, repo } = context.repo();
   logger.info(
-    `Releasing ${wheelFiles.length} wheels for ${owner}/${repo} tag ${
+    `Releasing ${pendingFiles.length} wheels for ${owner}/${repo} tag ${
       tag.ref
     } to PyPI`
   );
 
+  if (!shouldPerform(context)) {
+    return {
+      plan: {
+        action: `Upload ${pendingFiles.length} distributions via twine`,
+        registry: TWINE_REPOSITORY_URL,
+        files: pendingFiles.map(file => file.name),
+      },
+    };
+  }
+
   await Promise.all(
-    wheelFiles.map(async file => {
+    pendingFiles.map(async file => {
       const path = await store.downloadFile(file);
       logger.info(`Uploading asset "${file.name}" via twine`);
-      return shouldPerform() && uploadAsset(path, logger);
+      return uploadAsset(path, logger);
     })
   );
 
   logger.info('PyPI release completed');
+  return null;
+};
+
+/**
+ * Reports how to yank the released versions from PyPI
+ *
+ * PyPI does not offer an API to yank or delete releases, so this fails with
+ * links to the management pages of all uploaded versions. Yanking there keeps
+ * the files available to pinned installs, but hides them otherwise. Versions
+ * that have not been uploaded are skipped.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise} A promise that rejects with instructions, unless there
+ *                    is nothing to yank
+ * @async
+ */
+module.exports.rollback = async context => {
+  const { logger, store } = context;
+
+  const files = await store.listFiles();
+  const dists = _.uniqBy(
+    files
+      .filter(file => WHEEL_EXTENSIONS.includes(extname(file.name)))
+      .map(file => parseDistribution(file.name))
+      .filter(Boolean),
+    dist => `${dist.name}/${dist.version}`
+  );
+
+  if (dists.length === 0) {
+    throw new Error('Cannot roll back PyPI release without wheels');
+  }
+
+  const uploaded = await Promise.all(
+    dists.map(
+      async dist => (await getPypiFiles(dist.name, dist.version)).length
+    )
+  );
+  const urls = dists
+    .filter((dist, index) => uploaded[index] > 0)
+    .map(dist => `${PYPI_MANAGE_URL}/${dist.name}/release/${dist.version}/`);
+
+  if (urls.length === 0) {
+    logger.info('Skipping PyPI rollback since no wheels were uploaded');
+    return;
+  }
+
+  throw new Error(
+    'PyPI does not support automatic rollbacks. Yank the release manually ' +
+      `at ${urls.join(', ')}`
+  );
 };
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const util = require('util');
+const { isDryRunTag, shouldPerform, stripDryRunSuffix } = require('../plans');
+const request = require('../request');
+const { matchesPattern } = require('../tags');
+const { forEachChained } = require('../utils');
+const { compareVersions, getVersion, parseVersion } = require('../version');
+
+const { encodeFormData } = request;
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Base URL of the Sentry installation
+ */
+const SENTRY_URL = process.env.SENTRY_URL || 'https://sentry.io';
+
+/**
+ * Patterns of source maps uploaded as release artifacts by default
+ */
+const DEFAULT_SOURCE_MAPS = ['*.map'];
+
+/**
+ * Patterns of debug information files uploaded by default
+ */
+const DEFAULT_DEBUG_FILES = ['*.dSYM.zip', '*.pdb', '*.debug'];
+
+/**
+ * Prefix of artifact names, matching any host in the URLs of scripts
+ */
+const DEFAULT_URL_PREFIX = '~/';
+
+/**
+ * Creates a client for the Sentry web API
+ *
+ * The client authenticates with the SENTRY_AUTH_TOKEN environment variable.
+ *
+ * @param {string} url The base URL of the Sentry installation
+ * @returns {function} A function that takes the API path and fetch options
+ */
+function createClient(url) {
+  const apiUrl = `${url.replace(/\/+$/, '')}/api/0`;
+
+  return async (path, options = {}) => {
+    const headers = {
+      ...options.headers,
+      Authorization: `Bearer ${process.env.SENTRY_AUTH_TOKEN}`,
+    };
+
+    if (options.body && !headers['Content-Type']) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    return request(`${apiUrl}${path}`, { ...options, headers });
+  };
+}
+
+/**
+ * Loads a release from Sentry
+ *
+ * @param {function} client A Sentry API client
+ * @param {string} path The API path of the release
+ * @returns {Promise<object>} The release or null if it does not exist yet
+ * @async
+ */
+async function getRelease(client, path) {
+  try {
+    return await client(path);
+  } catch (e) {
+    if (e.status === 404) {
+      return null;
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * Uploads a file from the store as multipart form data
+ *
+ * @param {function} client A Sentry API client
+ * @param {string} path The API path of the upload endpoint
+ * @param {string} fileName The name of the file in the store
+ * @param {string} filePath The local path of the file
+ * @param {object} fields Additional form fields
+ * @returns {Promise<bool>} True if the file has been uploaded, false if it
+ *                          existed already
+ * @async
+ */
+async function uploadFile(client, path, fileName, filePath, fields = {}) {
+  const form = encodeFormData({
+    ...fields,
+    file: { name: fileName, data: await readFile(filePath) },
+  });
+
+  try {
+    await client(path, {
+      method: 'POST',
+      headers: { 'Content-Type': form.contentType },
+      body: form.body,
+    });
+    return true;
+  } catch (e) {
+    if (e.status === 409) {
+      return false;
+    }
+
+    throw e;
+  }
+}
+
+/**
+ * Finds the tag of the release preceding the given tag
+ *
+ * Only tags with the same prefix and suffix around the version are considered,
+ * e.g. "pkg@1.0.0" is preceded by "pkg@0.9.0" but not "other@0.9.0". Among
+ * those, the tag with the highest lower version is returned.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} The previous tag containing "ref" and "sha", or
+ *                            null if this is the first release
+ * @async
+ */
+async function findPreviousTag(context) {
+  const { github, tag } = context;
+  const ref = stripDryRunSuffix(tag.ref);
+  const version = parseVersion(ref);
+  if (version == null) {
+    return null;
+  }
+
+  const affix = ref.replace(getVersion(ref), '');
+  const tags = await github.paginate(
+    github.repos.getTags(context.repo({ per_page: 100 })),
+    result => result.data.map(t => ({ ref: t.name, sha: t.commit.sha }))
+  );
+
+  return tags
+    .filter(candidate => !isDryRunTag(candidate.ref))
+    .map(candidate => ({ ...candidate, version: parseVersion(candidate.ref) }))
+    .filter(
+      candidate =>
+        candidate.version != null &&
+        candidate.ref.replace(getVersion(candidate.ref), '') === affix &&
+        compareVersions(candidate.version, version) < 0
+    )
+    .reduce(
+      (previous, candidate) =>
+        previous && compareVersions(previous.version, candidate.version) > 0
+          ? previous
+          : candidate,
+      null
+    );
+}
+
+/**
+ * Lists files in the store that match any of the given patterns
+ *
+ * @param {object[]} files All files in the store
+ * @param {string[]} patterns Glob or regular expression patterns
+ * @returns {object[]} The matching files
+ */
+function filterFiles(files, patterns) {
+  return files.filter(file =>
+    patterns.some(pattern => matchesPattern(file.name, pattern))
+  );
+}
+
+/**
+ * Creates a release in Sentry
+ *
+ * The release is named after the tag version, with an optional "prefix". It
+ * is associated with all commits since the previous tag and receives source
+ * maps and debug information files from the store, filtered by the
+ * "sourceMaps" and "debugFiles" patterns. Finally, the release is finalized
+ * and, if configured, a deploy is recorded.
+ *
+ * Releases that have been finalized before are reported as existing. Partial
+ * releases are resumed, skipping artifacts that have been uploaded already.
+ *
+ * @param {Context} context Enriched Github context
+ * @returns {Promise<object>} A promise that resolves when the release has
+ *                            finished, to an object containing "existing" if
+ *                            the release had been finalized before or the
+ *                            "plan" in dry runs
+ * @async
+ */
+module.exports = async context => {
+  const { config, logger, store, tag } = context;
+  const { org, projects } = config;
+
+  if (!process.env.SENTRY_AUTH_TOKEN) {
+    logger.warn('Skipping Sentry release due to missing auth token');
+    return null;
+  }
+
+  if (!org) {
+    throw new Error('Missing org parameter in "sentry" configuration');
+  }
+
+  if (!projects || projects.length === 0) {
+    throw new Error('Missing projects parameter in "sentry" configuration');
+  }
+
+  const url = config.url || SENTRY_URL;
+  const client = createClient(url);
+  const version = `${config.prefix || ''}${tag.version ||
+    stripDryRunSuffix(tag.ref)}`;
+  const releasePath = `/organizations/${org}/releases/${encodeURIComponent(
+    version
+  )}/`;
+
+  const existing = await getRelease(client, releasePath);
+  if (existing && existing.dateReleased) {
+    logger.info(`Skipping Sentry release since ${version} exists`);
+    return { existing: true };
+  }
+
+  const files = await store.listFiles();
+  const sourceMaps = filterFiles(
+    files,
+    config.sourceMaps || DEFAULT_SOURCE_MAPS
+  );
+  const debugFiles = filterFiles(
+    files,
+    config.debugFiles || DEFAULT_DEBUG_FILES
+  );
+
+  logger.info(`Creating Sentry release ${version} in ${org}`);
+  if (!shouldPerform(context)) {
+    return {
+      plan: {
+        action: `Create release ${version} with ${
+          sourceMaps.length
+        } source maps and ${debugFiles.length} debug files`,
+        registry: url,
+        files: sourceMaps.concat(debugFiles).map(file => file.name),
+      },
+    };
+  }
+
+  await client(`/organizations/${org}/releases/`, {
+    method: 'POST',
+    body: JSON.stringify({ version, ref: tag.ref, projects }),
+  });
+
+  const previous = await findPreviousTag(context);
+  const { owner, repo } = context.repo();
+  logger.info(
+    previous
+      ? `Associating commits since ${previous.ref} with ${version}`
+      : `Associating commits up to ${tag.ref} with ${version}`
+  );
+  await client(releasePath, {
+    method: 'PUT',
+    body: JSON.stringify({
+      refs: [
+        {
+          repository: config.repository || `${owner}/${repo}`,
+          commit: tag.sha,
+          previousCommit: previous ? previous.sha : undefined,
+        },
+      ],
+    }),
+  });
+
+  const urlPrefix = config.urlPrefix || DEFAULT_URL_PREFIX;
+  await forEachChained(sourceMaps, async file => {
+    const filePath = await store.downloadFile(file);
+    logger.info(`Uploading ${file.name} to Sentry release ${version}`);
+    const name = `${urlPrefix}${file.name}`;
+    const filesPath = `${releasePath}files/`;
+    if (!await uploadFile(client, filesPath, file.name, filePath, { name })) {
+      logger.info(`Skipping ${file.name} since it was uploaded before`);
+    }
+  });
+
+  await forEachChained(debugFiles, async file => {
+    const filePath = await store.downloadFile(file);
+    await forEachChained(projects, async project => {
+      logger.info(`Uploading debug file ${file.name} to ${org}/${project}`);
+      const dsymsPath = `/projects/${org}/${project}/files/dsyms/`;
+      await uploadFile(client, dsymsPath, file.name, filePath);
+    });
+  });
+
+  logger.info(`Finalizing Sentry release ${version}`);
+  await client(releasePath, {
+    method: 'PUT',
+    body: JSON.stringify({ dateReleased: new Date().toISOString() }),
+  });
+
+  if (config.deploy) {
+    const { environment, name, url: deployUrl } = config.deploy;
+    logger.info(`Creating deploy of ${version} to ${environment}`);
+    await client(`${releasePath}deploys/`, {
+      method: 'POST',
+      body: JSON.stringify({ environment, name, url: deployUrl }),
+    });
+  }
+
+  logger.info('Sentry release completed');
+  return null;
+};
@@ -1,6 +1,8 @@
 const child = require('child_process');
 const _ = require('lodash');
+const { basename } = require('path');
 const split = require('split');
+const { measure, processDuration } = require('./metrics');
 
 /**
  * Asynchronously calls the predicate on every element of the array and filters
@@ -57,6 +59,38 @@ async function promiseProps(object) {
   return _.fromPairs(await Promise.all(pairs));
 }
 
+/**
+ * Invokes an asynchronous action and retries it when it rejects
+ *
+ * The action is invoked at most `attempts` times. Before each retry, the
+ * function waits for the given delay, which doubles after every attempt
+ * (exponential backoff). If the last attempt rejects, its error is thrown.
+ *
+ * @param {Function} action A function returning a promise
+ * @param {number} attempts The maximum number of attempts, defaults to 1
+ * @param {number} delay Milliseconds to wait before the first retry
+ * @param {Function} onRetry Optional callback receiving the error and delay
+ *                           before each retry
+ * @returns {Promise<any>} The resolved value of the first successful attempt
+ * @async
+ */
+async function retry(action, attempts = 1, delay = 0, onRetry) {
+  try {
+    return await action();
+  } catch (e) {
+    if (attempts <= 1) {
+      throw e;
+    }
+
+    if (onRetry) {
+      onRetry(e, delay);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return retry(action, attempts - 1, delay * 2, onRetry);
+  }
+}
+
 /**
  * Loads a file from the context's repository
  *
@@ -135,7 +169,7 @@ function processError(code, command, args, options) {
 }
 
 /**
- * Asynchronously spawns a child process
+ * Asynchronously spawns a child process without measuring it
  *
  * @param {string} command The command to run
  * @param {string[]} args Optional arguments to pass to the command
@@ -145,7 +179,7 @@ function processError(code, command, args, options) {
  *                            the child process exists
  * @async
  */
-function spawn(command, args, options, logger) {
+function spawnProcess(command, args, options, logger) {
   return new Promise((resolve, reject) => {
     const chunks = [];
 
@@ -177,6 +211,27 @@ function spawn(command, args, options, logger) {
   });
 }
 
+/**
+ * Asynchronously spawns a child process
+ *
+ * The duration of the process is recorded in the process duration metric,
+ * labeled with the name of the command.
+ *
+ * @param {string} command The command to run
+ * @param {string[]} args Optional arguments to pass to the command
+ * @param {object} options Optional options to pass to child_process.spawn
+ * @param {object} logger A logger to pipe stdout and stderr to
+ * @returns {Promise<Buffer>} A promise that resolves to the standard output when
+ *                            the child process exists
+ * @async
+ */
+function spawn(command, args, options, logger) {
+  const labels = { command: basename(String(command)) };
+  return measure(processDuration, labels, () =>
+    spawnProcess(command, args, options, logger)
+  );
+}
+
 module.exports = {
   promiseProps,
   cloneContext,
@@ -184,5 +239,6 @@ module.exports = {
   forEachChained,
   getFile,
   isSorted,
+  retry,
   spawn,
 };
@@ -55,7 +55,67 @@ function parseVersion(text) {
   );
 }
 
+/**
+ * Compares two pre-release specifiers according to SemVer precedence
+ *
+ * Identifiers are compared from left to right. Numeric identifiers are
+ * compared numerically and always have lower precedence than alphanumeric
+ * ones. A larger set of identifiers has higher precedence if all preceding
+ * identifiers are equal.
+ *
+ * @param {string} a A pre-release specifier, e.g. "beta.1"
+ * @param {string} b Another pre-release specifier
+ * @returns {number} A negative number if a < b, zero if equal; otherwise a
+ *                   positive number
+ */
+function comparePrereleases(a, b) {
+  const left = a.split('.');
+  const right = b.split('.');
+
+  for (let i = 0; i < Math.min(left.length, right.length); i += 1) {
+    const leftNumeric = /^\d+$/.test(left[i]);
+    const rightNumeric = /^\d+$/.test(right[i]);
+    if (leftNumeric && rightNumeric) {
+      const diff = parseInt(left[i], 10) - parseInt(right[i], 10);
+      if (diff !== 0) {
+        return diff;
+      }
+    } else if (leftNumeric !== rightNumeric) {
+      return leftNumeric ? -1 : 1;
+    } else if (left[i] !== right[i]) {
+      return left[i] < right[i] ? -1 : 1;
+    }
+  }
+
+  return left.length - right.length;
+}
+
+/**
+ * Compares two semantic versions by precedence
+ *
+ * Pre-release versions have lower precedence than the associated normal
+ * version. Build metadata is ignored.
+ *
+ * @param {SemVer} a A parsed version
+ * @param {SemVer} b Another parsed version
+ * @returns {number} A negative number if a < b, zero if equal; otherwise a
+ *                   positive number
+ */
+function compareVersions(a, b) {
+  const diff = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (diff !== 0 || a.pre === b.pre) {
+    return diff;
+  }
+
+  if (a.pre == null || b.pre == null) {
+    return a.pre == null ? 1 : -1;
+  }
+
+  return comparePrereleases(a.pre, b.pre);
+}
+
 module.exports = {
+  compareVersions,
   getVersion,
   parseVersion,
 };
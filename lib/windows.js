@@ -0,0 +1,420 @@
+/**
+ * Ranges of the five fields of a cron expression
+ */
+const CRON_FIELDS = [
+  { min: 0, max: 59 }, // minute
+  { min: 0, max: 23 }, // hour
+  { min: 1, max: 31 }, // day of month
+  { min: 1, max: 12 }, // month
+  { min: 0, max: 7 }, // day of week, where 0 and 7 are Sunday
+];
+
+/**
+ * Maximum time in milliseconds that a release can be deferred
+ */
+const MAX_DEFERRAL = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Milliseconds in a minute, the resolution of cron expressions
+ */
+const MINUTE = 60 * 1000;
+
+/**
+ * @typedef {object} Cron A parsed cron expression
+ *
+ * @prop {Set<number>[]} fields Allowed values for each of the five fields
+ * @prop {bool} anyDate Whether the day of month is unrestricted ("*")
+ * @prop {bool} anyWeekday Whether the day of week is unrestricted ("*")
+ */
+
+/**
+ * Parses a single field of a cron expression
+ *
+ * Supports wildcards ("*"), values ("5"), ranges ("1-5"), steps ("*\/15" or
+ * "0-30/10") and lists of all of these ("1,3,5").
+ *
+ * @param {string} text The field of the cron expression
+ * @param {object} range An object containing "min" and "max" values
+ * @returns {Set<number>} All values matched by the field
+ * @throws {Error} If the field is malformed or out of range
+ */
+function parseCronField(text, range) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron field "${text}"`);
+    }
+
+    const [, wildcard, first, last, step = '1'] = match;
+    let start = range.min;
+    let end = range.max;
+    if (!wildcard) {
+      start = parseInt(first, 10);
+      if (last != null) {
+        end = parseInt(last, 10);
+      } else if (match[4] == null) {
+        end = start;
+      }
+    }
+
+    const increment = parseInt(step, 10);
+    if (start < range.min || end > range.max || start > end || increment < 1) {
+      throw new Error(`Invalid cron field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parses a cron expression with five fields
+ *
+ * The fields are minute, hour, day of month, month and day of week. All times
+ * are interpreted in UTC.
+ *
+ * @param {string} expression The cron expression, e.g. "* 16-23 * * 5"
+ * @returns {Cron} The parsed expression
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const parts = String(expression)
+    .trim()
+    .split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}"`);
+  }
+
+  const fields = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index])
+  );
+
+  return {
+    fields,
+    anyDate: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * Checks whether the day of a point in time matches a cron expression
+ *
+ * Like in cron, if both day of month and day of week are restricted, either
+ * of them has to match. Otherwise, both have to match.
+ *
+ * @param {Cron} cron A cron expression returned by {@link parseCron}
+ * @param {Date} date The point in time
+ * @returns {bool} True if the day matches the expression
+ */
+function matchesDay(cron, date) {
+  const [, , dates, , weekdays] = cron.fields;
+  const weekday = date.getUTCDay();
+  const dateMatches = dates.has(date.getUTCDate());
+  const weekdayMatches =
+    weekdays.has(weekday) || (weekday === 0 && weekdays.has(7));
+
+  return !cron.anyDate && !cron.anyWeekday
+    ? dateMatches || weekdayMatches
+    : dateMatches && weekdayMatches;
+}
+
+/**
+ * Checks whether a point in time matches a cron expression
+ *
+ * @param {Cron} cron A cron expression returned by {@link parseCron}
+ * @param {number} time Milliseconds since the epoch
+ * @returns {bool} True if the time matches the expression
+ */
+function matchesCron(cron, time) {
+  const date = new Date(time);
+  const [minutes, hours, , months] = cron.fields;
+  return (
+    minutes.has(date.getUTCMinutes()) &&
+    hours.has(date.getUTCHours()) &&
+    months.has(date.getUTCMonth() + 1) &&
+    matchesDay(cron, date)
+  );
+}
+
+/**
+ * Returns the start of the next minute, hour, day or month after a time
+ *
+ * @param {number} time Milliseconds since the epoch
+ * @param {number} unit The index of the cron field: 0 for minutes, 1 for
+ *                      hours, 2 for days and 3 for months
+ * @returns {number} The start of the next unit in milliseconds since the epoch
+ */
+function startOfNext(time, unit) {
+  const date = new Date(time);
+  const parts = [
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+  ];
+
+  // Date.UTC handles the overflow, e.g. from December 31 to January 1
+  const index = parts.length - 1 - unit;
+  parts[index] += 1;
+  return Date.UTC(...parts.slice(0, index + 1));
+}
+
+/**
+ * Checks whether a cron field matches all values in its range
+ *
+ * @param {Set<number>} values The values of the parsed field
+ * @param {object} range An object containing "min" and "max" values
+ * @returns {bool} True if no value is excluded
+ */
+function isFullField(values, range) {
+  for (let value = range.min; value <= range.max; value += 1) {
+    if (!values.has(value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Finds the earliest minute at or after a time that matches a cron expression
+ *
+ * Instead of checking every minute, this skips entire months, days and hours
+ * that do not match the expression.
+ *
+ * @param {Cron} cron A cron expression returned by {@link parseCron}
+ * @param {number} time Milliseconds since the epoch
+ * @param {number} limit The latest time to search
+ * @returns {number} The matching time or a time after the limit
+ */
+function findNextMatch(cron, time, limit) {
+  const [minutes, hours, , months] = cron.fields;
+  let current = Math.ceil(time / MINUTE) * MINUTE;
+
+  while (current <= limit) {
+    const date = new Date(current);
+    if (!months.has(date.getUTCMonth() + 1)) {
+      current = startOfNext(current, 3);
+    } else if (!matchesDay(cron, date)) {
+      current = startOfNext(current, 2);
+    } else if (!hours.has(date.getUTCHours())) {
+      current = startOfNext(current, 1);
+    } else if (!minutes.has(date.getUTCMinutes())) {
+      current = startOfNext(current, 0);
+    } else {
+      return current;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Finds the earliest minute after a time that no longer matches a cron
+ * expression
+ *
+ * If all minutes of an hour match, the search continues with the next hour
+ * instead of the next minute. The same applies to days and months.
+ *
+ * @param {Cron} cron A cron expression returned by {@link parseCron}
+ * @param {number} time Milliseconds since the epoch
+ * @param {number} limit The latest time to search
+ * @returns {number} The first time not matching or a time after the limit
+ */
+function findNextMismatch(cron, time, limit) {
+  const [minutes, hours, dates, , weekdays] = cron.fields;
+  const unit = [
+    isFullField(minutes, CRON_FIELDS[0]),
+    isFullField(hours, CRON_FIELDS[1]),
+    isFullField(dates, CRON_FIELDS[2]) &&
+      isFullField(weekdays, { min: 1, max: 6 }) &&
+      (weekdays.has(0) || weekdays.has(7)),
+  ].indexOf(false);
+
+  let current = time;
+  while (current <= limit && matchesCron(cron, current)) {
+    current = startOfNext(current, unit === -1 ? 3 : unit);
+  }
+
+  return current;
+}
+
+/**
+ * Parses an entry of the "freeze" option
+ *
+ * Entries are either cron expressions matching frozen minutes or objects with
+ * a "cron" expression or a date range ("from" inclusive, "to" exclusive), and
+ * an optional "reason".
+ *
+ * @param {string|object} entry The freeze entry from the release config
+ * @returns {object} The entry with a parsed "cron" or "from" and "to" times
+ * @throws {Error} If the entry is malformed
+ */
+function parseFreeze(entry) {
+  const freeze = typeof entry === 'string' ? { cron: entry } : entry;
+  if (freeze.cron != null) {
+    return { reason: freeze.reason, cron: parseCron(freeze.cron) };
+  }
+
+  const from = new Date(freeze.from).getTime();
+  const to = new Date(freeze.to).getTime();
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('Invalid freeze: requires "cron" or "from" and "to"');
+  }
+
+  return { reason: freeze.reason, from, to };
+}
+
+/**
+ * Checks whether a point in time lies within a parsed freeze
+ *
+ * @param {object} freeze A freeze returned by {@link parseFreeze}
+ * @param {number} time Milliseconds since the epoch
+ * @returns {bool} True if releases are frozen at this time
+ */
+function isFrozen(freeze, time) {
+  return freeze.cron
+    ? matchesCron(freeze.cron, time)
+    : freeze.from <= time && time < freeze.to;
+}
+
+/**
+ * Parses the "freeze" and "publishWindow" options of a release config
+ *
+ * @param {object} config Release configuration for the tag
+ * @returns {object} An object containing parsed "freezes" and "windows"
+ */
+function parseWindows(config) {
+  const { freeze = [], publishWindow = [] } = config;
+  const windows = Array.isArray(publishWindow)
+    ? publishWindow
+    : [publishWindow];
+  return {
+    freezes: freeze.map(parseFreeze),
+    windows: windows.map(parseCron),
+  };
+}
+
+/**
+ * Returns the reason why releases are blocked at a point in time
+ *
+ * @param {object} parsed Options returned by {@link parseWindows}
+ * @param {number} time Milliseconds since the epoch
+ * @returns {string} The reason or null if releases are allowed
+ */
+function findBlockReason(parsed, time) {
+  const freeze = parsed.freezes.find(f => isFrozen(f, time));
+  if (freeze != null) {
+    return freeze.reason
+      ? `during the release freeze "${freeze.reason}"`
+      : 'during a release freeze';
+  }
+
+  const { windows } = parsed;
+  if (windows.length > 0 && !windows.some(cron => matchesCron(cron, time))) {
+    return 'outside of the publish window';
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether releases are blocked at a point in time
+ *
+ * Releases are blocked during any of the configured "freeze" entries and,
+ * if a "publishWindow" is configured, at all times outside of that window.
+ *
+ * @param {object} config Release configuration for the tag
+ * @param {number} time Milliseconds since the epoch
+ * @returns {string} The reason, e.g. "during a release freeze" or null if
+ *                   releases are allowed
+ */
+function getBlockReason(config, time) {
+  return findBlockReason(parseWindows(config), time);
+}
+
+/**
+ * Returns the next point in time worth checking after a blocked time
+ *
+ * During freezes, this skips to the earliest time at which none of the active
+ * freezes apply anymore. Outside of publish windows, it skips to the next time
+ * matched by any of the windows.
+ *
+ * @param {object} parsed Options returned by {@link parseWindows}
+ * @param {number} time Milliseconds since the epoch
+ * @param {number} limit The latest time to search
+ * @returns {number} The next time to check
+ */
+function getNextCandidate(parsed, time, limit) {
+  const active = parsed.freezes.filter(f => isFrozen(f, time));
+  if (active.length > 0) {
+    return Math.max(
+      ...active.map(
+        freeze =>
+          freeze.cron ? findNextMismatch(freeze.cron, time, limit) : freeze.to
+      )
+    );
+  }
+
+  return Math.min(
+    ...parsed.windows.map(cron => findNextMatch(cron, time, limit))
+  );
+}
+
+/**
+ * Computes the earliest time at or after the given time that allows releases
+ *
+ * Releases are deferred by at most a year. If releases are blocked for the
+ * entire year, null is returned.
+ *
+ * @param {object} config Release configuration for the tag
+ * @param {number} time Milliseconds since the epoch
+ * @returns {number} The next allowed time or null
+ */
+function getNextSlot(config, time) {
+  const parsed = parseWindows(config);
+  const limit = time + MAX_DEFERRAL;
+
+  let current = time;
+  while (current <= limit) {
+    if (findBlockReason(parsed, current) == null) {
+      return current;
+    }
+
+    current = getNextCandidate(parsed, current, limit);
+  }
+
+  return null;
+}
+
+/**
+ * Formats a commit comment announcing a deferred release
+ *
+ * @param {object} tag A tag object containing "ref" and "sha"
+ * @param {number} due The time of the release in milliseconds since the epoch
+ * @param {string} reason The reason returned by {@link getBlockReason}
+ * @returns {string} The markdown comment body
+ */
+function formatDeferral(tag, due, reason) {
+  return (
+    `The release of \`${tag.ref}\` has been deferred, since it would have ` +
+    `started ${reason}. It will be published at ` +
+    `${new Date(due).toISOString()}.`
+  );
+}
+
+module.exports = {
+  formatDeferral,
+  getBlockReason,
+  getNextSlot,
+  matchesCron,
+  parseCron,
+  parseFreeze,
+};
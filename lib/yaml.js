@@ -0,0 +1,131 @@
+const yaml = require('js-yaml');
+
+/**
+ * Returns the position of the next YAML token after the given position
+ *
+ * Skips whitespace, line breaks and comments, which the YAML parser might not
+ * have consumed yet when it starts reading a node.
+ *
+ * @param {string} text The YAML source
+ * @param {number} position A character offset in the source
+ * @returns {number} The offset of the next token
+ */
+function skipSeparation(text, position) {
+  let pos = position;
+  while (pos < text.length) {
+    if (text[pos] === '#') {
+      const end = text.indexOf('\n', pos);
+      pos = end < 0 ? text.length : end;
+    } else if (/\s/.test(text[pos])) {
+      pos += 1;
+    } else {
+      break;
+    }
+  }
+
+  return pos;
+}
+
+/**
+ * Computes the one-based line number of a character offset
+ *
+ * @param {string} text The YAML source
+ * @param {number} position A character offset in the source
+ * @returns {number} The line containing the offset
+ */
+function getLine(text, position) {
+  return text.slice(0, position).split('\n').length;
+}
+
+/**
+ * @typedef {object} YamlNode A parsed YAML node and its source location
+ *
+ * @prop {any} result The parsed value of this node
+ * @prop {number} line The one-based line where this node starts
+ * @prop {YamlNode[]} children Nested nodes. For mappings, keys and values
+ *                             alternate.
+ */
+
+/**
+ * Parses a YAML document and records the source line of every node
+ *
+ * Use {@link findLine} to look up the line of a value in the parsed data.
+ *
+ * @param {string} text The YAML source
+ * @returns {object} An object containing the parsed "data" and the "root" node
+ * @throws {YAMLException} If the document is not valid YAML
+ */
+function parseYaml(text) {
+  const stack = [{ children: [] }];
+
+  const listener = (event, state) => {
+    if (event === 'open') {
+      stack.push({ position: state.position, children: [] });
+      return;
+    }
+
+    const { position, children } = stack.pop();
+    const line = getLine(text, skipSeparation(text, position));
+    stack[stack.length - 1].children.push({
+      result: state.result,
+      line,
+      children,
+    });
+  };
+
+  const data = yaml.safeLoad(text, { listener });
+  const [root = null] = stack[0].children;
+  return { data, root };
+}
+
+/**
+ * Finds the source line of a value in a parsed YAML document
+ *
+ * The path contains property names and array indexes leading to the value.
+ * If the path points to a property, the line of its key is returned. For paths
+ * that cannot be resolved entirely, the line of the deepest existing node is
+ * returned.
+ *
+ * @param {YamlNode} root The root node returned by {@link parseYaml}
+ * @param {Array<string|number>} path The path to the value
+ * @returns {number} The one-based line number
+ */
+function findLine(root, path) {
+  if (root == null) {
+    return 1;
+  }
+
+  let node = root;
+  for (let i = 0; i < path.length; i += 1) {
+    const key = path[i];
+    if (Array.isArray(node.result)) {
+      const child = node.children[key];
+      if (child == null) {
+        return node.line;
+      }
+
+      node = child;
+    } else {
+      const index = node.children.findIndex(
+        (child, j) => j % 2 === 0 && String(child.result) === String(key)
+      );
+
+      if (index < 0) {
+        return node.line;
+      }
+
+      if (i === path.length - 1) {
+        return node.children[index].line;
+      }
+
+      node = node.children[index + 1];
+    }
+  }
+
+  return node.line;
+}
+
+module.exports = {
+  findLine,
+  parseYaml,
+};